@@ -5,6 +5,7 @@ const path = require("path");
 const { poolConnect, getSchemaManager, getConnectionInfo, isConnected } = require("./config/db");
 const router = require("./routers/index.js");
 const { errorHandler } = require("./utils/errorHandler");
+const { startPrintWorker, stopPrintWorker } = require("./services/printQueue.services");
 
 dotenv.config({ path: path.join(__dirname, '.env') });
 
@@ -217,6 +218,11 @@ const startServer = async () => {
     
     // Initialize database connection and schema
     const dbConnected = await initializeDatabase();
+
+    // Deliver queued receipts and KOTs in the background
+    if (dbConnected) {
+      await startPrintWorker();
+    }
     
     // Start the server
     const server = app.listen(port, () => {
@@ -239,6 +245,7 @@ const startServer = async () => {
       console.log("   GET  /health              - Server & DB health check");
       console.log("   GET  /api/schema-status   - Check database schema");
       console.log("   POST /api/setup-schema    - Manual schema setup");
+      console.log("   GET  /api/print-jobs      - Print queue status");
       console.log("   *    /api/*              - Application API routes");
       
       console.log("\n" + "=".repeat(60));
@@ -249,6 +256,7 @@ const startServer = async () => {
     // Enhanced graceful shutdown
     const gracefulShutdown = async (signal) => {
       console.log(`\n🛑 Received ${signal}. Shutting down gracefully...`);
+      stopPrintWorker();
       
       server.close(async () => {
         console.log('🔌 HTTP server closed');
@@ -329,6 +329,529 @@ class SchemaManager {
     }
   }
 
+  // Create a table from the given definition if it does not exist yet
+  async ensureTable(tableName, createQuery) {
+    try {
+      const exists = await this.tableExists(tableName);
+      if (exists) {
+        return true;
+      }
+
+      console.log(`🔧 Creating ${tableName} table...`);
+      await this.pool.request().query(createQuery);
+      console.log(`✅ ${tableName} table created successfully`);
+      return true;
+
+    } catch (error) {
+      console.error(`❌ Error creating ${tableName} table:`, error.message);
+      return false;
+    }
+  }
+
+  // Add a column to an existing table if it is missing
+  async ensureColumn(tableName, columnName, definition) {
+    try {
+      const exists = await this.columnExists(tableName, columnName);
+      if (exists) {
+        return true;
+      }
+
+      console.log(`🔧 Adding ${columnName} column to ${tableName}...`);
+      await this.pool.request().query(`
+        ALTER TABLE dbo.${tableName}
+        ADD ${columnName} ${definition}
+      `);
+      console.log(`✅ ${columnName} column added successfully`);
+      return true;
+
+    } catch (error) {
+      console.error(`❌ Error adding ${columnName} column:`, error.message);
+      return false;
+    }
+  }
+
+  // Payments (tenders) recorded against an order, voided rows are kept
+  async addOrderPaymentsTable() {
+    const created = await this.ensureTable('tblOrder_Payments', `
+      CREATE TABLE dbo.tblOrder_Payments (
+        PaymentId INT IDENTITY(1,1) PRIMARY KEY,
+        OrderNo INT NOT NULL,
+        Tender VARCHAR(20) NOT NULL,
+        Amount DECIMAL(18,2) NOT NULL,
+        Tendered DECIMAL(18,2) NOT NULL DEFAULT 0,
+        ChangeAmt DECIMAL(18,2) NOT NULL DEFAULT 0,
+        Reference VARCHAR(100) NULL,
+        CustId INT NULL,
+        UserId INT NULL,
+        PaidAt DATETIME NOT NULL DEFAULT GETDATE()
+      );
+      CREATE NONCLUSTERED INDEX IX_OrderPayments_OrderNo
+      ON dbo.tblOrder_Payments (OrderNo);
+    `);
+
+    if (!created) {
+      return false;
+    }
+
+    await this.ensureColumn('tblOrder_Payments', 'Voided', 'BIT NOT NULL DEFAULT 0');
+    await this.ensureColumn('tblOrder_Payments', 'VoidedAt', 'DATETIME NULL');
+    await this.ensureColumn('tblOrder_Payments', 'VoidedBy', 'INT NULL');
+    await this.ensureColumn('tblOrder_Payments', 'VoidReason', 'VARCHAR(200) NULL');
+    return true;
+  }
+
+  // Link split orders back to the order they were split from
+  async addParentOrderNoToOrderM() {
+    return this.ensureColumn('tblOrder_M', 'ParentOrderNo', 'INT NULL');
+  }
+
+  // Voided orders stay in tblOrder_M and voided lines in tblOrder_D, flagged;
+  // every voided quantity is also copied to tblOrder_Void
+  async addOrderVoidSupport() {
+    await this.ensureColumn('tblOrder_M', 'Voided', 'BIT NOT NULL DEFAULT 0');
+    await this.ensureColumn('tblOrder_M', 'VoidReason', 'VARCHAR(50) NULL');
+    await this.ensureColumn('tblOrder_M', 'VoidedBy', 'INT NULL');
+    await this.ensureColumn('tblOrder_M', 'VoidedAt', 'DATETIME NULL');
+    await this.ensureColumn('tblOrder_D', 'Voided', 'BIT NOT NULL DEFAULT 0');
+    await this.ensureColumn('tblOrder_D', 'VoidedQty', 'DECIMAL(18,2) NOT NULL DEFAULT 0');
+
+    return this.ensureTable('tblOrder_Void', `
+      CREATE TABLE dbo.tblOrder_Void (
+        VoidId INT IDENTITY(1,1) PRIMARY KEY,
+        OrderNo INT NOT NULL,
+        Scope VARCHAR(10) NOT NULL,
+        SlNo INT NULL,
+        ItemCode INT NULL,
+        ItemName VARCHAR(200) NULL,
+        Qty DECIMAL(18,2) NOT NULL DEFAULT 0,
+        Rate DECIMAL(18,2) NOT NULL DEFAULT 0,
+        Amount DECIMAL(18,2) NOT NULL DEFAULT 0,
+        VatAmt DECIMAL(18,2) NOT NULL DEFAULT 0,
+        ReasonCode VARCHAR(50) NOT NULL,
+        Note VARCHAR(200) NULL,
+        AuthUserId INT NOT NULL,
+        VoidedAt DATETIME NOT NULL DEFAULT GETDATE()
+      );
+      CREATE NONCLUSTERED INDEX IX_OrderVoid_OrderNo
+      ON dbo.tblOrder_Void (OrderNo);
+    `);
+  }
+
+  // Sequence number per KOT fire so only new items are sent to the kitchen
+  async addKotSeqColumns() {
+    await this.ensureColumn('tblKot_M', 'KotSeq', 'INT NULL');
+    return this.ensureColumn('tblKot_D', 'KotSeq', 'INT NULL');
+  }
+
+  // Kitchen display state per KOT line and fire time per ticket
+  async addKdsColumns() {
+    await this.ensureColumn('tblKot_M', 'FiredAt', 'DATETIME NULL DEFAULT GETDATE()');
+    await this.ensureColumn('tblKot_D', 'Station', 'VARCHAR(100) NULL');
+    await this.ensureColumn('tblKot_D', 'KdsStatus', "VARCHAR(20) NOT NULL DEFAULT 'QUEUED'");
+    await this.ensureColumn('tblKot_D', 'StatusAt', 'DATETIME NULL');
+    return this.ensureColumn('tblKot_D', 'BumpedAt', 'DATETIME NULL');
+  }
+
+  // Order number sequence and the numbers reserved by terminals
+  async addOrderNumberTables() {
+    await this.ensureTable('tblOrder_Sequence', `
+      CREATE TABLE dbo.tblOrder_Sequence (
+        SeqName VARCHAR(50) NOT NULL PRIMARY KEY,
+        LastNo INT NOT NULL DEFAULT 0
+      );
+    `);
+
+    return this.ensureTable('tblOrder_Reservation', `
+      CREATE TABLE dbo.tblOrder_Reservation (
+        OrderNo INT NOT NULL PRIMARY KEY,
+        Token VARCHAR(36) NULL,
+        Counter VARCHAR(50) NULL,
+        ReservedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        ExpiresAt DATETIME NOT NULL,
+        UsedAt DATETIME NULL
+      );
+      CREATE NONCLUSTERED INDEX IX_OrderReservation_Expiry
+      ON dbo.tblOrder_Reservation (UsedAt, ExpiresAt);
+    `);
+  }
+
+  // Daily token numbers per order type
+  async addOrderTokenSupport() {
+    await this.ensureColumn('tblOrder_M', 'TokenNo', 'INT NULL');
+    await this.ensureColumn('tblOrder_M', 'TokenDate', 'DATE NULL');
+    await this.ensureColumn('tblOrder_M', 'TokenScope', 'VARCHAR(100) NULL');
+
+    return this.ensureTable('tblOrder_Token', `
+      CREATE TABLE dbo.tblOrder_Token (
+        BusinessDate DATE NOT NULL,
+        Options INT NOT NULL,
+        Scope VARCHAR(100) NOT NULL DEFAULT '',
+        LastToken INT NOT NULL DEFAULT 0,
+        CONSTRAINT PK_OrderToken PRIMARY KEY (BusinessDate, Options, Scope)
+      );
+    `);
+  }
+
+  // Hold details on parked carts, with the discounts, delivery area, points and tips to save them with
+  async addHeldOrderColumns() {
+    await this.ensureColumn('tblTempOrder_M', 'HoldName', 'VARCHAR(100) NULL');
+    await this.ensureColumn('tblTempOrder_M', 'HeldCounter', 'VARCHAR(50) NULL');
+    await this.ensureColumn('tblTempOrder_M', 'SeatIds', 'VARCHAR(200) NULL');
+    await this.ensureColumn('tblTempOrder_M', 'HeldAt', 'DATETIME NULL');
+    await this.ensureColumn('tblTempOrder_M', 'RecalledBy', 'VARCHAR(50) NULL');
+    await this.ensureColumn('tblTempOrder_M', 'RecalledAt', 'DATETIME NULL');
+    await this.ensureColumn('tblTempOrder_M', 'DiscType', 'VARCHAR(10) NULL');
+    await this.ensureColumn('tblTempOrder_M', 'DiscValue', 'DECIMAL(18,2) NOT NULL DEFAULT 0');
+    await this.ensureColumn('tblTempOrder_M', 'DelArea', 'VARCHAR(100) NULL');
+    await this.ensureColumn('tblTempOrder_M', 'AddressId', 'INT NULL');
+    await this.ensureColumn('tblTempOrder_M', 'LoyaltyPoints', 'DECIMAL(18,2) NOT NULL DEFAULT 0');
+    await this.ensureColumn('tblTempOrder_M', 'Tips', 'NVARCHAR(MAX) NULL');
+    await this.ensureColumn('tblTempOrder_D', 'DiscType', 'VARCHAR(10) NULL');
+    return this.ensureColumn('tblTempOrder_D', 'DiscValue', 'DECIMAL(18,2) NOT NULL DEFAULT 0');
+  }
+
+  // Line and order discounts with the per-user limit they are checked against
+  async addDiscountSupport() {
+    await this.ensureColumn('tblUser', 'MaxDiscountPct', 'DECIMAL(5,2) NULL');
+
+    await this.ensureColumn('tblOrder_D', 'GrossAmt', 'DECIMAL(18,2) NULL');
+    await this.ensureColumn('tblOrder_D', 'DiscType', 'VARCHAR(10) NULL');
+    await this.ensureColumn('tblOrder_D', 'DiscValue', 'DECIMAL(18,2) NOT NULL DEFAULT 0');
+    await this.ensureColumn('tblOrder_D', 'DiscAmt', 'DECIMAL(18,2) NOT NULL DEFAULT 0');
+    await this.ensureColumn('tblOrder_D', 'OrderDiscAmt', 'DECIMAL(18,2) NOT NULL DEFAULT 0');
+
+    await this.ensureColumn('tblOrder_M', 'DiscType', 'VARCHAR(10) NULL');
+    await this.ensureColumn('tblOrder_M', 'DiscValue', 'DECIMAL(18,2) NOT NULL DEFAULT 0');
+    await this.ensureColumn('tblOrder_M', 'DiscAmt', 'DECIMAL(18,2) NOT NULL DEFAULT 0');
+    await this.ensureColumn('tblOrder_M', 'TotalDisc', 'DECIMAL(18,2) NOT NULL DEFAULT 0');
+    await this.ensureColumn('tblOrder_M', 'DiscPct', 'DECIMAL(5,2) NOT NULL DEFAULT 0');
+    await this.ensureColumn('tblOrder_M', 'DiscBy', 'INT NULL');
+    await this.ensureColumn('tblOrder_M', 'DiscAuthBy', 'INT NULL');
+    return this.ensureColumn('tblOrder_M', 'DiscAt', 'DATETIME NULL');
+  }
+
+  // Outbox of terminal events, shared by every backend on the database
+  async addEventOutbox() {
+    return this.ensureTable('tblEvent', `
+      CREATE TABLE dbo.tblEvent (
+        EventId INT IDENTITY(1,1) PRIMARY KEY,
+        EventType VARCHAR(50) NOT NULL,
+        Floor INT NULL,
+        Counter VARCHAR(50) NULL,
+        Payload NVARCHAR(MAX) NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE()
+      );
+      CREATE NONCLUSTERED INDEX IX_Event_CreatedAt
+      ON dbo.tblEvent (CreatedAt);
+    `);
+  }
+
+  // Login sessions, naming the acting user whose discount limit applies
+  async addUserSessions() {
+    return this.ensureTable('tblUserSession', `
+      CREATE TABLE dbo.tblUserSession (
+        Token VARCHAR(36) NOT NULL PRIMARY KEY,
+        UserId INT NOT NULL,
+        Counter VARCHAR(50) NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        ExpiresAt DATETIME NOT NULL
+      );
+      CREATE NONCLUSTERED INDEX IX_UserSession_Expiry
+      ON dbo.tblUserSession (ExpiresAt);
+    `);
+  }
+
+  // Service / delivery charge rules, the charge lines of orders and tips
+  async addChargeSupport() {
+    await this.ensureColumn('tblOrder_M', 'ChargeTotal', 'DECIMAL(18,2) NOT NULL DEFAULT 0');
+    await this.ensureColumn('tblOrder_M', 'DelArea', 'VARCHAR(100) NULL');
+
+    await this.ensureTable('tblChargeRule', `
+      CREATE TABLE dbo.tblChargeRule (
+        RuleId INT IDENTITY(1,1) PRIMARY KEY,
+        Name VARCHAR(100) NOT NULL,
+        ChargeType VARCHAR(20) NOT NULL,
+        Options INT NULL,
+        Area VARCHAR(100) NULL,
+        CalcType VARCHAR(10) NOT NULL,
+        Value DECIMAL(18,2) NOT NULL,
+        VatPct DECIMAL(5,2) NOT NULL DEFAULT 0,
+        FreeAbove DECIMAL(18,2) NULL,
+        SortOrder INT NOT NULL DEFAULT 0,
+        Active BIT NOT NULL DEFAULT 1
+      );
+    `);
+
+    await this.ensureTable('tblOrder_Charges', `
+      CREATE TABLE dbo.tblOrder_Charges (
+        ChargeId INT IDENTITY(1,1) PRIMARY KEY,
+        OrderNo INT NOT NULL,
+        RuleId INT NULL,
+        ChargeType VARCHAR(20) NOT NULL,
+        Name VARCHAR(100) NOT NULL,
+        CalcType VARCHAR(10) NOT NULL,
+        Value DECIMAL(18,2) NOT NULL DEFAULT 0,
+        BaseAmt DECIMAL(18,2) NOT NULL DEFAULT 0,
+        Amount DECIMAL(18,2) NOT NULL DEFAULT 0,
+        VatPct DECIMAL(5,2) NOT NULL DEFAULT 0,
+        VatAmt DECIMAL(18,2) NOT NULL DEFAULT 0
+      );
+      CREATE NONCLUSTERED INDEX IX_OrderCharges_OrderNo
+      ON dbo.tblOrder_Charges (OrderNo);
+    `);
+
+    return this.ensureTable('tblOrder_Tips', `
+      CREATE TABLE dbo.tblOrder_Tips (
+        TipId INT IDENTITY(1,1) PRIMARY KEY,
+        OrderNo INT NOT NULL,
+        EmpCode INT NOT NULL,
+        Amount DECIMAL(18,2) NOT NULL,
+        Tender VARCHAR(20) NOT NULL,
+        PaymentId INT NULL,
+        UserId INT NULL,
+        TippedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        Voided BIT NOT NULL DEFAULT 0
+      );
+      CREATE NONCLUSTERED INDEX IX_OrderTips_Emp
+      ON dbo.tblOrder_Tips (EmpCode, TippedAt);
+    `);
+  }
+
+  // Modifier groups on items and the modifier lines of orders, KOTs and held carts
+  async addModifierSupport() {
+    await this.ensureTable('tblModifierGroup', `
+      CREATE TABLE dbo.tblModifierGroup (
+        GroupId INT IDENTITY(1,1) PRIMARY KEY,
+        Name VARCHAR(100) NOT NULL,
+        MinSelect INT NOT NULL DEFAULT 0,
+        MaxSelect INT NULL,
+        Active BIT NOT NULL DEFAULT 1
+      );
+    `);
+
+    await this.ensureTable('tblModifier', `
+      CREATE TABLE dbo.tblModifier (
+        ModifierId INT IDENTITY(1,1) PRIMARY KEY,
+        GroupId INT NOT NULL,
+        Name VARCHAR(100) NOT NULL,
+        Arabic NVARCHAR(200) NULL,
+        PriceDelta DECIMAL(18,2) NOT NULL DEFAULT 0,
+        SortOrder INT NOT NULL DEFAULT 0,
+        Active BIT NOT NULL DEFAULT 1
+      );
+      CREATE NONCLUSTERED INDEX IX_Modifier_Group
+      ON dbo.tblModifier (GroupId);
+    `);
+
+    await this.ensureTable('tblItemModifierGroup', `
+      CREATE TABLE dbo.tblItemModifierGroup (
+        ItemId INT NOT NULL,
+        GroupId INT NOT NULL,
+        SortOrder INT NOT NULL DEFAULT 0,
+        CONSTRAINT PK_ItemModifierGroup PRIMARY KEY (ItemId, GroupId)
+      );
+    `);
+
+    await this.ensureColumn('tblOrder_D', 'ParentSlNo', 'INT NULL');
+    await this.ensureColumn('tblOrder_D', 'ModifierId', 'INT NULL');
+    await this.ensureColumn('tblKot_D', 'ParentSlNo', 'INT NULL');
+    await this.ensureColumn('tblKot_D', 'ModifierId', 'INT NULL');
+    return this.ensureColumn('tblTempOrder_D', 'Modifiers', 'VARCHAR(1000) NULL');
+  }
+
+  // Combo / meal-deal slots over tblItemMaster and the component order lines.
+  // A combo header line has ComboSlNo = its own SlNo, its components point at it.
+  async addComboSupport() {
+    await this.ensureTable('tblComboSlot', `
+      CREATE TABLE dbo.tblComboSlot (
+        SlotId INT IDENTITY(1,1) PRIMARY KEY,
+        ComboItemId INT NOT NULL,
+        Name VARCHAR(100) NOT NULL,
+        Picks INT NOT NULL DEFAULT 1,
+        SortOrder INT NOT NULL DEFAULT 0,
+        Active BIT NOT NULL DEFAULT 1
+      );
+      CREATE NONCLUSTERED INDEX IX_ComboSlot_Item
+      ON dbo.tblComboSlot (ComboItemId);
+    `);
+
+    await this.ensureTable('tblComboSlotItem', `
+      CREATE TABLE dbo.tblComboSlotItem (
+        SlotId INT NOT NULL,
+        ItemId INT NOT NULL,
+        Upcharge DECIMAL(18,2) NOT NULL DEFAULT 0,
+        IsDefault BIT NOT NULL DEFAULT 0,
+        SortOrder INT NOT NULL DEFAULT 0,
+        CONSTRAINT PK_ComboSlotItem PRIMARY KEY (SlotId, ItemId)
+      );
+    `);
+
+    await this.ensureColumn('tblOrder_D', 'ComboSlNo', 'INT NULL');
+    await this.ensureColumn('tblOrder_D', 'ComboSlotId', 'INT NULL');
+    return this.ensureColumn('tblTempOrder_D', 'Components', 'VARCHAR(1000) NULL');
+  }
+
+  // Item availability (86) and the optional countdown of portions left
+  async addItemAvailability() {
+    await this.ensureColumn('tblItemMaster', 'Available', 'BIT NOT NULL DEFAULT 1');
+    await this.ensureColumn('tblItemMaster', 'CountdownQty', 'DECIMAL(18,2) NULL');
+    return this.ensureColumn('tblItemMaster', 'AvailUpdatedAt', 'DATETIME NULL');
+  }
+
+  // Ingredient stock, recipes (bill of materials) per item and the stock ledger
+  async addInventorySupport() {
+    await this.ensureTable('tblStockItem', `
+      CREATE TABLE dbo.tblStockItem (
+        StockItemId INT IDENTITY(1,1) PRIMARY KEY,
+        Name VARCHAR(100) NOT NULL,
+        Unit VARCHAR(20) NOT NULL DEFAULT 'pcs',
+        OnHand DECIMAL(18,3) NOT NULL DEFAULT 0,
+        ReorderLevel DECIMAL(18,3) NULL,
+        Active BIT NOT NULL DEFAULT 1
+      );
+    `);
+
+    await this.ensureTable('tblRecipe', `
+      CREATE TABLE dbo.tblRecipe (
+        ItemId INT NOT NULL,
+        StockItemId INT NOT NULL,
+        Qty DECIMAL(18,3) NOT NULL,
+        CONSTRAINT PK_Recipe PRIMARY KEY (ItemId, StockItemId)
+      );
+    `);
+
+    return this.ensureTable('tblStockMovement', `
+      CREATE TABLE dbo.tblStockMovement (
+        MovementId INT IDENTITY(1,1) PRIMARY KEY,
+        StockItemId INT NOT NULL,
+        MovementType VARCHAR(20) NOT NULL,
+        Qty DECIMAL(18,3) NOT NULL,
+        BalanceAfter DECIMAL(18,3) NOT NULL,
+        OrderNo INT NULL,
+        Note VARCHAR(200) NULL,
+        UserId INT NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE()
+      );
+      CREATE NONCLUSTERED INDEX IX_StockMovement_Item
+      ON dbo.tblStockMovement (StockItemId, CreatedAt);
+      CREATE NONCLUSTERED INDEX IX_StockMovement_Order
+      ON dbo.tblStockMovement (OrderNo);
+    `);
+  }
+
+  // Customer merge trail and the index customer history is read through
+  async addCustomerMergeSupport() {
+    await this.ensureColumn('tblCustomer', 'MergedInto', 'INT NULL');
+    await this.ensureColumn('tblCustomer', 'MergedAt', 'DATETIME NULL');
+
+    try {
+      await this.pool.request().query(`
+        IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_OrderM_CustId')
+        BEGIN
+          CREATE NONCLUSTERED INDEX IX_OrderM_CustId
+          ON dbo.tblOrder_M (CustId)
+        END
+      `);
+    } catch (error) {
+      console.error("❌ Error adding CustId index:", error.message);
+      // Index creation failure is not critical
+    }
+  }
+
+  // Delivery address book per customer, seeded from tblCustomer.Add1
+  async addCustomerAddressBook() {
+    const existed = await this.tableExists('tblCustomerAddress');
+
+    const created = await this.ensureTable('tblCustomerAddress', `
+      CREATE TABLE dbo.tblCustomerAddress (
+        AddressId INT IDENTITY(1,1) PRIMARY KEY,
+        CustCode INT NOT NULL,
+        Label VARCHAR(50) NULL,
+        Flat VARCHAR(100) NULL,
+        Building VARCHAR(200) NULL,
+        Area VARCHAR(100) NULL,
+        Landmark VARCHAR(200) NULL,
+        Notes VARCHAR(500) NULL,
+        IsDefault BIT NOT NULL DEFAULT 0,
+        Active BIT NOT NULL DEFAULT 1,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        LastUsedAt DATETIME NULL
+      );
+      CREATE NONCLUSTERED INDEX IX_CustomerAddress_CustCode
+      ON dbo.tblCustomerAddress (CustCode);
+    `);
+
+    await this.ensureColumn('tblOrder_M', 'AddressId', 'INT NULL');
+
+    if (existed || !created) {
+      return created;
+    }
+
+    try {
+      const seeded = await this.pool.request().query(`
+        INSERT INTO dbo.tblCustomerAddress (CustCode, Building, IsDefault)
+        SELECT CustCode, Add1, 1 FROM dbo.tblCustomer WHERE ISNULL(LTRIM(Add1), '') <> ''
+      `);
+      console.log(`✅ Seeded ${seeded.rowsAffected[0]} customer addresses from Add1`);
+    } catch (error) {
+      console.error("❌ Error seeding customer addresses:", error.message);
+    }
+
+    return true;
+  }
+
+  // Loyalty points: balance per customer, ledger and earn rates per category
+  async addLoyaltySupport() {
+    await this.ensureColumn('tblCustomer', 'LoyaltyPoints', 'DECIMAL(18,2) NOT NULL DEFAULT 0');
+    await this.ensureColumn('tblGroup', 'LoyaltyRate', 'DECIMAL(9,4) NULL');
+    await this.ensureColumn('tblOrder_M', 'LoyaltyPoints', 'DECIMAL(18,2) NOT NULL DEFAULT 0');
+    await this.ensureColumn('tblOrder_M', 'LoyaltyAmt', 'DECIMAL(18,2) NOT NULL DEFAULT 0');
+
+    return this.ensureTable('tblLoyaltyLedger', `
+      CREATE TABLE dbo.tblLoyaltyLedger (
+        EntryId INT IDENTITY(1,1) PRIMARY KEY,
+        CustCode INT NOT NULL,
+        EntryType VARCHAR(20) NOT NULL,
+        Points DECIMAL(18,2) NOT NULL,
+        BalanceAfter DECIMAL(18,2) NOT NULL,
+        OrderNo INT NULL,
+        PaymentId INT NULL,
+        Amount DECIMAL(18,2) NULL,
+        Note VARCHAR(200) NULL,
+        UserId INT NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE()
+      );
+      CREATE NONCLUSTERED INDEX IX_LoyaltyLedger_Customer
+      ON dbo.tblLoyaltyLedger (CustCode, EntryId);
+      CREATE NONCLUSTERED INDEX IX_LoyaltyLedger_Order
+      ON dbo.tblLoyaltyLedger (OrderNo);
+    `);
+  }
+
+  // Durable print queue delivered by the print worker
+  async addPrintJobsTable() {
+    return this.ensureTable('tblPrintJob', `
+      CREATE TABLE dbo.tblPrintJob (
+        JobId INT IDENTITY(1,1) PRIMARY KEY,
+        OrderNo INT NOT NULL,
+        KotSeq INT NULL,
+        JobType VARCHAR(10) NOT NULL,
+        Printer VARCHAR(100) NOT NULL,
+        Payload VARBINARY(MAX) NOT NULL,
+        Status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+        Attempts INT NOT NULL DEFAULT 0,
+        NextAttemptAt DATETIME NOT NULL DEFAULT GETDATE(),
+        LastError VARCHAR(500) NULL,
+        Target VARCHAR(200) NULL,
+        ReprintOf INT NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE(),
+        PrintedAt DATETIME NULL
+      );
+      CREATE NONCLUSTERED INDEX IX_PrintJob_Status
+      ON dbo.tblPrintJob (Status, NextAttemptAt);
+    `);
+  }
+
   // Get schema information
   async getSchemaInfo() {
     try {
@@ -471,6 +994,66 @@ class DatabaseManager {
       // Setup SeatId column in OrderM table
       await this.schemaManager.addSeatIdToOrderM();
 
+      // Setup settlement payments table
+      await this.schemaManager.addOrderPaymentsTable();
+
+      // Setup split bill link column
+      await this.schemaManager.addParentOrderNoToOrderM();
+
+      // Setup order and line void tracking
+      await this.schemaManager.addOrderVoidSupport();
+
+      // Setup incremental KOT sequence
+      await this.schemaManager.addKotSeqColumns();
+
+      // Setup print job queue
+      await this.schemaManager.addPrintJobsTable();
+
+      // Setup terminal event outbox
+      await this.schemaManager.addEventOutbox();
+
+      // Setup kitchen display columns
+      await this.schemaManager.addKdsColumns();
+
+      // Setup order number allocation
+      await this.schemaManager.addOrderNumberTables();
+
+      // Setup daily order tokens
+      await this.schemaManager.addOrderTokenSupport();
+
+      // Setup held order details
+      await this.schemaManager.addHeldOrderColumns();
+
+      // Setup discounts and user discount limits
+      await this.schemaManager.addDiscountSupport();
+
+      // Setup login sessions
+      await this.schemaManager.addUserSessions();
+
+      // Setup order charges and tips
+      await this.schemaManager.addChargeSupport();
+
+      // Setup item modifiers
+      await this.schemaManager.addModifierSupport();
+
+      // Setup combo items
+      await this.schemaManager.addComboSupport();
+
+      // Setup item availability
+      await this.schemaManager.addItemAvailability();
+
+      // Setup inventory and recipes
+      await this.schemaManager.addInventorySupport();
+
+      // Setup customer merge
+      await this.schemaManager.addCustomerMergeSupport();
+
+      // Setup customer address book
+      await this.schemaManager.addCustomerAddressBook();
+
+      // Setup loyalty points
+      await this.schemaManager.addLoyaltySupport();
+
       // Log schema information
       const schemaInfo = await this.schemaManager.getSchemaInfo();
       if (schemaInfo.length > 0) {
@@ -0,0 +1,25 @@
+const availabilityServices = require("../services/availability.services");
+
+const setItemAvailability = async (req, res, next) => {
+  try {
+    const { available, countdownQty } = req.body;
+    const item = await availabilityServices.setItemAvailability(req.params.itemId, {
+      available,
+      countdownQty,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: item.Available
+        ? `${item.ItemName} is available`
+        : `${item.ItemName} is marked unavailable`,
+      data: item,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  setItemAvailability,
+};
@@ -0,0 +1,52 @@
+const chargesServices = require("../services/charges.services");
+
+const getChargeRules = async (req, res, next) => {
+  try {
+    const rules = await chargesServices.getChargeRules({
+      includeInactive: req.query.includeInactive === "true",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Charge rules fetched successfully",
+      count: rules.length,
+      data: rules,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createChargeRule = async (req, res, next) => {
+  try {
+    const rule = await chargesServices.saveChargeRule(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `Charge rule ${rule.RuleId} created successfully`,
+      data: rule,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateChargeRule = async (req, res, next) => {
+  try {
+    const rule = await chargesServices.saveChargeRule(req.body, req.params.ruleId);
+
+    res.status(200).json({
+      success: true,
+      message: `Charge rule ${rule.RuleId} updated successfully`,
+      data: rule,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getChargeRules,
+  createChargeRule,
+  updateChargeRule,
+};
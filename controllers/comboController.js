@@ -0,0 +1,36 @@
+const comboServices = require("../services/combo.services");
+
+const getCombos = async (req, res, next) => {
+  try {
+    const combos = await comboServices.getCombos();
+
+    res.status(200).json({
+      success: true,
+      message: "Combos fetched successfully",
+      count: combos.length,
+      data: combos,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const saveComboSlots = async (req, res, next) => {
+  try {
+    const slots = await comboServices.saveComboSlots(req.params.itemId, req.body.slots);
+
+    res.status(200).json({
+      success: true,
+      message: `Combo slots of item ${req.params.itemId} updated successfully`,
+      count: slots.length,
+      data: slots,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCombos,
+  saveComboSlots,
+};
@@ -0,0 +1,189 @@
+const customerServices = require("../services/customer.services");
+const customerAddressServices = require("../services/customerAddress.services");
+
+const getCustomer = async (req, res, next) => {
+  try {
+    const customer = await customerServices.getCustomerProfile(req.params.custCode, {
+      recent: req.query.recent,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Customer fetched successfully",
+      data: customer,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createCustomer = async (req, res, next) => {
+  try {
+    const customer = await customerServices.createCustomer(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Customer created successfully",
+      data: customer,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateCustomer = async (req, res, next) => {
+  try {
+    const customer = await customerServices.updateCustomer(req.params.custCode, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: "Customer updated successfully",
+      data: customer,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deactivateCustomer = async (req, res, next) => {
+  try {
+    const customer = await customerServices.deactivateCustomer(req.params.custCode);
+
+    res.status(200).json({
+      success: true,
+      message: `Customer ${customer.CustCode} deactivated successfully`,
+      data: customer,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const findDuplicateCustomers = async (req, res, next) => {
+  try {
+    const { custCode, minSimilarity } = req.query;
+    const groups = await customerServices.findDuplicateCustomers({ custCode, minSimilarity });
+
+    res.status(200).json({
+      success: true,
+      message: groups.length
+        ? `${groups.length} group(s) of likely duplicate customers found`
+        : "No duplicate customers found",
+      count: groups.length,
+      data: groups,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const mergeCustomers = async (req, res, next) => {
+  try {
+    const merge = await customerServices.mergeCustomers(req.params.custCode, req.body.mergeCodes);
+
+    res.status(200).json({
+      success: true,
+      message: `Merged ${merge.merged.length} customer(s) into ${merge.survivor.CustCode}`,
+      data: merge,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const buildRepeatOrder = async (req, res, next) => {
+  try {
+    const order = await customerServices.buildRepeatOrder(req.params.custCode, {
+      orderNo: req.query.orderNo,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: order.skipped.length
+        ? `Order ${order.repeatOf} repeated without ${order.skipped.length} unavailable item(s)`
+        : `Order ${order.repeatOf} ready to repeat`,
+      count: order.items.length,
+      data: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getAddresses = async (req, res, next) => {
+  try {
+    const addresses = await customerAddressServices.getAddresses(req.params.custCode);
+
+    res.status(200).json({
+      success: true,
+      message: "Customer addresses fetched successfully",
+      count: addresses.length,
+      data: addresses,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createAddress = async (req, res, next) => {
+  try {
+    const address = await customerAddressServices.saveAddress(req.params.custCode, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Customer address added successfully",
+      data: address,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateAddress = async (req, res, next) => {
+  try {
+    const address = await customerAddressServices.saveAddress(
+      req.params.custCode,
+      req.body,
+      req.params.addressId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Customer address updated successfully",
+      data: address,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteAddress = async (req, res, next) => {
+  try {
+    const result = await customerAddressServices.deleteAddress(
+      req.params.custCode,
+      req.params.addressId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Address ${result.addressId} removed successfully`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  deactivateCustomer,
+  findDuplicateCustomers,
+  mergeCustomers,
+  buildRepeatOrder,
+  getAddresses,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+};
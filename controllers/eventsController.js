@@ -0,0 +1,47 @@
+const eventServices = require("../services/events.services");
+
+const HEARTBEAT_MS = 25000;
+
+// Server-Sent Events stream; filter with ?floor=1,2&counter=C1&types=order.created,kot.fired
+const streamEvents = async (req, res, next) => {
+  try {
+    const { floor, counter, types } = req.query;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 3000\n\n");
+
+    // Comment lines keep proxies and idle terminals from dropping the stream
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+    let unsubscribe = null;
+    let closed = false;
+    req.on("close", () => {
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+    });
+
+    unsubscribe = await eventServices.subscribe(res, {
+      floors: floor,
+      counters: counter,
+      types,
+      lastEventId: req.get("Last-Event-ID") || req.query.lastEventId,
+    });
+
+    // The terminal went away while missed events were being replayed
+    if (closed) {
+      unsubscribe();
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  streamEvents,
+};
@@ -0,0 +1,68 @@
+const heldOrderServices = require("../services/heldOrder.services");
+
+const holdOrder = async (req, res, next) => {
+  try {
+    const held = await heldOrderServices.holdOrder(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `Order held as #${held.heldNo}`,
+      data: held,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getHeldOrders = async (req, res, next) => {
+  try {
+    const heldOrders = await heldOrderServices.getHeldOrders();
+
+    res.status(200).json({
+      success: true,
+      message: "Held orders fetched successfully",
+      count: heldOrders.length,
+      data: heldOrders,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const recallHeldOrder = async (req, res, next) => {
+  try {
+    const cart = await heldOrderServices.recallHeldOrder(req.params.heldNo, {
+      counter: req.body?.counter,
+      force: req.body?.force === true,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Held order ${req.params.heldNo} recalled`,
+      data: cart,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const discardHeldOrder = async (req, res, next) => {
+  try {
+    const result = await heldOrderServices.discardHeldOrder(req.params.heldNo);
+
+    res.status(200).json({
+      success: true,
+      message: `Held order ${req.params.heldNo} discarded`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  holdOrder,
+  getHeldOrders,
+  recallHeldOrder,
+  discardHeldOrder,
+};
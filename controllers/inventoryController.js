@@ -0,0 +1,148 @@
+const inventoryServices = require("../services/inventory.services");
+
+const getStockLevels = async (req, res, next) => {
+  try {
+    const stock = await inventoryServices.getStockLevels({
+      lowOnly: req.query.lowOnly === "true",
+      includeInactive: req.query.includeInactive === "true",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Stock levels fetched successfully",
+      count: stock.length,
+      data: stock,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getLowStockAlerts = async (req, res, next) => {
+  try {
+    const alerts = await inventoryServices.getStockLevels({ lowOnly: true });
+
+    res.status(200).json({
+      success: true,
+      message: alerts.length
+        ? `${alerts.length} stock item(s) at or below reorder level`
+        : "No stock items below reorder level",
+      count: alerts.length,
+      data: alerts,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getStockMovements = async (req, res, next) => {
+  try {
+    const { stockItemId, orderNo, type, from, to, limit } = req.query;
+    const movements = await inventoryServices.getStockMovements({
+      stockItemId,
+      orderNo,
+      type,
+      from,
+      to,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Stock movements fetched successfully",
+      count: movements.length,
+      data: movements,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createStockItem = async (req, res, next) => {
+  try {
+    const stockItem = await inventoryServices.saveStockItem(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Stock item created successfully",
+      data: stockItem,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateStockItem = async (req, res, next) => {
+  try {
+    const stockItem = await inventoryServices.saveStockItem(req.body, req.params.stockItemId);
+
+    res.status(200).json({
+      success: true,
+      message: "Stock item updated successfully",
+      data: stockItem,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const adjustStock = async (req, res, next) => {
+  try {
+    const { type, qty, note, userId } = req.body;
+    const movement = await inventoryServices.adjustStock(req.params.stockItemId, {
+      type,
+      qty,
+      note,
+      userId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${movement.name} is now at ${movement.balanceAfter} ${movement.unit}`,
+      data: movement,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getRecipe = async (req, res, next) => {
+  try {
+    const recipe = await inventoryServices.getRecipe(req.params.itemId);
+
+    res.status(200).json({
+      success: true,
+      message: "Recipe fetched successfully",
+      count: recipe.length,
+      data: recipe,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const setRecipe = async (req, res, next) => {
+  try {
+    const recipe = await inventoryServices.setRecipe(req.params.itemId, req.body.ingredients);
+
+    res.status(200).json({
+      success: true,
+      message: `Recipe of item ${req.params.itemId} updated successfully`,
+      count: recipe.length,
+      data: recipe,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getStockLevels,
+  getLowStockAlerts,
+  getStockMovements,
+  createStockItem,
+  updateStockItem,
+  adjustStock,
+  getRecipe,
+  setRecipe,
+};
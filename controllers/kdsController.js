@@ -0,0 +1,105 @@
+const kdsServices = require("../services/kds.services");
+
+const getKdsTickets = async (req, res, next) => {
+  try {
+    const { station, includeClosed } = req.query;
+
+    const tickets = await kdsServices.getKdsTickets({
+      station,
+      includeClosed: includeClosed === "true",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Kitchen tickets fetched successfully",
+      count: tickets.length,
+      data: tickets,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getKdsStations = async (req, res, next) => {
+  try {
+    const stations = await kdsServices.getKdsStations();
+
+    res.status(200).json({
+      success: true,
+      message: "Kitchen stations fetched successfully",
+      count: stations.length,
+      data: stations,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const setLineStatus = async (req, res, next) => {
+  try {
+    const { orderNo, kotSeq, slNo } = req.params;
+
+    const ticket = await kdsServices.setLineStatus(
+      orderNo,
+      kotSeq,
+      slNo,
+      req.body?.status
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Line ${slNo} updated successfully`,
+      data: ticket,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const bumpTicket = async (req, res, next) => {
+  try {
+    const { orderNo, kotSeq } = req.params;
+
+    const ticket = await kdsServices.bumpTicket(
+      orderNo,
+      kotSeq,
+      req.body?.station
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `KOT ${kotSeq} of order ${orderNo} bumped`,
+      data: ticket,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const recallTicket = async (req, res, next) => {
+  try {
+    const { orderNo, kotSeq } = req.params;
+
+    const ticket = await kdsServices.recallTicket(
+      orderNo,
+      kotSeq,
+      req.body?.station
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `KOT ${kotSeq} of order ${orderNo} recalled`,
+      data: ticket,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getKdsTickets,
+  getKdsStations,
+  setLineStatus,
+  bumpTicket,
+  recallTicket,
+};
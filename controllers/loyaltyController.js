@@ -0,0 +1,40 @@
+const loyaltyServices = require("../services/loyalty.services");
+
+const getLoyalty = async (req, res, next) => {
+  try {
+    const loyalty = await loyaltyServices.getLoyalty(req.params.custCode, {
+      limit: req.query.limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Loyalty points fetched successfully",
+      count: loyalty.history.length,
+      data: loyalty,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const setCategoryEarnRate = async (req, res, next) => {
+  try {
+    const category = await loyaltyServices.setCategoryEarnRate(req.params.grpId, req.body.rate);
+
+    res.status(200).json({
+      success: true,
+      message:
+        category.LoyaltyRate === null
+          ? `${category.GrpName} earns at the default rate`
+          : `${category.GrpName} earns ${parseFloat(category.LoyaltyRate)} points per unit`,
+      data: category,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLoyalty,
+  setCategoryEarnRate,
+};
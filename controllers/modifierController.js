@@ -0,0 +1,71 @@
+const modifierServices = require("../services/modifier.services");
+
+const getModifierGroups = async (req, res, next) => {
+  try {
+    const groups = await modifierServices.getModifierGroups({
+      includeInactive: req.query.includeInactive === "true",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Modifier groups fetched successfully",
+      count: groups.length,
+      data: groups,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createModifierGroup = async (req, res, next) => {
+  try {
+    const group = await modifierServices.saveModifierGroup(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `Modifier group ${group.GroupId} created successfully`,
+      data: group,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateModifierGroup = async (req, res, next) => {
+  try {
+    const group = await modifierServices.saveModifierGroup(req.body, req.params.groupId);
+
+    res.status(200).json({
+      success: true,
+      message: `Modifier group ${group.GroupId} updated successfully`,
+      data: group,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const setItemModifierGroups = async (req, res, next) => {
+  try {
+    const groups = await modifierServices.setItemModifierGroups(
+      req.params.itemId,
+      req.body.groupIds
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Modifier groups of item ${req.params.itemId} updated successfully`,
+      count: groups.length,
+      data: groups,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getModifierGroups,
+  createModifierGroup,
+  updateModifierGroup,
+  setItemModifierGroups,
+};
@@ -0,0 +1,156 @@
+const orderManagementServices = require("../services/orderManagement.services");
+
+const splitOrder = async (req, res, next) => {
+  try {
+    const { orderNo } = req.params;
+    const { mode, parts } = req.body;
+
+    const result = await orderManagementServices.splitOrder(orderNo, {
+      mode,
+      parts,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Order ${result.orderNo} split into ${result.childOrders.length + 1} orders`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const transferOrder = async (req, res, next) => {
+  try {
+    const { orderNo } = req.params;
+    const { tableId, tableNo, seatIds } = req.body;
+
+    const result = await orderManagementServices.transferOrder(orderNo, {
+      tableId,
+      tableNo,
+      seatIds,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Order ${result.orderNo} moved to table ${result.tableNo}`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const mergeOrders = async (req, res, next) => {
+  try {
+    const { orderNo } = req.params;
+    const { sourceOrderNo } = req.body;
+
+    const result = await orderManagementServices.mergeOrders(
+      orderNo,
+      sourceOrderNo
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Order ${result.sourceOrderNo} merged into order ${result.orderNo}`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getVoidReasons = async (req, res, next) => {
+  try {
+    const reasons = Object.entries(orderManagementServices.VOID_REASONS).map(
+      ([code, description]) => ({ code, description })
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Void reasons fetched successfully",
+      count: reasons.length,
+      data: reasons,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const voidOrder = async (req, res, next) => {
+  try {
+    const { orderNo } = req.params;
+    const { reasonCode, note, username, password } = req.body;
+
+    const result = await orderManagementServices.voidOrder(orderNo, {
+      reasonCode,
+      note,
+      username,
+      password,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Order ${result.orderNo} voided successfully`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const voidOrderLine = async (req, res, next) => {
+  try {
+    const { orderNo, slNo } = req.params;
+    const { qty, reasonCode, note, username, password } = req.body;
+
+    const result = await orderManagementServices.voidOrderLine(orderNo, slNo, {
+      qty,
+      reasonCode,
+      note,
+      username,
+      password,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Line ${result.slNo} of order ${result.orderNo} voided successfully`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const refundOrder = async (req, res, next) => {
+  try {
+    const { orderNo } = req.params;
+    const { reasonCode, note, username, password } = req.body;
+
+    const result = await orderManagementServices.refundOrder(orderNo, {
+      reasonCode,
+      note,
+      username,
+      password,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Order ${result.orderNo} refunded, ${result.refunded.toFixed(2)} to hand back`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  splitOrder,
+  transferOrder,
+  mergeOrders,
+  getVoidReasons,
+  voidOrder,
+  voidOrderLine,
+  refundOrder,
+};
@@ -1,5 +1,6 @@
 const { createAppError } = require("../utils/errorHandler");
 const posServices = require("../services/pos.services");
+const sessionServices = require("../services/session.services");
 
 const getTableSeats = async (req, res, next) => {
   try {
@@ -16,10 +17,11 @@ const getTableSeats = async (req, res, next) => {
 
 const getAllItems = async (req, res, next) => {
   try {
-    const { search, limit, offset, grpId } = req.query;
+    const { search, limit, offset, grpId, available } = req.query;
     const items = await posServices.getAllItems({
       search,
       grpId: grpId ? parseInt(grpId) : undefined,
+      available: available === undefined ? undefined : available === "true",
       limit: limit ? parseInt(limit) : undefined,
       offset: offset ? parseInt(offset) : 0,
     });
@@ -89,7 +91,9 @@ const getAllCategories = async (req, res, next) => {
 };
 const getOrderTokenCounts = async (req, res, next) => {
   try {
-    const tokenCounts = await posServices.getOrderTokenCounts();
+    const tokenCounts = await posServices.getOrderTokenCounts({
+      counter: req.query.counter,
+    });
 
     res.status(200).json({
       success: true,
@@ -116,7 +120,9 @@ const getAllEmployees = async (req, res, next) => {
 
 const latestOrder = async (req, res, next) => {
   try {
-    const latest = await posServices.latestOrder();
+    const latest = await posServices.latestOrder({
+      counter: req.query.counter,
+    });
     res.status(200).json({
       success: true,
       message: "Latest order fetched successfully",
@@ -150,6 +156,15 @@ const saveOrder = async (req, res, next) => {
       prefix,
       items,
       holdedOrder,
+      reservationToken,
+      counter,
+      discount,
+      sessionToken,
+      userId,
+      discountOverride,
+      deliveryArea,
+      addressId,
+      loyaltyPoints,
     } = req.body;
     console.log(req.body)
     if (!orderNo || orderNo === "0") {
@@ -207,27 +222,44 @@ const saveOrder = async (req, res, next) => {
       prefix,
       items,
       holdedOrder,
+      reservationToken,
+      counter,
+      discount,
+      sessionToken,
+      userId,
+      discountOverride,
+      deliveryArea,
+      addressId,
+      loyaltyPoints,
     });
 
     res.status(200).json({
       success: true,
       message: result.message,
-      data: { orderNo: result.orderNo },
+      data: {
+        orderNo: result.orderNo,
+        token: result.token,
+        pricing: result.pricing,
+        discount: result.discount,
+        availability: result.availability,
+        kot: result.kot,
+      },
     });
   } catch (error) {
-    next(createAppError(`Saving failed: ${error.message}`, 500));
+    next(createAppError(`Saving failed: ${error.message}`, error.statusCode || 500));
   }
 };
 
 const authLogin = async (req, res, next) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, counter } = req.body;
 console.log(req.body)
     if (!username || !password) {
       return next(createAppError("Username and password are required", 400));
     }
 
     const userData = await posServices.authenticateUser(username, password);
+    const session = await sessionServices.openSession(userData.UserId, { counter });
 
     res.status(200).json({
       success: true,
@@ -235,6 +267,9 @@ console.log(req.body)
       data: {
         userId: userData.UserId,
         userName: userData.User_Name,
+        maxDiscountPct: userData.MaxDiscountPct,
+        sessionToken: session.sessionToken,
+        expiresAt: session.expiresAt,
       },
     });
   } catch (error) {
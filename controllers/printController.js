@@ -0,0 +1,53 @@
+const printServices = require("../services/print.services");
+
+const getPrintJob = async (req, res, next) => {
+  try {
+    const { orderNo } = req.params;
+    const { type, kotSeq, printer, format } = req.query;
+
+    const jobs = await printServices.renderPrintJobs(orderNo, {
+      type,
+      kotSeq,
+      printer,
+    });
+
+    const testMode =
+      req.query.test === "true" || process.env.PRINT_TEST_MODE === "true";
+    const files = testMode ? printServices.writeJobsToFiles(jobs) : [];
+
+    if (format === "raw") {
+      if (jobs.length !== 1) {
+        return res.status(400).json({
+          success: false,
+          message: "Raw output needs exactly one job, filter by printer",
+        });
+      }
+
+      res.set("Content-Type", "application/octet-stream");
+      res.set("X-Printer", jobs[0].printer);
+      return res.status(200).send(jobs[0].data);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Print jobs rendered successfully",
+      count: jobs.length,
+      data: jobs.map((job, index) => ({
+        printer: job.printer,
+        type: job.type,
+        orderNo: job.orderNo,
+        kotSeq: job.kotSeq ?? null,
+        lineCount: job.lineCount,
+        bytes: job.data.length,
+        data: job.data.toString("base64"),
+        file: files[index] || null,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPrintJob,
+};
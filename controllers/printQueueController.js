@@ -0,0 +1,44 @@
+const printQueueServices = require("../services/printQueue.services");
+
+const getPrintJobs = async (req, res, next) => {
+  try {
+    const { status, orderNo, printer, limit } = req.query;
+
+    const jobs = await printQueueServices.listPrintJobs({
+      status,
+      orderNo,
+      printer,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Print jobs fetched successfully",
+      count: jobs.length,
+      data: jobs,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const reprintJob = async (req, res, next) => {
+  try {
+    const job = await printQueueServices.reprintJob(req.params.id, {
+      printer: req.body?.printer,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Print job ${req.params.id} queued for reprint`,
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPrintJobs,
+  reprintJob,
+};
@@ -0,0 +1,41 @@
+const discountServices = require("../services/discount.services");
+const comboServices = require("../services/combo.services");
+
+const getDiscountReport = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    const report = await discountServices.getDiscountReport({ from, to });
+
+    res.status(200).json({
+      success: true,
+      message: "Discount report fetched successfully",
+      count: report.orders.length,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getComboReport = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    const report = await comboServices.getComboReport({ from, to });
+
+    res.status(200).json({
+      success: true,
+      message: "Combo report fetched successfully",
+      count: report.combos.length,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDiscountReport,
+  getComboReport,
+};
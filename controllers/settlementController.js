@@ -0,0 +1,105 @@
+const settlementServices = require("../services/settlement.services");
+
+const settleOrder = async (req, res, next) => {
+  try {
+    const { orderNo } = req.params;
+    const { tenders, tips, custId, userId } = req.body;
+
+    const settlement = await settlementServices.settleOrder(orderNo, {
+      tenders,
+      tips,
+      custId,
+      userId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Order ${settlement.orderNo} settled successfully`,
+      data: settlement,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getOrderPayments = async (req, res, next) => {
+  try {
+    const payments = await settlementServices.getOrderPayments(
+      req.params.orderNo
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Payments fetched successfully",
+      data: payments,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const addPayments = async (req, res, next) => {
+  try {
+    const { orderNo } = req.params;
+    const { tenders, custId, userId } = req.body;
+
+    const payments = await settlementServices.addPayments(orderNo, {
+      tenders,
+      custId,
+      userId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Payment recorded successfully",
+      data: payments,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const voidPayment = async (req, res, next) => {
+  try {
+    const { orderNo, paymentId } = req.params;
+    const { reason, userId } = req.body;
+
+    const payments = await settlementServices.voidPayment(orderNo, paymentId, {
+      reason,
+      userId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Payment ${paymentId} voided successfully`,
+      data: payments,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getTips = async (req, res, next) => {
+  try {
+    const { from, to, empCode } = req.query;
+
+    const tips = await settlementServices.getTips({ from, to, empCode });
+
+    res.status(200).json({
+      success: true,
+      message: "Tips fetched successfully",
+      count: tips.length,
+      data: tips,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  settleOrder,
+  getOrderPayments,
+  addPayments,
+  voidPayment,
+  getTips,
+};
@@ -0,0 +1,74 @@
+// migrate-phone-numbers.js - One-off conversion of tblCustomer.ContactNo / Phone
+// to E.164 using the PHONE_* settings in .env (see utils/phone.js).
+// Run with --dry-run first to see what would change; numbers that cannot be
+// normalised are listed and left as they are.
+const sql = require("mssql");
+const { ensureConnection } = require("./utils/dbConnection");
+const { normalizePhone, getPhoneConfig } = require("./utils/phone");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const migrate = async () => {
+  const { countryCode } = getPhoneConfig();
+  const connectedPool = await ensureConnection();
+
+  const result = await connectedPool.request().query(`
+    SELECT CustCode, CustName, ContactNo, Phone FROM tblCustomer
+    WHERE ISNULL(ContactNo, '') <> '' OR ISNULL(Phone, '') <> ''
+  `);
+
+  let updated = 0;
+  const invalid = [];
+
+  for (const customer of result.recordset) {
+    const changes = {};
+
+    for (const column of ["ContactNo", "Phone"]) {
+      const value = customer[column];
+      if (!value || !String(value).trim()) continue;
+
+      const normalized = normalizePhone(value);
+      if (normalized === null) {
+        invalid.push({ custCode: customer.CustCode, custName: customer.CustName, column, value });
+      } else if (normalized !== value) {
+        changes[column] = normalized;
+      }
+    }
+
+    if (Object.keys(changes).length === 0) continue;
+
+    updated += 1;
+    console.log(
+      `${dryRun ? "Would update" : "Updating"} ${customer.CustCode} ${customer.CustName}:`,
+      Object.entries(changes)
+        .map(([column, value]) => `${column} ${customer[column]} -> ${value}`)
+        .join(", ")
+    );
+
+    if (dryRun) continue;
+
+    await connectedPool
+      .request()
+      .input("CustCode", sql.Int, customer.CustCode)
+      .input("ContactNo", sql.VarChar, changes.ContactNo ?? customer.ContactNo)
+      .input("Phone", sql.VarChar, changes.Phone ?? customer.Phone).query(`
+        UPDATE tblCustomer SET ContactNo = @ContactNo, Phone = @Phone WHERE CustCode = @CustCode
+      `);
+  }
+
+  for (const entry of invalid) {
+    console.warn(`⚠️  ${entry.custCode} ${entry.custName}: ${entry.column} "${entry.value}" is not a valid number, left unchanged`);
+  }
+
+  console.log(
+    `📞 ${result.recordset.length} customers checked with country code +${countryCode}, ` +
+      `${updated} ${dryRun ? "to update" : "updated"}, ${invalid.length} invalid number(s)`
+  );
+};
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Phone number migration failed:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,36 @@
+// print-listener.js - Stand-in for a network receipt printer (raw TCP, port 9100)
+// Saves every job it receives to PRINT_LISTENER_DIR so tickets can be inspected
+// without hardware. Point a printer at it with PRINTER_TARGETS, e.g.
+// {"KitchenPrinter":"tcp://127.0.0.1:9100"}
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+
+const port = parseInt(process.env.PRINT_LISTENER_PORT) || 9100;
+const outputDir = path.resolve(process.env.PRINT_LISTENER_DIR || "print-output/listener");
+let received = 0;
+
+fs.mkdirSync(outputDir, { recursive: true });
+
+const server = net.createServer((socket) => {
+  const chunks = [];
+
+  socket.on("data", (chunk) => chunks.push(chunk));
+  socket.on("end", () => {
+    const data = Buffer.concat(chunks);
+    received += 1;
+
+    const filePath = path.join(outputDir, `job-${Date.now()}-${received}.bin`);
+    fs.writeFileSync(filePath, data);
+
+    console.log(`🖨️  Received ${data.length} bytes from ${socket.remoteAddress} -> ${filePath}`);
+  });
+  socket.on("error", (error) => console.error("❌ Socket error:", error.message));
+});
+
+server.listen(port, () => {
+  console.log(`🖨️  Print listener on port ${port}, saving jobs to ${outputDir}`);
+});
+
+process.on("SIGINT", () => server.close(() => process.exit(0)));
+process.on("SIGTERM", () => server.close(() => process.exit(0)));
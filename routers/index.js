@@ -11,6 +11,82 @@ const {
   getPendingOrders,
   getOrderTokenCounts,
 } = require("../controllers/posController.js");
+const {
+  settleOrder,
+  getOrderPayments,
+  addPayments,
+  voidPayment,
+  getTips,
+} = require("../controllers/settlementController.js");
+const {
+  splitOrder,
+  transferOrder,
+  mergeOrders,
+  getVoidReasons,
+  voidOrder,
+  voidOrderLine,
+  refundOrder,
+} = require("../controllers/orderManagementController.js");
+const { getPrintJob } = require("../controllers/printController.js");
+const {
+  getPrintJobs,
+  reprintJob,
+} = require("../controllers/printQueueController.js");
+const {
+  getKdsTickets,
+  getKdsStations,
+  setLineStatus,
+  bumpTicket,
+  recallTicket,
+} = require("../controllers/kdsController.js");
+const { streamEvents } = require("../controllers/eventsController.js");
+const {
+  holdOrder,
+  getHeldOrders,
+  recallHeldOrder,
+  discardHeldOrder,
+} = require("../controllers/heldOrderController.js");
+const {
+  getDiscountReport,
+  getComboReport,
+} = require("../controllers/reportController.js");
+const {
+  getChargeRules,
+  createChargeRule,
+  updateChargeRule,
+} = require("../controllers/chargeController.js");
+const {
+  getModifierGroups,
+  createModifierGroup,
+  updateModifierGroup,
+  setItemModifierGroups,
+} = require("../controllers/modifierController.js");
+const { getCombos, saveComboSlots } = require("../controllers/comboController.js");
+const { setItemAvailability } = require("../controllers/availabilityController.js");
+const {
+  getStockLevels,
+  getLowStockAlerts,
+  getStockMovements,
+  createStockItem,
+  updateStockItem,
+  adjustStock,
+  getRecipe,
+  setRecipe,
+} = require("../controllers/inventoryController.js");
+const {
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  deactivateCustomer,
+  findDuplicateCustomers,
+  mergeCustomers,
+  buildRepeatOrder,
+  getAddresses,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+} = require("../controllers/customerController.js");
+const { getLoyalty, setCategoryEarnRate } = require("../controllers/loyaltyController.js");
 
 const router = express.Router();
 
@@ -18,11 +94,69 @@ const router = express.Router();
 router.get("/tables-seats", getTableSeats);
 router.get("/items", getAllItems);
 router.get("/customers", getAllCustomers);
+router.post("/customers", createCustomer);
+router.get("/customers/duplicates", findDuplicateCustomers);
+router.get("/customers/:custCode", getCustomer);
+router.put("/customers/:custCode", updateCustomer);
+router.delete("/customers/:custCode", deactivateCustomer);
+router.post("/customers/:custCode/merge", mergeCustomers);
+router.get("/customers/:custCode/repeat-order", buildRepeatOrder);
+router.get("/customers/:custCode/addresses", getAddresses);
+router.post("/customers/:custCode/addresses", createAddress);
+router.put("/customers/:custCode/addresses/:addressId", updateAddress);
+router.delete("/customers/:custCode/addresses/:addressId", deleteAddress);
+router.get("/customers/:custCode/loyalty", getLoyalty);
 router.get("/pending", getPendingOrders);
 router.get("/categories", getAllCategories);
+router.put("/categories/:grpId/loyalty-rate", setCategoryEarnRate);
 router.get("/employees", getAllEmployees);
 router.get("/token-counts",getOrderTokenCounts );
 router.post("/orders", saveOrder);
+router.post("/orders/:orderNo/settle", settleOrder);
+router.get("/orders/:orderNo/payments", getOrderPayments);
+router.post("/orders/:orderNo/payments", addPayments);
+router.post("/orders/:orderNo/payments/:paymentId/void", voidPayment);
+router.post("/orders/:orderNo/split", splitOrder);
+router.post("/orders/:orderNo/transfer", transferOrder);
+router.post("/orders/:orderNo/merge", mergeOrders);
+router.post("/orders/:orderNo/void", voidOrder);
+router.post("/orders/:orderNo/lines/:slNo/void", voidOrderLine);
+router.post("/orders/:orderNo/refund", refundOrder);
+router.get("/void-reasons", getVoidReasons);
+router.get("/orders/:orderNo/print", getPrintJob);
+router.get("/print-jobs", getPrintJobs);
+router.post("/print-jobs/:id/reprint", reprintJob);
+router.get("/kds/stations", getKdsStations);
+router.get("/kds/tickets", getKdsTickets);
+router.post("/kds/tickets/:orderNo/:kotSeq/lines/:slNo/status", setLineStatus);
+router.post("/kds/tickets/:orderNo/:kotSeq/bump", bumpTicket);
+router.post("/kds/tickets/:orderNo/:kotSeq/recall", recallTicket);
+router.get("/events", streamEvents);
+router.get("/held-orders", getHeldOrders);
+router.post("/held-orders", holdOrder);
+router.post("/held-orders/:heldNo/recall", recallHeldOrder);
+router.delete("/held-orders/:heldNo", discardHeldOrder);
+router.get("/reports/discounts", getDiscountReport);
+router.get("/reports/combos", getComboReport);
+router.get("/charge-rules", getChargeRules);
+router.post("/charge-rules", createChargeRule);
+router.put("/charge-rules/:ruleId", updateChargeRule);
+router.get("/tips", getTips);
+router.get("/modifier-groups", getModifierGroups);
+router.post("/modifier-groups", createModifierGroup);
+router.put("/modifier-groups/:groupId", updateModifierGroup);
+router.put("/items/:itemId/modifier-groups", setItemModifierGroups);
+router.get("/combos", getCombos);
+router.put("/items/:itemId/combo", saveComboSlots);
+router.put("/items/:itemId/availability", setItemAvailability);
+router.get("/stock", getStockLevels);
+router.get("/stock/alerts", getLowStockAlerts);
+router.get("/stock/movements", getStockMovements);
+router.post("/stock/items", createStockItem);
+router.put("/stock/items/:stockItemId", updateStockItem);
+router.post("/stock/items/:stockItemId/adjust", adjustStock);
+router.get("/items/:itemId/recipe", getRecipe);
+router.put("/items/:itemId/recipe", setRecipe);
 router.get("/order/latest", latestOrder);
 router.post("/login", authLogin);
 
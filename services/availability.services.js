@@ -0,0 +1,305 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+const { roundMoney } = require("../utils/money");
+const { EVENT_TYPES, publishEvent } = require("./events.services");
+const { getSentQuantities } = require("./kot.services");
+
+const AVAILABILITY_POLICIES = ["reject", "warn"];
+
+/**
+ * Reads ITEM_AVAILABILITY_POLICY: reject (default) refuses orders with
+ * unavailable items, warn saves them and reports the problems
+ * @returns {String} Policy
+ */
+const getAvailabilityPolicy = () => {
+  const policy = (process.env.ITEM_AVAILABILITY_POLICY || "reject").toLowerCase();
+
+  if (!AVAILABILITY_POLICIES.includes(policy)) {
+    throw createAppError(`Invalid ITEM_AVAILABILITY_POLICY: ${policy}`, 500);
+  }
+
+  return policy;
+};
+
+/**
+ * Quantity per item on a set of lines. Modifier lines carry their parent's
+ * ItemCode and are left out.
+ * @param {Array} lines - { itemCode, qty, modifierId }
+ * @returns {Map} ItemId -> qty
+ */
+const sumQtyByItem = (lines) => {
+  const totals = new Map();
+
+  for (const line of lines) {
+    if (parseInt(line.modifierId) > 0) continue;
+    const itemId = parseInt(line.itemCode) || 0;
+    totals.set(itemId, roundMoney((totals.get(itemId) || 0) + (parseFloat(line.qty) || 0)));
+  }
+
+  return totals;
+};
+
+/**
+ * Checks the items of an order being saved against their availability and
+ * countdown, and takes the added quantity off the countdown. Only quantity
+ * added since the last save is checked, so re-saving an order that already
+ * holds an item that has since run out still works; quantity taken off an
+ * order goes back on the countdown unless the kitchen already has it. An
+ * item whose countdown reaches zero is marked unavailable, and available
+ * again once quantity goes back on it.
+ *
+ * A saved order holds, per item, the larger of its saved quantity and what
+ * the kitchen has been sent, so a KOT fired ahead of saving the lines and
+ * the save after it take the quantity only once.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Array} items - Priced order lines
+ * @param {Number} orderNo - Order being re-saved, 0 for a new order
+ * @param {Object} options - fired: the items go to the kitchen (KOT) rather than onto the saved lines
+ * @returns {Object} warnings (problems let through by the warn policy), soldOut (items that
+ *   just ran out) and restocked (items that came back)
+ */
+const reserveItemStock = async (transaction, items, orderNo = 0, { fired = false } = {}) => {
+  const policy = getAvailabilityPolicy();
+  const requested = sumQtyByItem(items);
+  let saved = new Map();
+  let sent = new Map();
+
+  if (orderNo) {
+    const previousResult = await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo).query(`
+        SELECT ItemCode, Qty, ModifierId FROM tblOrder_D WHERE OrderNo = @OrderNo AND Voided = 0
+      `);
+    saved = sumQtyByItem(
+      previousResult.recordset.map((row) => ({
+        itemCode: row.ItemCode,
+        qty: row.Qty,
+        modifierId: row.ModifierId,
+      }))
+    );
+    sent = sumQtyByItem([...(await getSentQuantities(transaction, orderNo)).values()]);
+  }
+
+  const deltas = new Map();
+  for (const itemId of new Set([...requested.keys(), ...saved.keys(), ...sent.keys()])) {
+    const qty = (quantities) => quantities.get(itemId) || 0;
+    const before = Math.max(qty(saved), qty(sent));
+    const after = fired
+      ? Math.max(qty(saved), qty(requested))
+      : Math.max(qty(requested), qty(sent));
+    const delta = roundMoney(after - before);
+    if (itemId && delta !== 0) {
+      deltas.set(itemId, delta);
+    }
+  }
+
+  if (deltas.size === 0) {
+    return { warnings: [], soldOut: [], restocked: [] };
+  }
+
+  const request = transaction.request();
+  const placeholders = [...deltas.keys()].map((itemId, index) => {
+    request.input(`itemId${index}`, sql.Int, itemId);
+    return `@itemId${index}`;
+  });
+
+  // Locked so two terminals cannot both take the last portion
+  const stockResult = await request.query(`
+    SELECT ItemId, ItemName, Available, CountdownQty
+    FROM tblItemMaster WITH (UPDLOCK, ROWLOCK)
+    WHERE ItemId IN (${placeholders.join(", ")})
+  `);
+
+  const problems = [];
+  for (const row of stockResult.recordset) {
+    const delta = deltas.get(row.ItemId);
+    if (delta <= 0) continue;
+
+    if (!row.Available) {
+      problems.push({ itemId: row.ItemId, itemName: row.ItemName, reason: "UNAVAILABLE", requested: delta });
+    } else if (row.CountdownQty !== null && delta > parseFloat(row.CountdownQty)) {
+      problems.push({
+        itemId: row.ItemId,
+        itemName: row.ItemName,
+        reason: "INSUFFICIENT",
+        requested: delta,
+        remaining: roundMoney(row.CountdownQty),
+      });
+    }
+  }
+
+  if (problems.length > 0 && policy === "reject") {
+    const summary = problems
+      .map((problem) =>
+        problem.reason === "UNAVAILABLE"
+          ? `${problem.itemName} is unavailable`
+          : `only ${problem.remaining} ${problem.itemName} left`
+      )
+      .join("; ");
+    throw createAppError(`Cannot save order: ${summary}`, 409);
+  }
+
+  const soldOut = [];
+  const restocked = [];
+  for (const row of stockResult.recordset) {
+    if (row.CountdownQty === null) continue;
+
+    const delta = deltas.get(row.ItemId);
+    const countdown = Math.max(roundMoney(parseFloat(row.CountdownQty) - delta), 0);
+    const runsOut = delta > 0 && countdown === 0 && row.Available;
+    const comesBack =
+      delta < 0 && parseFloat(row.CountdownQty) === 0 && !row.Available;
+
+    await transaction
+      .request()
+      .input("ItemId", sql.Int, row.ItemId)
+      .input("CountdownQty", sql.Decimal(18, 2), countdown)
+      .input("RunsOut", sql.Bit, runsOut ? 1 : 0)
+      .input("ComesBack", sql.Bit, comesBack ? 1 : 0).query(`
+        UPDATE tblItemMaster
+        SET CountdownQty = @CountdownQty,
+            Available = CASE WHEN @RunsOut = 1 THEN 0 WHEN @ComesBack = 1 THEN 1 ELSE Available END,
+            AvailUpdatedAt = GETDATE()
+        WHERE ItemId = @ItemId
+      `);
+
+    if (runsOut) {
+      soldOut.push({ itemId: row.ItemId, itemName: row.ItemName, available: false, countdownQty: 0 });
+    } else if (comesBack) {
+      restocked.push({ itemId: row.ItemId, itemName: row.ItemName, available: true, countdownQty: countdown });
+    }
+  }
+
+  return { warnings: problems, soldOut, restocked };
+};
+
+/**
+ * Puts the quantity of voided lines back on the countdown. An item that had
+ * run out is marked available again.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Array} lines - Voided quantities as { itemCode, qty, modifierId }
+ * @returns {Array} Items that came back
+ */
+const releaseItemStock = async (transaction, lines) => {
+  const restocked = [];
+
+  for (const [itemId, qty] of sumQtyByItem(lines)) {
+    if (!itemId || qty <= 0) continue;
+
+    // Items without a countdown are left alone
+    const result = await transaction
+      .request()
+      .input("ItemId", sql.Int, itemId)
+      .input("Qty", sql.Decimal(18, 2), qty).query(`
+        UPDATE tblItemMaster
+        SET CountdownQty = CountdownQty + @Qty,
+            Available = CASE WHEN CountdownQty = 0 THEN 1 ELSE Available END,
+            AvailUpdatedAt = GETDATE()
+        OUTPUT INSERTED.ItemId, INSERTED.ItemName, INSERTED.CountdownQty,
+               DELETED.Available AS WasAvailable, DELETED.CountdownQty AS PreviousQty
+        WHERE ItemId = @ItemId AND CountdownQty IS NOT NULL
+      `);
+
+    const row = result.recordset[0];
+    if (row && !row.WasAvailable && parseFloat(row.PreviousQty) === 0) {
+      restocked.push({
+        itemId: row.ItemId,
+        itemName: row.ItemName,
+        available: true,
+        countdownQty: roundMoney(row.CountdownQty),
+      });
+    }
+  }
+
+  return restocked;
+};
+
+/**
+ * Tells terminals about items that ran out or came back. Called after commit.
+ * @param {Array} items - soldOut / restocked from reserveItemStock or releaseItemStock
+ */
+const publishAvailability = (items) => {
+  for (const item of items) {
+    publishEvent(EVENT_TYPES.ITEM_AVAILABILITY, item);
+  }
+};
+
+/**
+ * Marks an item available or unavailable (86) and sets or clears its
+ * countdown. A countdown of zero marks the item unavailable.
+ * @param {Number} itemId - tblItemMaster.ItemId
+ * @param {Object} availability - available (Boolean) and countdownQty (null clears the countdown)
+ * @returns {Object} ItemId, ItemName, Available, CountdownQty and AvailUpdatedAt
+ */
+const setItemAvailability = async (itemId, { available, countdownQty } = {}) => {
+  try {
+    itemId = parseInt(itemId) || 0;
+
+    if (!itemId) {
+      throw createAppError("Item id is required", 400);
+    }
+
+    if (available === undefined && countdownQty === undefined) {
+      throw createAppError("Send available and / or countdownQty", 400);
+    }
+
+    const hasCountdown = countdownQty !== undefined;
+    const countdown =
+      countdownQty === null || countdownQty === "" || !hasCountdown
+        ? null
+        : parseFloat(countdownQty);
+
+    if (countdown !== null && (isNaN(countdown) || countdown < 0)) {
+      throw createAppError(`Invalid countdown quantity ${countdownQty}`, 400);
+    }
+
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("ItemId", sql.Int, itemId)
+      .input("Available", sql.Bit, available === undefined ? null : available ? 1 : 0)
+      .input("SetCountdown", sql.Bit, hasCountdown ? 1 : 0)
+      .input("CountdownQty", sql.Decimal(18, 2), countdown === null ? null : roundMoney(countdown)).query(`
+        UPDATE tblItemMaster
+        SET CountdownQty = CASE WHEN @SetCountdown = 1 THEN @CountdownQty ELSE CountdownQty END,
+            Available = CASE
+              WHEN @SetCountdown = 1 AND @CountdownQty = 0 THEN 0
+              ELSE ISNULL(@Available, Available)
+            END,
+            AvailUpdatedAt = GETDATE()
+        OUTPUT INSERTED.ItemId, INSERTED.ItemName, INSERTED.Available, INSERTED.CountdownQty, INSERTED.AvailUpdatedAt
+        WHERE ItemId = @ItemId
+      `);
+
+    if (result.recordset.length === 0) {
+      throw createAppError(`Item ${itemId} not found`, 404);
+    }
+
+    const item = result.recordset[0];
+
+    publishEvent(EVENT_TYPES.ITEM_AVAILABILITY, {
+      itemId: item.ItemId,
+      itemName: item.ItemName,
+      available: Boolean(item.Available),
+      countdownQty: item.CountdownQty === null ? null : roundMoney(item.CountdownQty),
+    });
+
+    return item;
+  } catch (error) {
+    console.error("Error in setItemAvailability:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error updating item availability: ${error.message}`, 500);
+  }
+};
+
+module.exports = {
+  AVAILABILITY_POLICIES,
+  reserveItemStock,
+  releaseItemStock,
+  publishAvailability,
+  setItemAvailability,
+};
@@ -0,0 +1,293 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+const { roundMoney } = require("../utils/money");
+
+const CHARGE_TYPES = ["SERVICE", "DELIVERY", "SURCHARGE"];
+const CALC_TYPES = ["PERCENT", "FIXED"];
+
+/**
+ * Loads the active charge rules that apply to an order type and delivery area.
+ * Per charge type, rules for the specific area replace the area-less ones.
+ * @param {Object} requester - Pool or transaction to query with
+ * @param {Object} scope - option (order type) and area (delivery area)
+ * @returns {Array} tblChargeRule rows in SortOrder
+ */
+const loadChargeRules = async (requester, { option, area } = {}) => {
+  const result = await requester
+    .request()
+    .input("Options", sql.Int, option || 0)
+    .input("Area", sql.VarChar, area || null).query(`
+      SELECT RuleId, Name, ChargeType, Options, Area, CalcType, Value, VatPct, FreeAbove, SortOrder
+      FROM tblChargeRule
+      WHERE Active = 1
+        AND (Options IS NULL OR Options = @Options)
+        AND (Area IS NULL OR Area = @Area)
+      ORDER BY SortOrder, RuleId
+    `);
+
+  const rules = result.recordset;
+  const areaTypes = new Set(
+    rules.filter((rule) => rule.Area).map((rule) => rule.ChargeType)
+  );
+
+  return rules.filter((rule) => rule.Area || !areaTypes.has(rule.ChargeType));
+};
+
+/**
+ * Works out the charge lines of an order. Percentage charges apply to the
+ * discounted item total before VAT; fixed charges follow PRICES_INCLUDE_VAT
+ * like item prices do. A rule with FreeAbove is waived once the item total
+ * reaches it.
+ * @param {Array} rules - Rules from loadChargeRules
+ * @param {Number} subTotal - Item total after discounts, before VAT
+ * @param {Boolean} pricesIncludeVat - Whether fixed charges already contain VAT
+ * @returns {Array} Charge lines
+ */
+const computeCharges = (rules, subTotal, pricesIncludeVat) =>
+  rules
+    .filter((rule) => rule.FreeAbove === null || subTotal < rule.FreeAbove)
+    .map((rule) => {
+      const vatPct = parseFloat(rule.VatPct) || 0;
+      let amount;
+      let vatAmt;
+
+      if (rule.CalcType === "PERCENT") {
+        amount = roundMoney((subTotal * rule.Value) / 100);
+        vatAmt = roundMoney((amount * vatPct) / 100);
+      } else if (pricesIncludeVat) {
+        vatAmt = roundMoney(rule.Value - rule.Value / (1 + vatPct / 100));
+        amount = roundMoney(rule.Value - vatAmt);
+      } else {
+        amount = roundMoney(rule.Value);
+        vatAmt = roundMoney((amount * vatPct) / 100);
+      }
+
+      return {
+        ruleId: rule.RuleId,
+        chargeType: rule.ChargeType,
+        name: rule.Name,
+        calcType: rule.CalcType,
+        value: roundMoney(rule.Value),
+        baseAmt: rule.CalcType === "PERCENT" ? roundMoney(subTotal) : 0,
+        amount,
+        vatPct,
+        vatAmt,
+      };
+    })
+    .filter((charge) => charge.amount > 0);
+
+/**
+ * Charge lines and their totals for an order being saved
+ * @param {Object} transaction - SQL transaction object
+ * @param {Object} order - option, area and subTotal (items after discount, before VAT)
+ * @param {Boolean} pricesIncludeVat - Whether fixed charges already contain VAT
+ * @returns {Object} charges, chargeTotal (before VAT) and chargeVat
+ */
+const priceOrderCharges = async (transaction, { option, area, subTotal }, pricesIncludeVat) => {
+  const rules = await loadChargeRules(transaction, { option, area });
+  const charges = computeCharges(rules, roundMoney(subTotal), pricesIncludeVat);
+
+  return {
+    charges,
+    chargeTotal: roundMoney(charges.reduce((sum, charge) => sum + charge.amount, 0)),
+    chargeVat: roundMoney(charges.reduce((sum, charge) => sum + charge.vatAmt, 0)),
+  };
+};
+
+/**
+ * Replaces the charge lines of an order and stores their total on tblOrder_M
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @param {Object} pricing - Result of priceOrderItems
+ * @param {String} area - Delivery area the charges were worked out for
+ */
+const saveOrderCharges = async (transaction, orderNo, pricing, area) => {
+  await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .query(`DELETE FROM tblOrder_Charges WHERE OrderNo = @OrderNo`);
+
+  for (const charge of pricing.charges) {
+    await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("RuleId", sql.Int, charge.ruleId)
+      .input("ChargeType", sql.VarChar, charge.chargeType)
+      .input("Name", sql.VarChar, charge.name)
+      .input("CalcType", sql.VarChar, charge.calcType)
+      .input("Value", sql.Decimal(18, 2), charge.value)
+      .input("BaseAmt", sql.Decimal(18, 2), charge.baseAmt)
+      .input("Amount", sql.Decimal(18, 2), charge.amount)
+      .input("VatPct", sql.Decimal(5, 2), charge.vatPct)
+      .input("VatAmt", sql.Decimal(18, 2), charge.vatAmt).query(`
+        INSERT INTO tblOrder_Charges (OrderNo, RuleId, ChargeType, Name, CalcType, Value, BaseAmt, Amount, VatPct, VatAmt)
+        VALUES (@OrderNo, @RuleId, @ChargeType, @Name, @CalcType, @Value, @BaseAmt, @Amount, @VatPct, @VatAmt)
+      `);
+  }
+
+  await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .input("ChargeTotal", sql.Decimal(18, 2), roundMoney(pricing.chargeTotal + pricing.chargeVat))
+    .input("DelArea", sql.VarChar, area || null).query(`
+      UPDATE tblOrder_M SET ChargeTotal = @ChargeTotal, DelArea = @DelArea WHERE OrderNo = @OrderNo
+    `);
+};
+
+/**
+ * Lists the charge lines of an order
+ * @param {Object} requester - Pool or transaction to query with
+ * @param {Number} orderNo - Order number
+ * @returns {Array} tblOrder_Charges rows
+ */
+const getOrderCharges = async (requester, orderNo) => {
+  const result = await requester
+    .request()
+    .input("OrderNo", sql.Int, orderNo).query(`
+      SELECT ChargeId, OrderNo, RuleId, ChargeType, Name, CalcType, Value, BaseAmt, Amount, VatPct, VatAmt
+      FROM tblOrder_Charges
+      WHERE OrderNo = @OrderNo
+      ORDER BY ChargeId
+    `);
+
+  return result.recordset;
+};
+
+/**
+ * Lists charge rules
+ * @param {Object} options - includeInactive to list switched off rules too
+ * @returns {Array} tblChargeRule rows
+ */
+const getChargeRules = async ({ includeInactive } = {}) => {
+  try {
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("IncludeInactive", sql.Bit, includeInactive ? 1 : 0).query(`
+        SELECT RuleId, Name, ChargeType, Options, Area, CalcType, Value, VatPct, FreeAbove, SortOrder, Active
+        FROM tblChargeRule
+        WHERE Active = 1 OR @IncludeInactive = 1
+        ORDER BY ChargeType, SortOrder, RuleId
+      `);
+
+    return result.recordset;
+  } catch (error) {
+    console.error("Error in getChargeRules:", error.message);
+    throw createAppError(`Error fetching charge rules: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Validates a charge rule payload
+ * @param {Object} rule - Rule fields from the client
+ * @returns {Object} Normalised rule
+ */
+const normalizeChargeRule = (rule = {}) => {
+  const chargeType = String(rule.chargeType || "").toUpperCase();
+  const calcType = String(rule.calcType || "").toUpperCase();
+  const option = rule.option === undefined || rule.option === null || rule.option === ""
+    ? null
+    : parseInt(rule.option);
+  const value = roundMoney(rule.value);
+
+  if (!rule.name) {
+    throw createAppError("Charge rule name is required", 400);
+  }
+
+  if (!CHARGE_TYPES.includes(chargeType)) {
+    throw createAppError(`Charge type must be one of ${CHARGE_TYPES.join(", ")}`, 400);
+  }
+
+  if (!CALC_TYPES.includes(calcType)) {
+    throw createAppError(`Calculation type must be one of ${CALC_TYPES.join(", ")}`, 400);
+  }
+
+  if (option !== null && ![1, 2, 3].includes(option)) {
+    throw createAppError("Order type must be 1 (Delivery), 2 (Dine-In) or 3 (TakeAway)", 400);
+  }
+
+  if (value <= 0 || (calcType === "PERCENT" && value > 100)) {
+    throw createAppError(`Invalid charge value ${value}`, 400);
+  }
+
+  return {
+    name: String(rule.name),
+    chargeType,
+    option,
+    area: rule.area || null,
+    calcType,
+    value,
+    vatPct: roundMoney(rule.vatPct),
+    freeAbove:
+      rule.freeAbove === undefined || rule.freeAbove === null || rule.freeAbove === ""
+        ? null
+        : roundMoney(rule.freeAbove),
+    sortOrder: parseInt(rule.sortOrder) || 0,
+    active: rule.active === undefined ? true : Boolean(rule.active),
+  };
+};
+
+/**
+ * Creates a charge rule, or updates it when ruleId is given
+ * @param {Object} rule - name, chargeType, option, area, calcType, value, vatPct, freeAbove, sortOrder, active
+ * @param {Number} ruleId - Rule to update
+ * @returns {Object} Saved tblChargeRule row
+ */
+const saveChargeRule = async (rule, ruleId = null) => {
+  try {
+    const normalized = normalizeChargeRule(rule);
+    const connectedPool = await ensureConnection();
+
+    const request = connectedPool
+      .request()
+      .input("RuleId", sql.Int, parseInt(ruleId) || null)
+      .input("Name", sql.VarChar, normalized.name)
+      .input("ChargeType", sql.VarChar, normalized.chargeType)
+      .input("Options", sql.Int, normalized.option)
+      .input("Area", sql.VarChar, normalized.area)
+      .input("CalcType", sql.VarChar, normalized.calcType)
+      .input("Value", sql.Decimal(18, 2), normalized.value)
+      .input("VatPct", sql.Decimal(5, 2), normalized.vatPct)
+      .input("FreeAbove", sql.Decimal(18, 2), normalized.freeAbove)
+      .input("SortOrder", sql.Int, normalized.sortOrder)
+      .input("Active", sql.Bit, normalized.active ? 1 : 0);
+
+    const result = ruleId
+      ? await request.query(`
+          UPDATE tblChargeRule
+          SET Name = @Name, ChargeType = @ChargeType, Options = @Options, Area = @Area,
+              CalcType = @CalcType, Value = @Value, VatPct = @VatPct, FreeAbove = @FreeAbove,
+              SortOrder = @SortOrder, Active = @Active
+          OUTPUT INSERTED.*
+          WHERE RuleId = @RuleId
+        `)
+      : await request.query(`
+          INSERT INTO tblChargeRule (Name, ChargeType, Options, Area, CalcType, Value, VatPct, FreeAbove, SortOrder, Active)
+          OUTPUT INSERTED.*
+          VALUES (@Name, @ChargeType, @Options, @Area, @CalcType, @Value, @VatPct, @FreeAbove, @SortOrder, @Active)
+        `);
+
+    if (result.recordset.length === 0) {
+      throw createAppError(`Charge rule ${ruleId} not found`, 404);
+    }
+
+    return result.recordset[0];
+  } catch (error) {
+    console.error("Error in saveChargeRule:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error saving charge rule: ${error.message}`, 500);
+  }
+};
+
+module.exports = {
+  CHARGE_TYPES,
+  priceOrderCharges,
+  saveOrderCharges,
+  getOrderCharges,
+  getChargeRules,
+  saveChargeRule,
+};
@@ -0,0 +1,625 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+const { roundMoney } = require("../utils/money");
+const { modifierSlNo, COMPONENT_POSITION_OFFSET } = require("./modifier.services");
+
+/**
+ * SlNo of the n-th component line of a combo line. Components share the
+ * parent numbering with modifiers and take the positions above theirs.
+ * @param {Number} comboSlNo - SlNo of the combo line
+ * @param {Number} position - 1-based position of the component
+ * @returns {Number} SlNo of the component line
+ */
+const componentSlNo = (comboSlNo, position) =>
+  modifierSlNo(comboSlNo, COMPONENT_POSITION_OFFSET + position);
+
+/**
+ * Whether a line (payload item or tblOrder_D row) is a combo component
+ * @param {Object} line - Line to check
+ * @returns {Boolean}
+ */
+const isComboComponent = (line) =>
+  parseInt(line.comboSlotId !== undefined ? line.comboSlotId : line.ComboSlotId) > 0;
+
+/**
+ * Loads the active slots of combo items with the items that can be chosen in them
+ * @param {Object} requester - Pool or transaction to query with
+ * @param {Array} itemIds - Combo items to load, all combos when omitted
+ * @returns {Map} ComboItemId -> slots ({ SlotId, Name, Picks, options })
+ */
+const loadComboSlots = async (requester, itemIds = null) => {
+  const request = requester.request();
+  let filter = "";
+
+  if (itemIds) {
+    const uniqueIds = [...new Set(itemIds)];
+    if (uniqueIds.length === 0) {
+      return new Map();
+    }
+    filter = `AND cs.ComboItemId IN (${uniqueIds
+      .map((itemId, index) => {
+        request.input(`itemId${index}`, sql.Int, itemId);
+        return `@itemId${index}`;
+      })
+      .join(", ")})`;
+  }
+
+  const result = await request.query(`
+    SELECT cs.ComboItemId, cs.SlotId, cs.Name AS SlotName, cs.Picks,
+           csi.ItemId, im.ItemName, csi.Upcharge, csi.IsDefault
+    FROM tblComboSlot cs
+    LEFT JOIN tblComboSlotItem csi ON csi.SlotId = cs.SlotId
+    LEFT JOIN tblItemMaster im ON im.ItemId = csi.ItemId
+    WHERE cs.Active = 1 ${filter}
+    ORDER BY cs.ComboItemId, cs.SortOrder, cs.SlotId, csi.SortOrder, csi.ItemId
+  `);
+
+  const slotsByItem = new Map();
+  for (const row of result.recordset) {
+    if (!slotsByItem.has(row.ComboItemId)) {
+      slotsByItem.set(row.ComboItemId, []);
+    }
+
+    const slots = slotsByItem.get(row.ComboItemId);
+    let slot = slots.find((entry) => entry.SlotId === row.SlotId);
+    if (!slot) {
+      slot = { SlotId: row.SlotId, Name: row.SlotName, Picks: row.Picks, options: [] };
+      slots.push(slot);
+    }
+
+    if (row.ItemId) {
+      slot.options.push({
+        ItemId: row.ItemId,
+        ItemName: row.ItemName,
+        Upcharge: roundMoney(row.Upcharge),
+        IsDefault: Boolean(row.IsDefault),
+      });
+    }
+  }
+
+  return slotsByItem;
+};
+
+/**
+ * Normalises the components chosen on a combo line
+ * @param {Array} components - { slotId, itemCode, notes } from the payload
+ * @returns {Array} Normalised selections
+ */
+const normalizeComponents = (components) =>
+  (Array.isArray(components) ? components : []).map((component) => ({
+    slotId: parseInt(component.slotId) || 0,
+    itemCode: parseInt(component.itemCode) || 0,
+    notes: component.notes || "",
+  }));
+
+/**
+ * Checks the components chosen on each combo line against its slots and
+ * expands them into component lines placed right after the combo line.
+ * Slots left short are filled with their default item. Component lines keep
+ * their own ItemCode (so they print on their own printer), the combo's
+ * quantity and the upcharge of the choice; their price is allocated from the
+ * combo price by priceOrderItems. Component lines sent back flat (comboSlNo
+ * + comboSlotId, as listed by getAllOrders) are folded into their combo first.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Array} items - Items payload of /api/orders
+ * @returns {Array} Items with combo and component lines
+ */
+const expandCombos = async (transaction, items) => {
+  items = Array.isArray(items) ? items : [];
+
+  const lines = items.filter((item) => !isComboComponent(item));
+  const flatComponents = items.filter(isComboComponent);
+
+  const slotsByItem = await loadComboSlots(
+    transaction,
+    lines.map((item) => parseInt(item.itemCode) || 0)
+  );
+
+  const combos = lines.filter((item) => slotsByItem.has(parseInt(item.itemCode) || 0));
+  const comboBySlNo = new Map(combos.map((item) => [parseInt(item.slNo) || 0, item]));
+  const selectionsBySlNo = new Map(
+    combos.map((item) => [parseInt(item.slNo) || 0, normalizeComponents(item.components)])
+  );
+
+  for (const component of flatComponents) {
+    const comboSlNo = parseInt(component.comboSlNo);
+    const combo = comboBySlNo.get(comboSlNo);
+    if (!combo) {
+      throw createAppError(`Combo component line ${component.slNo} has no combo line ${comboSlNo}`, 400);
+    }
+    if (Array.isArray(combo.components)) continue;
+
+    selectionsBySlNo.get(comboSlNo).push(
+      ...normalizeComponents([{ ...component, slotId: component.comboSlotId }])
+    );
+  }
+
+  const expanded = [];
+  const usedSlNos = new Set(lines.map((item) => parseInt(item.slNo) || 0));
+
+  for (const item of lines) {
+    const slNo = parseInt(item.slNo) || 0;
+    const itemCode = parseInt(item.itemCode) || 0;
+    const label = item.itemName || itemCode;
+    const slots = slotsByItem.get(itemCode);
+
+    if (!slots) {
+      if (Array.isArray(item.components) && item.components.length > 0) {
+        throw createAppError(`${label} is not a combo`, 400);
+      }
+      expanded.push(item);
+      continue;
+    }
+
+    const selections = selectionsBySlNo.get(slNo);
+    const chosen = [];
+
+    for (const selection of selections) {
+      if (!slots.some((slot) => slot.SlotId === selection.slotId)) {
+        throw createAppError(`Slot ${selection.slotId} is not part of ${label}`, 400);
+      }
+    }
+
+    for (const slot of slots) {
+      const picks = selections.filter((selection) => selection.slotId === slot.SlotId);
+
+      if (picks.length > slot.Picks) {
+        throw createAppError(`Choose at most ${slot.Picks} from ${slot.Name} for ${label}`, 400);
+      }
+
+      for (const pick of picks) {
+        const option = slot.options.find((entry) => entry.ItemId === pick.itemCode);
+        if (!option) {
+          throw createAppError(
+            `Item ${pick.itemCode} is not a choice for ${slot.Name} in ${label}`,
+            400
+          );
+        }
+        chosen.push({ slot, option, notes: pick.notes });
+      }
+
+      const fallback = slot.options.find((entry) => entry.IsDefault);
+      for (let count = picks.length; count < slot.Picks; count++) {
+        if (!fallback) {
+          throw createAppError(`Choose ${slot.Picks} from ${slot.Name} for ${label}`, 400);
+        }
+        chosen.push({ slot, option: fallback, notes: "" });
+      }
+    }
+
+    if (chosen.length >= COMPONENT_POSITION_OFFSET) {
+      throw createAppError(`Too many components on ${label}`, 400);
+    }
+
+    expanded.push({
+      ...item,
+      comboSlNo: slNo,
+      components: chosen.map((entry) => ({
+        slotId: entry.slot.SlotId,
+        itemCode: entry.option.ItemId,
+        notes: entry.notes,
+      })),
+    });
+
+    chosen.forEach((entry, index) => {
+      const childSlNo = componentSlNo(slNo, index + 1);
+      if (usedSlNos.has(childSlNo)) {
+        throw createAppError(`Line number ${childSlNo} is used by both an item and a combo component`, 400);
+      }
+      usedSlNos.add(childSlNo);
+
+      expanded.push({
+        slNo: childSlNo,
+        comboSlNo: slNo,
+        comboSlotId: entry.slot.SlotId,
+        itemCode: entry.option.ItemId,
+        itemName: entry.option.ItemName,
+        arabic: "",
+        qty: parseFloat(item.qty) || 0,
+        upcharge: entry.option.Upcharge,
+        rate: 0,
+        cost: 0,
+        notes: entry.notes,
+      });
+    });
+  }
+
+  return expanded;
+};
+
+/**
+ * Shares a combo line's price and discount across its components in
+ * proportion to what the components cost on their own (plus their
+ * upcharges), so VAT and item sales follow the items actually served. When
+ * none of the components has a price the split follows quantity. The
+ * largest component takes the rounding remainder.
+ * @param {Object} combo - Priced combo line ({ grossAmt, discAmt })
+ * @param {Array} components - Priced component lines ({ qty, standalone, upcharge })
+ * @returns {Array} { grossAmt, discAmt } per component
+ */
+const allocateComboPrice = (combo, components) => {
+  const weights = components.map((line) =>
+    roundMoney(line.qty * ((line.standalone || 0) + (line.upcharge || 0)))
+  );
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const basis = totalWeight > 0 ? weights : components.map((line) => line.qty);
+  const basisTotal = basis.reduce((sum, weight) => sum + weight, 0);
+
+  const share = (amount) => {
+    const shares = basis.map((weight) =>
+      basisTotal > 0 ? roundMoney((amount * weight) / basisTotal) : 0
+    );
+    if (shares.length > 0) {
+      const largest = basis.reduce((best, weight, index) => (weight > basis[best] ? index : best), 0);
+      const allocated = shares.reduce((sum, value) => sum + value, 0);
+      shares[largest] = roundMoney(shares[largest] + amount - allocated);
+    }
+    return shares;
+  };
+
+  const grossShares = share(combo.grossAmt);
+  const discShares = share(combo.discAmt);
+
+  return components.map((line, index) => ({
+    grossAmt: grossShares[index],
+    discAmt: discShares[index],
+  }));
+};
+
+/**
+ * Orders detail rows so component lines follow their combo line (after the
+ * combo's own modifiers)
+ * @param {Array} lines - tblOrder_D rows (SlNo, ComboSlNo), already nested by nestModifierLines
+ * @returns {Array} Rows with isComboComponent set; components whose combo is not in the list come last
+ */
+const nestComboLines = (lines) => {
+  const components = new Map();
+  for (const line of lines) {
+    if (isComboComponent(line)) {
+      if (!components.has(line.ComboSlNo)) {
+        components.set(line.ComboSlNo, []);
+      }
+      components.get(line.ComboSlNo).push(line);
+    }
+  }
+
+  const ordered = [];
+  let openCombo = null;
+  const close = () => {
+    for (const component of components.get(openCombo) || []) {
+      ordered.push({ ...component, isComboComponent: true });
+    }
+    components.delete(openCombo);
+    openCombo = null;
+  };
+
+  for (const line of lines) {
+    if (isComboComponent(line)) continue;
+    if (openCombo !== null && !(line.isModifier && line.ParentSlNo === openCombo)) {
+      close();
+    }
+    ordered.push(line);
+    if (line.ComboSlNo && line.ComboSlNo === line.SlNo) {
+      openCombo = line.SlNo;
+    }
+  }
+  if (openCombo !== null) {
+    close();
+  }
+
+  for (const orphans of components.values()) {
+    orphans.forEach((component) => ordered.push({ ...component, isComboComponent: true }));
+  }
+
+  return ordered;
+};
+
+/**
+ * Lists combo items with their slots and choices
+ * @returns {Array} { ItemId, ItemName, slots }
+ */
+const getCombos = async () => {
+  try {
+    const connectedPool = await ensureConnection();
+    const slotsByItem = await loadComboSlots(connectedPool);
+
+    if (slotsByItem.size === 0) {
+      return [];
+    }
+
+    const request = connectedPool.request();
+    const placeholders = [...slotsByItem.keys()].map((itemId, index) => {
+      request.input(`itemId${index}`, sql.Int, itemId);
+      return `@itemId${index}`;
+    });
+    const itemResult = await request.query(`
+      SELECT ItemId, ItemName FROM tblItemMaster
+      WHERE ItemId IN (${placeholders.join(", ")})
+      ORDER BY ItemName
+    `);
+
+    return itemResult.recordset.map((item) => ({
+      ItemId: item.ItemId,
+      ItemName: item.ItemName,
+      slots: slotsByItem.get(item.ItemId),
+    }));
+  } catch (error) {
+    console.error("Error in getCombos:", error.message);
+    throw createAppError(`Error fetching combos: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Replaces the slots of a combo item. Slots sent with a slotId are updated,
+ * new ones are added and the ones left out are switched off; the choices of
+ * every slot sent are replaced. Sending no slots turns the item back into a
+ * plain item.
+ * @param {Number} itemId - tblItemMaster.ItemId of the combo
+ * @param {Array} slots - { slotId, name, picks, sortOrder, options: [{ itemId, upcharge, isDefault }] }
+ * @returns {Array} Slots now active on the combo
+ */
+const saveComboSlots = async (itemId, slots) => {
+  let transaction;
+
+  try {
+    itemId = parseInt(itemId) || 0;
+    slots = Array.isArray(slots) ? slots : [];
+
+    if (!itemId) {
+      throw createAppError("Item id is required", 400);
+    }
+
+    const normalized = slots.map((slot, index) => {
+      const picks = slot.picks === undefined ? 1 : parseInt(slot.picks);
+      const options = (Array.isArray(slot.options) ? slot.options : []).map((option) => ({
+        itemId: parseInt(option.itemId) || 0,
+        upcharge: roundMoney(option.upcharge),
+        isDefault: Boolean(option.isDefault),
+      }));
+
+      if (!slot.name) {
+        throw createAppError(`Slot at position ${index + 1} requires a name`, 400);
+      }
+      if (!(picks >= 1)) {
+        throw createAppError(`Slot ${slot.name} must allow at least one pick`, 400);
+      }
+      if (options.length === 0) {
+        throw createAppError(`Slot ${slot.name} needs at least one item`, 400);
+      }
+      if (options.some((option) => !option.itemId || option.itemId === itemId)) {
+        throw createAppError(`Slot ${slot.name} has an invalid item`, 400);
+      }
+      if (new Set(options.map((option) => option.itemId)).size !== options.length) {
+        throw createAppError(`Slot ${slot.name} lists an item twice`, 400);
+      }
+      if (options.filter((option) => option.isDefault).length > 1) {
+        throw createAppError(`Slot ${slot.name} can only have one default item`, 400);
+      }
+
+      return {
+        slotId: parseInt(slot.slotId) || null,
+        name: String(slot.name),
+        picks,
+        sortOrder: parseInt(slot.sortOrder) || index + 1,
+        options,
+      };
+    });
+
+    const connectedPool = await ensureConnection();
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const optionIds = [...new Set(normalized.flatMap((slot) => slot.options.map((option) => option.itemId)))];
+    const request = transaction.request().input("ItemId", sql.Int, itemId);
+    const placeholders = optionIds.map((optionId, index) => {
+      request.input(`optionId${index}`, sql.Int, optionId);
+      return `@optionId${index}`;
+    });
+    const checkResult = await request.query(`
+      SELECT ItemId FROM tblItemMaster WHERE ItemId = @ItemId;
+
+      ${placeholders.length > 0
+        ? `SELECT ItemId FROM tblItemMaster WHERE ItemId IN (${placeholders.join(", ")});
+           SELECT DISTINCT ComboItemId FROM tblComboSlot
+           WHERE Active = 1 AND ComboItemId IN (${placeholders.join(", ")});`
+        : "SELECT TOP 0 ItemId FROM tblItemMaster; SELECT TOP 0 ComboItemId FROM tblComboSlot;"}
+    `);
+    const [comboRows, optionRows, nestedRows] = checkResult.recordsets;
+
+    if (comboRows.length === 0) {
+      throw createAppError(`Item ${itemId} not found`, 404);
+    }
+
+    const known = new Set(optionRows.map((row) => row.ItemId));
+    const missing = optionIds.filter((optionId) => !known.has(optionId));
+    if (missing.length > 0) {
+      throw createAppError(`Items not found: ${missing.join(", ")}`, 400);
+    }
+
+    if (nestedRows.length > 0) {
+      throw createAppError(
+        `Combos cannot contain other combos: ${nestedRows.map((row) => row.ComboItemId).join(", ")}`,
+        400
+      );
+    }
+
+    const keptIds = [];
+    for (const slot of normalized) {
+      const slotRequest = transaction
+        .request()
+        .input("SlotId", sql.Int, slot.slotId)
+        .input("ComboItemId", sql.Int, itemId)
+        .input("Name", sql.VarChar, slot.name)
+        .input("Picks", sql.Int, slot.picks)
+        .input("SortOrder", sql.Int, slot.sortOrder);
+
+      const saved = slot.slotId
+        ? await slotRequest.query(`
+            UPDATE tblComboSlot
+            SET Name = @Name, Picks = @Picks, SortOrder = @SortOrder, Active = 1
+            OUTPUT INSERTED.SlotId
+            WHERE SlotId = @SlotId AND ComboItemId = @ComboItemId
+          `)
+        : await slotRequest.query(`
+            INSERT INTO tblComboSlot (ComboItemId, Name, Picks, SortOrder, Active)
+            OUTPUT INSERTED.SlotId
+            VALUES (@ComboItemId, @Name, @Picks, @SortOrder, 1)
+          `);
+
+      if (saved.recordset.length === 0) {
+        throw createAppError(`Slot ${slot.slotId} is not part of combo ${itemId}`, 400);
+      }
+
+      const slotId = saved.recordset[0].SlotId;
+      keptIds.push(slotId);
+
+      await transaction
+        .request()
+        .input("SlotId", sql.Int, slotId)
+        .query(`DELETE FROM tblComboSlotItem WHERE SlotId = @SlotId`);
+
+      for (const [index, option] of slot.options.entries()) {
+        await transaction
+          .request()
+          .input("SlotId", sql.Int, slotId)
+          .input("ItemId", sql.Int, option.itemId)
+          .input("Upcharge", sql.Decimal(18, 2), option.upcharge)
+          .input("IsDefault", sql.Bit, option.isDefault ? 1 : 0)
+          .input("SortOrder", sql.Int, index + 1).query(`
+            INSERT INTO tblComboSlotItem (SlotId, ItemId, Upcharge, IsDefault, SortOrder)
+            VALUES (@SlotId, @ItemId, @Upcharge, @IsDefault, @SortOrder)
+          `);
+      }
+    }
+
+    const retireRequest = transaction.request().input("ComboItemId", sql.Int, itemId);
+    const keptList = keptIds.map((slotId, index) => {
+      retireRequest.input(`kept${index}`, sql.Int, slotId);
+      return `@kept${index}`;
+    });
+    await retireRequest.query(`
+      UPDATE tblComboSlot SET Active = 0
+      WHERE ComboItemId = @ComboItemId
+      ${keptList.length > 0 ? `AND SlotId NOT IN (${keptList.join(", ")})` : ""}
+    `);
+
+    const slotsByItem = await loadComboSlots(transaction, [itemId]);
+
+    await transaction.commit();
+
+    return slotsByItem.get(itemId) || [];
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in saveComboSlots:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error saving combo: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Combo sales report: combos sold in a period with the revenue and VAT
+ * allocated to each component item. Voided orders are left out.
+ * @param {Object} options - from / to (order dates, inclusive)
+ * @returns {Object} totals and combos ({ itemId, itemName, qty, amount, vatAmt, components })
+ */
+const getComboReport = async ({ from, to } = {}) => {
+  try {
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("From", sql.Date, from || null)
+      .input("To", sql.Date, to || null).query(`
+        SELECT combo.ItemCode AS ComboItemId, combo.ItemName AS ComboName,
+               component.ItemCode, component.ItemName,
+               SUM(component.Qty) AS Qty,
+               SUM(component.Amount) AS Amount,
+               SUM(component.VatAmt) AS VatAmt
+        FROM tblOrder_D component
+        JOIN tblOrder_D combo
+          ON combo.OrderNo = component.OrderNo AND combo.SlNo = component.ComboSlNo
+        JOIN tblOrder_M om ON om.OrderNo = component.OrderNo
+        WHERE component.ComboSlotId IS NOT NULL
+          AND component.Voided = 0
+          AND om.Voided = 0
+          AND (@From IS NULL OR om.EDate >= @From)
+          AND (@To IS NULL OR om.EDate < DATEADD(DAY, 1, @To))
+        GROUP BY combo.ItemCode, combo.ItemName, component.ItemCode, component.ItemName
+        ORDER BY combo.ItemName, component.ItemName;
+
+        SELECT combo.ItemCode AS ComboItemId, SUM(combo.Qty) AS Qty
+        FROM tblOrder_D combo
+        JOIN tblOrder_M om ON om.OrderNo = combo.OrderNo
+        WHERE combo.ComboSlNo = combo.SlNo
+          AND combo.Voided = 0
+          AND om.Voided = 0
+          AND (@From IS NULL OR om.EDate >= @From)
+          AND (@To IS NULL OR om.EDate < DATEADD(DAY, 1, @To))
+        GROUP BY combo.ItemCode;
+      `);
+
+    const [componentRows, comboRows] = result.recordsets;
+    const soldQty = new Map(comboRows.map((row) => [row.ComboItemId, roundMoney(row.Qty)]));
+    const combos = new Map();
+    const totals = { qty: 0, amount: 0, vatAmt: 0 };
+
+    for (const row of componentRows) {
+      if (!combos.has(row.ComboItemId)) {
+        combos.set(row.ComboItemId, {
+          itemId: row.ComboItemId,
+          itemName: row.ComboName,
+          qty: soldQty.get(row.ComboItemId) || 0,
+          amount: 0,
+          vatAmt: 0,
+          components: [],
+        });
+        totals.qty = roundMoney(totals.qty + (soldQty.get(row.ComboItemId) || 0));
+      }
+
+      const combo = combos.get(row.ComboItemId);
+      const component = {
+        itemId: row.ItemCode,
+        itemName: row.ItemName,
+        qty: roundMoney(row.Qty),
+        amount: roundMoney(row.Amount),
+        vatAmt: roundMoney(row.VatAmt),
+      };
+      combo.components.push(component);
+      combo.amount = roundMoney(combo.amount + component.amount);
+      combo.vatAmt = roundMoney(combo.vatAmt + component.vatAmt);
+      totals.amount = roundMoney(totals.amount + component.amount);
+      totals.vatAmt = roundMoney(totals.vatAmt + component.vatAmt);
+    }
+
+    return {
+      from: from || null,
+      to: to || null,
+      totals,
+      combos: Array.from(combos.values()),
+    };
+  } catch (error) {
+    console.error("Error in getComboReport:", error.message);
+    throw createAppError(`Error fetching combo report: ${error.message}`, 500);
+  }
+};
+
+module.exports = {
+  isComboComponent,
+  loadComboSlots,
+  normalizeComponents,
+  expandCombos,
+  allocateComboPrice,
+  nestComboLines,
+  getCombos,
+  saveComboSlots,
+  getComboReport,
+};
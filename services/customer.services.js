@@ -0,0 +1,824 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+const { roundMoney } = require("../utils/money");
+const { normalizePhone, requirePhone, formatPhone } = require("../utils/phone");
+const { getPricingConfig, loadItemPrices } = require("./pricing.services");
+const { loadItemModifierGroups } = require("./modifier.services");
+const { loadComboSlots } = require("./combo.services");
+const { getAddresses } = require("./customerAddress.services");
+const { transferPoints } = require("./loyalty.services");
+
+// Orders and favourite items shown on a customer profile by default
+const DEFAULT_RECENT_ORDERS = 5;
+const FAVOURITE_ITEMS = 5;
+
+// Names at or above this similarity (0..1) on the same phone are reported as duplicates
+const DEFAULT_NAME_SIMILARITY = 0.8;
+
+// Editable customer fields: request field -> tblCustomer column
+const CUSTOMER_FIELDS = {
+  custName: "CustName",
+  contact: "ContactNo",
+  phone: "Phone",
+  address: "Add1",
+  email: "Email",
+  vatRegNo: "VatRegNo",
+};
+
+// Columns a merge copies onto the surviving customer when it has none
+const MERGE_FILL_COLUMNS = ["Add1", "Phone", "Email", "VatRegNo"];
+
+/**
+ * Adds display forms of a customer's numbers
+ * @param {Object} customer - tblCustomer row
+ * @returns {Object} Row with ContactDisplay and PhoneDisplay
+ */
+const withPhoneDisplay = (customer) => ({
+  ...customer,
+  ContactDisplay: formatPhone(customer.ContactNo),
+  PhoneDisplay: formatPhone(customer.Phone),
+});
+
+/**
+ * Lowercases a name and collapses its whitespace for comparison
+ * @param {String} name - Customer name
+ * @returns {String} Comparable name
+ */
+const normalizeName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\u0600-\u06FF]+/g, " ")
+    .trim();
+
+/**
+ * Similarity of two names from 0 to 1. A name whose words are all part of
+ * the other ("ahmed" and "ahmed ali") counts as the same; otherwise it is
+ * one minus the edit distance over the longer length.
+ * @param {String} first - Customer name
+ * @param {String} second - Customer name
+ * @returns {Number} Similarity
+ */
+const nameSimilarity = (first, second) => {
+  const a = normalizeName(first);
+  const b = normalizeName(second);
+
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const wordsA = a.split(" ");
+  const wordsB = b.split(" ");
+  const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+  if (shorter.every((word) => longer.includes(word))) return 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return Math.round((1 - previous[b.length] / Math.max(a.length, b.length)) * 100) / 100;
+};
+
+/**
+ * Reads and validates the editable fields of a customer request
+ * @param {Object} data - Request body
+ * @returns {Object} tblCustomer column -> value for the fields sent
+ */
+const toCustomerColumns = (data = {}) => {
+  const columns = {};
+
+  for (const [field, column] of Object.entries(CUSTOMER_FIELDS)) {
+    if (data[field] === undefined) continue;
+    const value = data[field] === null ? "" : String(data[field]).trim();
+    columns[column] = ["contact", "phone"].includes(field) ? requirePhone(value, `${field} number`) : value;
+  }
+
+  if (columns.CustName !== undefined && !columns.CustName) {
+    throw createAppError("Customer name is required", 400);
+  }
+
+  if (data.contact !== undefined && !columns.ContactNo) {
+    throw createAppError("Customer contact number is required", 400);
+  }
+
+  if (columns.Email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(columns.Email)) {
+    throw createAppError(`Invalid email address ${columns.Email}`, 400);
+  }
+
+  return columns;
+};
+
+/**
+ * Fetches one customer
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @returns {Object} tblCustomer row
+ */
+const getCustomer = async (custCode) => {
+  try {
+    custCode = parseInt(custCode) || 0;
+
+    if (!custCode) {
+      throw createAppError("Customer code is required", 400);
+    }
+
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("CustCode", sql.Int, custCode)
+      .query(`SELECT * FROM tblCustomer WHERE CustCode = @CustCode`);
+
+    if (result.recordset.length === 0) {
+      throw createAppError(`Customer ${custCode} not found`, 404);
+    }
+
+    return withPhoneDisplay(result.recordset[0]);
+  } catch (error) {
+    console.error("Error in getCustomer:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error fetching customer: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Creates a customer. An active customer with the same phone and a
+ * matching name is refused so the existing record gets used instead.
+ * @param {Object} data - custName, contact and optional phone, address, email, vatRegNo
+ * @returns {Object} Created tblCustomer row
+ */
+const createCustomer = async (data = {}) => {
+  try {
+    if (!data.custName || !data.contact) {
+      throw createAppError("Customer name and contact number are required", 400);
+    }
+
+    const columns = toCustomerColumns(data);
+    const connectedPool = await ensureConnection();
+
+    const existing = await connectedPool
+      .request()
+      .input("ContactNo", sql.VarChar, columns.ContactNo).query(`
+        SELECT CustCode, CustName FROM tblCustomer
+        WHERE (ContactNo = @ContactNo OR Phone = @ContactNo) AND Active = 1
+      `);
+
+    const match = existing.recordset.find(
+      (customer) => nameSimilarity(customer.CustName, columns.CustName) === 1
+    );
+    if (match) {
+      throw createAppError(
+        `Customer ${match.CustName} already exists with this number (CustCode ${match.CustCode})`,
+        409
+      );
+    }
+
+    const result = await connectedPool
+      .request()
+      .input("CustName", sql.VarChar, columns.CustName)
+      .input("Add1", sql.VarChar, columns.Add1 || "")
+      .input("ContactNo", sql.VarChar, columns.ContactNo)
+      .input("Phone", sql.VarChar, columns.Phone || columns.ContactNo)
+      .input("Email", sql.VarChar, columns.Email || null)
+      .input("VatRegNo", sql.VarChar, columns.VatRegNo || null).query(`
+        INSERT INTO dbo.tblCustomer (
+          CustName, Add1, ContactNo, Phone, Fax, Email, ShowLast, OpBal, TopayCollect,
+          UserId, Active, Status, BranchId, FinYear, BrCode, Idd, SlsMode, VatRegNo, VatRegDate, State
+        )
+        VALUES (
+          @CustName, @Add1, @ContactNo, @Phone, '', @Email, 0, 0.00, NULL,
+          NULL, 1, 0, NULL, NULL, NULL, NULL, 0, @VatRegNo, NULL, NULL
+        );
+        SELECT SCOPE_IDENTITY() AS CustCode;
+      `);
+
+    return getCustomer(result.recordset[0].CustCode);
+  } catch (error) {
+    console.error("Error in createCustomer:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error creating customer: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Updates the fields sent for a customer; active: true reactivates one
+ * that was deactivated
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @param {Object} data - Any of custName, contact, phone, address, email, vatRegNo, active
+ * @returns {Object} Updated tblCustomer row
+ */
+const updateCustomer = async (custCode, data = {}) => {
+  try {
+    custCode = parseInt(custCode) || 0;
+
+    if (!custCode) {
+      throw createAppError("Customer code is required", 400);
+    }
+
+    const columns = toCustomerColumns(data);
+    if (data.active !== undefined) {
+      columns.Active = data.active ? 1 : 0;
+    }
+
+    if (Object.keys(columns).length === 0) {
+      throw createAppError("No customer fields to update", 400);
+    }
+
+    const connectedPool = await ensureConnection();
+    const request = connectedPool.request().input("CustCode", sql.Int, custCode);
+
+    const assignments = Object.entries(columns).map(([column, value]) => {
+      request.input(column, column === "Active" ? sql.Bit : sql.VarChar, value);
+      return `${column} = @${column}`;
+    });
+
+    const result = await request.query(`
+      UPDATE tblCustomer SET ${assignments.join(", ")}
+      WHERE CustCode = @CustCode AND MergedInto IS NULL
+    `);
+
+    if (result.rowsAffected[0] === 0) {
+      throw createAppError(`Customer ${custCode} not found or merged into another customer`, 404);
+    }
+
+    return getCustomer(custCode);
+  } catch (error) {
+    console.error("Error in updateCustomer:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error updating customer: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Deactivates a customer. Order history keeps pointing at it.
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @returns {Object} Deactivated tblCustomer row
+ */
+const deactivateCustomer = (custCode) => updateCustomer(custCode, { active: false });
+
+/**
+ * Finds active customers that are probably the same person: they share a
+ * phone number (ContactNo or Phone) and their names are similar.
+ * @param {Object} options - custCode to only report that customer's duplicates, minSimilarity (0..1)
+ * @returns {Array} Groups of { phone, customers, suggestedSurvivor }; the survivor is the customer with most orders
+ */
+const findDuplicateCustomers = async ({ custCode, minSimilarity } = {}) => {
+  try {
+    const threshold =
+      minSimilarity === undefined || minSimilarity === "" ? DEFAULT_NAME_SIMILARITY : parseFloat(minSimilarity);
+
+    if (isNaN(threshold) || threshold <= 0 || threshold > 1) {
+      throw createAppError(`Invalid similarity ${minSimilarity}, expected a value above 0 and up to 1`, 400);
+    }
+
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool.request().query(`
+      SELECT c.CustCode, c.CustName, c.ContactNo, c.Phone, c.Add1, c.Email,
+             ISNULL(o.OrderCount, 0) AS OrderCount, o.LastOrderDate
+      FROM tblCustomer c
+      LEFT JOIN (
+        SELECT CustId, COUNT(*) AS OrderCount, MAX(EDate) AS LastOrderDate
+        FROM tblOrder_M
+        GROUP BY CustId
+      ) o ON o.CustId = c.CustCode
+      WHERE c.Active = 1
+        AND (ISNULL(c.ContactNo, '') <> '' OR ISNULL(c.Phone, '') <> '')
+    `);
+
+    // Customers sharing a number, by normalised number
+    const byPhone = new Map();
+    for (const customer of result.recordset) {
+      const phones = new Set(
+        [customer.ContactNo, customer.Phone].map(normalizePhone).filter(Boolean)
+      );
+      for (const phone of phones) {
+        if (!byPhone.has(phone)) byPhone.set(phone, []);
+        byPhone.get(phone).push(customer);
+      }
+    }
+
+    const groups = [];
+    const reported = new Set();
+    for (const [phone, customers] of byPhone) {
+      if (customers.length < 2) continue;
+
+      // Single-linkage clusters of similar names on this number
+      const clusters = [];
+      for (const customer of customers) {
+        const joined = clusters.filter((cluster) =>
+          cluster.some((member) => nameSimilarity(member.CustName, customer.CustName) >= threshold)
+        );
+        const merged = [customer, ...joined.flat()];
+        for (const cluster of joined) clusters.splice(clusters.indexOf(cluster), 1);
+        clusters.push(merged);
+      }
+
+      for (const cluster of clusters) {
+        if (cluster.length < 2) continue;
+
+        const codes = cluster.map((customer) => customer.CustCode).sort((a, b) => a - b);
+        const key = codes.join(",");
+        if (reported.has(key)) continue;
+        if (custCode && !codes.includes(parseInt(custCode))) continue;
+        reported.add(key);
+
+        const ranked = [...cluster].sort(
+          (a, b) => b.OrderCount - a.OrderCount || a.CustCode - b.CustCode
+        );
+        groups.push({
+          phone,
+          customers: ranked.map((customer) => ({
+            ...withPhoneDisplay(customer),
+            similarity: nameSimilarity(customer.CustName, ranked[0].CustName),
+          })),
+          suggestedSurvivor: ranked[0].CustCode,
+        });
+      }
+    }
+
+    return groups;
+  } catch (error) {
+    console.error("Error in findDuplicateCustomers:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error finding duplicate customers: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Merges duplicate customers into a surviving one: their orders, held
+ * orders, KOTs, payments and addresses are re-pointed to the survivor, their opening
+ * balances and loyalty points are added to it, details the survivor lacks are
+ * copied over and they are deactivated with MergedInto set.
+ * @param {Number} survivorCode - CustCode that is kept
+ * @param {Array} mergeCodes - CustCodes merged into it
+ * @returns {Object} Survivor row, merged codes and the number of orders moved
+ */
+const mergeCustomers = async (survivorCode, mergeCodes) => {
+  let transaction;
+
+  try {
+    survivorCode = parseInt(survivorCode) || 0;
+    mergeCodes = [
+      ...new Set((Array.isArray(mergeCodes) ? mergeCodes : [mergeCodes]).map((code) => parseInt(code) || 0)),
+    ];
+
+    if (!survivorCode) {
+      throw createAppError("Surviving customer code is required", 400);
+    }
+
+    if (mergeCodes.length === 0 || mergeCodes.includes(0)) {
+      throw createAppError("mergeCodes must list the customers to merge", 400);
+    }
+
+    if (mergeCodes.includes(survivorCode)) {
+      throw createAppError("A customer cannot be merged into itself", 400);
+    }
+
+    const connectedPool = await ensureConnection();
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const request = transaction.request();
+    const placeholders = [survivorCode, ...mergeCodes].map((code, index) => {
+      request.input(`custCode${index}`, sql.Int, code);
+      return `@custCode${index}`;
+    });
+    const customersResult = await request.query(`
+      SELECT * FROM tblCustomer WITH (UPDLOCK, ROWLOCK)
+      WHERE CustCode IN (${placeholders.join(", ")})
+    `);
+
+    const customers = new Map(customersResult.recordset.map((row) => [row.CustCode, row]));
+    for (const code of [survivorCode, ...mergeCodes]) {
+      const customer = customers.get(code);
+      if (!customer) {
+        throw createAppError(`Customer ${code} not found`, 404);
+      }
+      if (customer.MergedInto) {
+        throw createAppError(`Customer ${code} was already merged into ${customer.MergedInto}`, 409);
+      }
+    }
+
+    const survivor = customers.get(survivorCode);
+    if (!survivor.Active) {
+      throw createAppError(`Customer ${survivorCode} is inactive and cannot be kept`, 409);
+    }
+
+    let ordersMoved = 0;
+    for (const code of mergeCodes) {
+      const moved = await transaction
+        .request()
+        .input("From", sql.Int, code)
+        .input("To", sql.Int, survivorCode).query(`
+          UPDATE tblOrder_M SET CustId = @To WHERE CustId = @From;
+          UPDATE tblKot_M SET CustId = @To WHERE CustId = @From;
+          UPDATE tblTempOrder_M SET CustId = @To WHERE CustId = @From;
+          UPDATE tblOrder_Payments SET CustId = @To WHERE CustId = @From;
+          UPDATE tblCustomerAddress SET CustCode = @To, IsDefault = 0 WHERE CustCode = @From;
+        `);
+      ordersMoved += moved.rowsAffected[0];
+
+      await transferPoints(transaction, code, survivorCode);
+
+      await transaction
+        .request()
+        .input("CustCode", sql.Int, code)
+        .input("MergedInto", sql.Int, survivorCode).query(`
+          UPDATE tblCustomer
+          SET Active = 0, MergedInto = @MergedInto, MergedAt = GETDATE()
+          WHERE CustCode = @CustCode
+        `);
+    }
+
+    const survivorUpdate = transaction
+      .request()
+      .input("CustCode", sql.Int, survivorCode)
+      .input(
+        "OpBal",
+        sql.Decimal(18, 2),
+        roundMoney(
+          mergeCodes.reduce(
+            (sum, code) => sum + (parseFloat(customers.get(code).OpBal) || 0),
+            parseFloat(survivor.OpBal) || 0
+          )
+        )
+      );
+
+    const fills = ["OpBal = @OpBal"];
+    for (const column of MERGE_FILL_COLUMNS) {
+      if (survivor[column]) continue;
+      const donor = mergeCodes.map((code) => customers.get(code)).find((customer) => customer[column]);
+      if (donor) {
+        survivorUpdate.input(column, sql.VarChar, donor[column]);
+        fills.push(`${column} = @${column}`);
+      }
+    }
+
+    await survivorUpdate.query(`
+      UPDATE tblCustomer SET ${fills.join(", ")} WHERE CustCode = @CustCode
+    `);
+
+    await transaction.commit();
+
+    return {
+      survivor: await getCustomer(survivorCode),
+      merged: mergeCodes,
+      ordersMoved,
+    };
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in mergeCustomers:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error merging customers: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Customer profile for the delivery screen: the tblCustomer record with
+ * recent orders, lifetime spend, average ticket, favourite items and the
+ * last delivery address. Spend and favourites count settled orders that
+ * were not voided.
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @param {Object} options - recent: number of recent orders (default 5, up to 50)
+ * @returns {Object} Customer row with stats, recentOrders, favouriteItems, addresses and lastDeliveryAddress
+ */
+const getCustomerProfile = async (custCode, { recent } = {}) => {
+  try {
+    const customer = await getCustomer(custCode);
+    const connectedPool = await ensureConnection();
+
+    const recentCount = Math.min(parseInt(recent) || DEFAULT_RECENT_ORDERS, 50);
+
+    const statsResult = await connectedPool
+      .request()
+      .input("CustCode", sql.Int, customer.CustCode).query(`
+        SELECT COUNT(*) AS OrderCount,
+               ISNULL(SUM(Total), 0) AS LifetimeSpend,
+               MIN(OrderNo) AS FirstOrderNo,
+               MAX(OrderNo) AS LastOrderNo
+        FROM tblOrder_M
+        WHERE CustId = @CustCode AND Saled = 'Yes' AND ISNULL(Voided, 0) = 0
+      `);
+
+    const ordersResult = await connectedPool
+      .request()
+      .input("CustCode", sql.Int, customer.CustCode)
+      .input("Recent", sql.Int, recentCount).query(`
+        SELECT TOP (@Recent) OrderNo, EDate, Time, Options, Flat, Address, Contact, DelArea,
+               Total, Saled, ISNULL(Voided, 0) AS Voided
+        FROM tblOrder_M
+        WHERE CustId = @CustCode
+        ORDER BY OrderNo DESC
+      `);
+
+    const linesRequest = connectedPool.request();
+    const orderPlaceholders = ordersResult.recordset.map((order, index) => {
+      linesRequest.input(`orderNo${index}`, sql.Int, order.OrderNo);
+      return `@orderNo${index}`;
+    });
+    const lines = orderPlaceholders.length
+      ? (
+          await linesRequest.query(`
+            SELECT OrderNo, SlNo, ItemCode, ItemName, Qty, Amount, VatAmt,
+                   ParentSlNo, ModifierId, ComboSlNo, ComboSlotId
+            FROM tblOrder_D
+            WHERE OrderNo IN (${orderPlaceholders.join(", ")}) AND Voided = 0
+            ORDER BY OrderNo, SlNo
+          `)
+        ).recordset
+      : [];
+
+    const favouritesResult = await connectedPool
+      .request()
+      .input("CustCode", sql.Int, customer.CustCode)
+      .input("Top", sql.Int, FAVOURITE_ITEMS).query(`
+        SELECT TOP (@Top) d.ItemCode, MAX(d.ItemName) AS ItemName,
+               SUM(d.Qty) AS Qty, COUNT(DISTINCT d.OrderNo) AS Orders
+        FROM tblOrder_D d
+        JOIN tblOrder_M m ON m.OrderNo = d.OrderNo
+        WHERE m.CustId = @CustCode AND m.Saled = 'Yes' AND ISNULL(m.Voided, 0) = 0
+          AND d.ModifierId IS NULL AND d.ComboSlotId IS NULL AND d.Voided = 0
+        GROUP BY d.ItemCode
+        ORDER BY SUM(d.Qty) DESC, COUNT(DISTINCT d.OrderNo) DESC
+      `);
+
+    const addressResult = await connectedPool
+      .request()
+      .input("CustCode", sql.Int, customer.CustCode).query(`
+        SELECT TOP 1 OrderNo, EDate, Flat, Address, Contact, DelArea, AddressId
+        FROM tblOrder_M
+        WHERE CustId = @CustCode AND Options = 1 AND ISNULL(Voided, 0) = 0
+          AND (ISNULL(Address, '') <> '' OR ISNULL(Flat, '') <> '')
+        ORDER BY OrderNo DESC
+      `);
+
+    const stats = statsResult.recordset[0];
+    const lastAddress = addressResult.recordset[0];
+
+    return {
+      ...customer,
+      stats: {
+        orderCount: stats.OrderCount,
+        lifetimeSpend: roundMoney(stats.LifetimeSpend),
+        averageTicket: stats.OrderCount ? roundMoney(stats.LifetimeSpend / stats.OrderCount) : 0,
+        firstOrderNo: stats.FirstOrderNo,
+        lastOrderNo: stats.LastOrderNo,
+      },
+      recentOrders: ordersResult.recordset.map((order) => {
+        const orderLines = lines.filter((line) => line.OrderNo === order.OrderNo);
+        return {
+          orderNo: order.OrderNo,
+          date: order.EDate,
+          time: order.Time,
+          option: order.Options,
+          total: roundMoney(order.Total),
+          settled: order.Saled === "Yes",
+          voided: Boolean(order.Voided),
+          items: orderLines
+            .filter((line) => !line.ModifierId && !line.ComboSlotId)
+            .map((line) => ({
+              slNo: line.SlNo,
+              itemCode: line.ItemCode,
+              itemName: line.ItemName,
+              qty: line.Qty,
+              amount: roundMoney(line.Amount + line.VatAmt),
+              modifiers: orderLines
+                .filter((child) => child.ModifierId && child.ParentSlNo === line.SlNo)
+                .map((child) => child.ItemName),
+              components: orderLines
+                .filter((child) => child.ComboSlotId && child.ComboSlNo === line.SlNo)
+                .map((child) => child.ItemName),
+            })),
+        };
+      }),
+      favouriteItems: favouritesResult.recordset.map((item) => ({
+        itemCode: item.ItemCode,
+        itemName: item.ItemName,
+        qty: roundMoney(item.Qty),
+        orders: item.Orders,
+      })),
+      addresses: await getAddresses(customer.CustCode),
+      lastDeliveryAddress: lastAddress
+        ? {
+            orderNo: lastAddress.OrderNo,
+            date: lastAddress.EDate,
+            addressId: lastAddress.AddressId || null,
+            flatNo: lastAddress.Flat || "",
+            address: lastAddress.Address || "",
+            contact: lastAddress.Contact || "",
+            deliveryArea: lastAddress.DelArea || null,
+          }
+        : null,
+    };
+  } catch (error) {
+    console.error("Error in getCustomerProfile:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error fetching customer profile: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Pre-builds an /api/orders payload that repeats a customer's last order
+ * (or the given one) at today's prices. Items that were removed from the
+ * menu or are unavailable are left out and listed in skipped; modifiers
+ * and combo choices that are no longer offered are dropped and listed in
+ * changes, so the combo falls back to its default.
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @param {Object} options - orderNo of the customer to repeat, last non-voided order otherwise
+ * @returns {Object} Order header fields, items, skipped and changes
+ */
+const buildRepeatOrder = async (custCode, { orderNo } = {}) => {
+  try {
+    const customer = await getCustomer(custCode);
+    const connectedPool = await ensureConnection();
+
+    const orderResult = await connectedPool
+      .request()
+      .input("CustCode", sql.Int, customer.CustCode)
+      .input("OrderNo", sql.Int, parseInt(orderNo) || null).query(`
+        SELECT TOP 1 OrderNo, Options, Flat, Address, Contact, DelArea, Remarks, AddressId
+        FROM tblOrder_M
+        WHERE CustId = @CustCode AND ISNULL(Voided, 0) = 0
+          AND (@OrderNo IS NULL OR OrderNo = @OrderNo)
+        ORDER BY OrderNo DESC
+      `);
+
+    if (orderResult.recordset.length === 0) {
+      throw createAppError(
+        orderNo
+          ? `Order ${orderNo} is not an order of customer ${customer.CustCode}`
+          : `Customer ${customer.CustCode} has no orders to repeat`,
+        404
+      );
+    }
+
+    const order = orderResult.recordset[0];
+    const linesResult = await connectedPool
+      .request()
+      .input("OrderNo", sql.Int, order.OrderNo).query(`
+        SELECT SlNo, ItemCode, ItemName, Qty, Rate, Notes, ParentSlNo, ModifierId, ComboSlNo, ComboSlotId
+        FROM tblOrder_D
+        WHERE OrderNo = @OrderNo AND Voided = 0
+        ORDER BY SlNo
+      `);
+
+    const lines = linesResult.recordset;
+    const topLines = lines.filter((line) => !line.ModifierId && !line.ComboSlotId);
+    const itemIds = topLines.map((line) => line.ItemCode);
+
+    const prices = await loadItemPrices(connectedPool, itemIds, getPricingConfig());
+    const groupsByItem = await loadItemModifierGroups(connectedPool, itemIds);
+    const slotsByItem = await loadComboSlots(connectedPool, itemIds);
+
+    const availabilityRequest = connectedPool.request();
+    const itemPlaceholders = [...new Set(itemIds)].map((itemId, index) => {
+      availabilityRequest.input(`itemId${index}`, sql.Int, itemId);
+      return `@itemId${index}`;
+    });
+    const unavailable = new Set(
+      itemPlaceholders.length
+        ? (
+            await availabilityRequest.query(`
+              SELECT ItemId FROM tblItemMaster
+              WHERE Available = 0 AND ItemId IN (${itemPlaceholders.join(", ")})
+            `)
+          ).recordset.map((row) => row.ItemId)
+        : []
+    );
+
+    const items = [];
+    const skipped = [];
+    const changes = [];
+
+    for (const line of topLines) {
+      const master = prices.get(line.ItemCode);
+      if (!master || unavailable.has(line.ItemCode)) {
+        skipped.push({
+          itemCode: line.ItemCode,
+          itemName: line.ItemName,
+          qty: line.Qty,
+          reason: master ? "UNAVAILABLE" : "REMOVED",
+        });
+        continue;
+      }
+
+      const offered = new Set(
+        (groupsByItem.get(line.ItemCode) || []).flatMap((group) =>
+          group.modifiers.map((modifier) => modifier.ModifierId)
+        )
+      );
+      const modifiers = [];
+      for (const child of lines.filter((entry) => entry.ModifierId && entry.ParentSlNo === line.SlNo)) {
+        if (!offered.has(child.ModifierId)) {
+          changes.push({ itemCode: line.ItemCode, itemName: line.ItemName, dropped: child.ItemName });
+          continue;
+        }
+        modifiers.push({
+          modifierId: child.ModifierId,
+          qty: line.Qty ? roundMoney(child.Qty / line.Qty) : 1,
+        });
+      }
+
+      const slots = slotsByItem.get(line.ItemCode) || [];
+      const components = [];
+      let upcharges = 0;
+      for (const component of lines.filter(
+        (entry) => entry.ComboSlotId && entry.ComboSlNo === line.SlNo
+      )) {
+        const option = slots
+          .find((slot) => slot.SlotId === component.ComboSlotId)
+          ?.options.find((entry) => entry.ItemId === component.ItemCode);
+        if (!option) {
+          changes.push({ itemCode: line.ItemCode, itemName: line.ItemName, dropped: component.ItemName });
+          continue;
+        }
+        upcharges += option.Upcharge;
+        components.push({
+          slotId: component.ComboSlotId,
+          itemCode: component.ItemCode,
+          notes: component.Notes || "",
+        });
+      }
+
+      items.push({
+        slNo: items.length + 1,
+        itemCode: line.ItemCode,
+        itemName: master.itemName,
+        qty: line.Qty,
+        // Open-price items (0 in the master) keep the price charged last time
+        rate: roundMoney((master.rate > 0 ? master.rate : line.Rate) + (slots.length ? upcharges : 0)),
+        vat: master.vat,
+        taxLedger: master.taxLedger,
+        notes: line.Notes || "",
+        modifiers,
+        components,
+      });
+    }
+
+    return {
+      repeatOf: order.OrderNo,
+      option: order.Options,
+      custId: customer.CustCode,
+      custName: customer.CustName,
+      contact: customer.ContactNo || order.Contact || "",
+      flatNo: order.Flat || "",
+      address: order.Address || "",
+      deliveryArea: order.DelArea || null,
+      // Only offered while the address is still in the address book
+      addressId: (await getAddresses(customer.CustCode)).some(
+        (row) => row.AddressId === order.AddressId
+      )
+        ? order.AddressId
+        : null,
+      remarks: order.Remarks || "",
+      items,
+      skipped,
+      changes,
+    };
+  } catch (error) {
+    console.error("Error in buildRepeatOrder:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error building repeat order: ${error.message}`, 500);
+  }
+};
+
+module.exports = {
+  withPhoneDisplay,
+  nameSimilarity,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  deactivateCustomer,
+  findDuplicateCustomers,
+  mergeCustomers,
+  getCustomerProfile,
+  buildRepeatOrder,
+};
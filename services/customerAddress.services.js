@@ -0,0 +1,394 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+
+// Editable address fields: request field -> tblCustomerAddress column
+const ADDRESS_FIELDS = {
+  label: "Label",
+  flat: "Flat",
+  building: "Building",
+  area: "Area",
+  landmark: "Landmark",
+  notes: "Notes",
+};
+
+/**
+ * Lowercases text and collapses its whitespace and punctuation so two
+ * spellings of the same address compare equal
+ * @param {String} text - Address part
+ * @returns {String} Comparable text
+ */
+const comparable = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[\s,.\-/#]+/g, " ")
+    .trim();
+
+/**
+ * Single-line address as printed on the order: building, area and landmark
+ * @param {Object} row - tblCustomerAddress row
+ * @returns {String} Address line
+ */
+const formatAddress = (row) =>
+  [row.Building, row.Area, row.Landmark ? `near ${row.Landmark}` : null]
+    .filter((part) => part && String(part).trim())
+    .join(", ");
+
+/**
+ * Reads and validates the editable fields of an address request
+ * @param {Object} data - Request body
+ * @returns {Object} tblCustomerAddress column -> value for the fields sent
+ */
+const toAddressColumns = (data = {}) => {
+  const columns = {};
+
+  for (const [field, column] of Object.entries(ADDRESS_FIELDS)) {
+    if (data[field] === undefined) continue;
+    columns[column] = data[field] === null ? null : String(data[field]).trim() || null;
+  }
+
+  return columns;
+};
+
+/**
+ * Locks a customer's active addresses
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @returns {Array} tblCustomerAddress rows
+ */
+const lockAddresses = async (transaction, custCode) => {
+  const result = await transaction
+    .request()
+    .input("CustCode", sql.Int, custCode).query(`
+      SELECT * FROM tblCustomerAddress WITH (UPDLOCK, ROWLOCK)
+      WHERE CustCode = @CustCode AND Active = 1
+    `);
+
+  return result.recordset;
+};
+
+/**
+ * Inserts an address; the first address of a customer becomes the default
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @param {Object} columns - tblCustomerAddress column -> value
+ * @param {Boolean} isDefault - Make it the default address
+ * @returns {Number} AddressId
+ */
+const insertAddress = async (transaction, custCode, columns, isDefault) => {
+  const request = transaction
+    .request()
+    .input("CustCode", sql.Int, custCode)
+    .input("IsDefault", sql.Bit, isDefault ? 1 : 0);
+
+  for (const column of Object.values(ADDRESS_FIELDS)) {
+    request.input(column, sql.VarChar, columns[column] ?? null);
+  }
+
+  const result = await request.query(`
+    INSERT INTO tblCustomerAddress (CustCode, Label, Flat, Building, Area, Landmark, Notes, IsDefault, LastUsedAt)
+    OUTPUT INSERTED.AddressId
+    VALUES (@CustCode, @Label, @Flat, @Building, @Area, @Landmark, @Notes, @IsDefault, GETDATE())
+  `);
+
+  return result.recordset[0].AddressId;
+};
+
+/**
+ * Clears the default flag on a customer's other addresses
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @param {Number} addressId - Address that is now the default
+ */
+const clearOtherDefaults = (transaction, custCode, addressId) =>
+  transaction
+    .request()
+    .input("CustCode", sql.Int, custCode)
+    .input("AddressId", sql.Int, addressId).query(`
+      UPDATE tblCustomerAddress SET IsDefault = 0
+      WHERE CustCode = @CustCode AND AddressId <> @AddressId AND IsDefault = 1
+    `);
+
+/**
+ * Lists a customer's active addresses, default first, then most recently used
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @returns {Array} tblCustomerAddress rows with the formatted address line
+ */
+const getAddresses = async (custCode) => {
+  try {
+    custCode = parseInt(custCode) || 0;
+
+    if (!custCode) {
+      throw createAppError("Customer code is required", 400);
+    }
+
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("CustCode", sql.Int, custCode).query(`
+        SELECT * FROM tblCustomerAddress
+        WHERE CustCode = @CustCode AND Active = 1
+        ORDER BY IsDefault DESC, LastUsedAt DESC, AddressId DESC
+      `);
+
+    return result.recordset.map((row) => ({ ...row, AddressLine: formatAddress(row) }));
+  } catch (error) {
+    console.error("Error in getAddresses:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error fetching customer addresses: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Adds an address to a customer's address book, or updates one when
+ * addressId is given. isDefault: true makes it the default address.
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @param {Object} data - label, flat, building, area, landmark, notes and isDefault
+ * @param {Number} addressId - Address to update
+ * @returns {Object} Saved address
+ */
+const saveAddress = async (custCode, data = {}, addressId = null) => {
+  let transaction;
+
+  try {
+    custCode = parseInt(custCode) || 0;
+    addressId = parseInt(addressId) || 0;
+
+    if (!custCode) {
+      throw createAppError("Customer code is required", 400);
+    }
+
+    const columns = toAddressColumns(data);
+
+    const connectedPool = await ensureConnection();
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const customerResult = await transaction
+      .request()
+      .input("CustCode", sql.Int, custCode)
+      .query(`SELECT CustCode FROM tblCustomer WHERE CustCode = @CustCode AND MergedInto IS NULL`);
+
+    if (customerResult.recordset.length === 0) {
+      throw createAppError(`Customer ${custCode} not found`, 404);
+    }
+
+    const addresses = await lockAddresses(transaction, custCode);
+
+    if (addressId) {
+      const existing = addresses.find((row) => row.AddressId === addressId);
+      if (!existing) {
+        throw createAppError(`Address ${addressId} not found for customer ${custCode}`, 404);
+      }
+
+      const merged = { ...existing, ...columns };
+      if (!merged.Flat && !merged.Building) {
+        throw createAppError("An address needs a flat or a building", 400);
+      }
+
+      const request = transaction.request().input("AddressId", sql.Int, addressId);
+      const assignments = Object.entries(columns).map(([column, value]) => {
+        request.input(column, sql.VarChar, value);
+        return `${column} = @${column}`;
+      });
+      if (data.isDefault) {
+        assignments.push("IsDefault = 1");
+      }
+
+      if (assignments.length === 0) {
+        throw createAppError("No address fields to update", 400);
+      }
+
+      await request.query(`
+        UPDATE tblCustomerAddress SET ${assignments.join(", ")} WHERE AddressId = @AddressId
+      `);
+    } else {
+      if (!columns.Flat && !columns.Building) {
+        throw createAppError("An address needs a flat or a building", 400);
+      }
+
+      addressId = await insertAddress(
+        transaction,
+        custCode,
+        columns,
+        Boolean(data.isDefault) || addresses.length === 0
+      );
+    }
+
+    if (data.isDefault) {
+      await clearOtherDefaults(transaction, custCode, addressId);
+    }
+
+    await transaction.commit();
+
+    return (await getAddresses(custCode)).find((row) => row.AddressId === addressId);
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in saveAddress:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error saving customer address: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Removes an address from the address book. Orders keep their AddressId;
+ * when the default is removed the most recently used address takes over.
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @param {Number} addressId - Address to remove
+ * @returns {Object} addressId removed and the new default address id
+ */
+const deleteAddress = async (custCode, addressId) => {
+  let transaction;
+
+  try {
+    custCode = parseInt(custCode) || 0;
+    addressId = parseInt(addressId) || 0;
+
+    if (!custCode || !addressId) {
+      throw createAppError("Customer code and address id are required", 400);
+    }
+
+    const connectedPool = await ensureConnection();
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const addresses = await lockAddresses(transaction, custCode);
+    const existing = addresses.find((row) => row.AddressId === addressId);
+
+    if (!existing) {
+      throw createAppError(`Address ${addressId} not found for customer ${custCode}`, 404);
+    }
+
+    await transaction
+      .request()
+      .input("AddressId", sql.Int, addressId).query(`
+        UPDATE tblCustomerAddress SET Active = 0, IsDefault = 0 WHERE AddressId = @AddressId
+      `);
+
+    let defaultAddressId = addresses.find((row) => row.IsDefault && row.AddressId !== addressId)?.AddressId || null;
+    if (existing.IsDefault) {
+      const successor = addresses
+        .filter((row) => row.AddressId !== addressId)
+        .sort((a, b) => (b.LastUsedAt || 0) - (a.LastUsedAt || 0) || b.AddressId - a.AddressId)[0];
+
+      if (successor) {
+        await transaction
+          .request()
+          .input("AddressId", sql.Int, successor.AddressId)
+          .query(`UPDATE tblCustomerAddress SET IsDefault = 1 WHERE AddressId = @AddressId`);
+        defaultAddressId = successor.AddressId;
+      }
+    }
+
+    await transaction.commit();
+
+    return { addressId, defaultAddressId };
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in deleteAddress:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error removing customer address: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Loads an address picked on the terminal so the order can be priced with
+ * its area before the customer is resolved
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} addressId - tblCustomerAddress.AddressId
+ * @returns {Object} tblCustomerAddress row
+ */
+const loadOrderAddress = async (transaction, addressId) => {
+  const result = await transaction
+    .request()
+    .input("AddressId", sql.Int, addressId)
+    .query(`SELECT * FROM tblCustomerAddress WHERE AddressId = @AddressId AND Active = 1`);
+
+  if (result.recordset.length === 0) {
+    throw createAppError(`Address ${addressId} not found`, 404);
+  }
+
+  return result.recordset[0];
+};
+
+/**
+ * Picks the delivery address of an order from the customer's address
+ * book: the address chosen on the terminal, else the one matching the
+ * flat and address typed, else the typed address is added to the book.
+ * The customer's other addresses are left as they are.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} custCode - Customer of the order
+ * @param {Object} delivery - addressId, flatNo, address and area of the order
+ * @returns {Object|null} tblCustomerAddress row, null when the order has no address
+ */
+const pickOrderAddress = async (transaction, custCode, { addressId, flatNo, address, area } = {}) => {
+  addressId = parseInt(addressId) || 0;
+  const addresses = await lockAddresses(transaction, custCode);
+
+  let picked;
+  if (addressId) {
+    picked = addresses.find((row) => row.AddressId === addressId);
+    if (!picked) {
+      throw createAppError(`Address ${addressId} is not an address of customer ${custCode}`, 400);
+    }
+  } else {
+    if (!flatNo && !address) {
+      return null;
+    }
+
+    picked = addresses.find(
+      (row) =>
+        comparable(row.Flat) === comparable(flatNo) &&
+        [comparable(row.Building), comparable(formatAddress(row))].includes(comparable(address))
+    );
+  }
+
+  if (picked) {
+    await transaction
+      .request()
+      .input("AddressId", sql.Int, picked.AddressId)
+      .input("Area", sql.VarChar, area || null).query(`
+        UPDATE tblCustomerAddress
+        SET LastUsedAt = GETDATE(), Area = ISNULL(Area, @Area)
+        WHERE AddressId = @AddressId
+      `);
+    return picked;
+  }
+
+  const columns = {
+    Flat: String(flatNo || "").trim() || null,
+    Building: String(address || "").trim() || null,
+    Area: area || null,
+  };
+  const newAddressId = await insertAddress(transaction, custCode, columns, addresses.length === 0);
+
+  return { AddressId: newAddressId, CustCode: custCode, ...columns, IsDefault: addresses.length === 0 };
+};
+
+module.exports = {
+  formatAddress,
+  getAddresses,
+  saveAddress,
+  deleteAddress,
+  loadOrderAddress,
+  pickOrderAddress,
+};
@@ -0,0 +1,276 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+const { roundMoney } = require("../utils/money");
+const { getSessionUser } = require("./session.services");
+
+/**
+ * Discount limit of a tblUser row; users without MaxDiscountPct fall back to
+ * DEFAULT_MAX_DISCOUNT_PCT (0 unless configured)
+ * @param {Object} user - tblUser row including MaxDiscountPct
+ * @returns {Number} Highest discount percentage the user may give
+ */
+const getUserLimit = (user) =>
+  user && user.MaxDiscountPct !== null && user.MaxDiscountPct !== undefined
+    ? parseFloat(user.MaxDiscountPct)
+    : parseFloat(process.env.DEFAULT_MAX_DISCOUNT_PCT) || 0;
+
+/**
+ * Checks a discount against the limit of the cashier logged in on the
+ * session, falling back to a manager override when that limit is too low.
+ * Without a session DEFAULT_MAX_DISCOUNT_PCT applies: the userId sent by the
+ * terminal is not authenticated, so it is only recorded as the user who gave
+ * the discount. Re-saving an order whose discount is not deeper than the one
+ * already authorised keeps the earlier authorisation.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Object} request - discountPct (deepest line discount), sessionToken from login,
+ *   userId of the cashier, override ({ username, password }) and orderNo when an
+ *   existing order is re-saved
+ * @returns {Object|null} discBy, authBy, limit and overridden, null when nothing is discounted
+ */
+const authoriseDiscount = async (
+  transaction,
+  { discountPct, sessionToken, userId, override, orderNo } = {}
+) => {
+  discountPct = roundMoney(discountPct);
+  userId = parseInt(userId) || 0;
+
+  if (discountPct <= 0) {
+    return null;
+  }
+
+  if (orderNo) {
+    const previous = await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo).query(`
+        SELECT DiscPct, DiscBy, DiscAuthBy FROM tblOrder_M WHERE OrderNo = @OrderNo
+      `);
+    const order = previous.recordset[0];
+
+    if (order && order.DiscAuthBy && discountPct <= parseFloat(order.DiscPct)) {
+      return {
+        discBy: order.DiscBy,
+        authBy: order.DiscAuthBy,
+        limit: parseFloat(order.DiscPct),
+        overridden: false,
+      };
+    }
+  }
+
+  let cashier = null;
+
+  if (sessionToken) {
+    cashier = await getSessionUser(transaction, sessionToken);
+
+    if (!cashier) {
+      throw createAppError("Session expired, log in again", 401);
+    }
+
+    userId = cashier.UserId;
+  }
+
+  const cashierLimit = getUserLimit(cashier);
+
+  if (discountPct <= cashierLimit) {
+    return {
+      discBy: userId || null,
+      authBy: cashier ? cashier.UserId : null,
+      limit: cashierLimit,
+      overridden: false,
+    };
+  }
+
+  if (!override || !override.username || !override.password) {
+    throw createAppError(
+      `Discount of ${discountPct}% exceeds the limit of ${cashierLimit}%, manager override required`,
+      403
+    );
+  }
+
+  const managerResult = await transaction
+    .request()
+    .input("userName", sql.VarChar, override.username)
+    .input("password", sql.VarChar, override.password).query(`
+      SELECT UserId, User_Name, MaxDiscountPct
+      FROM dbo.tblUser
+      WHERE User_Name = @userName AND Password = @password
+    `);
+
+  if (managerResult.recordset.length === 0) {
+    throw createAppError("Invalid username or password", 401);
+  }
+
+  const manager = managerResult.recordset[0];
+  const managerLimit = getUserLimit(manager);
+
+  if (discountPct > managerLimit) {
+    throw createAppError(
+      `${manager.User_Name} may only authorise discounts up to ${managerLimit}%`,
+      403
+    );
+  }
+
+  return {
+    discBy: userId || manager.UserId,
+    authBy: manager.UserId,
+    limit: managerLimit,
+    overridden: true,
+  };
+};
+
+/**
+ * Stores the order discount and its authorisation on tblOrder_M
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @param {Object} pricing - Result of priceOrderItems
+ * @param {Object|null} auth - Result of authoriseDiscount
+ */
+const saveOrderDiscount = async (transaction, orderNo, pricing, auth) => {
+  const orderDiscount = pricing.orderDiscount;
+
+  await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .input("DiscType", sql.VarChar, orderDiscount ? orderDiscount.type : null)
+    .input("DiscValue", sql.Decimal(18, 2), orderDiscount ? orderDiscount.value : 0)
+    .input("DiscAmt", sql.Decimal(18, 2), orderDiscount ? orderDiscount.amount : 0)
+    .input("TotalDisc", sql.Decimal(18, 2), pricing.discountTotal || 0)
+    .input("DiscPct", sql.Decimal(5, 2), pricing.discountPct || 0)
+    .input("DiscBy", sql.Int, auth ? auth.discBy : null)
+    .input("DiscAuthBy", sql.Int, auth ? auth.authBy : null).query(`
+      UPDATE tblOrder_M
+      SET DiscType = @DiscType, DiscValue = @DiscValue, DiscAmt = @DiscAmt,
+          TotalDisc = @TotalDisc, DiscPct = @DiscPct,
+          DiscBy = @DiscBy, DiscAuthBy = @DiscAuthBy,
+          DiscAt = CASE
+            WHEN @TotalDisc <= 0 THEN NULL
+            WHEN DiscAt IS NOT NULL AND ISNULL(DiscAuthBy, 0) = ISNULL(@DiscAuthBy, 0) THEN DiscAt
+            ELSE GETDATE()
+          END
+      WHERE OrderNo = @OrderNo
+    `);
+};
+
+/**
+ * Discount report: discounted orders in a period with totals per day and per
+ * user who gave the discount, with the users who approved their overrides.
+ * Voided orders are left out.
+ * @param {Object} options - from / to (dates, inclusive) of the discount
+ * @returns {Object} totals, byDay, byUser and orders
+ */
+const getDiscountReport = async ({ from, to } = {}) => {
+  try {
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("From", sql.Date, from || null)
+      .input("To", sql.Date, to || null).query(`
+        SELECT
+          om.OrderNo, om.Pr, om.EDate, om.Options, om.Total, om.Saled,
+          om.DiscType, om.DiscValue, om.DiscAmt, om.TotalDisc, om.DiscPct,
+          om.DiscBy, om.DiscAuthBy, om.DiscAt,
+          CONVERT(VARCHAR(10), om.DiscAt, 23) AS DiscDate,
+          cashier.User_Name AS DiscByName,
+          approver.User_Name AS DiscAuthByName,
+          ISNULL(lines.GrossAmt, 0) AS GrossAmt,
+          ISNULL(lines.LineDisc, 0) AS LineDisc
+        FROM tblOrder_M om
+        LEFT JOIN (
+          SELECT OrderNo, SUM(ISNULL(GrossAmt, 0)) AS GrossAmt, SUM(DiscAmt) AS LineDisc
+          FROM tblOrder_D
+          WHERE Voided = 0
+          GROUP BY OrderNo
+        ) lines ON lines.OrderNo = om.OrderNo
+        LEFT JOIN dbo.tblUser cashier ON cashier.UserId = om.DiscBy
+        LEFT JOIN dbo.tblUser approver ON approver.UserId = om.DiscAuthBy
+        WHERE om.TotalDisc > 0
+          AND om.Voided = 0
+          AND (@From IS NULL OR om.DiscAt >= @From)
+          AND (@To IS NULL OR om.DiscAt < DATEADD(DAY, 1, @To))
+        ORDER BY om.DiscAt, om.OrderNo
+      `);
+
+    const totals = { orders: 0, grossAmt: 0, lineDiscount: 0, orderDiscount: 0, totalDiscount: 0 };
+    const byDay = new Map();
+    const byUser = new Map();
+
+    const orders = result.recordset.map((row) => {
+      const entry = {
+        orderNo: row.OrderNo,
+        token: row.Pr,
+        date: row.EDate,
+        orderType: row.Options,
+        saled: row.Saled,
+        total: roundMoney(row.Total),
+        grossAmt: roundMoney(row.GrossAmt),
+        lineDiscount: roundMoney(row.LineDisc),
+        orderDiscount: {
+          type: row.DiscType,
+          value: roundMoney(row.DiscValue),
+          amount: roundMoney(row.DiscAmt),
+        },
+        totalDiscount: roundMoney(row.TotalDisc),
+        discountPct: parseFloat(row.DiscPct) || 0,
+        discountBy: row.DiscBy ? { userId: row.DiscBy, userName: row.DiscByName } : null,
+        authorisedBy: row.DiscAuthBy ? { userId: row.DiscAuthBy, userName: row.DiscAuthByName } : null,
+        overridden: Boolean(row.DiscAuthBy && row.DiscBy !== row.DiscAuthBy),
+        discountedAt: row.DiscAt,
+      };
+
+      totals.orders++;
+      totals.grossAmt = roundMoney(totals.grossAmt + entry.grossAmt);
+      totals.lineDiscount = roundMoney(totals.lineDiscount + entry.lineDiscount);
+      totals.orderDiscount = roundMoney(totals.orderDiscount + entry.orderDiscount.amount);
+      totals.totalDiscount = roundMoney(totals.totalDiscount + entry.totalDiscount);
+
+      const day = byDay.get(row.DiscDate) || { date: row.DiscDate, orders: 0, totalDiscount: 0 };
+      day.orders++;
+      day.totalDiscount = roundMoney(day.totalDiscount + entry.totalDiscount);
+      byDay.set(row.DiscDate, day);
+
+      const userKey = row.DiscBy || 0;
+      const user = byUser.get(userKey) || {
+        userId: row.DiscBy,
+        userName: row.DiscByName || null,
+        orders: 0,
+        overrides: 0,
+        totalDiscount: 0,
+        approvers: [],
+      };
+      user.orders++;
+      user.totalDiscount = roundMoney(user.totalDiscount + entry.totalDiscount);
+      if (entry.overridden) {
+        user.overrides++;
+        let approver = user.approvers.find((a) => a.userId === row.DiscAuthBy);
+        if (!approver) {
+          approver = { userId: row.DiscAuthBy, userName: row.DiscAuthByName || null, orders: 0 };
+          user.approvers.push(approver);
+        }
+        approver.orders++;
+      }
+      byUser.set(userKey, user);
+
+      return entry;
+    });
+
+    return {
+      from: from || null,
+      to: to || null,
+      totals,
+      byDay: Array.from(byDay.values()),
+      byUser: Array.from(byUser.values()),
+      orders,
+    };
+  } catch (error) {
+    console.error("Error in getDiscountReport:", error.message);
+    throw createAppError(`Error fetching discount report: ${error.message}`, 500);
+  }
+};
+
+module.exports = {
+  getUserLimit,
+  authoriseDiscount,
+  saveOrderDiscount,
+  getDiscountReport,
+};
@@ -0,0 +1,366 @@
+const sql = require("mssql");
+const { ensureConnection } = require("../utils/dbConnection");
+
+const EVENT_TYPES = {
+  ORDER_CREATED: "order.created",
+  ORDER_UPDATED: "order.updated",
+  ORDER_SETTLED: "order.settled",
+  ORDER_VOIDED: "order.voided",
+  SEAT_OCCUPIED: "seat.occupied",
+  SEAT_RELEASED: "seat.released",
+  TABLE_STATUS_CHANGED: "table.status_changed",
+  KOT_FIRED: "kot.fired",
+  KDS_UPDATED: "kds.updated",
+  ITEM_AVAILABILITY: "item.availability",
+};
+
+// Events are written to tblEvent so every backend sharing the database sees
+// them; each process polls for new rows and pushes them to its own terminals
+const REPLAY_BATCH = 200;
+
+const clients = new Set();
+let pollTimer = null;
+let polling = false;
+let lastPolledId = null;
+let lastPrunedAt = 0;
+
+const getPollInterval = () => parseInt(process.env.EVENT_POLL_MS) || 1000;
+const getRetentionHours = () => parseInt(process.env.EVENT_RETENTION_HOURS) || 24;
+
+const toSet = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const values = String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return values.length > 0 ? new Set(values) : null;
+};
+
+const matches = (client, event) =>
+  (!client.types || client.types.has(event.type)) &&
+  (!client.floors || (event.floor !== null && client.floors.has(String(event.floor)))) &&
+  (!client.counters || (event.counter !== null && client.counters.has(String(event.counter))));
+
+const send = (res, event) => {
+  res.write(
+    `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+      type: event.type,
+      floor: event.floor,
+      counter: event.counter,
+      at: event.at,
+      data: event.data,
+    })}\n\n`
+  );
+};
+
+const toEvent = (row) => ({
+  id: row.EventId,
+  type: row.EventType,
+  floor: row.Floor,
+  counter: row.Counter,
+  at: new Date(row.CreatedAt).toISOString(),
+  data: JSON.parse(row.Payload),
+});
+
+/**
+ * Reads the events after a given id, oldest first
+ * @param {Object} connectedPool - Connected pool
+ * @param {Number} sinceId - Last event id already seen
+ * @returns {Array} Events
+ */
+const readEvents = async (connectedPool, sinceId) => {
+  const result = await connectedPool
+    .request()
+    .input("SinceId", sql.Int, sinceId)
+    .input("Batch", sql.Int, REPLAY_BATCH).query(`
+      SELECT TOP (@Batch) EventId, EventType, Floor, Counter, Payload, CreatedAt
+      FROM tblEvent
+      WHERE EventId > @SinceId
+      ORDER BY EventId
+    `);
+
+  return result.recordset.map(toEvent);
+};
+
+/**
+ * Sends an event to one terminal unless it already has it
+ * @param {Object} client - Subscriber
+ * @param {Object} event - Event
+ */
+const deliver = (client, event) => {
+  if (event.id <= client.lastId) {
+    return;
+  }
+  client.lastId = event.id;
+
+  if (!matches(client, event)) {
+    return;
+  }
+
+  try {
+    send(client.res, event);
+  } catch (error) {
+    console.error("Event push failed:", error.message);
+    clients.delete(client);
+  }
+};
+
+/**
+ * Pushes events published since the last poll, by this or any other
+ * backend, to the connected terminals and drops events past
+ * EVENT_RETENTION_HOURS every few minutes
+ */
+const pollEvents = async () => {
+  if (polling) {
+    return;
+  }
+  polling = true;
+
+  try {
+    const connectedPool = await ensureConnection();
+
+    if (lastPolledId === null) {
+      const maxResult = await connectedPool
+        .request()
+        .query(`SELECT ISNULL(MAX(EventId), 0) AS LastId FROM tblEvent`);
+      lastPolledId = maxResult.recordset[0].LastId;
+    }
+
+    let events;
+    do {
+      events = await readEvents(connectedPool, lastPolledId);
+      for (const event of events) {
+        lastPolledId = event.id;
+        for (const client of clients) {
+          if (!client.replaying) {
+            deliver(client, event);
+          }
+        }
+      }
+    } while (events.length === REPLAY_BATCH);
+
+    if (Date.now() - lastPrunedAt > 10 * 60 * 1000) {
+      lastPrunedAt = Date.now();
+      await connectedPool
+        .request()
+        .input("Hours", sql.Int, getRetentionHours())
+        .query(`DELETE FROM tblEvent WHERE CreatedAt < DATEADD(HOUR, -@Hours, GETDATE())`);
+    }
+  } catch (error) {
+    console.error("Event poll failed:", error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Records an event in tblEvent for every subscribed terminal whose filters
+ * match. Called after commit, so failures are logged and never reach the caller.
+ * @param {String} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload
+ * @param {Object} topic - floor (tblTable.FloorNo) and counter (of the terminal the change came from)
+ * @returns {Object|null} The published event, null when it could not be stored
+ */
+const publishEvent = async (type, data, { floor = null, counter } = {}) => {
+  try {
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("EventType", sql.VarChar, type)
+      .input("Floor", sql.Int, floor ?? null)
+      .input("Counter", sql.VarChar, counter || process.env.COUNTER_NAME || "DefaultCounter")
+      .input("Payload", sql.NVarChar(sql.MAX), JSON.stringify(data ?? null)).query(`
+        INSERT INTO tblEvent (EventType, Floor, Counter, Payload)
+        OUTPUT INSERTED.EventId, INSERTED.EventType, INSERTED.Floor, INSERTED.Counter,
+          INSERTED.Payload, INSERTED.CreatedAt
+        VALUES (@EventType, @Floor, @Counter, @Payload)
+      `);
+
+    // Local terminals get it now rather than on the next poll
+    if (pollTimer) {
+      pollEvents();
+    }
+
+    return toEvent(result.recordset[0]);
+  } catch (error) {
+    console.error(`Error publishing ${type}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Registers an SSE response as a subscriber. Events after lastEventId that
+ * are still in tblEvent are replayed first.
+ * @param {Object} res - Express response already switched to text/event-stream
+ * @param {Object} filters - Comma separated floors, counters and types, plus lastEventId to replay from
+ * @returns {Function} Unsubscribe callback
+ */
+const subscribe = async (res, { floors, counters, types, lastEventId: since } = {}) => {
+  const sinceId = parseInt(since) || 0;
+  const client = {
+    res,
+    floors: toSet(floors),
+    counters: toSet(counters),
+    types: toSet(types),
+    lastId: sinceId,
+    replaying: sinceId > 0,
+  };
+
+  clients.add(client);
+  if (!pollTimer) {
+    pollTimer = setInterval(pollEvents, getPollInterval());
+  }
+
+  const unsubscribe = () => {
+    clients.delete(client);
+    if (clients.size === 0 && pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+      lastPolledId = null;
+    }
+  };
+
+  // Replays until the terminal has caught up with what the poller pushes
+  try {
+    const connectedPool = await ensureConnection();
+    while (client.replaying) {
+      const events = await readEvents(connectedPool, client.lastId);
+      events.forEach((event) => deliver(client, event));
+
+      if (
+        events.length === 0 ||
+        (events.length < REPLAY_BATCH &&
+          (lastPolledId === null || client.lastId >= lastPolledId))
+      ) {
+        client.replaying = false;
+      }
+    }
+  } catch (error) {
+    client.replaying = false;
+    console.error("Event replay failed:", error.message);
+  }
+
+  return unsubscribe;
+};
+
+/**
+ * Number of connected terminals
+ * @returns {Number} Subscriber count
+ */
+const getSubscriberCount = () => clients.size;
+
+/**
+ * Looks up the floor of a table for topic filtering
+ * @param {Number} tableId - Table id
+ * @returns {Number|null} FloorNo
+ */
+const getTableFloor = async (tableId) => {
+  if (!tableId) {
+    return null;
+  }
+
+  const connectedPool = await ensureConnection();
+  const result = await connectedPool
+    .request()
+    .input("TableId", sql.Int, tableId)
+    .query(`SELECT FloorNo FROM tblTable WHERE TableID = @TableId`);
+
+  return result.recordset[0]?.FloorNo ?? null;
+};
+
+/**
+ * Publishes an order event, tagged with the floor of its table. Called after
+ * commit, so failures are logged and never reach the caller.
+ * @param {String} type - One of EVENT_TYPES
+ * @param {Number} orderNo - Order number
+ * @param {Object} data - Extra payload
+ * @param {Number} tableId - Table of the order, if any
+ * @param {String} counter - Counter of the terminal that made the change, if known
+ */
+const publishOrderEvent = async (type, orderNo, data = {}, tableId = null, counter = null) => {
+  try {
+    const floor = await getTableFloor(tableId);
+    await publishEvent(type, { orderNo, tableId: tableId || null, ...data }, { floor, counter });
+  } catch (error) {
+    console.error(`Error publishing ${type}:`, error.message);
+  }
+};
+
+/**
+ * Publishes seat changes and the resulting table snapshot. Called after
+ * commit, so failures are logged and never reach the caller.
+ * @param {Number} tableId - Table id
+ * @param {Object} changes - orderNo, occupiedSeats and releasedSeats (seat ids), and the
+ *   counter of the terminal that made the change
+ */
+const publishTableEvents = async (
+  tableId,
+  { orderNo = null, occupiedSeats = [], releasedSeats = [], counter = null } = {}
+) => {
+  if (!tableId) {
+    return;
+  }
+
+  try {
+    const connectedPool = await ensureConnection();
+    const result = await connectedPool
+      .request()
+      .input("TableId", sql.Int, tableId).query(`
+        SELECT t.TableID, t.FloorNo, t.Code, t.Name, t.Status AS TableStatus,
+               s.SeatId, s.Seat AS SeatName, s.Status AS SeatStatus
+        FROM tblTable t
+        LEFT JOIN tblSeat s ON t.TableID = s.TableId
+        WHERE t.TableID = @TableId
+        ORDER BY s.SeatId
+      `);
+
+    if (result.recordset.length === 0) {
+      return;
+    }
+
+    const table = result.recordset[0];
+    const topic = { floor: table.FloorNo, counter };
+    const seats = result.recordset
+      .filter((row) => row.SeatId !== null)
+      .map((row) => ({ SeatId: row.SeatId, SeatName: row.SeatName, Status: row.SeatStatus }));
+
+    const tableSeatIds = new Set(seats.map((seat) => seat.SeatId));
+    const released = releasedSeats.map(Number).filter((id) => tableSeatIds.has(id));
+    const occupied = occupiedSeats.map(Number).filter((id) => tableSeatIds.has(id));
+
+    if (released.length > 0) {
+      await publishEvent(EVENT_TYPES.SEAT_RELEASED, { tableId, orderNo, seatIds: released }, topic);
+    }
+
+    if (occupied.length > 0) {
+      await publishEvent(EVENT_TYPES.SEAT_OCCUPIED, { tableId, orderNo, seatIds: occupied }, topic);
+    }
+
+    await publishEvent(
+      EVENT_TYPES.TABLE_STATUS_CHANGED,
+      {
+        TableID: table.TableID,
+        FloorNo: table.FloorNo,
+        Code: table.Code,
+        Name: table.Name,
+        Status: table.TableStatus,
+        seats,
+      },
+      topic
+    );
+  } catch (error) {
+    console.error("Error publishing table events:", error.message);
+  }
+};
+
+module.exports = {
+  EVENT_TYPES,
+  publishEvent,
+  publishOrderEvent,
+  publishTableEvents,
+  subscribe,
+  getSubscriberCount,
+};
@@ -0,0 +1,509 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+const { roundMoney } = require("../utils/money");
+const { normalizeSelections } = require("./modifier.services");
+const { isComboComponent, normalizeComponents } = require("./combo.services");
+
+// Whether tblTempOrder_M.OrderNo is an IDENTITY column, read once per process
+let heldNoIsIdentity = null;
+
+/**
+ * Inserts the held cart header and returns its number. tblTempOrder_M mirrors
+ * tblOrder_M; its OrderNo is used as the held number.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Object} cart - Normalised cart
+ * @param {Number} heldNo - Number to keep when re-holding a recalled cart
+ * @returns {Number} Held order number
+ */
+const insertHeldHeader = async (transaction, cart, heldNo) => {
+  if (heldNoIsIdentity === null) {
+    const result = await transaction.request().query(`
+      SELECT COLUMNPROPERTY(OBJECT_ID('dbo.tblTempOrder_M'), 'OrderNo', 'IsIdentity') AS IsIdentity
+    `);
+    heldNoIsIdentity = result.recordset[0].IsIdentity === 1;
+  }
+
+  const request = transaction
+    .request()
+    .input("EDate", sql.VarChar, cart.date)
+    .input("Time", sql.VarChar, cart.time)
+    .input("Options", sql.Int, cart.option)
+    .input("CustId", sql.Int, cart.custId)
+    .input("CustName", sql.VarChar, cart.custName)
+    .input("Flat", sql.VarChar, cart.flatNo)
+    .input("Address", sql.VarChar, cart.address)
+    .input("Contact", sql.VarChar, cart.contact)
+    .input("DelBoy", sql.Int, cart.deliveryBoyId)
+    .input("TableId", sql.Int, cart.tableId)
+    .input("TableNo", sql.VarChar, cart.tableNo)
+    .input("Remarks", sql.VarChar, cart.remarks)
+    .input("Total", sql.Decimal(18, 2), cart.total)
+    .input("Prefix", sql.VarChar, cart.prefix)
+    .input("HoldName", sql.VarChar, cart.holdName)
+    .input("HeldCounter", sql.VarChar, cart.counter)
+    .input("SeatIds", sql.VarChar, cart.selectedSeats.join(","))
+    .input("DiscType", sql.VarChar, cart.discount ? cart.discount.type : null)
+    .input("DiscValue", sql.Decimal(18, 2), cart.discount ? cart.discount.value : 0)
+    .input("DelArea", sql.VarChar, cart.deliveryArea)
+    .input("AddressId", sql.Int, cart.addressId)
+    .input("LoyaltyPoints", sql.Decimal(18, 2), cart.loyaltyPoints)
+    .input("Tips", sql.NVarChar, cart.tips.length ? JSON.stringify(cart.tips) : null);
+
+  const columns = `EDate, Time, Options, CustId, CustName, Flat, Address, Contact, DelBoy, TableId, TableNo, Remarks, Total, Prefix, HoldName, HeldCounter, SeatIds, DiscType, DiscValue, DelArea, AddressId, LoyaltyPoints, Tips, HeldAt`;
+  const values = `@EDate, @Time, @Options, @CustId, @CustName, @Flat, @Address, @Contact, @DelBoy, @TableId, @TableNo, @Remarks, @Total, @Prefix, @HoldName, @HeldCounter, @SeatIds, @DiscType, @DiscValue, @DelArea, @AddressId, @LoyaltyPoints, @Tips, GETDATE()`;
+
+  if (heldNoIsIdentity && !heldNo) {
+    const result = await request.query(`
+      INSERT INTO tblTempOrder_M (${columns})
+      OUTPUT INSERTED.OrderNo
+      VALUES (${values})
+    `);
+    return result.recordset[0].OrderNo;
+  }
+
+  if (!heldNo) {
+    const nextResult = await transaction.request().query(`
+      SELECT ISNULL(MAX(OrderNo), 0) + 1 AS NextNo
+      FROM tblTempOrder_M WITH (UPDLOCK, HOLDLOCK)
+    `);
+    heldNo = nextResult.recordset[0].NextNo;
+  }
+
+  const insertQuery = `
+    INSERT INTO tblTempOrder_M (OrderNo, ${columns})
+    VALUES (@OrderNo, ${values})
+  `;
+
+  await request.input("OrderNo", sql.Int, heldNo).query(
+    heldNoIsIdentity
+      ? `SET IDENTITY_INSERT dbo.tblTempOrder_M ON;
+         BEGIN TRY
+           ${insertQuery};
+           SET IDENTITY_INSERT dbo.tblTempOrder_M OFF;
+         END TRY
+         BEGIN CATCH
+           SET IDENTITY_INSERT dbo.tblTempOrder_M OFF;
+           DECLARE @InsertError NVARCHAR(4000);
+           SET @InsertError = ERROR_MESSAGE();
+           RAISERROR(@InsertError, 16, 1);
+         END CATCH`
+      : insertQuery
+  );
+
+  return heldNo;
+};
+
+/**
+ * Modifiers selected on a held line, with modifier lines sent back flat
+ * (parentSlNo + modifierId) folded into their parent
+ * @param {Object} item - Parent line
+ * @param {Array} items - All lines of the cart
+ * @returns {Array} { modifierId, qty } per selection
+ */
+const heldModifiers = (item, items) => {
+  if (Array.isArray(item.modifiers)) {
+    return normalizeSelections(item.modifiers);
+  }
+
+  const parentQty = parseFloat(item.qty) || 0;
+  return items
+    .filter((child) => parseInt(child.parentSlNo) === parseInt(item.slNo))
+    .map((child) => ({
+      modifierId: parseInt(child.modifierId) || 0,
+      qty: parentQty ? roundMoney((parseFloat(child.qty) || 0) / parentQty) : 1,
+    }));
+};
+
+/**
+ * Components chosen on a held combo line, with component lines sent back
+ * flat (comboSlNo + comboSlotId) folded into their combo
+ * @param {Object} item - Combo line
+ * @param {Array} items - All lines of the cart
+ * @returns {Array} { slotId, itemCode, notes } per component
+ */
+const heldComponents = (item, items) => {
+  if (Array.isArray(item.components)) {
+    return normalizeComponents(item.components);
+  }
+
+  return normalizeComponents(
+    items
+      .filter(
+        (component) =>
+          isComboComponent(component) &&
+          parseInt(component.comboSlNo) === parseInt(item.slNo)
+      )
+      .map((component) => ({ ...component, slotId: component.comboSlotId }))
+  );
+};
+
+/**
+ * A line or order discount as held; it is validated when the cart is saved
+ * @param {Object} discount - { type, value } from the payload
+ * @returns {Object|null} Discount, null when there is none
+ */
+const heldDiscount = (discount) => {
+  const value = roundMoney(parseFloat(discount?.value) || 0);
+  return value ? { type: String(discount.type || "").toUpperCase(), value } : null;
+};
+
+/**
+ * Discount stored as DiscType / DiscValue, in the payload shape
+ * @param {Object} row - tblTempOrder_M or tblTempOrder_D row
+ * @returns {Object|null} { type, value }, null when there is none
+ */
+const storedDiscount = (row) =>
+  row.DiscType && row.DiscValue ? { type: row.DiscType, value: roundMoney(row.DiscValue) } : null;
+
+/**
+ * Validates a cart sent in the /api/orders payload shape
+ * @param {Object} payload - Cart from the terminal
+ * @returns {Object} Normalised cart
+ */
+const normalizeCart = (payload = {}) => {
+  const allItems = Array.isArray(payload.items) ? payload.items : [];
+  const items = allItems.filter(
+    (item) => !(parseInt(item.parentSlNo) > 0) && !isComboComponent(item)
+  );
+
+  if (items.length === 0) {
+    throw createAppError("Cannot hold an empty order", 400);
+  }
+
+  const option = parseInt(payload.option) || 0;
+  if (![1, 2, 3].includes(option)) {
+    throw createAppError("Select an order type (Delivery, DineIn, or TakeAway).", 400);
+  }
+
+  const now = new Date();
+
+  return {
+    date: payload.date || now.toISOString().slice(0, 10),
+    time: payload.time || now.toTimeString().slice(0, 8),
+    option,
+    custId: parseInt(payload.custId) || 0,
+    custName: payload.custName || "",
+    flatNo: payload.flatNo || "",
+    address: payload.address || "",
+    contact: payload.contact || "",
+    deliveryBoyId: parseInt(payload.deliveryBoyId) || 0,
+    tableId: parseInt(payload.tableId) || 0,
+    tableNo: payload.tableNo || "",
+    remarks: payload.remarks || "",
+    total: roundMoney(payload.total),
+    prefix: payload.prefix || "",
+    holdName: payload.holdName || "",
+    counter: payload.counter || process.env.COUNTER_NAME || "DefaultCounter",
+    selectedSeats: (Array.isArray(payload.selectedSeats) ? payload.selectedSeats : [])
+      .map((seatId) => parseInt(seatId))
+      .filter((seatId) => seatId > 0),
+    discount: heldDiscount(payload.discount),
+    deliveryArea: payload.deliveryArea || null,
+    addressId: parseInt(payload.addressId) || null,
+    loyaltyPoints: roundMoney(parseFloat(payload.loyaltyPoints) || 0),
+    tips: Array.isArray(payload.tips) ? payload.tips : [],
+    items: items.map((item, index) => ({
+      slNo: parseInt(item.slNo) || index + 1,
+      itemCode: parseInt(item.itemCode) || 0,
+      itemName: item.itemName || "",
+      qty: parseFloat(item.qty) || 0,
+      rate: parseFloat(item.rate) || 0,
+      amount: parseFloat(item.amount) || 0,
+      cost: parseFloat(item.cost) || 0,
+      vat: parseFloat(item.vat) || 0,
+      vatAmt: parseFloat(item.vatAmt) || 0,
+      taxLedger: parseInt(item.taxLedger) || 0,
+      arabic: item.arabic || "",
+      notes: item.notes || "",
+      discount: heldDiscount(item.discount),
+      modifiers: heldModifiers(item, allItems),
+      components: heldComponents(item, allItems),
+    })),
+  };
+};
+
+/**
+ * Parks a cart in tblTempOrder_M / tblTempOrder_D, with its discounts,
+ * delivery area, redeemed points and tips. Sending holdedOrder re-holds a
+ * recalled cart under its existing number; like recalling, a cart open on
+ * another counter needs force.
+ * @param {Object} payload - Cart in the /api/orders payload shape, plus holdName and force
+ * @returns {Object} Held order summary
+ */
+const holdOrder = async (payload) => {
+  let transaction;
+
+  try {
+    const cart = normalizeCart(payload);
+    const existingNo = parseInt(payload.holdedOrder) || 0;
+
+    const connectedPool = await ensureConnection();
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    if (existingNo) {
+      const existing = await transaction
+        .request()
+        .input("OrderNo", sql.Int, existingNo).query(`
+          SELECT OrderNo, RecalledBy FROM tblTempOrder_M WITH (UPDLOCK, ROWLOCK) WHERE OrderNo = @OrderNo
+        `);
+
+      if (existing.recordset.length === 0) {
+        throw createAppError(`Held order ${existingNo} not found`, 404);
+      }
+
+      const recalledBy = existing.recordset[0].RecalledBy;
+      if (recalledBy && recalledBy !== cart.counter && payload.force !== true) {
+        throw createAppError(
+          `Held order ${existingNo} is already open on ${recalledBy}`,
+          409
+        );
+      }
+
+      await transaction.request().input("OrderNo", sql.Int, existingNo).query(`
+        DELETE FROM tblTempOrder_D WHERE OrderNo = @OrderNo;
+        DELETE FROM tblTempOrder_M WHERE OrderNo = @OrderNo;
+      `);
+    }
+
+    const heldNo = await insertHeldHeader(transaction, cart, existingNo);
+
+    for (const item of cart.items) {
+      await transaction
+        .request()
+        .input("OrderNo", sql.Int, heldNo)
+        .input("SlNo", sql.Int, item.slNo)
+        .input("ItemCode", sql.Int, item.itemCode)
+        .input("ItemName", sql.VarChar, item.itemName)
+        .input("Qty", sql.Decimal(18, 2), item.qty)
+        .input("Rate", sql.Decimal(18, 2), item.rate)
+        .input("Amount", sql.Decimal(18, 2), item.amount)
+        .input("Cost", sql.Decimal(18, 2), item.cost)
+        .input("Vat", sql.Decimal(18, 2), item.vat)
+        .input("VatAmt", sql.Decimal(18, 2), item.vatAmt)
+        .input("TaxLedger", sql.Int, item.taxLedger)
+        .input("Arabic", sql.NVarChar, item.arabic)
+        .input("Notes", sql.VarChar, item.notes)
+        .input("DiscType", sql.VarChar, item.discount ? item.discount.type : null)
+        .input("DiscValue", sql.Decimal(18, 2), item.discount ? item.discount.value : 0)
+        .input("Modifiers", sql.VarChar, item.modifiers.length ? JSON.stringify(item.modifiers) : null)
+        .input("Components", sql.VarChar, item.components.length ? JSON.stringify(item.components) : null).query(`
+          INSERT INTO tblTempOrder_D (OrderNo, SlNo, ItemCode, ItemName, Qty, Rate, Amount, Cost, Vat, VatAmt, TaxLedger, Arabic, Notes, DiscType, DiscValue, Modifiers, Components)
+          VALUES (@OrderNo, @SlNo, @ItemCode, @ItemName, @Qty, @Rate, @Amount, @Cost, @Vat, @VatAmt, @TaxLedger, @Arabic, @Notes, @DiscType, @DiscValue, @Modifiers, @Components)
+        `);
+    }
+
+    await transaction.commit();
+
+    return {
+      heldNo,
+      holdName: cart.holdName,
+      option: cart.option,
+      custName: cart.custName,
+      tableNo: cart.tableNo,
+      total: cart.total,
+      itemCount: cart.items.length,
+      counter: cart.counter,
+    };
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in holdOrder:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error holding order: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Lists held orders, oldest first
+ * @returns {Array} Held order summaries
+ */
+const getHeldOrders = async () => {
+  try {
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool.request().query(`
+      SELECT
+        tm.OrderNo, tm.HoldName, tm.Options, tm.CustName, tm.Contact, tm.TableNo,
+        tm.Total, tm.HeldCounter, tm.HeldAt, tm.RecalledBy, tm.RecalledAt,
+        (SELECT COUNT(*) FROM tblTempOrder_D td WHERE td.OrderNo = tm.OrderNo) AS ItemCount
+      FROM tblTempOrder_M tm
+      ORDER BY tm.HeldAt, tm.OrderNo
+    `);
+
+    return result.recordset.map((row) => ({
+      heldNo: row.OrderNo,
+      holdName: row.HoldName || "",
+      option: row.Options,
+      custName: row.CustName,
+      contact: row.Contact,
+      tableNo: row.TableNo,
+      total: roundMoney(row.Total),
+      itemCount: row.ItemCount,
+      counter: row.HeldCounter,
+      heldAt: row.HeldAt,
+      recalledBy: row.RecalledBy || null,
+      recalledAt: row.RecalledAt || null,
+    }));
+  } catch (error) {
+    console.error("Error in getHeldOrders:", error.message);
+    throw createAppError(`Error fetching held orders: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Recalls a held order onto a terminal. The cart comes back in the
+ * /api/orders payload shape with holdedOrder set, so saving it removes the
+ * held copy. A cart already recalled elsewhere needs force to take over.
+ * @param {Number} heldNo - Held order number
+ * @param {Object} options - counter recalling and force
+ * @returns {Object} Cart payload
+ */
+const recallHeldOrder = async (heldNo, { counter, force = false } = {}) => {
+  let transaction;
+
+  try {
+    heldNo = parseInt(heldNo) || 0;
+    counter = counter || process.env.COUNTER_NAME || "DefaultCounter";
+
+    const connectedPool = await ensureConnection();
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const headerResult = await transaction
+      .request()
+      .input("OrderNo", sql.Int, heldNo).query(`
+        SELECT * FROM tblTempOrder_M WITH (UPDLOCK, ROWLOCK) WHERE OrderNo = @OrderNo
+      `);
+
+    if (headerResult.recordset.length === 0) {
+      throw createAppError(`Held order ${heldNo} not found`, 404);
+    }
+
+    const header = headerResult.recordset[0];
+
+    if (header.RecalledBy && header.RecalledBy !== counter && !force) {
+      throw createAppError(
+        `Held order ${heldNo} is already open on ${header.RecalledBy}`,
+        409
+      );
+    }
+
+    await transaction
+      .request()
+      .input("OrderNo", sql.Int, heldNo)
+      .input("RecalledBy", sql.VarChar, counter).query(`
+        UPDATE tblTempOrder_M SET RecalledBy = @RecalledBy, RecalledAt = GETDATE()
+        WHERE OrderNo = @OrderNo
+      `);
+
+    const linesResult = await transaction
+      .request()
+      .input("OrderNo", sql.Int, heldNo)
+      .query(`SELECT * FROM tblTempOrder_D WHERE OrderNo = @OrderNo ORDER BY SlNo`);
+
+    await transaction.commit();
+
+    return {
+      holdedOrder: heldNo,
+      holdName: header.HoldName || "",
+      option: header.Options,
+      custId: header.CustId,
+      custName: header.CustName,
+      flatNo: header.Flat,
+      address: header.Address,
+      contact: header.Contact,
+      deliveryBoyId: header.DelBoy,
+      tableId: header.TableId,
+      tableNo: header.TableNo,
+      remarks: header.Remarks,
+      total: roundMoney(header.Total),
+      prefix: header.Prefix,
+      selectedSeats: String(header.SeatIds || "")
+        .split(",")
+        .map((seatId) => parseInt(seatId))
+        .filter((seatId) => seatId > 0),
+      discount: storedDiscount(header),
+      deliveryArea: header.DelArea || null,
+      addressId: header.AddressId || null,
+      loyaltyPoints: roundMoney(header.LoyaltyPoints),
+      tips: header.Tips ? JSON.parse(header.Tips) : [],
+      items: linesResult.recordset.map((line) => ({
+        slNo: line.SlNo,
+        itemCode: line.ItemCode,
+        itemName: line.ItemName,
+        qty: line.Qty,
+        rate: line.Rate,
+        amount: line.Amount,
+        cost: line.Cost,
+        vat: line.Vat,
+        vatAmt: line.VatAmt,
+        taxLedger: line.TaxLedger,
+        arabic: line.Arabic,
+        notes: line.Notes,
+        discount: storedDiscount(line),
+        modifiers: line.Modifiers ? JSON.parse(line.Modifiers) : [],
+        components: line.Components ? JSON.parse(line.Components) : [],
+      })),
+    };
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in recallHeldOrder:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error recalling held order: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Discards a held order
+ * @param {Number} heldNo - Held order number
+ * @returns {Object} Discarded held number
+ */
+const discardHeldOrder = async (heldNo) => {
+  try {
+    heldNo = parseInt(heldNo) || 0;
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("OrderNo", sql.Int, heldNo).query(`
+        DELETE FROM tblTempOrder_D WHERE OrderNo = @OrderNo;
+        DELETE FROM tblTempOrder_M WHERE OrderNo = @OrderNo;
+      `);
+
+    if (result.rowsAffected[1] === 0) {
+      throw createAppError(`Held order ${heldNo} not found`, 404);
+    }
+
+    return { heldNo };
+  } catch (error) {
+    console.error("Error in discardHeldOrder:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error discarding held order: ${error.message}`, 500);
+  }
+};
+
+module.exports = {
+  holdOrder,
+  getHeldOrders,
+  recallHeldOrder,
+  discardHeldOrder,
+};
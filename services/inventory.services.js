@@ -0,0 +1,522 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+
+const MOVEMENT_TYPES = ["SALE", "VOID", "RECEIVE", "WASTE", "COUNT"];
+
+// Movements entered by hand; SALE and VOID come from orders
+const MANUAL_MOVEMENT_TYPES = ["RECEIVE", "WASTE", "COUNT"];
+
+/**
+ * Rounds a stock quantity to the 3 decimals tblStockItem keeps
+ * @param {Number} value - Quantity
+ * @returns {Number} Rounded quantity
+ */
+const roundQty = (value) =>
+  Math.round(((parseFloat(value) || 0) + Number.EPSILON) * 1000) / 1000;
+
+/**
+ * Works out the ingredients consumed by order lines from their recipes.
+ * Modifier lines carry their parent's ItemCode and are left out.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Array} lines - { itemCode, qty, modifierId }
+ * @returns {Map} StockItemId -> qty consumed
+ */
+const recipeConsumption = async (transaction, lines) => {
+  const qtyByItem = new Map();
+  for (const line of lines) {
+    if (parseInt(line.modifierId) > 0) continue;
+    const itemId = parseInt(line.itemCode) || 0;
+    qtyByItem.set(itemId, (qtyByItem.get(itemId) || 0) + (parseFloat(line.qty) || 0));
+  }
+
+  const consumption = new Map();
+  if (qtyByItem.size === 0) {
+    return consumption;
+  }
+
+  const request = transaction.request();
+  const placeholders = [...qtyByItem.keys()].map((itemId, index) => {
+    request.input(`itemId${index}`, sql.Int, itemId);
+    return `@itemId${index}`;
+  });
+  const recipeResult = await request.query(`
+    SELECT ItemId, StockItemId, Qty FROM tblRecipe
+    WHERE ItemId IN (${placeholders.join(", ")})
+  `);
+
+  for (const row of recipeResult.recordset) {
+    const used = roundQty(qtyByItem.get(row.ItemId) * row.Qty);
+    consumption.set(row.StockItemId, roundQty((consumption.get(row.StockItemId) || 0) + used));
+  }
+
+  return consumption;
+};
+
+/**
+ * Books stock movements: updates OnHand and writes the ledger row with the
+ * resulting balance. Stock may go negative, sales are never blocked by it.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Array} movements - { stockItemId, type, qty (signed), orderNo, note, userId }
+ * @returns {Array} Booked movements with name, balanceAfter and lowStock
+ */
+const bookMovements = async (transaction, movements) => {
+  const booked = [];
+
+  for (const movement of movements) {
+    if (movement.qty === 0) continue;
+
+    const stockResult = await transaction
+      .request()
+      .input("StockItemId", sql.Int, movement.stockItemId)
+      .input("Qty", sql.Decimal(18, 3), movement.qty).query(`
+        UPDATE tblStockItem SET OnHand = OnHand + @Qty
+        OUTPUT INSERTED.Name, INSERTED.Unit, INSERTED.OnHand, INSERTED.ReorderLevel
+        WHERE StockItemId = @StockItemId
+      `);
+
+    if (stockResult.recordset.length === 0) {
+      throw createAppError(`Stock item ${movement.stockItemId} not found`, 404);
+    }
+
+    const stock = stockResult.recordset[0];
+    const movementResult = await transaction
+      .request()
+      .input("StockItemId", sql.Int, movement.stockItemId)
+      .input("MovementType", sql.VarChar, movement.type)
+      .input("Qty", sql.Decimal(18, 3), movement.qty)
+      .input("BalanceAfter", sql.Decimal(18, 3), stock.OnHand)
+      .input("OrderNo", sql.Int, movement.orderNo || null)
+      .input("Note", sql.VarChar, movement.note || null)
+      .input("UserId", sql.Int, movement.userId || null).query(`
+        INSERT INTO tblStockMovement (StockItemId, MovementType, Qty, BalanceAfter, OrderNo, Note, UserId)
+        OUTPUT INSERTED.MovementId
+        VALUES (@StockItemId, @MovementType, @Qty, @BalanceAfter, @OrderNo, @Note, @UserId)
+      `);
+
+    booked.push({
+      movementId: movementResult.recordset[0].MovementId,
+      stockItemId: movement.stockItemId,
+      name: stock.Name,
+      unit: stock.Unit,
+      type: movement.type,
+      qty: roundQty(movement.qty),
+      balanceAfter: roundQty(stock.OnHand),
+      lowStock: stock.ReorderLevel !== null && stock.OnHand <= stock.ReorderLevel,
+    });
+  }
+
+  return booked;
+};
+
+/**
+ * Takes the ingredients of a settled order off stock. Runs inside the
+ * settlement transaction; an order is only deducted once.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order being settled
+ * @param {Number} userId - User settling the order
+ * @returns {Array} Booked SALE movements
+ */
+const deductOrderStock = async (transaction, orderNo, userId = null) => {
+  const existing = await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo).query(`
+      SELECT COUNT(*) AS Movements FROM tblStockMovement
+      WHERE OrderNo = @OrderNo AND MovementType = 'SALE'
+    `);
+
+  if (existing.recordset[0].Movements > 0) {
+    return [];
+  }
+
+  const linesResult = await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo).query(`
+      SELECT ItemCode, Qty, ModifierId FROM tblOrder_D WHERE OrderNo = @OrderNo AND Voided = 0
+    `);
+
+  const consumption = await recipeConsumption(
+    transaction,
+    linesResult.recordset.map((row) => ({
+      itemCode: row.ItemCode,
+      qty: row.Qty,
+      modifierId: row.ModifierId,
+    }))
+  );
+
+  return bookMovements(
+    transaction,
+    [...consumption].map(([stockItemId, qty]) => ({
+      stockItemId,
+      type: "SALE",
+      qty: -qty,
+      orderNo,
+      userId,
+    }))
+  );
+};
+
+/**
+ * Puts back the stock a settled order took when it is refunded
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order being refunded
+ * @param {Object} context - userId and note of the refund
+ * @returns {Array} Booked VOID movements
+ */
+const reverseOrderStock = async (transaction, orderNo, { userId, note } = {}) => {
+  const takenResult = await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo).query(`
+      SELECT StockItemId, -SUM(Qty) AS Taken
+      FROM tblStockMovement
+      WHERE OrderNo = @OrderNo AND MovementType IN ('SALE', 'VOID')
+      GROUP BY StockItemId
+      HAVING -SUM(Qty) > 0
+    `);
+
+  return bookMovements(
+    transaction,
+    takenResult.recordset.map((row) => ({
+      stockItemId: row.StockItemId,
+      type: "VOID",
+      qty: roundQty(row.Taken),
+      orderNo,
+      note,
+      userId,
+    }))
+  );
+};
+
+/**
+ * Lists stock items with their level and whether they are at or below
+ * their reorder level
+ * @param {Object} options - lowOnly for the low-stock alert list, includeInactive
+ * @returns {Array} tblStockItem rows with LowStock
+ */
+const getStockLevels = async ({ lowOnly, includeInactive } = {}) => {
+  try {
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("LowOnly", sql.Bit, lowOnly ? 1 : 0)
+      .input("IncludeInactive", sql.Bit, includeInactive ? 1 : 0).query(`
+        SELECT StockItemId, Name, Unit, OnHand, ReorderLevel, Active,
+               CASE WHEN ReorderLevel IS NOT NULL AND OnHand <= ReorderLevel THEN 1 ELSE 0 END AS LowStock
+        FROM tblStockItem
+        WHERE (Active = 1 OR @IncludeInactive = 1)
+          AND (@LowOnly = 0 OR (ReorderLevel IS NOT NULL AND OnHand <= ReorderLevel))
+        ORDER BY Name
+      `);
+
+    return result.recordset.map((row) => ({
+      ...row,
+      OnHand: roundQty(row.OnHand),
+      LowStock: Boolean(row.LowStock),
+      Shortfall:
+        row.ReorderLevel !== null && row.OnHand <= row.ReorderLevel
+          ? roundQty(row.ReorderLevel - row.OnHand)
+          : 0,
+    }));
+  } catch (error) {
+    console.error("Error in getStockLevels:", error.message);
+    throw createAppError(`Error fetching stock levels: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Stock ledger, newest first
+ * @param {Object} options - stockItemId, orderNo, type, from / to (dates, inclusive) and limit (default 500)
+ * @returns {Array} tblStockMovement rows with the stock item name
+ */
+const getStockMovements = async ({ stockItemId, orderNo, type, from, to, limit } = {}) => {
+  try {
+    const movementType = type ? String(type).toUpperCase() : null;
+    if (movementType && !MOVEMENT_TYPES.includes(movementType)) {
+      throw createAppError(`Movement type must be one of ${MOVEMENT_TYPES.join(", ")}`, 400);
+    }
+
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("Limit", sql.Int, Math.min(parseInt(limit) || 500, 5000))
+      .input("StockItemId", sql.Int, parseInt(stockItemId) || null)
+      .input("OrderNo", sql.Int, parseInt(orderNo) || null)
+      .input("MovementType", sql.VarChar, movementType)
+      .input("From", sql.Date, from || null)
+      .input("To", sql.Date, to || null).query(`
+        SELECT TOP (@Limit)
+          m.MovementId, m.StockItemId, s.Name, s.Unit, m.MovementType, m.Qty,
+          m.BalanceAfter, m.OrderNo, m.Note, m.UserId, m.CreatedAt
+        FROM tblStockMovement m
+        JOIN tblStockItem s ON s.StockItemId = m.StockItemId
+        WHERE (@StockItemId IS NULL OR m.StockItemId = @StockItemId)
+          AND (@OrderNo IS NULL OR m.OrderNo = @OrderNo)
+          AND (@MovementType IS NULL OR m.MovementType = @MovementType)
+          AND (@From IS NULL OR m.CreatedAt >= @From)
+          AND (@To IS NULL OR m.CreatedAt < DATEADD(DAY, 1, @To))
+        ORDER BY m.MovementId DESC
+      `);
+
+    return result.recordset;
+  } catch (error) {
+    console.error("Error in getStockMovements:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error fetching stock movements: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Creates a stock item, or updates it when stockItemId is given. The level
+ * itself only changes through movements.
+ * @param {Object} item - name, unit, reorderLevel and active
+ * @param {Number} stockItemId - Stock item to update
+ * @returns {Object} Saved tblStockItem row
+ */
+const saveStockItem = async (item = {}, stockItemId = null) => {
+  try {
+    if (!item.name) {
+      throw createAppError("Stock item name is required", 400);
+    }
+
+    const reorderLevel =
+      item.reorderLevel === undefined || item.reorderLevel === null || item.reorderLevel === ""
+        ? null
+        : roundQty(item.reorderLevel);
+
+    if (reorderLevel !== null && reorderLevel < 0) {
+      throw createAppError("Reorder level cannot be negative", 400);
+    }
+
+    const connectedPool = await ensureConnection();
+
+    const request = connectedPool
+      .request()
+      .input("StockItemId", sql.Int, parseInt(stockItemId) || null)
+      .input("Name", sql.VarChar, String(item.name))
+      .input("Unit", sql.VarChar, item.unit || "pcs")
+      .input("ReorderLevel", sql.Decimal(18, 3), reorderLevel)
+      .input("Active", sql.Bit, item.active === undefined || item.active ? 1 : 0);
+
+    const result = stockItemId
+      ? await request.query(`
+          UPDATE tblStockItem
+          SET Name = @Name, Unit = @Unit, ReorderLevel = @ReorderLevel, Active = @Active
+          OUTPUT INSERTED.*
+          WHERE StockItemId = @StockItemId
+        `)
+      : await request.query(`
+          INSERT INTO tblStockItem (Name, Unit, OnHand, ReorderLevel, Active)
+          OUTPUT INSERTED.*
+          VALUES (@Name, @Unit, 0, @ReorderLevel, @Active)
+        `);
+
+    if (result.recordset.length === 0) {
+      throw createAppError(`Stock item ${stockItemId} not found`, 404);
+    }
+
+    return result.recordset[0];
+  } catch (error) {
+    console.error("Error in saveStockItem:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error saving stock item: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Records a delivery (RECEIVE), wastage (WASTE) or stock count (COUNT, qty
+ * is the counted level) against a stock item
+ * @param {Number} stockItemId - Stock item
+ * @param {Object} movement - type, qty, note and userId
+ * @returns {Object} Booked movement
+ */
+const adjustStock = async (stockItemId, { type, qty, note, userId } = {}) => {
+  let transaction;
+
+  try {
+    stockItemId = parseInt(stockItemId) || 0;
+    type = String(type || "").toUpperCase();
+    qty = roundQty(qty);
+
+    if (!stockItemId) {
+      throw createAppError("Stock item id is required", 400);
+    }
+
+    if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+      throw createAppError(`Movement type must be one of ${MANUAL_MOVEMENT_TYPES.join(", ")}`, 400);
+    }
+
+    if (qty < 0 || (qty === 0 && type !== "COUNT")) {
+      throw createAppError(`Invalid quantity ${qty}`, 400);
+    }
+
+    const connectedPool = await ensureConnection();
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const stockResult = await transaction
+      .request()
+      .input("StockItemId", sql.Int, stockItemId).query(`
+        SELECT OnHand FROM tblStockItem WITH (UPDLOCK, ROWLOCK) WHERE StockItemId = @StockItemId
+      `);
+
+    if (stockResult.recordset.length === 0) {
+      throw createAppError(`Stock item ${stockItemId} not found`, 404);
+    }
+
+    const change =
+      type === "RECEIVE"
+        ? qty
+        : type === "WASTE"
+          ? -qty
+          : roundQty(qty - stockResult.recordset[0].OnHand);
+
+    if (change === 0) {
+      throw createAppError(`Stock item ${stockItemId} is already at ${qty}`, 400);
+    }
+
+    const [movement] = await bookMovements(transaction, [
+      { stockItemId, type, qty: change, note, userId: parseInt(userId) || null },
+    ]);
+
+    await transaction.commit();
+
+    return movement;
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in adjustStock:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error adjusting stock: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Lists the ingredients of an item's recipe
+ * @param {Number} itemId - tblItemMaster.ItemId
+ * @returns {Array} StockItemId, Name, Unit and Qty per portion
+ */
+const getRecipe = async (itemId) => {
+  try {
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("ItemId", sql.Int, parseInt(itemId) || 0).query(`
+        SELECT r.StockItemId, s.Name, s.Unit, r.Qty
+        FROM tblRecipe r
+        JOIN tblStockItem s ON s.StockItemId = r.StockItemId
+        WHERE r.ItemId = @ItemId
+        ORDER BY s.Name
+      `);
+
+    return result.recordset;
+  } catch (error) {
+    console.error("Error in getRecipe:", error.message);
+    throw createAppError(`Error fetching recipe: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Replaces the recipe of an item. An empty list removes the recipe.
+ * @param {Number} itemId - tblItemMaster.ItemId
+ * @param {Array} ingredients - { stockItemId, qty } used per portion
+ * @returns {Array} Saved recipe
+ */
+const setRecipe = async (itemId, ingredients) => {
+  let transaction;
+
+  try {
+    itemId = parseInt(itemId) || 0;
+    ingredients = (Array.isArray(ingredients) ? ingredients : []).map((ingredient) => ({
+      stockItemId: parseInt(ingredient.stockItemId) || 0,
+      qty: roundQty(ingredient.qty),
+    }));
+
+    if (!itemId) {
+      throw createAppError("Item id is required", 400);
+    }
+
+    if (ingredients.some((ingredient) => !ingredient.stockItemId || ingredient.qty <= 0)) {
+      throw createAppError("Every ingredient needs a stock item and a quantity above 0", 400);
+    }
+
+    if (new Set(ingredients.map((ingredient) => ingredient.stockItemId)).size !== ingredients.length) {
+      throw createAppError("A stock item can only appear once in a recipe", 400);
+    }
+
+    const connectedPool = await ensureConnection();
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const itemResult = await transaction
+      .request()
+      .input("ItemId", sql.Int, itemId)
+      .query(`SELECT ItemId FROM tblItemMaster WHERE ItemId = @ItemId`);
+
+    if (itemResult.recordset.length === 0) {
+      throw createAppError(`Item ${itemId} not found`, 404);
+    }
+
+    await transaction
+      .request()
+      .input("ItemId", sql.Int, itemId)
+      .query(`DELETE FROM tblRecipe WHERE ItemId = @ItemId`);
+
+    for (const ingredient of ingredients) {
+      const saved = await transaction
+        .request()
+        .input("ItemId", sql.Int, itemId)
+        .input("StockItemId", sql.Int, ingredient.stockItemId)
+        .input("Qty", sql.Decimal(18, 3), ingredient.qty).query(`
+          INSERT INTO tblRecipe (ItemId, StockItemId, Qty)
+          SELECT @ItemId, StockItemId, @Qty FROM tblStockItem WHERE StockItemId = @StockItemId
+        `);
+
+      if (saved.rowsAffected[0] === 0) {
+        throw createAppError(`Stock item ${ingredient.stockItemId} not found`, 404);
+      }
+    }
+
+    await transaction.commit();
+
+    return getRecipe(itemId);
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in setRecipe:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error saving recipe: ${error.message}`, 500);
+  }
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  deductOrderStock,
+  reverseOrderStock,
+  getStockLevels,
+  getStockMovements,
+  saveStockItem,
+  adjustStock,
+  getRecipe,
+  setRecipe,
+};
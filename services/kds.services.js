@@ -0,0 +1,380 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+const { EVENT_TYPES, publishEvent } = require("./events.services");
+
+const KDS_STATES = ["QUEUED", "PREPARING", "READY", "SERVED"];
+
+const ORDER_TYPE_NAMES = {
+  1: "Delivery",
+  2: "Dine-In",
+  3: "Takeaway",
+};
+
+// Station of lines fired before stations were stored on tblKot_D
+const STATION_SQL = `ISNULL(kd.Station, ISNULL(NULLIF(im.PrinteName, ''), @DefaultStation))`;
+
+/**
+ * Reads KOT lines for the display. Only sequenced tickets are shown;
+ * KotSeq 0 rows are bookkeeping and never reach the kitchen.
+ * @param {Object} connectedPool - Connected pool
+ * @param {Object} filters - station, orderNo, kotSeq, includeClosed
+ * @returns {Array} Raw rows
+ */
+const fetchKdsLines = async (connectedPool, { station, orderNo, kotSeq, includeClosed }) => {
+  const conditions = ["kd.KotSeq > 0"];
+  const request = connectedPool
+    .request()
+    .input("DefaultStation", sql.VarChar, process.env.KOT_PRINTER || "KitchenPrinter");
+
+  if (station) {
+    conditions.push(`${STATION_SQL} = @Station`);
+    request.input("Station", sql.VarChar, station);
+  }
+
+  if (orderNo) {
+    conditions.push("kd.OrderNo = @OrderNo");
+    request.input("OrderNo", sql.Int, orderNo);
+  }
+
+  if (kotSeq) {
+    conditions.push("kd.KotSeq = @KotSeq");
+    request.input("KotSeq", sql.Int, kotSeq);
+  }
+
+  if (!includeClosed) {
+    // A ticket stays open while any of its station lines is neither bumped nor served
+    conditions.push(`EXISTS (
+      SELECT 1 FROM tblKot_D op
+      LEFT JOIN tblItemMaster oim ON op.ItemCode = oim.ItemId
+      WHERE op.OrderNo = kd.OrderNo AND op.KotSeq = kd.KotSeq
+        AND op.BumpedAt IS NULL AND op.KdsStatus <> 'SERVED'
+        AND ISNULL(op.Station, ISNULL(NULLIF(oim.PrinteName, ''), @DefaultStation)) = ${STATION_SQL}
+    )`);
+  }
+
+  const result = await request.query(`
+    SELECT
+      kd.OrderNo, kd.KotSeq, kd.SlNo, kd.ItemCode, kd.ItemName, kd.Arabic, kd.Notes,
+      kd.Qty, kd.KdsStatus, kd.StatusAt, kd.BumpedAt,
+      ${STATION_SQL} AS Station,
+      DATEDIFF(SECOND, ISNULL(kd.StatusAt, km.FiredAt), GETDATE()) AS StatusElapsed,
+      km.EDate, km.Time, km.FiredAt, km.Options, km.TableNo, km.CustName, km.Remarks,
+      DATEDIFF(SECOND, km.FiredAt, GETDATE()) AS Elapsed,
+      om.Pr, ISNULL(om.Voided, 0) AS Voided
+    FROM tblKot_D kd
+    INNER JOIN tblKot_M km ON km.OrderNo = kd.OrderNo AND km.KotSeq = kd.KotSeq
+    LEFT JOIN tblOrder_M om ON om.OrderNo = kd.OrderNo
+    LEFT JOIN tblItemMaster im ON kd.ItemCode = im.ItemId
+    WHERE ${conditions.join(" AND ")}
+    ORDER BY km.FiredAt, kd.OrderNo, kd.KotSeq, kd.SlNo
+  `);
+
+  return result.recordset;
+};
+
+/**
+ * Groups KOT lines into one ticket per order fire and station
+ * @param {Array} rows - Rows from fetchKdsLines
+ * @returns {Array} Tickets with lines and elapsed-time fields
+ */
+const buildTickets = (rows) => {
+  const lateAfter = (parseInt(process.env.KDS_LATE_MINUTES) || 15) * 60;
+  const tickets = new Map();
+
+  for (const row of rows) {
+    const key = `${row.OrderNo}-${row.KotSeq}-${row.Station}`;
+
+    if (!tickets.has(key)) {
+      tickets.set(key, {
+        orderNo: row.OrderNo,
+        kotSeq: row.KotSeq,
+        orderRef: row.Pr || String(row.OrderNo),
+        station: row.Station,
+        orderType: ORDER_TYPE_NAMES[row.Options] || "Unknown",
+        tableNo: row.TableNo || null,
+        custName: row.CustName || null,
+        remarks: row.Remarks || null,
+        date: row.EDate,
+        time: row.Time,
+        firedAt: row.FiredAt,
+        elapsedSeconds: row.Elapsed,
+        late: row.Elapsed !== null && row.Elapsed >= lateAfter,
+        orderVoided: !!row.Voided,
+        bumped: true,
+        status: null,
+        lines: [],
+      });
+    }
+
+    const ticket = tickets.get(key);
+    const cancelled = row.Qty < 0;
+
+    ticket.lines.push({
+      slNo: row.SlNo,
+      itemCode: row.ItemCode,
+      itemName: row.ItemName,
+      arabic: row.Arabic,
+      notes: row.Notes,
+      qty: row.Qty,
+      cancelled,
+      status: row.KdsStatus,
+      statusAt: row.StatusAt,
+      statusElapsedSeconds: row.StatusElapsed,
+      bumpedAt: row.BumpedAt,
+    });
+
+    if (!row.BumpedAt) {
+      ticket.bumped = false;
+    }
+  }
+
+  // The ticket is as far along as its slowest line
+  for (const ticket of tickets.values()) {
+    const states = ticket.lines
+      .filter((line) => !line.cancelled)
+      .map((line) => KDS_STATES.indexOf(line.status));
+    ticket.status = states.length > 0 ? KDS_STATES[Math.min(...states)] : "SERVED";
+  }
+
+  return [...tickets.values()];
+};
+
+/**
+ * Lists open kitchen tickets, optionally for one station (printer)
+ * @param {Object} filters - station and includeClosed
+ * @returns {Array} Tickets, oldest first
+ */
+const getKdsTickets = async ({ station, includeClosed } = {}) => {
+  try {
+    const connectedPool = await ensureConnection();
+    const rows = await fetchKdsLines(connectedPool, { station, includeClosed });
+    return buildTickets(rows);
+  } catch (error) {
+    console.error("Error in getKdsTickets:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error fetching kitchen tickets: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Lists the stations with open tickets
+ * @returns {Array} Stations with open ticket and late ticket counts
+ */
+const getKdsStations = async () => {
+  try {
+    const tickets = await getKdsTickets();
+    const stations = new Map();
+
+    for (const ticket of tickets) {
+      if (!stations.has(ticket.station)) {
+        stations.set(ticket.station, { station: ticket.station, openTickets: 0, lateTickets: 0 });
+      }
+      const station = stations.get(ticket.station);
+      station.openTickets += 1;
+      if (ticket.late) {
+        station.lateTickets += 1;
+      }
+    }
+
+    return [...stations.values()];
+  } catch (error) {
+    console.error("Error in getKdsStations:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error fetching kitchen stations: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Reads one ticket after an update
+ * @param {Object} connectedPool - Connected pool
+ * @param {Number} orderNo - Order number
+ * @param {Number} kotSeq - KOT sequence
+ * @param {String} station - Station, all stations when omitted
+ * @returns {Object|Array} The ticket, or all station tickets of the fire
+ */
+const readTicket = async (connectedPool, orderNo, kotSeq, station) => {
+  const rows = await fetchKdsLines(connectedPool, {
+    orderNo,
+    kotSeq,
+    station,
+    includeClosed: true,
+  });
+  const tickets = buildTickets(rows);
+  return station ? tickets[0] || null : tickets;
+};
+
+/**
+ * Moves one KOT line to another preparation state. Lines only move forward
+ * (queued -> preparing -> ready -> served); use recall to go back.
+ * @param {Number} orderNo - Order number
+ * @param {Number} kotSeq - KOT sequence
+ * @param {Number} slNo - Line number
+ * @param {String} status - Target state
+ * @returns {Object} Updated ticket
+ */
+const setLineStatus = async (orderNo, kotSeq, slNo, status) => {
+  try {
+    orderNo = parseInt(orderNo) || 0;
+    kotSeq = parseInt(kotSeq) || 0;
+    slNo = parseInt(slNo) || 0;
+    status = String(status || "").toUpperCase();
+
+    if (!KDS_STATES.includes(status)) {
+      throw createAppError(
+        `Invalid status: ${status}. Use one of ${KDS_STATES.join(", ")}`,
+        400
+      );
+    }
+
+    const connectedPool = await ensureConnection();
+
+    const lineResult = await connectedPool
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("KotSeq", sql.Int, kotSeq)
+      .input("SlNo", sql.Int, slNo).query(`
+        -- A replaced item leaves an add line and a cancellation line under the same SlNo
+        SELECT TOP 1 KdsStatus, Qty, Station FROM tblKot_D
+        WHERE OrderNo = @OrderNo AND KotSeq = @KotSeq AND SlNo = @SlNo AND KotSeq > 0
+        ORDER BY CASE WHEN Qty > 0 THEN 0 ELSE 1 END
+      `);
+
+    if (lineResult.recordset.length === 0) {
+      throw createAppError(
+        `Line ${slNo} not found on KOT ${kotSeq} of order ${orderNo}`,
+        404
+      );
+    }
+
+    const line = lineResult.recordset[0];
+
+    if (line.Qty < 0) {
+      throw createAppError("Cancellation lines have no preparation state", 400);
+    }
+
+    if (KDS_STATES.indexOf(status) <= KDS_STATES.indexOf(line.KdsStatus)) {
+      throw createAppError(
+        `Line is already ${line.KdsStatus}; use recall to move it back`,
+        409
+      );
+    }
+
+    await connectedPool
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("KotSeq", sql.Int, kotSeq)
+      .input("SlNo", sql.Int, slNo)
+      .input("Status", sql.VarChar, status).query(`
+        UPDATE tblKot_D SET KdsStatus = @Status, StatusAt = GETDATE()
+        WHERE OrderNo = @OrderNo AND KotSeq = @KotSeq AND SlNo = @SlNo AND Qty > 0
+      `);
+
+    const tickets = await readTicket(connectedPool, orderNo, kotSeq);
+    const ticket =
+      tickets.find((entry) => entry.lines.some((l) => l.slNo === slNo)) || null;
+
+    publishEvent(EVENT_TYPES.KDS_UPDATED, { action: "status", orderNo, kotSeq, slNo, status });
+    return ticket;
+  } catch (error) {
+    console.error("Error in setLineStatus:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error updating kitchen line: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Bumps or recalls the lines of one ticket
+ * @param {Number} orderNo - Order number
+ * @param {Number} kotSeq - KOT sequence
+ * @param {String} station - Station, every station when omitted
+ * @param {String} action - "bump" or "recall"
+ * @returns {Object|Array} Updated ticket(s)
+ */
+const updateTicketLines = async (orderNo, kotSeq, station, action) => {
+  try {
+    orderNo = parseInt(orderNo) || 0;
+    kotSeq = parseInt(kotSeq) || 0;
+
+    const connectedPool = await ensureConnection();
+
+    const update =
+      action === "bump"
+        ? `SET KdsStatus = CASE WHEN kd.KdsStatus IN ('QUEUED', 'PREPARING') AND kd.Qty > 0 THEN 'READY' ELSE kd.KdsStatus END,
+               StatusAt = CASE WHEN kd.KdsStatus IN ('QUEUED', 'PREPARING') AND kd.Qty > 0 THEN GETDATE() ELSE kd.StatusAt END,
+               BumpedAt = GETDATE()`
+        : `SET KdsStatus = CASE WHEN kd.KdsStatus = 'SERVED' THEN 'READY' ELSE kd.KdsStatus END,
+               StatusAt = CASE WHEN kd.KdsStatus = 'SERVED' THEN GETDATE() ELSE kd.StatusAt END,
+               BumpedAt = NULL`;
+
+    const request = connectedPool
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("KotSeq", sql.Int, kotSeq)
+      .input("DefaultStation", sql.VarChar, process.env.KOT_PRINTER || "KitchenPrinter");
+
+    if (station) {
+      request.input("Station", sql.VarChar, station);
+    }
+
+    const result = await request.query(`
+      UPDATE kd ${update}
+      FROM tblKot_D kd
+      LEFT JOIN tblItemMaster im ON kd.ItemCode = im.ItemId
+      WHERE kd.OrderNo = @OrderNo AND kd.KotSeq = @KotSeq AND kd.KotSeq > 0
+        ${station ? `AND ${STATION_SQL} = @Station` : ""}
+    `);
+
+    if (result.rowsAffected[0] === 0) {
+      throw createAppError(
+        `KOT ${kotSeq} of order ${orderNo} not found${station ? ` on ${station}` : ""}`,
+        404
+      );
+    }
+
+    publishEvent(EVENT_TYPES.KDS_UPDATED, { action, orderNo, kotSeq, station: station || null });
+    return readTicket(connectedPool, orderNo, kotSeq, station);
+  } catch (error) {
+    console.error(`Error in ${action}Ticket:`, error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error updating kitchen ticket: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Bumps a ticket off a station: unfinished lines become READY and the
+ * ticket leaves the open list
+ * @param {Number} orderNo - Order number
+ * @param {Number} kotSeq - KOT sequence
+ * @param {String} station - Station to bump, every station when omitted
+ * @returns {Object|Array} Bumped ticket(s)
+ */
+const bumpTicket = async (orderNo, kotSeq, station) =>
+  updateTicketLines(orderNo, kotSeq, station, "bump");
+
+/**
+ * Recalls a bumped or served ticket back onto the station; SERVED lines return to READY
+ * @param {Number} orderNo - Order number
+ * @param {Number} kotSeq - KOT sequence
+ * @param {String} station - Station to recall, every station when omitted
+ * @returns {Object|Array} Recalled ticket(s)
+ */
+const recallTicket = async (orderNo, kotSeq, station) =>
+  updateTicketLines(orderNo, kotSeq, station, "recall");
+
+module.exports = {
+  KDS_STATES,
+  getKdsTickets,
+  getKdsStations,
+  setLineStatus,
+  bumpTicket,
+  recallTicket,
+};
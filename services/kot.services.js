@@ -0,0 +1,364 @@
+const sql = require("mssql");
+const { roundMoney } = require("../utils/money");
+
+/**
+ * Resolves the kitchen printer of an item the same way processOrder does:
+ * tblItemMaster.PrinteName, falling back to KOT_PRINTER
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} itemId - Item code
+ * @returns {String} Printer name
+ */
+const resolveKotPrinter = async (transaction, itemId) => {
+  const printerResult = await transaction
+    .request()
+    .input("ItemId", sql.Int, itemId)
+    .query(`SELECT PrinteName FROM tblItemMaster WHERE ItemId = @ItemId`);
+
+  return (
+    printerResult.recordset[0]?.PrinteName ||
+    process.env.KOT_PRINTER ||
+    "KitchenPrinter"
+  );
+};
+
+/**
+ * Gets the quantities already sent to the kitchen per order line.
+ * Sequenced KOTs are summed; older KOTs re-sent the whole order on every
+ * fire, so for those only the largest quantity per line counts.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @returns {Map} SlNo -> { itemCode, modifierId, qty }
+ */
+const getSentQuantities = async (transaction, orderNo) => {
+  const sentResult = await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo).query(`
+      SELECT SlNo, ItemCode, ModifierId,
+             SUM(CASE WHEN KotSeq IS NOT NULL THEN Qty ELSE 0 END) AS SeqQty,
+             MAX(CASE WHEN KotSeq IS NULL THEN Qty ELSE 0 END) AS LegacyQty
+      FROM tblKot_D
+      WHERE OrderNo = @OrderNo
+      GROUP BY SlNo, ItemCode, ModifierId
+    `);
+
+  const sent = new Map();
+  sentResult.recordset.forEach((row) => {
+    const qty = roundMoney(row.SeqQty + row.LegacyQty);
+    if (qty > 0) {
+      sent.set(row.SlNo, { itemCode: row.ItemCode, modifierId: row.ModifierId || null, qty });
+    }
+  });
+
+  return sent;
+};
+
+/**
+ * Gets the next KOT sequence number of an order
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @returns {Number} Next KotSeq
+ */
+const getNextKotSeq = async (transaction, orderNo) => {
+  const seqResult = await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo).query(`
+      SELECT ISNULL(MAX(KotSeq), 0) + 1 AS NextSeq
+      FROM tblKot_M WITH (UPDLOCK, HOLDLOCK)
+      WHERE OrderNo = @OrderNo
+    `);
+
+  return seqResult.recordset[0].NextSeq;
+};
+
+/**
+ * Writes one KOT ticket (tblKot_M / tblKot_D with a KotSeq) and replaces the
+ * order's tblKotPrinter rows with the ticket lines routed per printer
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @param {Array} lines - KOT lines ({ slNo, itemCode, itemName, qty, rate, amount, vatAmt, ... }), negative qty cancels
+ * @param {Object} header - Optional date, time and remarks for tblKot_M, the rest is copied from tblOrder_M
+ * @returns {Object} Ticket with its KotSeq and lines grouped per printer
+ */
+const writeKot = async (transaction, orderNo, lines, header = {}) => {
+  const kotSeq = await getNextKotSeq(transaction, orderNo);
+  const total = roundMoney(
+    lines.reduce((sum, line) => sum + (line.amount || 0) + (line.vatAmt || 0), 0)
+  );
+
+  await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .input("KotSeq", sql.Int, kotSeq)
+    .input("EDate", sql.VarChar, header.date || null)
+    .input("Time", sql.VarChar, header.time || null)
+    .input("Remarks", sql.VarChar, header.remarks || null)
+    .input("Total", sql.Decimal(18, 2), total).query(`
+      INSERT INTO tblKot_M (OrderNo, KotSeq, EDate, Time, Options, CustId, CustName, Flat, Address, Contact, DelBoy, TableId, TableNo, Remarks, Total, Saled, Status)
+      SELECT OrderNo, @KotSeq, ISNULL(@EDate, EDate), ISNULL(@Time, Time), Options, CustId, CustName, Flat, Address, Contact, DelBoy, TableId, TableNo, ISNULL(@Remarks, Remarks), @Total, 'No', Status
+      FROM tblOrder_M
+      WHERE OrderNo = @OrderNo
+    `);
+
+  await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .query(`DELETE FROM tblKotPrinter WHERE OrderNo = @OrderNo`);
+
+  const printers = {};
+
+  for (const line of lines) {
+    const printer = line.printer || (await resolveKotPrinter(transaction, line.itemCode));
+
+    await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("KotSeq", sql.Int, kotSeq)
+      .input("SlNo", sql.Int, line.slNo)
+      .input("ItemCode", sql.Int, line.itemCode)
+      .input("ItemName", sql.VarChar, line.itemName || "")
+      .input("Qty", sql.Decimal(18, 2), line.qty)
+      .input("Rate", sql.Decimal(18, 2), line.rate || 0)
+      .input("Amount", sql.Decimal(18, 2), line.amount || 0)
+      .input("Cost", sql.Decimal(18, 2), line.cost || 0)
+      .input("Vat", sql.Decimal(18, 2), line.vat || 0)
+      .input("VatAmt", sql.Decimal(18, 2), line.vatAmt || 0)
+      .input("TaxLedger", sql.Int, line.taxLedger || 0)
+      .input("Arabic", sql.NVarChar, line.arabic || "")
+      .input("Notes", sql.VarChar, line.notes || "")
+      .input("Station", sql.VarChar, printer)
+      .input("ParentSlNo", sql.Int, line.parentSlNo || null)
+      .input("ModifierId", sql.Int, line.modifierId || null).query(`
+        INSERT INTO tblKot_D (OrderNo, KotSeq, SlNo, ItemCode, ItemName, Qty, Rate, Amount, Cost, Vat, VatAmt, TaxLedger, Arabic, Notes, Station, ParentSlNo, ModifierId)
+        VALUES (@OrderNo, @KotSeq, @SlNo, @ItemCode, @ItemName, @Qty, @Rate, @Amount, @Cost, @Vat, @VatAmt, @TaxLedger, @Arabic, @Notes, @Station, @ParentSlNo, @ModifierId)
+      `);
+
+    await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("SlNo", sql.Int, line.slNo)
+      .input("ItemId", sql.Int, line.itemCode)
+      .input("Printer", sql.VarChar, printer).query(`
+        INSERT INTO tblKotPrinter (OrderNo, SlNo, ItemId, Printer)
+        VALUES (@OrderNo, @SlNo, @ItemId, @Printer)
+      `);
+
+    if (!printers[printer]) {
+      printers[printer] = [];
+    }
+    printers[printer].push({
+      slNo: line.slNo,
+      parentSlNo: line.parentSlNo || null,
+      itemCode: line.itemCode,
+      itemName: line.itemName,
+      arabic: line.arabic,
+      notes: line.notes,
+      qty: line.qty,
+    });
+  }
+
+  return {
+    orderNo,
+    kotSeq,
+    remarks: header.remarks || null,
+    printers,
+  };
+};
+
+/**
+ * Diffs the incoming order items against what the kitchen already has and
+ * fires a KOT with only additions, quantity increases and cancellations
+ * (negative lines for reduced or removed items)
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @param {Array} items - Items payload of /api/orders
+ * @param {Object} header - date, time and remarks of the fire
+ * @returns {Object|null} Ticket, null when there is nothing new to send
+ */
+const fireIncrementalKot = async (transaction, orderNo, items, header = {}) => {
+  const sent = await getSentQuantities(transaction, orderNo);
+  const seen = new Set();
+  const lines = [];
+
+  for (const item of items) {
+    const slNo = parseInt(item.slNo) || 0;
+
+    // The kitchen prepares a combo's components, not the combo line itself
+    if (slNo && parseInt(item.comboSlNo) === slNo) continue;
+
+    const itemCode = parseInt(item.itemCode) || 0;
+    const modifierId = parseInt(item.modifierId) || null;
+    const qty = roundMoney(item.qty);
+    const amount = parseFloat(item.amount) || 0;
+    const vatAmt = parseFloat(item.vatAmt) || 0;
+
+    const previous = sent.get(slNo);
+    // A different item or modifier on the same SlNo means the old one was replaced
+    const same =
+      previous &&
+      previous.itemCode === itemCode &&
+      previous.modifierId === modifierId;
+    const sentQty = same ? previous.qty : 0;
+    if (same) {
+      seen.add(slNo);
+    }
+
+    const delta = roundMoney(qty - sentQty);
+    if (delta === 0) continue;
+
+    const ratio = qty ? delta / qty : 0;
+    lines.push({
+      slNo,
+      itemCode,
+      itemName: item.itemName,
+      qty: delta,
+      rate: parseFloat(item.rate) || 0,
+      amount: roundMoney(amount * ratio),
+      cost: parseFloat(item.cost) || 0,
+      vat: parseFloat(item.vat) || 0,
+      vatAmt: roundMoney(vatAmt * ratio),
+      taxLedger: parseInt(item.taxLedger) || 0,
+      arabic: item.arabic,
+      notes: item.notes,
+      parentSlNo: parseInt(item.parentSlNo) || null,
+      modifierId,
+    });
+  }
+
+  // Lines the kitchen has that are no longer on the order
+  const removed = [...sent.entries()].filter(([slNo]) => !seen.has(slNo));
+  if (removed.length > 0) {
+    const removedResult = await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo).query(`
+        SELECT SlNo, ItemCode, ModifierId, ParentSlNo, ItemName, Rate, Arabic, Notes
+        FROM tblKot_D
+        WHERE OrderNo = @OrderNo AND Qty > 0
+        ORDER BY ISNULL(KotSeq, 0)
+      `);
+    // Later rows overwrite earlier ones, leaving the last line sent per SlNo
+    const lastSent = new Map(
+      removedResult.recordset.map((row) => [
+        `${row.SlNo}:${row.ItemCode}:${row.ModifierId || ""}`,
+        row,
+      ])
+    );
+
+    for (const [slNo, { itemCode, modifierId, qty }] of removed) {
+      const row = lastSent.get(`${slNo}:${itemCode}:${modifierId || ""}`) || {};
+      lines.push({
+        slNo,
+        itemCode,
+        itemName: row.ItemName,
+        qty: -qty,
+        rate: row.Rate || 0,
+        amount: roundMoney(-(row.Rate || 0) * qty),
+        arabic: row.Arabic,
+        notes: row.Notes,
+        parentSlNo: row.ParentSlNo || null,
+        modifierId,
+      });
+    }
+  }
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  return writeKot(transaction, orderNo, lines, header);
+};
+
+/**
+ * Writes a cancellation KOT (negative lines) for the part of the given lines
+ * that was already sent to the kitchen
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @param {Array} lines - Cancelled lines ({ slNo, itemCode, itemName, qty, rate, amount, vatAmt, ... })
+ * @param {String} remarks - Reason printed on the ticket
+ * @returns {Object|null} Ticket grouped per printer, null when nothing was sent
+ */
+const fireCancellationKot = async (transaction, orderNo, lines, remarks) => {
+  const sent = await getSentQuantities(transaction, orderNo);
+
+  const cancelled = lines
+    .map((line) => {
+      const previous = sent.get(line.slNo);
+      const sentQty =
+        previous && previous.itemCode === line.itemCode ? previous.qty : 0;
+      const qty = Math.min(line.qty, sentQty);
+      const ratio = line.qty ? qty / line.qty : 0;
+
+      return {
+        ...line,
+        qty: -qty,
+        amount: -roundMoney((line.amount || 0) * ratio),
+        vatAmt: -roundMoney((line.vatAmt || 0) * ratio),
+      };
+    })
+    .filter((line) => line.qty < 0);
+
+  if (cancelled.length === 0) {
+    return null;
+  }
+
+  return writeKot(transaction, orderNo, cancelled, { remarks });
+};
+
+/**
+ * Moves quantity the kitchen already has from one order line to another
+ * (split bills) without printing anything. The bookkeeping rows use
+ * KotSeq 0 and have no tblKot_M ticket.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Object} from - { orderNo, slNo, itemCode, modifierId, parentSlNo } losing the quantity
+ * @param {Object} to - { orderNo, slNo, parentSlNo } receiving the quantity
+ * @param {Number} qty - Quantity to move
+ * @param {Map} sent - Result of getSentQuantities for the source order, updated in place
+ */
+const moveSentQuantity = async (transaction, from, to, qty, sent) => {
+  const previous = sent.get(from.slNo);
+  const modifierId = from.modifierId || null;
+  if (!previous || previous.itemCode !== from.itemCode || previous.modifierId !== modifierId) {
+    return;
+  }
+
+  const moved = roundMoney(Math.min(qty, previous.qty));
+  if (moved <= 0) {
+    return;
+  }
+  previous.qty = roundMoney(previous.qty - moved);
+
+  // ModifierId and ParentSlNo are kept so the next KOT diff sees the same line
+  const adjustmentQuery = `
+    INSERT INTO tblKot_D (OrderNo, KotSeq, SlNo, ItemCode, ItemName, Qty, Rate, Amount, Cost, Vat, VatAmt, TaxLedger, Arabic, Notes, ParentSlNo, ModifierId)
+    SELECT TOP 1 @OrderNo, 0, @SlNo, ItemCode, ItemName, @Qty, Rate, 0, Cost, Vat, 0, TaxLedger, Arabic, Notes, @ParentSlNo, ModifierId
+    FROM tblKot_D
+    WHERE OrderNo = @FromOrderNo AND SlNo = @FromSlNo AND ItemCode = @ItemCode
+      AND ISNULL(ModifierId, 0) = ISNULL(@ModifierId, 0)
+    ORDER BY ISNULL(KotSeq, 0) DESC
+  `;
+
+  for (const [orderNo, slNo, parentSlNo, signedQty] of [
+    [to.orderNo, to.slNo, to.parentSlNo, moved],
+    [from.orderNo, from.slNo, from.parentSlNo, -moved],
+  ]) {
+    await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("SlNo", sql.Int, slNo)
+      .input("ParentSlNo", sql.Int, parentSlNo || null)
+      .input("Qty", sql.Decimal(18, 2), signedQty)
+      .input("FromOrderNo", sql.Int, from.orderNo)
+      .input("FromSlNo", sql.Int, from.slNo)
+      .input("ItemCode", sql.Int, from.itemCode)
+      .input("ModifierId", sql.Int, modifierId)
+      .query(adjustmentQuery);
+  }
+};
+
+module.exports = {
+  resolveKotPrinter,
+  getSentQuantities,
+  writeKot,
+  fireIncrementalKot,
+  fireCancellationKot,
+  moveSentQuantity,
+};
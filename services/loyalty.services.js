@@ -0,0 +1,501 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+const { roundMoney } = require("../utils/money");
+
+const LOYALTY_ENTRY_TYPES = ["EARN", "REDEEM", "REVERSE", "MERGE"];
+
+/**
+ * Reads the loyalty settings from the environment
+ * @returns {Object} earnRate (LOYALTY_EARN_RATE, points per currency unit,
+ * default 1, 0 turns earning off), pointValue (LOYALTY_POINT_VALUE, currency
+ * per point when redeeming, default 0.01) and minRedeem
+ * (LOYALTY_MIN_REDEEM_POINTS, default 0)
+ */
+const getLoyaltyConfig = () => {
+  const config = {
+    earnRate: parseFloat(process.env.LOYALTY_EARN_RATE ?? 1),
+    pointValue: parseFloat(process.env.LOYALTY_POINT_VALUE ?? 0.01),
+    minRedeem: parseFloat(process.env.LOYALTY_MIN_REDEEM_POINTS) || 0,
+  };
+
+  if (isNaN(config.earnRate) || config.earnRate < 0) {
+    throw createAppError(`Invalid LOYALTY_EARN_RATE: ${process.env.LOYALTY_EARN_RATE}`, 500);
+  }
+
+  if (isNaN(config.pointValue) || config.pointValue <= 0) {
+    throw createAppError(`Invalid LOYALTY_POINT_VALUE: ${process.env.LOYALTY_POINT_VALUE}`, 500);
+  }
+
+  return config;
+};
+
+/**
+ * Currency value of a number of points
+ * @param {Number} points - Points
+ * @returns {Number} Amount
+ */
+const pointsToAmount = (points) => roundMoney(points * getLoyaltyConfig().pointValue);
+
+/**
+ * Points needed to pay an amount
+ * @param {Number} amount - Amount
+ * @returns {Number} Points
+ */
+const amountToPoints = (amount) => roundMoney(amount / getLoyaltyConfig().pointValue);
+
+/**
+ * Locks a customer row for a balance change
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @returns {Object} CustCode, CustName, LoyaltyPoints and MergedInto
+ */
+const lockCustomer = async (transaction, custCode) => {
+  const customerResult = await transaction
+    .request()
+    .input("CustCode", sql.Int, custCode).query(`
+      SELECT CustCode, CustName, LoyaltyPoints, MergedInto FROM tblCustomer WITH (UPDLOCK, ROWLOCK)
+      WHERE CustCode = @CustCode
+    `);
+
+  if (customerResult.recordset.length === 0) {
+    throw createAppError(`Customer ${custCode} not found`, 404);
+  }
+
+  return customerResult.recordset[0];
+};
+
+/**
+ * Writes a ledger entry and moves the customer's balance. Entries for a
+ * merged customer go to the customer it was merged into. Redemptions are
+ * refused when the balance is too low; reversing points that were already
+ * spent can leave it negative.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @param {Object} entry - type, points (signed), orderNo, paymentId, amount, note and userId
+ * @returns {Object} Ledger entry with the balance after it
+ */
+const postEntry = async (transaction, custCode, entry) => {
+  const points = roundMoney(entry.points);
+
+  let customer = await lockCustomer(transaction, custCode);
+  while (customer.MergedInto) {
+    customer = await lockCustomer(transaction, customer.MergedInto);
+  }
+  custCode = customer.CustCode;
+
+  const balance = roundMoney(roundMoney(customer.LoyaltyPoints) + points);
+
+  if (entry.type === "REDEEM" && balance < 0) {
+    throw createAppError(
+      `${customer.CustName} has ${roundMoney(customer.LoyaltyPoints)} points, ${-points} needed`,
+      409
+    );
+  }
+
+  const ledgerResult = await transaction
+    .request()
+    .input("CustCode", sql.Int, custCode)
+    .input("EntryType", sql.VarChar, entry.type)
+    .input("Points", sql.Decimal(18, 2), points)
+    .input("BalanceAfter", sql.Decimal(18, 2), balance)
+    .input("OrderNo", sql.Int, entry.orderNo || null)
+    .input("PaymentId", sql.Int, entry.paymentId || null)
+    .input("Amount", sql.Decimal(18, 2), entry.amount ?? null)
+    .input("Note", sql.VarChar, entry.note || null)
+    .input("UserId", sql.Int, entry.userId || null).query(`
+      UPDATE tblCustomer SET LoyaltyPoints = @BalanceAfter WHERE CustCode = @CustCode;
+      INSERT INTO tblLoyaltyLedger (CustCode, EntryType, Points, BalanceAfter, OrderNo, PaymentId, Amount, Note, UserId)
+      OUTPUT INSERTED.EntryId
+      VALUES (@CustCode, @EntryType, @Points, @BalanceAfter, @OrderNo, @PaymentId, @Amount, @Note, @UserId);
+    `);
+
+  return {
+    entryId: ledgerResult.recordset[0].EntryId,
+    custCode,
+    type: entry.type,
+    points,
+    balanceAfter: balance,
+  };
+};
+
+/**
+ * Takes points off a customer for a points tender or a discount
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @param {Number} points - Points to redeem
+ * @param {Object} context - orderNo, paymentId (points tender), amount and userId
+ * @returns {Object} Ledger entry
+ */
+const redeemPoints = async (transaction, custCode, points, context = {}) => {
+  const { minRedeem } = getLoyaltyConfig();
+  points = roundMoney(points);
+
+  if (points <= 0) {
+    throw createAppError("Points to redeem must be greater than zero", 400);
+  }
+
+  if (points < minRedeem) {
+    throw createAppError(`At least ${minRedeem} points must be redeemed at a time`, 400);
+  }
+
+  return postEntry(transaction, custCode, { ...context, type: "REDEEM", points: -points });
+};
+
+/**
+ * Redeems the points tenders of a payment against the customer paying
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} custCode - Customer whose points pay
+ * @param {Number} orderNo - Order paid
+ * @param {Array} appliedTenders - Tenders after insertPayments (paymentId set)
+ * @param {Number} userId - Cashier
+ * @returns {Array} Ledger entries
+ */
+const redeemPointTenders = async (transaction, custCode, orderNo, appliedTenders, userId) => {
+  const entries = [];
+
+  for (const tender of appliedTenders.filter((entry) => entry.type === "POINTS")) {
+    entries.push(
+      await redeemPoints(transaction, custCode, amountToPoints(tender.amount), {
+        orderNo,
+        paymentId: tender.paymentId,
+        amount: tender.amount,
+        userId,
+      })
+    );
+  }
+
+  return entries;
+};
+
+/**
+ * Accrues points on a settled order. Each line earns at its category's
+ * rate (tblGroup.LoyaltyRate) or the default LOYALTY_EARN_RATE on what was
+ * paid for it; the part of the bill paid with points earns nothing.
+ * Points are whole, fractions are dropped.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Object} order - tblOrder_M row (OrderNo, CustId, Total)
+ * @param {Number} userId - Cashier
+ * @returns {Object|null} Ledger entry, null when nothing was earned
+ */
+const earnOrderPoints = async (transaction, order, userId = null) => {
+  const custCode = parseInt(order.CustId) || 0;
+  const { earnRate } = getLoyaltyConfig();
+
+  if (!custCode) {
+    return null;
+  }
+
+  const linesResult = await transaction
+    .request()
+    .input("OrderNo", sql.Int, order.OrderNo).query(`
+      SELECT d.Amount, d.VatAmt, g.LoyaltyRate
+      FROM tblOrder_D d
+      LEFT JOIN tblItemMaster im ON im.ItemId = d.ItemCode
+      LEFT JOIN tblGroup g ON g.GrpId = im.GrpId
+      WHERE d.OrderNo = @OrderNo AND d.Voided = 0
+    `);
+
+  const paidWithPointsResult = await transaction
+    .request()
+    .input("OrderNo", sql.Int, order.OrderNo).query(`
+      SELECT ISNULL(SUM(Amount), 0) AS Amount FROM tblOrder_Payments
+      WHERE OrderNo = @OrderNo AND Tender = 'POINTS' AND Voided = 0
+    `);
+
+  const total = roundMoney(order.Total);
+  const paidWithPoints = roundMoney(paidWithPointsResult.recordset[0].Amount);
+  const paidShare = total > 0 ? Math.max(total - paidWithPoints, 0) / total : 0;
+
+  const points = Math.floor(
+    linesResult.recordset.reduce((sum, line) => {
+      const rate = line.LoyaltyRate === null ? earnRate : parseFloat(line.LoyaltyRate);
+      return sum + (parseFloat(line.Amount) + parseFloat(line.VatAmt || 0)) * rate;
+    }, 0) *
+      paidShare +
+      Number.EPSILON
+  );
+
+  if (points <= 0) {
+    return null;
+  }
+
+  const customerResult = await transaction
+    .request()
+    .input("CustCode", sql.Int, custCode)
+    .query(`SELECT CustCode FROM tblCustomer WHERE CustCode = @CustCode AND Active = 1`);
+
+  if (customerResult.recordset.length === 0) {
+    return null;
+  }
+
+  return postEntry(transaction, custCode, {
+    type: "EARN",
+    points,
+    orderNo: order.OrderNo,
+    amount: roundMoney(total - paidWithPoints),
+    userId,
+  });
+};
+
+/**
+ * Brings the points redeemed as a discount on an order in line with what
+ * the order was saved with: redeems more, or gives back what is no longer
+ * used, including points of a customer the order no longer belongs to.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order saved
+ * @param {Number} custCode - Customer of the order
+ * @param {Number} points - Points redeemed as a discount on the order
+ * @param {Number} userId - Cashier
+ * @returns {Array} Ledger entries posted
+ */
+const syncOrderRedemption = async (transaction, orderNo, custCode, points, userId = null) => {
+  points = roundMoney(points);
+
+  if (points > 0 && !custCode) {
+    throw createAppError("Redeeming loyalty points requires a customer", 400);
+  }
+
+  const redeemedResult = await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo).query(`
+      SELECT CustCode, -SUM(Points) AS Redeemed
+      FROM tblLoyaltyLedger
+      WHERE OrderNo = @OrderNo AND PaymentId IS NULL AND EntryType IN ('REDEEM', 'REVERSE')
+      GROUP BY CustCode
+    `);
+
+  const redeemed = new Map(
+    redeemedResult.recordset.map((row) => [row.CustCode, roundMoney(row.Redeemed)])
+  );
+  if (custCode && !redeemed.has(custCode)) {
+    redeemed.set(custCode, 0);
+  }
+
+  const entries = [];
+  for (const [code, already] of redeemed) {
+    const wanted = code === custCode ? points : 0;
+    const difference = roundMoney(wanted - already);
+    if (difference === 0) continue;
+
+    entries.push(
+      difference > 0
+        ? await redeemPoints(transaction, code, difference, {
+            orderNo,
+            amount: pointsToAmount(difference),
+            userId,
+          })
+        : await postEntry(transaction, code, {
+            type: "REVERSE",
+            points: -difference,
+            orderNo,
+            amount: pointsToAmount(-difference),
+            note: "Discount redemption changed",
+            userId,
+          })
+    );
+  }
+
+  await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .input("LoyaltyPoints", sql.Decimal(18, 2), points)
+    .input("LoyaltyAmt", sql.Decimal(18, 2), pointsToAmount(points)).query(`
+      UPDATE tblOrder_M SET LoyaltyPoints = @LoyaltyPoints, LoyaltyAmt = @LoyaltyAmt
+      WHERE OrderNo = @OrderNo
+    `);
+
+  return entries;
+};
+
+/**
+ * Reverses the loyalty entries of a voided order, or of one voided
+ * points payment when paymentId is given
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order voided
+ * @param {Object} context - paymentId, note and userId
+ * @returns {Array} Ledger entries posted
+ */
+const reverseOrderLoyalty = async (transaction, orderNo, { paymentId, note, userId } = {}) => {
+  const netResult = await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .input("PaymentId", sql.Int, paymentId || null).query(`
+      SELECT CustCode, SUM(Points) AS Points
+      FROM tblLoyaltyLedger
+      WHERE OrderNo = @OrderNo AND (@PaymentId IS NULL OR PaymentId = @PaymentId)
+      GROUP BY CustCode
+      HAVING SUM(Points) <> 0
+    `);
+
+  const entries = [];
+  for (const row of netResult.recordset) {
+    const points = -roundMoney(row.Points);
+    entries.push(
+      await postEntry(transaction, row.CustCode, {
+        type: "REVERSE",
+        points,
+        orderNo,
+        paymentId,
+        amount: pointsToAmount(Math.abs(points)),
+        note,
+        userId,
+      })
+    );
+  }
+
+  if (!paymentId) {
+    await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .query(`UPDATE tblOrder_M SET LoyaltyPoints = 0, LoyaltyAmt = 0 WHERE OrderNo = @OrderNo`);
+  }
+
+  return entries;
+};
+
+/**
+ * Moves a merged customer's points to the surviving customer
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} fromCode - Customer merged away
+ * @param {Number} toCode - Surviving customer
+ * @returns {Number} Points moved
+ */
+const transferPoints = async (transaction, fromCode, toCode) => {
+  const balanceResult = await transaction
+    .request()
+    .input("CustCode", sql.Int, fromCode)
+    .query(`SELECT LoyaltyPoints FROM tblCustomer WHERE CustCode = @CustCode`);
+
+  const points = roundMoney(balanceResult.recordset[0]?.LoyaltyPoints);
+  if (points === 0) {
+    return 0;
+  }
+
+  await postEntry(transaction, fromCode, {
+    type: "MERGE",
+    points: -points,
+    note: `Merged into ${toCode}`,
+  });
+  await postEntry(transaction, toCode, {
+    type: "MERGE",
+    points,
+    note: `Merged from ${fromCode}`,
+  });
+
+  return points;
+};
+
+/**
+ * Loyalty balance and ledger of a customer, newest entries first
+ * @param {Number} custCode - tblCustomer.CustCode
+ * @param {Object} options - limit on the history (default 100)
+ * @returns {Object} balance, its value, the earn and redeem settings and history
+ */
+const getLoyalty = async (custCode, { limit } = {}) => {
+  try {
+    custCode = parseInt(custCode) || 0;
+
+    if (!custCode) {
+      throw createAppError("Customer code is required", 400);
+    }
+
+    const config = getLoyaltyConfig();
+    const connectedPool = await ensureConnection();
+
+    const customerResult = await connectedPool
+      .request()
+      .input("CustCode", sql.Int, custCode)
+      .query(`SELECT CustCode, CustName, LoyaltyPoints FROM tblCustomer WHERE CustCode = @CustCode`);
+
+    if (customerResult.recordset.length === 0) {
+      throw createAppError(`Customer ${custCode} not found`, 404);
+    }
+
+    const historyResult = await connectedPool
+      .request()
+      .input("CustCode", sql.Int, custCode)
+      .input("Limit", sql.Int, Math.min(parseInt(limit) || 100, 1000)).query(`
+        SELECT TOP (@Limit) EntryId, EntryType, Points, BalanceAfter, OrderNo, PaymentId,
+               Amount, Note, UserId, CreatedAt
+        FROM tblLoyaltyLedger
+        WHERE CustCode = @CustCode
+        ORDER BY EntryId DESC
+      `);
+
+    const customer = customerResult.recordset[0];
+    const balance = roundMoney(customer.LoyaltyPoints);
+
+    return {
+      custCode: customer.CustCode,
+      custName: customer.CustName,
+      balance,
+      value: pointsToAmount(balance),
+      earnRate: config.earnRate,
+      pointValue: config.pointValue,
+      minRedeem: config.minRedeem,
+      history: historyResult.recordset,
+    };
+  } catch (error) {
+    console.error("Error in getLoyalty:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error fetching loyalty points: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Sets the earn rate of a category; null falls back to LOYALTY_EARN_RATE
+ * @param {Number} grpId - tblGroup.GrpId
+ * @param {Number|null} rate - Points per currency unit, 0 for no points
+ * @returns {Object} GrpId, GrpName and LoyaltyRate
+ */
+const setCategoryEarnRate = async (grpId, rate) => {
+  try {
+    grpId = parseInt(grpId) || 0;
+    const loyaltyRate = rate === null || rate === undefined || rate === "" ? null : parseFloat(rate);
+
+    if (!grpId) {
+      throw createAppError("Category id is required", 400);
+    }
+
+    if (loyaltyRate !== null && (isNaN(loyaltyRate) || loyaltyRate < 0)) {
+      throw createAppError(`Invalid earn rate ${rate}`, 400);
+    }
+
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("GrpId", sql.Int, grpId)
+      .input("LoyaltyRate", sql.Decimal(9, 4), loyaltyRate).query(`
+        UPDATE tblGroup SET LoyaltyRate = @LoyaltyRate WHERE GrpId = @GrpId;
+        SELECT GrpId, GrpName, LoyaltyRate FROM tblGroup WHERE GrpId = @GrpId;
+      `);
+
+    if (result.recordset.length === 0) {
+      throw createAppError(`Category ${grpId} not found`, 404);
+    }
+
+    return result.recordset[0];
+  } catch (error) {
+    console.error("Error in setCategoryEarnRate:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error updating category earn rate: ${error.message}`, 500);
+  }
+};
+
+module.exports = {
+  LOYALTY_ENTRY_TYPES,
+  pointsToAmount,
+  redeemPointTenders,
+  earnOrderPoints,
+  syncOrderRedemption,
+  reverseOrderLoyalty,
+  transferPoints,
+  getLoyalty,
+  setCategoryEarnRate,
+};
@@ -0,0 +1,546 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+const { roundMoney } = require("../utils/money");
+
+// Modifier lines are stored as tblOrder_D rows numbered parent SlNo * 1000 + position.
+// Positions above COMPONENT_POSITION_OFFSET are left for combo components.
+const MODIFIER_SLNO_FACTOR = 1000;
+const COMPONENT_POSITION_OFFSET = 500;
+
+/**
+ * SlNo of the n-th modifier line of a parent line
+ * @param {Number} parentSlNo - SlNo of the item the modifier belongs to
+ * @param {Number} position - 1-based position of the modifier
+ * @returns {Number} SlNo of the modifier line
+ */
+const modifierSlNo = (parentSlNo, position) =>
+  parentSlNo * MODIFIER_SLNO_FACTOR + position;
+
+/**
+ * Loads the active modifier groups attached to items, with their modifiers
+ * @param {Object} requester - Pool or transaction to query with
+ * @param {Array} itemIds - Items to load, all items when omitted
+ * @returns {Map} ItemId -> groups ({ GroupId, Name, MinSelect, MaxSelect, modifiers })
+ */
+const loadItemModifierGroups = async (requester, itemIds = null) => {
+  const request = requester.request();
+  let filter = "";
+
+  if (itemIds) {
+    const uniqueIds = [...new Set(itemIds)];
+    if (uniqueIds.length === 0) {
+      return new Map();
+    }
+    filter = `WHERE img.ItemId IN (${uniqueIds
+      .map((itemId, index) => {
+        request.input(`itemId${index}`, sql.Int, itemId);
+        return `@itemId${index}`;
+      })
+      .join(", ")})`;
+  }
+
+  const result = await request.query(`
+    SELECT img.ItemId, g.GroupId, g.Name AS GroupName, g.MinSelect, g.MaxSelect,
+           m.ModifierId, m.Name, m.Arabic, m.PriceDelta
+    FROM tblItemModifierGroup img
+    JOIN tblModifierGroup g ON g.GroupId = img.GroupId AND g.Active = 1
+    LEFT JOIN tblModifier m ON m.GroupId = g.GroupId AND m.Active = 1
+    ${filter}
+    ORDER BY img.ItemId, img.SortOrder, g.GroupId, m.SortOrder, m.ModifierId
+  `);
+
+  const groupsByItem = new Map();
+  for (const row of result.recordset) {
+    if (!groupsByItem.has(row.ItemId)) {
+      groupsByItem.set(row.ItemId, []);
+    }
+
+    const groups = groupsByItem.get(row.ItemId);
+    let group = groups.find((entry) => entry.GroupId === row.GroupId);
+    if (!group) {
+      group = {
+        GroupId: row.GroupId,
+        Name: row.GroupName,
+        MinSelect: row.MinSelect,
+        MaxSelect: row.MaxSelect,
+        modifiers: [],
+      };
+      groups.push(group);
+    }
+
+    if (row.ModifierId) {
+      group.modifiers.push({
+        ModifierId: row.ModifierId,
+        Name: row.Name,
+        Arabic: row.Arabic,
+        PriceDelta: roundMoney(row.PriceDelta),
+      });
+    }
+  }
+
+  return groupsByItem;
+};
+
+/**
+ * Normalises the modifiers selected on one line ({ modifierId, qty } or plain ids)
+ * @param {Array} modifiers - Selections from the payload
+ * @returns {Array} { modifierId, qty } per selection
+ */
+const normalizeSelections = (modifiers) =>
+  (Array.isArray(modifiers) ? modifiers : []).map((selection) =>
+    typeof selection === "object" && selection !== null
+      ? {
+          modifierId: parseInt(selection.modifierId) || 0,
+          qty: parseFloat(selection.qty) || 1,
+        }
+      : { modifierId: parseInt(selection) || 0, qty: 1 }
+  );
+
+/**
+ * Checks the modifiers chosen on each item against its groups' min / max
+ * selections and expands them into child lines placed right after their
+ * parent. Child lines carry the parent's ItemCode (so they print where the
+ * parent prints), the modifier's price delta as rate and the parent quantity
+ * times the modifier quantity. Child lines sent back flat (parentSlNo +
+ * modifierId, as listed by getAllOrders) are folded into their parent first.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Array} items - Items payload of /api/orders
+ * @returns {Array} Parent and modifier lines
+ */
+const expandModifiers = async (transaction, items) => {
+  items = Array.isArray(items) ? items : [];
+
+  const parents = items.filter((item) => !(parseInt(item.parentSlNo) > 0));
+  const flatChildren = items.filter((item) => parseInt(item.parentSlNo) > 0);
+  const parentBySlNo = new Map(parents.map((item) => [parseInt(item.slNo) || 0, item]));
+
+  const selectionsBySlNo = new Map(
+    parents.map((item) => [parseInt(item.slNo) || 0, normalizeSelections(item.modifiers)])
+  );
+  for (const child of flatChildren) {
+    const parentSlNo = parseInt(child.parentSlNo);
+    const parent = parentBySlNo.get(parentSlNo);
+    if (!parent) {
+      throw createAppError(`Modifier line ${child.slNo} has no parent line ${parentSlNo}`, 400);
+    }
+    if (Array.isArray(parent.modifiers)) continue;
+
+    const parentQty = parseFloat(parent.qty) || 0;
+    selectionsBySlNo.get(parentSlNo).push({
+      modifierId: parseInt(child.modifierId) || 0,
+      qty: parentQty ? roundMoney((parseFloat(child.qty) || 0) / parentQty) : 1,
+    });
+  }
+
+  const groupsByItem = await loadItemModifierGroups(
+    transaction,
+    parents.map((item) => parseInt(item.itemCode) || 0)
+  );
+
+  const expanded = [];
+  const usedSlNos = new Set(parentBySlNo.keys());
+
+  for (const item of parents) {
+    // Combo components are served as the combo defines them, without modifiers
+    if (parseInt(item.comboSlotId) > 0) {
+      expanded.push(item);
+      continue;
+    }
+
+    const slNo = parseInt(item.slNo) || 0;
+    const itemCode = parseInt(item.itemCode) || 0;
+    const qty = parseFloat(item.qty) || 0;
+    const label = item.itemName || itemCode;
+    const groups = groupsByItem.get(itemCode) || [];
+    const selections = selectionsBySlNo.get(slNo);
+
+    const modifierIndex = new Map();
+    groups.forEach((group, groupIndex) =>
+      group.modifiers.forEach((modifier, index) =>
+        modifierIndex.set(modifier.ModifierId, { group, modifier, order: groupIndex * 10000 + index })
+      )
+    );
+
+    const chosen = selections.map((selection) => {
+      const entry = modifierIndex.get(selection.modifierId);
+      if (!entry) {
+        throw createAppError(
+          `Modifier ${selection.modifierId} is not available on ${label}`,
+          400
+        );
+      }
+      if (selection.qty <= 0) {
+        throw createAppError(`Invalid quantity for ${entry.modifier.Name} on ${label}`, 400);
+      }
+      return { ...entry, qty: selection.qty };
+    });
+
+    for (const group of groups) {
+      const count = chosen
+        .filter((entry) => entry.group === group)
+        .reduce((sum, entry) => sum + entry.qty, 0);
+
+      if (count < (group.MinSelect || 0)) {
+        throw createAppError(
+          `Choose at least ${group.MinSelect} from ${group.Name} for ${label}`,
+          400
+        );
+      }
+
+      if (group.MaxSelect !== null && count > group.MaxSelect) {
+        throw createAppError(
+          `Choose at most ${group.MaxSelect} from ${group.Name} for ${label}`,
+          400
+        );
+      }
+    }
+
+    if (chosen.length >= COMPONENT_POSITION_OFFSET) {
+      throw createAppError(`Too many modifiers on ${label}`, 400);
+    }
+
+    expanded.push({
+      ...item,
+      modifiers: chosen.map((entry) => ({
+        modifierId: entry.modifier.ModifierId,
+        qty: entry.qty,
+      })),
+    });
+
+    chosen
+      .sort((a, b) => a.order - b.order)
+      .forEach((entry, index) => {
+        const childSlNo = modifierSlNo(slNo, index + 1);
+        if (usedSlNos.has(childSlNo)) {
+          throw createAppError(`Line number ${childSlNo} is used by both an item and a modifier`, 400);
+        }
+        usedSlNos.add(childSlNo);
+
+        expanded.push({
+          slNo: childSlNo,
+          parentSlNo: slNo,
+          modifierId: entry.modifier.ModifierId,
+          itemCode,
+          itemName: entry.modifier.Name,
+          arabic: entry.modifier.Arabic || "",
+          qty: roundMoney(qty * entry.qty),
+          rate: entry.modifier.PriceDelta,
+          cost: 0,
+          notes: "",
+        });
+      });
+  }
+
+  return expanded;
+};
+
+/**
+ * Orders detail rows so modifier lines follow their parent line
+ * @param {Array} lines - tblOrder_D / tblKot_D rows (SlNo, ParentSlNo)
+ * @returns {Array} Rows with isModifier set; modifiers whose parent is not in the list come last
+ */
+const nestModifierLines = (lines) => {
+  const children = new Map();
+  const ordered = [];
+
+  for (const line of lines) {
+    if (line.ParentSlNo) {
+      if (!children.has(line.ParentSlNo)) {
+        children.set(line.ParentSlNo, []);
+      }
+      children.get(line.ParentSlNo).push(line);
+    }
+  }
+
+  for (const line of lines) {
+    if (line.ParentSlNo) continue;
+    ordered.push({ ...line, isModifier: false });
+    for (const child of children.get(line.SlNo) || []) {
+      ordered.push({ ...child, isModifier: true, hasParent: true });
+    }
+    children.delete(line.SlNo);
+  }
+
+  for (const orphans of children.values()) {
+    orphans.forEach((child) => ordered.push({ ...child, isModifier: true, hasParent: false }));
+  }
+
+  return ordered;
+};
+
+/**
+ * Lists modifier groups with their modifiers and the items they are attached to
+ * @param {Object} options - includeInactive to list switched off groups and modifiers too
+ * @returns {Array} Groups
+ */
+const getModifierGroups = async ({ includeInactive } = {}) => {
+  try {
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("IncludeInactive", sql.Bit, includeInactive ? 1 : 0).query(`
+        SELECT g.GroupId, g.Name AS GroupName, g.MinSelect, g.MaxSelect, g.Active AS GroupActive,
+               m.ModifierId, m.Name, m.Arabic, m.PriceDelta, m.SortOrder, m.Active
+        FROM tblModifierGroup g
+        LEFT JOIN tblModifier m ON m.GroupId = g.GroupId AND (m.Active = 1 OR @IncludeInactive = 1)
+        WHERE g.Active = 1 OR @IncludeInactive = 1
+        ORDER BY g.Name, g.GroupId, m.SortOrder, m.ModifierId;
+
+        SELECT img.GroupId, img.ItemId
+        FROM tblItemModifierGroup img
+        ORDER BY img.GroupId, img.ItemId;
+      `);
+
+    const [groupRows, linkRows] = result.recordsets;
+    const groups = new Map();
+
+    for (const row of groupRows) {
+      if (!groups.has(row.GroupId)) {
+        groups.set(row.GroupId, {
+          GroupId: row.GroupId,
+          Name: row.GroupName,
+          MinSelect: row.MinSelect,
+          MaxSelect: row.MaxSelect,
+          Active: row.GroupActive,
+          itemIds: [],
+          modifiers: [],
+        });
+      }
+
+      if (row.ModifierId) {
+        groups.get(row.GroupId).modifiers.push({
+          ModifierId: row.ModifierId,
+          Name: row.Name,
+          Arabic: row.Arabic,
+          PriceDelta: roundMoney(row.PriceDelta),
+          SortOrder: row.SortOrder,
+          Active: row.Active,
+        });
+      }
+    }
+
+    for (const link of linkRows) {
+      groups.get(link.GroupId)?.itemIds.push(link.ItemId);
+    }
+
+    return Array.from(groups.values());
+  } catch (error) {
+    console.error("Error in getModifierGroups:", error.message);
+    throw createAppError(`Error fetching modifier groups: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Creates a modifier group, or updates it when groupId is given. Modifiers
+ * sent with a modifierId are updated, new ones are added and the ones left
+ * out are switched off (order lines keep pointing at them).
+ * @param {Object} group - name, minSelect, maxSelect, active and modifiers ({ modifierId, name, arabic, priceDelta, sortOrder })
+ * @param {Number} groupId - Group to update
+ * @returns {Object} Saved group with its modifiers
+ */
+const saveModifierGroup = async (group = {}, groupId = null) => {
+  let transaction;
+
+  try {
+    groupId = parseInt(groupId) || null;
+    const minSelect = parseInt(group.minSelect) || 0;
+    const maxSelect =
+      group.maxSelect === undefined || group.maxSelect === null || group.maxSelect === ""
+        ? null
+        : parseInt(group.maxSelect);
+    const modifiers = Array.isArray(group.modifiers) ? group.modifiers : [];
+
+    if (!group.name) {
+      throw createAppError("Modifier group name is required", 400);
+    }
+
+    if (minSelect < 0 || (maxSelect !== null && (isNaN(maxSelect) || maxSelect < Math.max(minSelect, 1)))) {
+      throw createAppError("Maximum selections must be at least the minimum and at least 1", 400);
+    }
+
+    modifiers.forEach((modifier, index) => {
+      if (!modifier.name) {
+        throw createAppError(`Modifier at position ${index + 1} requires a name`, 400);
+      }
+    });
+
+    const connectedPool = await ensureConnection();
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const groupRequest = transaction
+      .request()
+      .input("GroupId", sql.Int, groupId)
+      .input("Name", sql.VarChar, group.name)
+      .input("MinSelect", sql.Int, minSelect)
+      .input("MaxSelect", sql.Int, maxSelect)
+      .input("Active", sql.Bit, group.active === undefined || group.active ? 1 : 0);
+
+    const groupResult = groupId
+      ? await groupRequest.query(`
+          UPDATE tblModifierGroup
+          SET Name = @Name, MinSelect = @MinSelect, MaxSelect = @MaxSelect, Active = @Active
+          OUTPUT INSERTED.GroupId
+          WHERE GroupId = @GroupId
+        `)
+      : await groupRequest.query(`
+          INSERT INTO tblModifierGroup (Name, MinSelect, MaxSelect, Active)
+          OUTPUT INSERTED.GroupId
+          VALUES (@Name, @MinSelect, @MaxSelect, @Active)
+        `);
+
+    if (groupResult.recordset.length === 0) {
+      throw createAppError(`Modifier group ${groupId} not found`, 404);
+    }
+    groupId = groupResult.recordset[0].GroupId;
+
+    const keptIds = [];
+    for (const [index, modifier] of modifiers.entries()) {
+      const modifierRequest = transaction
+        .request()
+        .input("GroupId", sql.Int, groupId)
+        .input("ModifierId", sql.Int, parseInt(modifier.modifierId) || null)
+        .input("Name", sql.VarChar, modifier.name)
+        .input("Arabic", sql.NVarChar, modifier.arabic || "")
+        .input("PriceDelta", sql.Decimal(18, 2), roundMoney(modifier.priceDelta))
+        .input("SortOrder", sql.Int, parseInt(modifier.sortOrder) || index + 1)
+        .input("Active", sql.Bit, modifier.active === undefined || modifier.active ? 1 : 0);
+
+      const saved = modifier.modifierId
+        ? await modifierRequest.query(`
+            UPDATE tblModifier
+            SET Name = @Name, Arabic = @Arabic, PriceDelta = @PriceDelta, SortOrder = @SortOrder, Active = @Active
+            OUTPUT INSERTED.ModifierId
+            WHERE ModifierId = @ModifierId AND GroupId = @GroupId
+          `)
+        : await modifierRequest.query(`
+            INSERT INTO tblModifier (GroupId, Name, Arabic, PriceDelta, SortOrder, Active)
+            OUTPUT INSERTED.ModifierId
+            VALUES (@GroupId, @Name, @Arabic, @PriceDelta, @SortOrder, @Active)
+          `);
+
+      if (saved.recordset.length === 0) {
+        throw createAppError(`Modifier ${modifier.modifierId} is not in group ${groupId}`, 400);
+      }
+      keptIds.push(saved.recordset[0].ModifierId);
+    }
+
+    const retireRequest = transaction.request().input("GroupId", sql.Int, groupId);
+    const keptList = keptIds.map((modifierId, index) => {
+      retireRequest.input(`kept${index}`, sql.Int, modifierId);
+      return `@kept${index}`;
+    });
+    await retireRequest.query(`
+      UPDATE tblModifier SET Active = 0
+      WHERE GroupId = @GroupId
+      ${keptList.length > 0 ? `AND ModifierId NOT IN (${keptList.join(", ")})` : ""}
+    `);
+
+    await transaction.commit();
+
+    const groups = await getModifierGroups({ includeInactive: true });
+    return groups.find((entry) => entry.GroupId === groupId);
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in saveModifierGroup:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error saving modifier group: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Replaces the modifier groups attached to an item
+ * @param {Number} itemId - tblItemMaster.ItemId
+ * @param {Array} groupIds - Groups in display order
+ * @returns {Array} Groups now attached to the item
+ */
+const setItemModifierGroups = async (itemId, groupIds) => {
+  let transaction;
+
+  try {
+    itemId = parseInt(itemId) || 0;
+    groupIds = [...new Set((Array.isArray(groupIds) ? groupIds : []).map((id) => parseInt(id) || 0))];
+
+    if (!itemId) {
+      throw createAppError("Item id is required", 400);
+    }
+
+    if (groupIds.includes(0)) {
+      throw createAppError("Invalid modifier group id", 400);
+    }
+
+    const connectedPool = await ensureConnection();
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const itemResult = await transaction
+      .request()
+      .input("ItemId", sql.Int, itemId)
+      .query(`SELECT ItemId FROM tblItemMaster WHERE ItemId = @ItemId`);
+
+    if (itemResult.recordset.length === 0) {
+      throw createAppError(`Item ${itemId} not found`, 404);
+    }
+
+    await transaction
+      .request()
+      .input("ItemId", sql.Int, itemId)
+      .query(`DELETE FROM tblItemModifierGroup WHERE ItemId = @ItemId`);
+
+    for (const [index, groupId] of groupIds.entries()) {
+      const linked = await transaction
+        .request()
+        .input("ItemId", sql.Int, itemId)
+        .input("GroupId", sql.Int, groupId)
+        .input("SortOrder", sql.Int, index + 1).query(`
+          INSERT INTO tblItemModifierGroup (ItemId, GroupId, SortOrder)
+          SELECT @ItemId, GroupId, @SortOrder FROM tblModifierGroup WHERE GroupId = @GroupId
+        `);
+
+      if (linked.rowsAffected[0] === 0) {
+        throw createAppError(`Modifier group ${groupId} not found`, 404);
+      }
+    }
+
+    const groupsByItem = await loadItemModifierGroups(transaction, [itemId]);
+
+    await transaction.commit();
+
+    return groupsByItem.get(itemId) || [];
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in setItemModifierGroups:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error saving item modifier groups: ${error.message}`, 500);
+  }
+};
+
+module.exports = {
+  COMPONENT_POSITION_OFFSET,
+  modifierSlNo,
+  loadItemModifierGroups,
+  normalizeSelections,
+  expandModifiers,
+  nestModifierLines,
+  getModifierGroups,
+  saveModifierGroup,
+  setItemModifierGroups,
+};
@@ -0,0 +1,1494 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+const { roundMoney } = require("../utils/money");
+const {
+  lockOrder,
+  assertOrderOpen,
+  getPaidAmount,
+} = require("./settlement.services");
+const {
+  refreshTableStatus,
+  releaseOrderSeats,
+  occupySeats,
+} = require("./seating.services");
+const {
+  getSentQuantities,
+  fireCancellationKot,
+  moveSentQuantity,
+} = require("./kot.services");
+const { authenticateUser } = require("./pos.services");
+const { getPricingConfig } = require("./pricing.services");
+const { priceOrderCharges, saveOrderCharges } = require("./charges.services");
+const { reverseOrderStock } = require("./inventory.services");
+const { reverseOrderLoyalty } = require("./loyalty.services");
+const { releaseItemStock, publishAvailability } = require("./availability.services");
+const { enqueuePrintJobs, triggerPrintWorker } = require("./printQueue.services");
+const { allocateOrderNo, buildOrderInsert } = require("./orderNumber.services");
+const { allocateToken, assignToken } = require("./token.services");
+const {
+  EVENT_TYPES,
+  publishOrderEvent,
+  publishTableEvents,
+} = require("./events.services");
+
+const VOID_REASONS = {
+  CUSTOMER_CANCELLED: "Customer cancelled",
+  WRONG_ITEM: "Wrong item entered",
+  KITCHEN_ERROR: "Kitchen error",
+  DUPLICATE: "Duplicate order",
+  QUALITY: "Quality complaint",
+  OTHER: "Other",
+};
+
+/**
+ * Loads the detail lines of an order, leaving out voided lines
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @returns {Array} tblOrder_D rows ordered by SlNo
+ */
+const getOrderLines = async (transaction, orderNo) => {
+  const linesResult = await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo).query(`
+      SELECT OrderNo, SlNo, ItemCode, ItemName, Qty, Rate, Amount, Cost, Vat, VatAmt, TaxLedger, Arabic, Notes,
+             ISNULL(GrossAmt, Amount) AS GrossAmt, DiscType, ISNULL(DiscValue, 0) AS DiscValue,
+             ISNULL(DiscAmt, 0) AS DiscAmt, ISNULL(OrderDiscAmt, 0) AS OrderDiscAmt,
+             ParentSlNo, ModifierId, ComboSlNo, ComboSlotId
+      FROM tblOrder_D
+      WHERE OrderNo = @OrderNo AND Voided = 0
+      ORDER BY SlNo
+    `);
+
+  return linesResult.recordset;
+};
+
+/**
+ * Loads the seats recorded for an order in tblOrder_Seats
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @returns {Array} tblOrder_Seats rows
+ */
+const getOrderSeats = async (transaction, orderNo) => {
+  const seatsResult = await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo).query(`
+      SELECT OrderNo, Seat, SeatId, TableId, Status, Counter
+      FROM tblOrder_Seats
+      WHERE OrderNo = @OrderNo
+      ORDER BY SeatId
+    `);
+
+  return seatsResult.recordset;
+};
+
+/**
+ * Splits a quantity into n shares of 2 decimals, the last share takes the remainder
+ * @param {Number} qty - Quantity to split
+ * @param {Number} parts - Number of shares
+ * @returns {Array} Share quantities
+ */
+const splitQuantity = (qty, parts) => {
+  const share = Math.floor((qty / parts) * 100) / 100;
+  const shares = Array(parts).fill(share);
+  shares[parts - 1] = roundMoney(qty - share * (parts - 1));
+  return shares;
+};
+
+// Amount columns of tblOrder_D that are shared out when a line is split
+const SHARED_LINE_FIELDS = ["Qty", "Amount", "VatAmt", "GrossAmt", "DiscAmt", "OrderDiscAmt"];
+
+/**
+ * Whether a line belongs to another line and only moves with it
+ * @param {Object} line - tblOrder_D row
+ * @returns {Boolean} True for modifier lines and combo components
+ */
+const isDependentLine = (line) => Boolean(line.ParentSlNo || line.ComboSlotId);
+
+/**
+ * Lines that move with a line when it is split: its modifiers and, for a
+ * combo line, its components
+ * @param {Array} lines - tblOrder_D rows
+ * @param {Number} slNo - Line they belong to
+ * @returns {Array} Dependent tblOrder_D rows, each followed by its own dependents
+ */
+const getDependentLines = (lines, slNo) =>
+  lines
+    .filter(
+      (line) => (line.ParentSlNo === slNo || line.ComboSlNo === slNo) && line.SlNo !== slNo
+    )
+    .flatMap((line) => [line, ...getDependentLines(lines, line.SlNo)]);
+
+/**
+ * Takes a share of a line's quantity and amounts off what is left of it
+ * @param {Object} line - tblOrder_D row
+ * @param {Object} rest - What is left of the line, updated in place
+ * @param {Number} ratio - Share of the line's quantity moved
+ * @param {Boolean} isLast - Whether the share takes everything left
+ * @returns {Object} Qty, Amount, VatAmt, GrossAmt, DiscAmt and OrderDiscAmt of the share
+ */
+const takeLineShare = (line, rest, ratio, isLast) => {
+  const share = {};
+  for (const field of SHARED_LINE_FIELDS) {
+    // The last share takes whatever is left so amounts always add up
+    share[field] = isLast ? rest[field] : roundMoney(line[field] * ratio);
+    rest[field] = roundMoney(rest[field] - share[field]);
+  }
+  return share;
+};
+
+/**
+ * Works out the charges, discount figures and total of an order from its
+ * lines after they changed outside a save (split, merge, line void), as
+ * saving the order would
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @param {Array} lines - Amount, VatAmt, GrossAmt, DiscAmt and OrderDiscAmt of its lines
+ * @param {Object} scope - option (order type) and area (delivery area) of the charges
+ * @returns {Number} Order total
+ */
+const saveOrderTotals = async (transaction, orderNo, lines, { option, area }) => {
+  const sum = (field) => roundMoney(lines.reduce((total, line) => total + line[field], 0));
+  const subTotal = sum("Amount");
+  area = option === 1 ? area : null;
+
+  const charges = await priceOrderCharges(
+    transaction,
+    { option, area, subTotal },
+    getPricingConfig().pricesIncludeVat
+  );
+  await saveOrderCharges(transaction, orderNo, charges, area);
+
+  const total = roundMoney(subTotal + sum("VatAmt") + charges.chargeTotal + charges.chargeVat);
+  const discPct = lines.reduce(
+    (max, line) =>
+      line.GrossAmt > 0
+        ? Math.max(max, roundMoney(((line.DiscAmt + line.OrderDiscAmt) * 100) / line.GrossAmt))
+        : max,
+    0
+  );
+
+  await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .input("Total", sql.Decimal(18, 2), total)
+    .input("DiscAmt", sql.Decimal(18, 2), sum("OrderDiscAmt"))
+    .input("TotalDisc", sql.Decimal(18, 2), roundMoney(sum("DiscAmt") + sum("OrderDiscAmt")))
+    .input("DiscPct", sql.Decimal(5, 2), discPct).query(`
+      UPDATE tblOrder_M
+      SET Total = @Total,
+          DiscValue = CASE WHEN DiscType = 'FIXED' THEN @DiscAmt ELSE DiscValue END,
+          DiscAmt = @DiscAmt, TotalDisc = @TotalDisc, DiscPct = @DiscPct
+      WHERE OrderNo = @OrderNo
+    `);
+
+  return total;
+};
+
+/**
+ * Builds the split partitions in seat mode: every line is shared equally
+ * between the seats recorded for the order, one seat per resulting order
+ * @param {Array} lines - tblOrder_D rows that are not dependent lines
+ * @param {Array} seats - tblOrder_Seats rows
+ * @returns {Array} Partitions for the new child orders
+ */
+const buildSeatPartitions = (lines, seats) => {
+  if (seats.length < 2) {
+    throw createAppError(
+      "Order needs at least two recorded seats to split by seat",
+      400
+    );
+  }
+
+  const lineShares = lines.map((line) => splitQuantity(line.Qty, seats.length));
+
+  // The first seat stays on the original order
+  return seats.slice(1).map((seat, index) => ({
+    seatIds: [seat.SeatId],
+    lines: lines
+      .map((line, lineIndex) => ({
+        slNo: line.SlNo,
+        qty: lineShares[lineIndex][index + 1],
+      }))
+      .filter((entry) => entry.qty > 0),
+  }));
+};
+
+/**
+ * Validates split partitions given by the client in item mode
+ * @param {Array} parts - [{ lines: [{ slNo, qty }], seatIds }]
+ * @param {Array} lines - tblOrder_D rows
+ * @param {Array} seats - tblOrder_Seats rows
+ * @returns {Array} Normalised partitions
+ */
+const buildItemPartitions = (parts, lines, seats) => {
+  if (!Array.isArray(parts) || parts.length === 0) {
+    throw createAppError("At least one split part is required", 400);
+  }
+
+  const lineMap = new Map(lines.map((line) => [line.SlNo, line]));
+  const seatIds = new Set(seats.map((seat) => seat.SeatId));
+  const movedQty = new Map();
+  const movedSeats = new Set();
+
+  const partitions = parts.map((part, partIndex) => {
+    if (!Array.isArray(part.lines) || part.lines.length === 0) {
+      throw createAppError(`Split part ${partIndex + 1} has no lines`, 400);
+    }
+
+    const partLines = part.lines.map((entry) => {
+      const slNo = parseInt(entry.slNo) || 0;
+      const line = lineMap.get(slNo);
+
+      if (!line) {
+        throw createAppError(`Line ${entry.slNo} not found on order`, 400);
+      }
+
+      if (isDependentLine(line)) {
+        throw createAppError(
+          line.ComboSlotId
+            ? `Line ${slNo} is part of combo line ${line.ComboSlNo}, split the combo line instead`
+            : `Line ${slNo} is a modifier of line ${line.ParentSlNo}, split that line instead`,
+          400
+        );
+      }
+
+      const qty =
+        entry.qty === undefined ? line.Qty : roundMoney(entry.qty);
+      if (qty <= 0) {
+        throw createAppError(
+          `Quantity for line ${slNo} must be greater than zero`,
+          400
+        );
+      }
+
+      const total = roundMoney((movedQty.get(slNo) || 0) + qty);
+      if (total > line.Qty) {
+        throw createAppError(
+          `Cannot move ${total} of line ${slNo}, only ${line.Qty} ordered`,
+          400
+        );
+      }
+      movedQty.set(slNo, total);
+
+      return { slNo, qty };
+    });
+
+    const partSeats = (part.seatIds || []).map((seatId) => {
+      const parsedSeatId = parseInt(seatId);
+      if (!seatIds.has(parsedSeatId) || movedSeats.has(parsedSeatId)) {
+        throw createAppError(
+          `Seat ${seatId} is not available on this order`,
+          400
+        );
+      }
+      movedSeats.add(parsedSeatId);
+      return parsedSeatId;
+    });
+
+    return { seatIds: partSeats, lines: partLines };
+  });
+
+  const remaining = lines.some(
+    (line) =>
+      !isDependentLine(line) && roundMoney(line.Qty - (movedQty.get(line.SlNo) || 0)) > 0
+  );
+  if (!remaining) {
+    throw createAppError(
+      "At least one item must remain on the original order",
+      400
+    );
+  }
+
+  return partitions;
+};
+
+/**
+ * Splits a pending order into several child orders, either by the seats in
+ * tblOrder_Seats or by an explicit list of tblOrder_D lines and quantities.
+ * Modifier lines and combo components go with the line they belong to.
+ * Each resulting order gets its own charges and discount figures.
+ * @param {Number} orderNo - Order to split
+ * @param {Object} splitData - mode ("seat" | "item") and parts for item mode
+ * @returns {Object} The original order and the created child orders
+ */
+const splitOrder = async (orderNo, { mode, parts } = {}) => {
+  let transaction;
+
+  try {
+    orderNo = parseInt(orderNo) || 0;
+
+    if (!orderNo) {
+      throw createAppError("Order number is required", 400);
+    }
+
+    if (!["seat", "item"].includes(mode)) {
+      throw createAppError('Split mode must be "seat" or "item"', 400);
+    }
+
+    const connectedPool = await ensureConnection();
+
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const order = await lockOrder(transaction, orderNo);
+
+    assertOrderOpen(order);
+
+    if ((await getPaidAmount(transaction, orderNo)) > 0) {
+      throw createAppError(
+        `Order ${orderNo} has payments recorded, void them before splitting`,
+        409
+      );
+    }
+
+    const lines = await getOrderLines(transaction, orderNo);
+    const seats = await getOrderSeats(transaction, orderNo);
+
+    if (lines.length === 0) {
+      throw createAppError(`Order ${orderNo} has no items to split`, 400);
+    }
+
+    const partitions =
+      mode === "seat"
+        ? buildSeatPartitions(lines.filter((line) => !isDependentLine(line)), seats)
+        : buildItemPartitions(parts, lines, seats);
+
+    const lineMap = new Map(lines.map((line) => [line.SlNo, line]));
+
+    const chargeScope = { option: order.Options, area: order.DelArea };
+
+    const printerResult = await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .query(`SELECT SlNo, Printer FROM tblPrinter WHERE OrderNo = @OrderNo`);
+    const printerBySlNo = new Map(
+      printerResult.recordset.map((row) => [row.SlNo, row.Printer])
+    );
+    const orderPrinter = process.env.ORDER_PRINTER || "DefaultPrinter";
+    const sentToKitchen = await getSentQuantities(transaction, orderNo);
+
+    // What is left of each line on the original order
+    const remaining = new Map(
+      lines.map((line) => [
+        line.SlNo,
+        Object.fromEntries(SHARED_LINE_FIELDS.map((field) => [field, line[field]])),
+      ])
+    );
+
+    const childOrders = [];
+
+    for (const partition of partitions) {
+      const childLines = partition.lines.flatMap((entry) => {
+        const line = lineMap.get(entry.slNo);
+        const isLast = roundMoney(remaining.get(entry.slNo).Qty - entry.qty) === 0;
+        const ratio = line.Qty ? entry.qty / line.Qty : 0;
+
+        return [line, ...getDependentLines(lines, line.SlNo)].map((moved) => ({
+          line: moved,
+          ...takeLineShare(moved, remaining.get(moved.SlNo), ratio, isLast),
+        }));
+      });
+
+      const childSeatId = partition.seatIds[0] || null;
+
+      const childInsertQuery = await buildOrderInsert(
+        transaction,
+        `
+          INSERT INTO tblOrder_M (OrderNo, EDate, Time, Options, CustId, CustName, Flat, Address, Contact, DelBoy, TableId, TableNo, Remarks, Total, Saled, Status, Prefix, Pr, SeatId, ParentOrderNo, DiscType, DiscValue, DiscBy, DiscAuthBy, DiscAt)
+          OUTPUT INSERTED.OrderNo
+          SELECT @ChildOrderNo, EDate, Time, Options, CustId, CustName, Flat, Address, Contact, DelBoy, TableId, TableNo, Remarks, 0, 'No', Status, Prefix, '', @SeatId, OrderNo, DiscType, DiscValue, DiscBy, DiscAuthBy, DiscAt
+          FROM tblOrder_M
+          WHERE OrderNo = @OrderNo
+        `
+      );
+
+      const childResult = await transaction
+        .request()
+        .input("OrderNo", sql.Int, orderNo)
+        .input("ChildOrderNo", sql.Int, await allocateOrderNo(transaction))
+        .input("SeatId", sql.Int, childSeatId)
+        .query(childInsertQuery);
+
+      const childOrderNo = childResult.recordset[0].OrderNo;
+
+      // Each split bill gets its own token so it can be called separately
+      await assignToken(
+        transaction,
+        childOrderNo,
+        await allocateToken(transaction, {
+          option: order.Options,
+          prefix: order.Prefix,
+        })
+      );
+
+      // Dependent lines follow their line, so its new SlNo is known by then;
+      // a combo line's ComboSlNo is its own SlNo
+      const childSlNos = new Map();
+      let childSlNo = 0;
+      for (const entry of childLines) {
+        childSlNo++;
+        childSlNos.set(entry.line.SlNo, childSlNo);
+        entry.slNo = childSlNo;
+        entry.parentSlNo = childSlNos.get(entry.line.ParentSlNo) || null;
+        entry.comboSlNo = childSlNos.get(entry.line.ComboSlNo) || null;
+
+        await transaction
+          .request()
+          .input("OrderNo", sql.Int, childOrderNo)
+          .input("SlNo", sql.Int, childSlNo)
+          .input("ItemCode", sql.Int, entry.line.ItemCode)
+          .input("ItemName", sql.VarChar, entry.line.ItemName || "")
+          .input("Qty", sql.Decimal(18, 2), entry.Qty)
+          .input("Rate", sql.Decimal(18, 2), entry.line.Rate)
+          .input("Amount", sql.Decimal(18, 2), entry.Amount)
+          .input("Cost", sql.Decimal(18, 2), entry.line.Cost)
+          .input("Vat", sql.Decimal(18, 2), entry.line.Vat)
+          .input("VatAmt", sql.Decimal(18, 2), entry.VatAmt)
+          .input("TaxLedger", sql.Int, entry.line.TaxLedger)
+          .input("Arabic", sql.NVarChar, entry.line.Arabic || "")
+          .input("Notes", sql.VarChar, entry.line.Notes || "")
+          .input("GrossAmt", sql.Decimal(18, 2), entry.GrossAmt)
+          .input("DiscType", sql.VarChar, entry.line.DiscType || null)
+          .input(
+            "DiscValue",
+            sql.Decimal(18, 2),
+            entry.line.DiscType === "FIXED" ? entry.DiscAmt : entry.line.DiscValue
+          )
+          .input("DiscAmt", sql.Decimal(18, 2), entry.DiscAmt)
+          .input("OrderDiscAmt", sql.Decimal(18, 2), entry.OrderDiscAmt)
+          .input("ParentSlNo", sql.Int, entry.parentSlNo)
+          .input("ModifierId", sql.Int, entry.line.ModifierId || null)
+          .input("ComboSlNo", sql.Int, entry.comboSlNo)
+          .input("ComboSlotId", sql.Int, entry.line.ComboSlotId || null).query(`
+            INSERT INTO tblOrder_D (OrderNo, SlNo, ItemCode, ItemName, Qty, Rate, Amount, Cost, Vat, VatAmt, TaxLedger, Arabic, Notes, GrossAmt, DiscType, DiscValue, DiscAmt, OrderDiscAmt, ParentSlNo, ModifierId, ComboSlNo, ComboSlotId)
+            VALUES (@OrderNo, @SlNo, @ItemCode, @ItemName, @Qty, @Rate, @Amount, @Cost, @Vat, @VatAmt, @TaxLedger, @Arabic, @Notes, @GrossAmt, @DiscType, @DiscValue, @DiscAmt, @OrderDiscAmt, @ParentSlNo, @ModifierId, @ComboSlNo, @ComboSlotId)
+          `);
+
+        await transaction
+          .request()
+          .input("OrderNo", sql.Int, childOrderNo)
+          .input("SlNo", sql.Int, childSlNo)
+          .input("ItemId", sql.Int, entry.line.ItemCode)
+          .input(
+            "Printer",
+            sql.VarChar,
+            printerBySlNo.get(entry.line.SlNo) || orderPrinter
+          ).query(`
+            INSERT INTO tblPrinter (OrderNo, SlNo, ItemId, Printer)
+            VALUES (@OrderNo, @SlNo, @ItemId, @Printer)
+          `);
+
+        // The kitchen already has this share, so the child order must not re-fire it
+        await moveSentQuantity(
+          transaction,
+          {
+            orderNo,
+            slNo: entry.line.SlNo,
+            itemCode: entry.line.ItemCode,
+            modifierId: entry.line.ModifierId,
+            parentSlNo: entry.line.ParentSlNo,
+          },
+          { orderNo: childOrderNo, slNo: childSlNo, parentSlNo: entry.parentSlNo },
+          entry.Qty,
+          sentToKitchen
+        );
+      }
+
+      const childTotal = await saveOrderTotals(
+        transaction,
+        childOrderNo,
+        childLines,
+        chargeScope
+      );
+
+      for (const seatId of partition.seatIds) {
+        await transaction
+          .request()
+          .input("OrderNo", sql.Int, orderNo)
+          .input("ChildOrderNo", sql.Int, childOrderNo)
+          .input("SeatId", sql.Int, seatId).query(`
+            UPDATE tblOrder_Seats SET OrderNo = @ChildOrderNo
+            WHERE OrderNo = @OrderNo AND SeatId = @SeatId;
+            UPDATE tblSeat SET Status = 1 WHERE SeatId = @SeatId;
+          `);
+      }
+
+      childOrders.push({
+        orderNo: childOrderNo,
+        total: childTotal,
+        seatIds: partition.seatIds,
+        items: childLines.map((entry) => ({
+          slNo: entry.slNo,
+          parentSlNo: entry.parentSlNo,
+          comboSlNo: entry.comboSlNo,
+          itemCode: entry.line.ItemCode,
+          itemName: entry.line.ItemName,
+          qty: entry.Qty,
+          amount: entry.Amount,
+          vatAmt: entry.VatAmt,
+        })),
+      });
+    }
+
+    // Shrink or remove the lines that moved off the original order
+    for (const line of lines) {
+      const rest = remaining.get(line.SlNo);
+      if (rest.Qty === line.Qty) continue;
+
+      if (rest.Qty <= 0) {
+        await transaction
+          .request()
+          .input("OrderNo", sql.Int, orderNo)
+          .input("SlNo", sql.Int, line.SlNo).query(`
+            DELETE FROM tblOrder_D WHERE OrderNo = @OrderNo AND SlNo = @SlNo;
+            DELETE FROM tblPrinter WHERE OrderNo = @OrderNo AND SlNo = @SlNo;
+          `);
+      } else {
+        await transaction
+          .request()
+          .input("OrderNo", sql.Int, orderNo)
+          .input("SlNo", sql.Int, line.SlNo)
+          .input("Qty", sql.Decimal(18, 2), rest.Qty)
+          .input("Amount", sql.Decimal(18, 2), rest.Amount)
+          .input("VatAmt", sql.Decimal(18, 2), rest.VatAmt)
+          .input("GrossAmt", sql.Decimal(18, 2), rest.GrossAmt)
+          .input(
+            "DiscValue",
+            sql.Decimal(18, 2),
+            line.DiscType === "FIXED" ? rest.DiscAmt : line.DiscValue
+          )
+          .input("DiscAmt", sql.Decimal(18, 2), rest.DiscAmt)
+          .input("OrderDiscAmt", sql.Decimal(18, 2), rest.OrderDiscAmt).query(`
+            UPDATE tblOrder_D
+            SET Qty = @Qty, Amount = @Amount, VatAmt = @VatAmt, GrossAmt = @GrossAmt,
+                DiscValue = @DiscValue, DiscAmt = @DiscAmt, OrderDiscAmt = @OrderDiscAmt
+            WHERE OrderNo = @OrderNo AND SlNo = @SlNo
+          `);
+      }
+    }
+
+    const parentTotal = await saveOrderTotals(
+      transaction,
+      orderNo,
+      [...remaining.values()],
+      chargeScope
+    );
+
+    // Point the original order at a seat it still holds if its own seat moved
+    const movedSeatIds = partitions.flatMap((partition) => partition.seatIds);
+    const parentSeatId = movedSeatIds.includes(order.SeatId)
+      ? seats.find((seat) => !movedSeatIds.includes(seat.SeatId))?.SeatId ||
+        null
+      : order.SeatId;
+
+    await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("SeatId", sql.Int, parentSeatId).query(`
+        UPDATE tblOrder_M SET SeatId = @SeatId WHERE OrderNo = @OrderNo
+      `);
+
+    const tableStatus = await refreshTableStatus(transaction, order.TableId);
+
+    await transaction.commit();
+
+    await publishOrderEvent(
+      EVENT_TYPES.ORDER_UPDATED,
+      orderNo,
+      { total: parentTotal, splitInto: childOrders.map((child) => child.orderNo) },
+      order.TableId
+    );
+    for (const child of childOrders) {
+      await publishOrderEvent(
+        EVENT_TYPES.ORDER_CREATED,
+        child.orderNo,
+        { total: child.total, parentOrderNo: orderNo },
+        order.TableId
+      );
+    }
+    await publishTableEvents(order.TableId, { orderNo });
+
+    return {
+      orderNo,
+      mode,
+      total: parentTotal,
+      tableStatus,
+      childOrders,
+    };
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in splitOrder:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error splitting order: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Moves a pending order to another table and/or seats, freeing the old
+ * seats and recomputing the status of both tables
+ * @param {Number} orderNo - Order to move
+ * @param {Object} target - tableId, optional tableNo and seatIds
+ * @returns {Object} Transfer summary
+ */
+const transferOrder = async (orderNo, { tableId, tableNo, seatIds } = {}) => {
+  let transaction;
+
+  try {
+    orderNo = parseInt(orderNo) || 0;
+    tableId = parseInt(tableId) || 0;
+    seatIds = Array.isArray(seatIds)
+      ? seatIds.map((seatId) => parseInt(seatId)).filter((seatId) => seatId > 0)
+      : [];
+
+    if (!orderNo) {
+      throw createAppError("Order number is required", 400);
+    }
+
+    if (!tableId) {
+      throw createAppError("Select a table to transfer the order to", 400);
+    }
+
+    const connectedPool = await ensureConnection();
+
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const order = await lockOrder(transaction, orderNo);
+
+    assertOrderOpen(order);
+
+    const tableResult = await transaction
+      .request()
+      .input("TableId", sql.Int, tableId)
+      .query(`SELECT TableID, Code, Name FROM tblTable WHERE TableID = @TableId`);
+
+    if (tableResult.recordset.length === 0) {
+      throw createAppError(`Table ${tableId} not found`, 404);
+    }
+
+    const targetTable = tableResult.recordset[0];
+
+    if (seatIds.length > 0) {
+      const busyQuery = `
+        SELECT s.SeatId
+        FROM tblSeat s
+        WHERE s.TableId = @TableId AND s.Status = 1
+          AND s.SeatId IN (${seatIds.map((_, index) => `@seatId${index}`).join(",")})
+          AND NOT EXISTS (
+            SELECT 1 FROM tblOrder_Seats os
+            WHERE os.SeatId = s.SeatId AND os.OrderNo = @OrderNo
+          )
+      `;
+
+      const busyRequest = transaction
+        .request()
+        .input("OrderNo", sql.Int, orderNo)
+        .input("TableId", sql.Int, tableId);
+      seatIds.forEach((seatId, index) => {
+        busyRequest.input(`seatId${index}`, sql.Int, seatId);
+      });
+
+      const busyResult = await busyRequest.query(busyQuery);
+
+      if (busyResult.recordset.length > 0) {
+        throw createAppError(
+          `Seats already occupied: ${busyResult.recordset
+            .map((row) => row.SeatId)
+            .join(", ")}`,
+          409
+        );
+      }
+    }
+
+    const releasedSeats = await releaseOrderSeats(transaction, orderNo);
+
+    await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .query(`DELETE FROM tblOrder_Seats WHERE OrderNo = @OrderNo`);
+
+    const assignedSeats = await occupySeats(
+      transaction,
+      orderNo,
+      tableId,
+      seatIds
+    );
+
+    const targetTableNo = tableNo || targetTable.Code || String(tableId);
+
+    await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("TableId", sql.Int, tableId)
+      .input("TableNo", sql.VarChar, targetTableNo)
+      .input("SeatId", sql.Int, assignedSeats[0]?.SeatId || null).query(`
+        UPDATE tblOrder_M SET TableId = @TableId, TableNo = @TableNo, SeatId = @SeatId WHERE OrderNo = @OrderNo;
+        UPDATE tblKot_M SET TableId = @TableId, TableNo = @TableNo WHERE OrderNo = @OrderNo;
+      `);
+
+    const tableStatuses = {};
+    if (order.TableId && order.TableId !== tableId) {
+      tableStatuses[order.TableId] = await refreshTableStatus(
+        transaction,
+        order.TableId
+      );
+    }
+    tableStatuses[tableId] = await refreshTableStatus(transaction, tableId);
+
+    await transaction.commit();
+
+    await publishOrderEvent(
+      EVENT_TYPES.ORDER_UPDATED,
+      orderNo,
+      { transferredFrom: order.TableId || null },
+      tableId
+    );
+    if (order.TableId && order.TableId !== tableId) {
+      await publishTableEvents(order.TableId, { orderNo, releasedSeats });
+    }
+    await publishTableEvents(tableId, {
+      orderNo,
+      releasedSeats: order.TableId === tableId ? releasedSeats : [],
+      occupiedSeats: assignedSeats.map((seat) => seat.SeatId),
+    });
+
+    return {
+      orderNo,
+      fromTableId: order.TableId || null,
+      toTableId: tableId,
+      tableNo: targetTableNo,
+      releasedSeats,
+      seatIds: assignedSeats.map((seat) => seat.SeatId),
+      tableStatuses,
+    };
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in transferOrder:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error transferring order: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Merges a pending source order into a pending target order: lines,
+ * printer rows, KOT history, seats, payments and loyalty redemptions move
+ * to the target, the source order is removed and the target's charges,
+ * discount figures and total are worked out again
+ * @param {Number} orderNo - Target order that survives
+ * @param {Number} sourceOrderNo - Order merged into the target
+ * @returns {Object} Merge summary
+ */
+const mergeOrders = async (orderNo, sourceOrderNo) => {
+  let transaction;
+
+  try {
+    orderNo = parseInt(orderNo) || 0;
+    sourceOrderNo = parseInt(sourceOrderNo) || 0;
+
+    if (!orderNo || !sourceOrderNo) {
+      throw createAppError("Target and source order numbers are required", 400);
+    }
+
+    if (orderNo === sourceOrderNo) {
+      throw createAppError("Cannot merge an order into itself", 400);
+    }
+
+    const connectedPool = await ensureConnection();
+
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    // Lock in a fixed order so two opposite merges cannot deadlock
+    const [first, second] = [orderNo, sourceOrderNo].sort((a, b) => a - b);
+    const locked = {
+      [first]: await lockOrder(transaction, first),
+      [second]: await lockOrder(transaction, second),
+    };
+    const target = locked[orderNo];
+    const source = locked[sourceOrderNo];
+
+    assertOrderOpen(target);
+    assertOrderOpen(source);
+
+    // Points redeemed on the source stay with the customer who redeemed them
+    const redeemersResult = await transaction
+      .request()
+      .input("SourceOrderNo", sql.Int, sourceOrderNo).query(`
+        SELECT CustCode FROM tblLoyaltyLedger
+        WHERE OrderNo = @SourceOrderNo
+        GROUP BY CustCode
+        HAVING SUM(Points) <> 0
+      `);
+    const otherRedeemer = redeemersResult.recordset.find(
+      (row) => row.CustCode !== (target.CustId || 0)
+    );
+    if (otherRedeemer) {
+      throw createAppError(
+        `Order ${sourceOrderNo} has loyalty points redeemed by customer ${otherRedeemer.CustCode}, merge it into an order of the same customer`,
+        409
+      );
+    }
+
+    const offsetResult = await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo).query(`
+        SELECT
+          (SELECT ISNULL(MAX(SlNo), 0) FROM tblOrder_D WHERE OrderNo = @OrderNo) AS MaxSlNo,
+          (SELECT ISNULL(MAX(KotSeq), 0) FROM tblKot_M WHERE OrderNo = @OrderNo) AS MaxKotSeq
+      `);
+    const slNoOffset = offsetResult.recordset[0].MaxSlNo;
+    const kotSeqOffset = offsetResult.recordset[0].MaxKotSeq;
+
+    // The source's tickets follow the target's so (OrderNo, KotSeq) stays unique;
+    // legacy tickets without a KotSeq and the KotSeq 0 split bookkeeping keep theirs
+    const movedResult = await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("SourceOrderNo", sql.Int, sourceOrderNo)
+      .input("Offset", sql.Int, slNoOffset)
+      .input("KotOffset", sql.Int, kotSeqOffset).query(`
+        UPDATE tblOrder_D
+        SET OrderNo = @OrderNo, SlNo = SlNo + @Offset,
+            ParentSlNo = CASE WHEN ParentSlNo IS NULL THEN NULL ELSE ParentSlNo + @Offset END,
+            ComboSlNo = CASE WHEN ComboSlNo IS NULL THEN NULL ELSE ComboSlNo + @Offset END
+        WHERE OrderNo = @SourceOrderNo;
+        UPDATE tblPrinter SET OrderNo = @OrderNo, SlNo = SlNo + @Offset WHERE OrderNo = @SourceOrderNo;
+        UPDATE tblKot_D
+        SET OrderNo = @OrderNo, SlNo = SlNo + @Offset,
+            ParentSlNo = CASE WHEN ParentSlNo IS NULL THEN NULL ELSE ParentSlNo + @Offset END,
+            KotSeq = CASE WHEN KotSeq > 0 THEN KotSeq + @KotOffset ELSE KotSeq END
+        WHERE OrderNo = @SourceOrderNo;
+        UPDATE tblKotPrinter SET OrderNo = @OrderNo, SlNo = SlNo + @Offset WHERE OrderNo = @SourceOrderNo;
+        UPDATE tblKot_M
+        SET OrderNo = @OrderNo,
+            KotSeq = CASE WHEN KotSeq > 0 THEN KotSeq + @KotOffset ELSE KotSeq END
+        WHERE OrderNo = @SourceOrderNo;
+        UPDATE tblPrintJob
+        SET OrderNo = @OrderNo,
+            KotSeq = CASE WHEN KotSeq > 0 THEN KotSeq + @KotOffset ELSE KotSeq END
+        WHERE OrderNo = @SourceOrderNo;
+        UPDATE tblOrder_Seats SET OrderNo = @OrderNo WHERE OrderNo = @SourceOrderNo;
+        UPDATE tblOrder_Payments SET OrderNo = @OrderNo WHERE OrderNo = @SourceOrderNo;
+        DELETE FROM tblOrder_Charges WHERE OrderNo = @SourceOrderNo;
+        UPDATE tblLoyaltyLedger SET OrderNo = @OrderNo WHERE OrderNo = @SourceOrderNo;
+      `);
+
+    await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("SourceOrderNo", sql.Int, sourceOrderNo).query(`
+        UPDATE tblOrder_M
+        SET SeatId = ISNULL(SeatId, (SELECT MIN(SeatId) FROM tblOrder_Seats WHERE OrderNo = @OrderNo)),
+            LoyaltyPoints = ISNULL(LoyaltyPoints, 0) + ISNULL((SELECT LoyaltyPoints FROM tblOrder_M WHERE OrderNo = @SourceOrderNo), 0),
+            LoyaltyAmt = ISNULL(LoyaltyAmt, 0) + ISNULL((SELECT LoyaltyAmt FROM tblOrder_M WHERE OrderNo = @SourceOrderNo), 0)
+        WHERE OrderNo = @OrderNo;
+        DELETE FROM tblOrder_M WHERE OrderNo = @SourceOrderNo;
+      `);
+
+    // Charges such as the service charge are worked out once on the merged lines
+    const mergedTotal = await saveOrderTotals(
+      transaction,
+      orderNo,
+      await getOrderLines(transaction, orderNo),
+      { option: target.Options, area: target.DelArea }
+    );
+
+    const tableStatuses = {};
+    for (const tableId of new Set([target.TableId, source.TableId])) {
+      if (tableId) {
+        tableStatuses[tableId] = await refreshTableStatus(transaction, tableId);
+      }
+    }
+
+    await transaction.commit();
+
+    await publishOrderEvent(
+      EVENT_TYPES.ORDER_UPDATED,
+      orderNo,
+      { total: mergedTotal, mergedFrom: sourceOrderNo },
+      target.TableId
+    );
+    await publishOrderEvent(
+      EVENT_TYPES.ORDER_UPDATED,
+      sourceOrderNo,
+      { mergedInto: orderNo, removed: true },
+      source.TableId
+    );
+    for (const tableId of new Set([target.TableId, source.TableId])) {
+      await publishTableEvents(tableId, { orderNo });
+    }
+
+    return {
+      orderNo,
+      sourceOrderNo,
+      total: mergedTotal,
+      linesMoved: movedResult.rowsAffected[0],
+      tableStatuses,
+    };
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in mergeOrders:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error merging orders: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Validates a void reason code and the authorising user's credentials
+ * @param {Object} voidData - reasonCode, username and password
+ * @returns {Object} Reason code and the authorising tblUser row
+ */
+const authoriseVoid = async ({ reasonCode, username, password }) => {
+  const code = String(reasonCode || "").toUpperCase();
+
+  if (!VOID_REASONS[code]) {
+    throw createAppError(
+      `Invalid reason code. Use one of: ${Object.keys(VOID_REASONS).join(", ")}`,
+      400
+    );
+  }
+
+  if (!username || !password) {
+    throw createAppError("Authorising username and password are required", 400);
+  }
+
+  const authUser = await authenticateUser(username, password);
+
+  return { reasonCode: code, authUser };
+};
+
+/**
+ * Puts the voided quantities back on the item countdowns
+ * @param {Object} transaction - SQL transaction object
+ * @param {Array} entries - { line, share } pairs as logged by logVoid
+ * @returns {Array} Items that came back, from releaseItemStock
+ */
+const releaseVoidedStock = (transaction, entries) =>
+  releaseItemStock(
+    transaction,
+    entries.map(({ line, share }) => ({
+      itemCode: line.ItemCode,
+      qty: share.qty,
+      modifierId: line.ModifierId,
+    }))
+  );
+
+/**
+ * Maps a tblOrder_D row and a voided share of it to a cancellation KOT line
+ * @param {Object} line - tblOrder_D row
+ * @param {Object} share - Voided qty, amount and VAT amount
+ * @returns {Object} KOT line
+ */
+const toCancelledLine = (line, share) => ({
+  slNo: line.SlNo,
+  itemCode: line.ItemCode,
+  itemName: line.ItemName,
+  qty: share.qty,
+  rate: line.Rate,
+  amount: share.amount,
+  cost: line.Cost,
+  vat: line.Vat,
+  vatAmt: share.vatAmt,
+  taxLedger: line.TaxLedger,
+  arabic: line.Arabic,
+  notes: line.Notes,
+  parentSlNo: line.ParentSlNo || null,
+  modifierId: line.ModifierId || null,
+});
+
+/**
+ * Logs voided quantities into tblOrder_Void
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @param {String} scope - "ORDER" or "LINE"
+ * @param {Array} entries - [{ line, share }] to log, empty for a bare order entry
+ * @param {Object} context - reasonCode, note and authUser
+ */
+const logVoid = async (
+  transaction,
+  orderNo,
+  scope,
+  entries,
+  { reasonCode, note, authUser }
+) => {
+  const voidQuery = `
+    INSERT INTO tblOrder_Void (OrderNo, Scope, SlNo, ItemCode, ItemName, Qty, Rate, Amount, VatAmt, ReasonCode, Note, AuthUserId)
+    VALUES (@OrderNo, @Scope, @SlNo, @ItemCode, @ItemName, @Qty, @Rate, @Amount, @VatAmt, @ReasonCode, @Note, @AuthUserId)
+  `;
+
+  const rows = entries.length > 0 ? entries : [{ line: null, share: null }];
+
+  for (const { line, share } of rows) {
+    await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("Scope", sql.VarChar, scope)
+      .input("SlNo", sql.Int, line ? line.SlNo : null)
+      .input("ItemCode", sql.Int, line ? line.ItemCode : null)
+      .input("ItemName", sql.VarChar, line ? line.ItemName : null)
+      .input("Qty", sql.Decimal(18, 2), share ? share.qty : 0)
+      .input("Rate", sql.Decimal(18, 2), line ? line.Rate : 0)
+      .input("Amount", sql.Decimal(18, 2), share ? share.amount : 0)
+      .input("VatAmt", sql.Decimal(18, 2), share ? share.vatAmt : 0)
+      .input("ReasonCode", sql.VarChar, reasonCode)
+      .input("Note", sql.VarChar, note || "")
+      .input("AuthUserId", sql.Int, authUser.UserId)
+      .query(voidQuery);
+  }
+};
+
+/**
+ * Cancels a whole pending order. The order and its lines are kept and
+ * flagged as voided, its seats and table are freed, its quantities go back
+ * on the item countdowns and a cancellation ticket is sent to the kitchen
+ * printers for items already fired
+ * @param {Number} orderNo - Order to void
+ * @param {Object} voidData - reasonCode, note and authorising username / password
+ * @returns {Object} Void summary
+ */
+const voidOrder = async (orderNo, voidData = {}) => {
+  let transaction;
+
+  try {
+    orderNo = parseInt(orderNo) || 0;
+
+    if (!orderNo) {
+      throw createAppError("Order number is required", 400);
+    }
+
+    const { reasonCode, authUser } = await authoriseVoid(voidData);
+
+    const connectedPool = await ensureConnection();
+
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const order = await lockOrder(transaction, orderNo);
+    assertOrderOpen(order);
+
+    if ((await getPaidAmount(transaction, orderNo)) > 0) {
+      throw createAppError(
+        `Order ${orderNo} has payments recorded, void them before cancelling`,
+        409
+      );
+    }
+
+    const lines = await getOrderLines(transaction, orderNo);
+    const entries = lines.map((line) => ({
+      line,
+      share: { qty: line.Qty, amount: line.Amount, vatAmt: line.VatAmt },
+    }));
+
+    await logVoid(transaction, orderNo, "ORDER", entries, {
+      reasonCode,
+      note: voidData.note,
+      authUser,
+    });
+
+    await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("VoidReason", sql.VarChar, reasonCode)
+      .input("VoidedBy", sql.Int, authUser.UserId).query(`
+        UPDATE tblOrder_M
+        SET Voided = 1, VoidReason = @VoidReason, VoidedBy = @VoidedBy, VoidedAt = GETDATE()
+        WHERE OrderNo = @OrderNo
+      `);
+
+    await reverseOrderLoyalty(transaction, orderNo, {
+      userId: authUser.UserId,
+      note: reasonCode,
+    });
+
+    const restocked = await releaseVoidedStock(transaction, entries);
+
+    const releasedSeats = await releaseOrderSeats(transaction, orderNo);
+    const tableStatus = await refreshTableStatus(transaction, order.TableId);
+
+    const cancellationTicket = await fireCancellationKot(
+      transaction,
+      orderNo,
+      entries.map(({ line, share }) => toCancelledLine(line, share)),
+      `CANCELLED - ${VOID_REASONS[reasonCode]}`
+    );
+
+    if (cancellationTicket) {
+      await enqueuePrintJobs(transaction, orderNo, {
+        type: "kot",
+        kotSeq: cancellationTicket.kotSeq,
+      });
+    }
+
+    await transaction.commit();
+
+    triggerPrintWorker();
+    publishAvailability(restocked);
+
+    if (cancellationTicket) {
+      await publishOrderEvent(EVENT_TYPES.KOT_FIRED, orderNo, cancellationTicket, order.TableId);
+    }
+
+    await publishOrderEvent(EVENT_TYPES.ORDER_VOIDED, orderNo, { reasonCode }, order.TableId);
+    await publishTableEvents(order.TableId, { orderNo, releasedSeats });
+
+    return {
+      orderNo,
+      reasonCode,
+      authorisedBy: authUser.User_Name,
+      releasedSeats,
+      tableId: order.TableId || null,
+      tableStatus,
+      cancellationTicket,
+    };
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in voidOrder:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error voiding order: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Voids a full or partial quantity of one line of a pending order. The
+ * voided quantity is copied to tblOrder_Void and put back on the item
+ * countdown; a fully voided line stays in tblOrder_D flagged Voided. The
+ * order's charges, discount figures and total are worked out again. The
+ * line's modifiers and combo components are voided with it.
+ * @param {Number} orderNo - Order number
+ * @param {Number} slNo - tblOrder_D line
+ * @param {Object} voidData - qty (defaults to the whole line), reasonCode, note and authorising username / password
+ * @returns {Object} Void summary
+ */
+const voidOrderLine = async (orderNo, slNo, voidData = {}) => {
+  let transaction;
+
+  try {
+    orderNo = parseInt(orderNo) || 0;
+    slNo = parseInt(slNo) || 0;
+
+    if (!orderNo || !slNo) {
+      throw createAppError("Order number and line number are required", 400);
+    }
+
+    const { reasonCode, authUser } = await authoriseVoid(voidData);
+
+    const connectedPool = await ensureConnection();
+
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const order = await lockOrder(transaction, orderNo);
+    assertOrderOpen(order);
+
+    const lines = await getOrderLines(transaction, orderNo);
+    const line = lines.find((entry) => entry.SlNo === slNo);
+
+    if (!line) {
+      throw createAppError(`Line ${slNo} not found on order ${orderNo}`, 404);
+    }
+
+    if (line.ComboSlotId) {
+      throw createAppError(
+        `Line ${slNo} is part of combo line ${line.ComboSlNo}, void the combo line instead`,
+        400
+      );
+    }
+
+    const qty =
+      voidData.qty === undefined ? line.Qty : roundMoney(voidData.qty);
+
+    if (qty <= 0 || qty > line.Qty) {
+      throw createAppError(
+        `Void quantity must be between 0 and ${line.Qty}`,
+        400
+      );
+    }
+
+    // Modifiers and combo components go with the line they belong to
+    const isWholeLine = qty === line.Qty;
+    const ratio = line.Qty ? qty / line.Qty : 0;
+    const voided = [line, ...getDependentLines(lines, slNo)].map((entry) => {
+      const rest = Object.fromEntries(SHARED_LINE_FIELDS.map((field) => [field, entry[field]]));
+      const taken = takeLineShare(entry, rest, ratio, isWholeLine);
+      return {
+        line: entry,
+        rest,
+        share: { qty: taken.Qty, amount: taken.Amount, vatAmt: taken.VatAmt },
+      };
+    });
+    const share = voided[0].share;
+
+    await logVoid(transaction, orderNo, "LINE", voided, {
+      reasonCode,
+      note: voidData.note,
+      authUser,
+    });
+
+    // Voided lines stay on the order for reporting, flagged and left out of its totals
+    for (const entry of voided) {
+      await transaction
+        .request()
+        .input("OrderNo", sql.Int, orderNo)
+        .input("SlNo", sql.Int, entry.line.SlNo)
+        .input("Voided", sql.Bit, isWholeLine ? 1 : 0)
+        .input("VoidedQty", sql.Decimal(18, 2), entry.share.qty)
+        .input("Qty", sql.Decimal(18, 2), entry.rest.Qty)
+        .input("Amount", sql.Decimal(18, 2), entry.rest.Amount)
+        .input("VatAmt", sql.Decimal(18, 2), entry.rest.VatAmt)
+        .input("GrossAmt", sql.Decimal(18, 2), entry.rest.GrossAmt)
+        .input("DiscAmt", sql.Decimal(18, 2), entry.rest.DiscAmt)
+        .input("OrderDiscAmt", sql.Decimal(18, 2), entry.rest.OrderDiscAmt).query(`
+          UPDATE tblOrder_D
+          SET Voided = @Voided, VoidedQty = VoidedQty + @VoidedQty,
+              Qty = CASE WHEN @Voided = 1 THEN Qty ELSE @Qty END,
+              Amount = CASE WHEN @Voided = 1 THEN Amount ELSE @Amount END,
+              VatAmt = CASE WHEN @Voided = 1 THEN VatAmt ELSE @VatAmt END,
+              GrossAmt = CASE WHEN @Voided = 1 THEN GrossAmt ELSE @GrossAmt END,
+              DiscValue = CASE WHEN @Voided = 0 AND DiscType = 'FIXED' THEN @DiscAmt ELSE DiscValue END,
+              DiscAmt = CASE WHEN @Voided = 1 THEN DiscAmt ELSE @DiscAmt END,
+              OrderDiscAmt = CASE WHEN @Voided = 1 THEN OrderDiscAmt ELSE @OrderDiscAmt END
+          WHERE OrderNo = @OrderNo AND SlNo = @SlNo
+        `);
+    }
+
+    const remainingLines = lines.map((entry) => {
+      const changed = voided.find((item) => item.line === entry);
+      return changed ? { ...entry, ...changed.rest } : entry;
+    });
+    const newTotal = await saveOrderTotals(transaction, orderNo, remainingLines, {
+      option: order.Options,
+      area: order.DelArea,
+    });
+
+    const paidAmount = await getPaidAmount(transaction, orderNo);
+    if (paidAmount > newTotal) {
+      throw createAppError(
+        `Order ${orderNo} has ${paidAmount.toFixed(2)} paid, void payments before reducing the total to ${newTotal.toFixed(2)}`,
+        409
+      );
+    }
+
+    const restocked = await releaseVoidedStock(transaction, voided);
+
+    const cancellationTicket = await fireCancellationKot(
+      transaction,
+      orderNo,
+      voided.map((entry) => toCancelledLine(entry.line, entry.share)),
+      `VOID - ${VOID_REASONS[reasonCode]}`
+    );
+
+    if (cancellationTicket) {
+      await enqueuePrintJobs(transaction, orderNo, {
+        type: "kot",
+        kotSeq: cancellationTicket.kotSeq,
+      });
+    }
+
+    await transaction.commit();
+
+    triggerPrintWorker();
+    publishAvailability(restocked);
+
+    if (cancellationTicket) {
+      await publishOrderEvent(EVENT_TYPES.KOT_FIRED, orderNo, cancellationTicket, order.TableId);
+    }
+
+    await publishOrderEvent(
+      EVENT_TYPES.ORDER_UPDATED,
+      orderNo,
+      { total: newTotal, voidedSlNo: slNo },
+      order.TableId
+    );
+
+    return {
+      orderNo,
+      slNo,
+      voidedQty: share.qty,
+      voidedSlNos: voided.map((entry) => entry.line.SlNo),
+      total: newTotal,
+      reasonCode,
+      authorisedBy: authUser.User_Name,
+      cancellationTicket,
+    };
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in voidOrderLine:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error voiding order line: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Refunds a settled order. Its payments and tips are voided, the stock it
+ * used goes back, the loyalty points it earned and redeemed are reversed
+ * and it is flagged as voided so it drops out of sales.
+ * @param {Number} orderNo - Settled order to refund
+ * @param {Object} voidData - reasonCode, note and authorising username / password
+ * @returns {Object} Refund summary with the amount to hand back per tender
+ */
+const refundOrder = async (orderNo, voidData = {}) => {
+  let transaction;
+
+  try {
+    orderNo = parseInt(orderNo) || 0;
+
+    if (!orderNo) {
+      throw createAppError("Order number is required", 400);
+    }
+
+    const { reasonCode, authUser } = await authoriseVoid(voidData);
+
+    const connectedPool = await ensureConnection();
+
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const order = await lockOrder(transaction, orderNo);
+
+    if (order.Voided) {
+      throw createAppError(`Order ${orderNo} has been voided`, 409);
+    }
+
+    if (order.Saled !== "Yes") {
+      throw createAppError(`Order ${orderNo} is not settled, void it instead`, 409);
+    }
+
+    const lines = await getOrderLines(transaction, orderNo);
+
+    await logVoid(
+      transaction,
+      orderNo,
+      "REFUND",
+      lines.map((line) => ({
+        line,
+        share: { qty: line.Qty, amount: line.Amount, vatAmt: line.VatAmt },
+      })),
+      { reasonCode, note: voidData.note, authUser }
+    );
+
+    const refundResult = await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("VoidedBy", sql.Int, authUser.UserId)
+      .input("VoidReason", sql.VarChar, reasonCode).query(`
+        UPDATE tblOrder_Payments
+        SET Voided = 1, VoidedAt = GETDATE(), VoidedBy = @VoidedBy, VoidReason = @VoidReason
+        OUTPUT INSERTED.Tender, INSERTED.Amount
+        WHERE OrderNo = @OrderNo AND Voided = 0;
+        UPDATE tblOrder_Tips SET Voided = 1 WHERE OrderNo = @OrderNo AND Voided = 0;
+        UPDATE tblOrder_M
+        SET Voided = 1, VoidReason = @VoidReason, VoidedBy = @VoidedBy, VoidedAt = GETDATE()
+        WHERE OrderNo = @OrderNo;
+      `);
+
+    const tenders = {};
+    for (const payment of refundResult.recordset) {
+      tenders[payment.Tender] = roundMoney((tenders[payment.Tender] || 0) + payment.Amount);
+    }
+
+    const stockMovements = await reverseOrderStock(transaction, orderNo, {
+      userId: authUser.UserId,
+      note: reasonCode,
+    });
+
+    const loyaltyEntries = await reverseOrderLoyalty(transaction, orderNo, {
+      userId: authUser.UserId,
+      note: reasonCode,
+    });
+
+    await transaction.commit();
+
+    await publishOrderEvent(
+      EVENT_TYPES.ORDER_VOIDED,
+      orderNo,
+      { reasonCode, refunded: true },
+      order.TableId
+    );
+
+    return {
+      orderNo,
+      reasonCode,
+      authorisedBy: authUser.User_Name,
+      refunded: roundMoney(Object.values(tenders).reduce((sum, amount) => sum + amount, 0)),
+      tenders: Object.entries(tenders).map(([tender, amount]) => ({ tender, amount })),
+      stockReturned: stockMovements.map(({ stockItemId, name, unit, qty, balanceAfter }) => ({
+        stockItemId,
+        name,
+        unit,
+        qty,
+        onHand: balanceAfter,
+      })),
+      loyalty: loyaltyEntries.map(({ custCode, points, balanceAfter }) => ({
+        custCode,
+        points,
+        balance: balanceAfter,
+      })),
+    };
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in refundOrder:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error refunding order: ${error.message}`, 500);
+  }
+};
+
+module.exports = {
+  VOID_REASONS,
+  getOrderLines,
+  getOrderSeats,
+  splitOrder,
+  transferOrder,
+  mergeOrders,
+  voidOrder,
+  voidOrderLine,
+  refundOrder,
+};
@@ -0,0 +1,200 @@
+const crypto = require("crypto");
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+
+const ORDER_SEQUENCE = "ORDER";
+
+// Whether tblOrder_M.OrderNo is an IDENTITY column, read once per process
+let orderNoIsIdentity = null;
+
+/**
+ * Minutes a number handed out by /api/order/latest stays reserved
+ * @returns {Number} Reservation lifetime
+ */
+const getReservationMinutes = () =>
+  parseInt(process.env.ORDER_NO_RESERVATION_MINUTES) || 30;
+
+/**
+ * Allocates the next order number from tblOrder_Sequence. The sequence row is
+ * locked for the rest of the transaction, so concurrent allocations queue up
+ * behind each other, and it never falls behind orders inserted elsewhere.
+ * @param {Object} transaction - SQL transaction object
+ * @returns {Number} New order number
+ */
+const allocateOrderNo = async (transaction) => {
+  const result = await transaction
+    .request()
+    .input("SeqName", sql.VarChar, ORDER_SEQUENCE).query(`
+      IF NOT EXISTS (
+        SELECT 1 FROM tblOrder_Sequence WITH (UPDLOCK, HOLDLOCK) WHERE SeqName = @SeqName
+      )
+        INSERT INTO tblOrder_Sequence (SeqName, LastNo) VALUES (@SeqName, 0);
+
+      UPDATE tblOrder_Sequence
+      SET LastNo = (
+        SELECT MAX(v) FROM (VALUES
+          (LastNo),
+          ((SELECT ISNULL(MAX(OrderNo), 0) FROM tblOrder_M)),
+          (CAST(ISNULL(IDENT_CURRENT('dbo.tblOrder_M'), 0) AS INT)),
+          ((SELECT ISNULL(MAX(OrderNo), 0) FROM tblOrder_Reservation))
+        ) AS candidates(v)
+      ) + 1
+      OUTPUT INSERTED.LastNo
+      WHERE SeqName = @SeqName
+    `);
+
+  return result.recordset[0].LastNo;
+};
+
+/**
+ * Reserves an order number for a terminal. Expired, unused reservations are
+ * handed out again before a new number is allocated.
+ * @param {Object} options - Counter asking for the number
+ * @returns {Object} Reserved number, its token and expiry
+ */
+const reserveOrderNo = async ({ counter } = {}) => {
+  let transaction;
+
+  try {
+    const connectedPool = await ensureConnection();
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const token = crypto.randomUUID();
+    const minutes = getReservationMinutes();
+
+    const recycled = await transaction
+      .request()
+      .input("Token", sql.VarChar, token)
+      .input("Counter", sql.VarChar, counter || process.env.COUNTER_NAME || "DefaultCounter")
+      .input("Minutes", sql.Int, minutes).query(`
+        UPDATE r
+        SET Token = @Token, Counter = @Counter, ReservedAt = GETDATE(),
+            ExpiresAt = DATEADD(MINUTE, @Minutes, GETDATE())
+        OUTPUT INSERTED.OrderNo, INSERTED.Token, INSERTED.ExpiresAt
+        FROM tblOrder_Reservation r
+        WHERE r.OrderNo = (
+          SELECT TOP 1 e.OrderNo
+          FROM tblOrder_Reservation e WITH (UPDLOCK, READPAST)
+          WHERE e.UsedAt IS NULL AND e.ExpiresAt < GETDATE()
+            AND NOT EXISTS (SELECT 1 FROM tblOrder_M m WHERE m.OrderNo = e.OrderNo)
+          ORDER BY e.OrderNo
+        )
+      `);
+
+    let reservation = recycled.recordset[0];
+
+    if (!reservation) {
+      const orderNo = await allocateOrderNo(transaction);
+
+      const inserted = await transaction
+        .request()
+        .input("OrderNo", sql.Int, orderNo)
+        .input("Token", sql.VarChar, token)
+        .input("Counter", sql.VarChar, counter || process.env.COUNTER_NAME || "DefaultCounter")
+        .input("Minutes", sql.Int, minutes).query(`
+          INSERT INTO tblOrder_Reservation (OrderNo, Token, Counter, ExpiresAt)
+          OUTPUT INSERTED.OrderNo, INSERTED.Token, INSERTED.ExpiresAt
+          VALUES (@OrderNo, @Token, @Counter, DATEADD(MINUTE, @Minutes, GETDATE()))
+        `);
+
+      reservation = inserted.recordset[0];
+    }
+
+    await transaction.commit();
+
+    return {
+      orderNo: String(reservation.OrderNo),
+      reservationToken: reservation.Token,
+      expiresAt: reservation.ExpiresAt,
+    };
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in reserveOrderNo:", error.message);
+    throw createAppError(`Error reserving order number: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Picks the number a new order is saved under: the client's reservation when
+ * it is still free (and the token matches, if one was sent), otherwise a
+ * freshly allocated number
+ * @param {Object} transaction - SQL transaction object
+ * @param {Object} reservation - orderNo and reservationToken from the client
+ * @returns {Number} Order number to insert
+ */
+const claimOrderNo = async (transaction, { orderNo, reservationToken } = {}) => {
+  orderNo = parseInt(orderNo) || 0;
+
+  if (orderNo > 0) {
+    const claimed = await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("Token", sql.VarChar, reservationToken || null).query(`
+        UPDATE r SET UsedAt = GETDATE()
+        OUTPUT INSERTED.OrderNo
+        FROM tblOrder_Reservation r WITH (UPDLOCK, ROWLOCK)
+        WHERE r.OrderNo = @OrderNo
+          AND r.UsedAt IS NULL
+          AND (@Token IS NULL OR r.Token = @Token)
+          AND NOT EXISTS (SELECT 1 FROM tblOrder_M m WHERE m.OrderNo = r.OrderNo)
+      `);
+
+    if (claimed.recordset.length > 0) {
+      return orderNo;
+    }
+
+    console.log(`Order number ${orderNo} is not reserved for this save, allocating a new one`);
+  }
+
+  return allocateOrderNo(transaction);
+};
+
+/**
+ * Wraps an INSERT into tblOrder_M that supplies OrderNo explicitly. When
+ * OrderNo is an IDENTITY column, IDENTITY_INSERT is switched on for the
+ * statement and always switched off again, even when the insert fails.
+ * @param {Object} transaction - SQL transaction object
+ * @param {String} insertQuery - INSERT statement including the OrderNo column
+ * @returns {String} Query to execute
+ */
+const buildOrderInsert = async (transaction, insertQuery) => {
+  if (orderNoIsIdentity === null) {
+    const result = await transaction.request().query(`
+      SELECT COLUMNPROPERTY(OBJECT_ID('dbo.tblOrder_M'), 'OrderNo', 'IsIdentity') AS IsIdentity
+    `);
+    orderNoIsIdentity = result.recordset[0].IsIdentity === 1;
+  }
+
+  if (!orderNoIsIdentity) {
+    return insertQuery;
+  }
+
+  return `
+    SET IDENTITY_INSERT dbo.tblOrder_M ON;
+    BEGIN TRY
+      ${insertQuery};
+      SET IDENTITY_INSERT dbo.tblOrder_M OFF;
+    END TRY
+    BEGIN CATCH
+      SET IDENTITY_INSERT dbo.tblOrder_M OFF;
+      DECLARE @InsertError NVARCHAR(4000);
+      SET @InsertError = ERROR_MESSAGE();
+      RAISERROR(@InsertError, 16, 1);
+    END CATCH
+  `;
+};
+
+module.exports = {
+  allocateOrderNo,
+  reserveOrderNo,
+  claimOrderNo,
+  buildOrderInsert,
+};
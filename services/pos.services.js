@@ -1,50 +1,43 @@
 const sql = require("mssql");
-const { getPool, poolConnect } = require("../config/db");
 const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+const { roundMoney } = require("../utils/money");
+const { normalizePhone, phoneSearchDigits } = require("../utils/phone");
+const { fireIncrementalKot } = require("./kot.services");
+const { enqueuePrintJobs, triggerPrintWorker } = require("./printQueue.services");
+const {
+  reserveOrderNo,
+  claimOrderNo,
+  buildOrderInsert,
+} = require("./orderNumber.services");
+const { allocateToken, getTokenCounts } = require("./token.services");
+const { priceOrderItems } = require("./pricing.services");
+const {
+  getUserLimit,
+  authoriseDiscount,
+  saveOrderDiscount,
+} = require("./discount.services");
+const { saveOrderCharges } = require("./charges.services");
+const {
+  loadItemModifierGroups,
+  expandModifiers,
+} = require("./modifier.services");
+const { loadComboSlots, expandCombos } = require("./combo.services");
+const { reserveItemStock, publishAvailability } = require("./availability.services");
+const { lockOrder, assertOrderOpen, getPaidAmount } = require("./settlement.services");
+const { withPhoneDisplay } = require("./customer.services");
+const {
+  formatAddress,
+  loadOrderAddress,
+  pickOrderAddress,
+} = require("./customerAddress.services");
+const { pointsToAmount, syncOrderRedemption } = require("./loyalty.services");
+const {
+  EVENT_TYPES,
+  publishOrderEvent,
+  publishTableEvents,
+} = require("./events.services");
 
-/**
- * Ensures database connection is available
- * @returns {Promise<Object>} Connected pool instance
- */
-const ensureConnection = async () => {
-  try {
-    // First, wait for the initial connection attempt to complete
-    await poolConnect;
-
-    // Then get the current pool
-    const pool = await getPool();
-
-    if (!pool) {
-      throw new Error("Database pool is not available");
-    }
-
-    if (!pool.connected) {
-      throw new Error("Database pool is not connected");
-    }
-
-    return pool;
-  } catch (error) {
-    console.error("Database connection error:", error.message);
-
-    // Provide more specific error context
-    let errorMessage = "Database connection failed";
-
-    if (error.message.includes("ENOTFOUND")) {
-      errorMessage += ": Server not found. Check DB_SERVER in .env file.";
-    } else if (error.message.includes("ECONNREFUSED")) {
-      errorMessage += ": Connection refused. Is SQL Server running?";
-    } else if (error.message.includes("Login failed")) {
-      errorMessage += ": Authentication failed. Check credentials.";
-    } else if (error.message.includes("Cannot open database")) {
-      errorMessage +=
-        ": Database access denied. Check database name and permissions.";
-    } else {
-      errorMessage += `: ${error.message}`;
-    }
-
-    throw createAppError(errorMessage, 500);
-  }
-};
 /**
  * Fetches tables and their associated seats
  * @returns {Array} Array of table objects with nested seats
@@ -239,7 +232,7 @@ const getTableSeatsDataWithValidation = async () => {
 
 /**
  * Gets all items with optional filtering
- * @param {Object} options - Filter options (search, grpId, limit, offset)
+ * @param {Object} options - Filter options (search, grpId, available, limit, offset)
  * @returns {Array} Array of items
  */
 const getAllItems = async (options = {}) => {
@@ -268,6 +261,15 @@ const getAllItems = async (options = {}) => {
       });
     }
 
+    if (options.available !== undefined) {
+      conditions.push("Available = @available");
+      params.push({
+        name: "available",
+        type: sql.Bit,
+        value: options.available ? 1 : 0,
+      });
+    }
+
     if (conditions.length > 0) {
       query += " WHERE " + conditions.join(" AND ");
     }
@@ -295,7 +297,15 @@ const getAllItems = async (options = {}) => {
 
     const result = await request.query(query);
 
-    return result.recordset;
+    // Modifier groups and combo slots the terminal has to offer when the item is added
+    const groupsByItem = await loadItemModifierGroups(connectedPool);
+    const slotsByItem = await loadComboSlots(connectedPool);
+
+    return result.recordset.map((item) => ({
+      ...item,
+      modifierGroups: groupsByItem.get(item.ItemId) || [],
+      comboSlots: slotsByItem.get(item.ItemId) || [],
+    }));
   } catch (error) {
     console.error("Error in getAllItems:", error.message);
     throw createAppError(`Error fetching items: ${error.message}`, 500);
@@ -310,14 +320,26 @@ const getAllCustomers = async (options = {}) => {
     const params = [];
     const conditions = [];
 
-    // Search functionality for CustName and ContactNo
+    // Search functionality for CustName and ContactNo / Phone
     if (options.search) {
-      conditions.push("(CustName LIKE @search OR ContactNo LIKE @search)");
+      const phoneDigits = phoneSearchDigits(options.search);
+      conditions.push(
+        phoneDigits
+          ? "(CustName LIKE @search OR ContactNo LIKE @phoneSearch OR Phone LIKE @phoneSearch)"
+          : "(CustName LIKE @search OR ContactNo LIKE @search)"
+      );
       params.push({
         name: "search",
         type: sql.VarChar,
         value: `%${options.search}%`,
       });
+      if (phoneDigits) {
+        params.push({
+          name: "phoneSearch",
+          type: sql.VarChar,
+          value: `%${phoneDigits}%`,
+        });
+      }
     }
 
     // Add WHERE clause if conditions exist
@@ -350,7 +372,7 @@ const getAllCustomers = async (options = {}) => {
 
     const result = await request.query(query);
 
-    return result.recordset;
+    return result.recordset.map(withPhoneDisplay);
   } catch (error) {
     console.error("Error in getAllCustomers:", error.message);
     throw createAppError(`Error fetching customers: ${error.message}`, 500);
@@ -393,17 +415,6 @@ const getAllEmployees = async () => {
   }
 };
 
-/**
- * Gets the next available order ID
- * @param {Object} transaction - SQL transaction object
- * @returns {Number} Next order ID
- */
-const getMaxOrderId = async (transaction) => {
-  const query = `SELECT ISNULL(MAX(OrderNo), 0) + 1 AS MaxId FROM tblOrder_M`;
-  const result = await transaction.request().query(query);
-  return result.recordset[0].MaxId;
-};
-
 /**
  * Process an order (new or KOT)
  * @param {Object} orderData - Order details and items
@@ -430,10 +441,26 @@ const processOrder = async ({
   items,
   holdedOrder,
   selectedSeats,
+  reservationToken,
+  counter,
+  discount,
+  sessionToken,
+  userId,
+  discountOverride,
+  deliveryArea,
+  addressId,
+  loyaltyPoints,
 }) => {
   let transaction;
   let savedOrderNo = orderNo;
   let finalCustId = custId;
+  let kotTicket = null;
+  let tokenDisplay = null;
+  let pricing = null;
+  let discountAuth = null;
+  let availability = { warnings: [], soldOut: [], restocked: [] };
+  let orderAddress = null;
+  let loyaltyEntries = [];
 
   try {
     console.log("Received order data:", {
@@ -464,15 +491,85 @@ const processOrder = async ({
     await transaction.begin();
     console.log("Transaction started successfully");
 
+    // Settled and voided orders can no longer be changed
+    if (["UPDATED", "KOT"].includes(status)) {
+      assertOrderOpen(await lockOrder(transaction, orderNo));
+    }
+
+    // An address picked from the customer's address book fills in the delivery fields
+    addressId = parseInt(addressId) || 0;
+    if (option === 1 && addressId) {
+      const picked = await loadOrderAddress(transaction, addressId);
+      flatNo = flatNo || picked.Flat || "";
+      address = address || formatAddress(picked);
+      deliveryArea = deliveryArea || picked.Area || null;
+    }
+
+    // Points redeemed as a discount; an update that leaves them out keeps the order's
+    if ((loyaltyPoints === undefined || loyaltyPoints === null) && status === "UPDATED") {
+      const loyaltyResult = await transaction
+        .request()
+        .input("OrderNo", sql.Int, orderNo)
+        .query(`SELECT ISNULL(LoyaltyPoints, 0) AS LoyaltyPoints FROM tblOrder_M WHERE OrderNo = @OrderNo`);
+      loyaltyPoints = loyaltyResult.recordset.length ? loyaltyResult.recordset[0].LoyaltyPoints : 0;
+    }
+    loyaltyPoints = roundMoney(parseFloat(loyaltyPoints) || 0);
+
+    // Combo choices become component lines, chosen modifiers child lines under their item
+    items = await expandCombos(transaction, items);
+    items = await expandModifiers(transaction, items);
+
+    // Prices and VAT come from the item master, not from the terminal
+    pricing = await priceOrderItems(transaction, items, total, {
+      discount,
+      option,
+      area: option === 1 ? deliveryArea : null,
+      loyaltyAmount: pointsToAmount(loyaltyPoints),
+    });
+    items = pricing.items;
+    total = pricing.total;
+
+    if (["UPDATED", "KOT"].includes(status)) {
+      const paidAmount = await getPaidAmount(transaction, orderNo);
+      if (paidAmount > total) {
+        throw createAppError(
+          `Order ${orderNo} has ${paidAmount.toFixed(2)} paid, void payments before reducing the total to ${total.toFixed(2)}`,
+          409
+        );
+      }
+    }
+
+    // Discounts beyond the cashier's limit need a manager override
+    if (["NEW", "UPDATED"].includes(status)) {
+      discountAuth = await authoriseDiscount(transaction, {
+        discountPct: pricing.discountPct,
+        sessionToken,
+        userId,
+        override: discountOverride,
+        orderNo: status === "UPDATED" ? orderNo : 0,
+      });
+    }
+
+    // Items marked unavailable (86) or beyond their countdown are refused
+    if (["NEW", "UPDATED", "KOT"].includes(status)) {
+      availability = await reserveItemStock(
+        transaction,
+        items,
+        status === "NEW" ? 0 : orderNo,
+        { fired: status === "KOT" }
+      );
+    }
+
     // **Optimized Customer Management Logic**
     const handleCustomerManagement = async () => {
       if (["NEW", "UPDATED", "KOT"].includes(status) && custName && contact) {
-        // Normalize contact and phone fields
-        const normalizedContact = contact
-          .replace(/\D/g, "")
-          .padStart(10, "0")
-          .slice(-10);
-        console.log("Normalized contact for check:", normalizedContact);
+        // Contact and phone are stored in E.164; a number that cannot be
+        // normalised is kept as typed rather than failing the order
+        const phone = normalizePhone(contact);
+        if (!phone) {
+          console.warn("Contact number could not be normalised, keeping it as typed:", contact);
+        }
+        const normalizedContact = phone || String(contact).trim();
 
         // Check for existing customer with exact match on CustName and ContactNo/Phone
         const customerCheckQuery = `
@@ -518,7 +615,8 @@ const processOrder = async ({
             updateFields.push("Phone = @Phone");
             updateParams.input("Phone", sql.VarChar, normalizedContact);
           }
-          if (existingCustomer.Add1 !== (address || flatNo || "")) {
+          // Other addresses go to the address book, Add1 is only filled when empty
+          if (!existingCustomer.Add1 && (address || flatNo)) {
             updateFields.push("Add1 = @Add1");
             updateParams.input("Add1", sql.VarChar, address || flatNo || "");
           }
@@ -574,6 +672,20 @@ const processOrder = async ({
 
     await handleCustomerManagement();
 
+    // Delivery orders use or add an address in the customer's address book
+    if (
+      option === 1 &&
+      finalCustId &&
+      ["NEW", "UPDATED", "KOT"].includes(status)
+    ) {
+      orderAddress = await pickOrderAddress(transaction, finalCustId, {
+        addressId,
+        flatNo,
+        address,
+        area: deliveryArea,
+      });
+    }
+
     // **Helper function to determine SeatId for Order Master**
     const getSeatIdForOrderMaster = () => {
       if (
@@ -588,16 +700,25 @@ const processOrder = async ({
     };
 
     if (status === "NEW") {
-      const newOrderNo = await getMaxOrderId(transaction);
+      const newOrderNo = await claimOrderNo(transaction, {
+        orderNo,
+        reservationToken,
+      });
       const seatIdForOrder = getSeatIdForOrderMaster();
+      const token = await allocateToken(transaction, { option, prefix, counter });
+
+      const orderMasterQuery = await buildOrderInsert(
+        transaction,
+        `
+        INSERT INTO tblOrder_M (OrderNo, EDate, Time, Options, CustId, CustName, Flat, Address, Contact, DelBoy, TableId, TableNo, Remarks, Total, Saled, Status, Prefix, Pr, SeatId, TokenNo, TokenDate, TokenScope)
+        OUTPUT INSERTED.OrderNo
+        VALUES (@OrderNo, @EDate, @Time, @Options, @CustId, @CustName, @Flat, @Address, @Contact, @DelBoy, @TableId, @TableNo, @Remarks, @Total, 'No', @Status, @Prefix, @Pr, @SeatId, @TokenNo, @TokenDate, @TokenScope)
+      `
+      );
 
-      const orderMasterQuery = `
-        INSERT INTO tblOrder_M (EDate, Time, Options, CustId, CustName, Flat, Address, Contact, DelBoy, TableId, TableNo, Remarks, Total, Saled, Status, Prefix, Pr, SeatId)
-        VALUES (@EDate, @Time, @Options, @CustId, @CustName, @Flat, @Address, @Contact, @DelBoy, @TableId, @TableNo, @Remarks, @Total, 'No', @Status, @Prefix, @Pr, @SeatId)
-      `;
-
-      await transaction
+      const orderMasterResult = await transaction
         .request()
+        .input("OrderNo", sql.Int, newOrderNo)
         .input("EDate", sql.VarChar, date)
         .input("Time", sql.VarChar, time)
         .input("Options", sql.Int, option)
@@ -612,25 +733,19 @@ const processOrder = async ({
         .input("Remarks", sql.VarChar, remarks || "")
         .input("Total", sql.Decimal(18, 2), total || 0)
         .input("Status", sql.VarChar, orderType)
-        .input("Prefix", sql.VarChar, prefix || "")
-        .input("Pr", sql.VarChar, prefix ? `${prefix}${newOrderNo}` : "")
+        .input("Prefix", sql.VarChar, token.prefix)
+        .input("Pr", sql.VarChar, token.display)
         .input("SeatId", sql.Int, seatIdForOrder)
+        .input("TokenNo", sql.Int, token.tokenNo)
+        .input("TokenDate", sql.Date, token.businessDate)
+        .input("TokenScope", sql.VarChar, token.scope)
         .query(orderMasterQuery);
 
-      const getOrderNoQuery = `
-        SELECT OrderNo FROM tblOrder_M 
-        WHERE EDate = @EDate AND Time = @Time AND CustId = @CustId 
-        ORDER BY OrderNo DESC
-      `;
+      savedOrderNo = orderMasterResult.recordset[0].OrderNo;
+      tokenDisplay = token.display;
 
-      const orderNoResult = await transaction
-        .request()
-        .input("EDate", sql.VarChar, date)
-        .input("Time", sql.VarChar, time)
-        .input("CustId", sql.Int, finalCustId || 0)
-        .query(getOrderNoQuery);
-
-      savedOrderNo = orderNoResult.recordset[0].OrderNo;
+      await saveOrderDiscount(transaction, savedOrderNo, pricing, discountAuth);
+      await saveOrderCharges(transaction, savedOrderNo, pricing, option === 1 ? deliveryArea : null);
 
       for (const item of items) {
         const itemCode = parseInt(item.itemCode) || 0;
@@ -646,8 +761,8 @@ const processOrder = async ({
         console.log(`Processing item: ${item.itemName}, ItemCode: ${itemCode}`);
 
         const orderDetailQuery = `
-          INSERT INTO tblOrder_D (OrderNo, SlNo, ItemCode, ItemName, Qty, Rate, Amount, Cost, Vat, VatAmt, TaxLedger, Arabic, Notes)
-          VALUES (@OrderNo, @SlNo, @ItemCode, @ItemName, @Qty, @Rate, @Amount, @Cost, @Vat, @VatAmt, @TaxLedger, @Arabic, @Notes)
+          INSERT INTO tblOrder_D (OrderNo, SlNo, ItemCode, ItemName, Qty, Rate, Amount, Cost, Vat, VatAmt, TaxLedger, Arabic, Notes, GrossAmt, DiscType, DiscValue, DiscAmt, OrderDiscAmt, ParentSlNo, ModifierId, ComboSlNo, ComboSlotId)
+          VALUES (@OrderNo, @SlNo, @ItemCode, @ItemName, @Qty, @Rate, @Amount, @Cost, @Vat, @VatAmt, @TaxLedger, @Arabic, @Notes, @GrossAmt, @DiscType, @DiscValue, @DiscAmt, @OrderDiscAmt, @ParentSlNo, @ModifierId, @ComboSlNo, @ComboSlotId)
         `;
 
         await transaction
@@ -665,6 +780,15 @@ const processOrder = async ({
           .input("TaxLedger", sql.Int, taxLedger)
           .input("Arabic", sql.NVarChar, item.arabic || "")
           .input("Notes", sql.VarChar, item.notes || "")
+          .input("GrossAmt", sql.Decimal(18, 2), item.grossAmt ?? amount)
+          .input("DiscType", sql.VarChar, item.discType || null)
+          .input("DiscValue", sql.Decimal(18, 2), item.discValue || 0)
+          .input("DiscAmt", sql.Decimal(18, 2), item.discAmt || 0)
+          .input("OrderDiscAmt", sql.Decimal(18, 2), item.orderDiscAmt || 0)
+          .input("ParentSlNo", sql.Int, item.parentSlNo || null)
+          .input("ModifierId", sql.Int, item.modifierId || null)
+          .input("ComboSlNo", sql.Int, item.comboSlNo || null)
+          .input("ComboSlotId", sql.Int, item.comboSlotId || null)
           .query(orderDetailQuery);
       }
 
@@ -831,7 +955,7 @@ const processOrder = async ({
       console.log(`Updating existing order: ${orderNo}`);
 
       const orderExistsQuery = `
-        SELECT OrderNo, Saled FROM tblOrder_M WHERE OrderNo = @OrderNo
+        SELECT OrderNo, Saled, Voided FROM tblOrder_M WHERE OrderNo = @OrderNo
       `;
 
       const orderExistsResult = await transaction
@@ -844,6 +968,10 @@ const processOrder = async ({
       }
 
       const currentOrder = orderExistsResult.recordset[0];
+
+      if (currentOrder.Voided) {
+        throw createAppError(`Order ${orderNo} has been voided`, 409);
+      }
       const isSaled = currentOrder.Saled === "Yes";
 
       let seatIdForOrder = null;
@@ -895,10 +1023,27 @@ const processOrder = async ({
         .input("SeatId", sql.Int, seatIdForOrder)
         .query(updateOrderMasterQuery);
 
+      await saveOrderDiscount(transaction, orderNo, pricing, discountAuth);
+      await saveOrderCharges(transaction, orderNo, pricing, option === 1 ? deliveryArea : null);
+
+      await transaction
+        .request()
+        .input("OrderNo", sql.Int, orderNo)
+        .query(`DELETE FROM tblOrder_D WHERE OrderNo = @OrderNo AND Voided = 0`);
+
+      // Voided lines stay on the order; move them past the incoming SlNos so they cannot clash
+      const topSlNo = Math.max(0, ...items.map((item) => parseInt(item.slNo) || 0));
       await transaction
         .request()
         .input("OrderNo", sql.Int, orderNo)
-        .query(`DELETE FROM tblOrder_D WHERE OrderNo = @OrderNo`);
+        .input("Offset", sql.Int, topSlNo).query(`
+          IF EXISTS (SELECT 1 FROM tblOrder_D WHERE OrderNo = @OrderNo AND Voided = 1 AND SlNo <= @Offset)
+            UPDATE tblOrder_D
+            SET SlNo = SlNo + @Offset,
+                ParentSlNo = CASE WHEN ParentSlNo IS NULL THEN NULL ELSE ParentSlNo + @Offset END,
+                ComboSlNo = CASE WHEN ComboSlNo IS NULL THEN NULL ELSE ComboSlNo + @Offset END
+            WHERE OrderNo = @OrderNo AND Voided = 1
+        `);
 
       await transaction
         .request()
@@ -919,8 +1064,8 @@ const processOrder = async ({
         console.log(`Updating item: ${item.itemName}, ItemCode: ${itemCode}`);
 
         const orderDetailQuery = `
-          INSERT INTO tblOrder_D (OrderNo, SlNo, ItemCode, ItemName, Qty, Rate, Amount, Cost, Vat, VatAmt, TaxLedger, Arabic, Notes)
-          VALUES (@OrderNo, @SlNo, @ItemCode, @ItemName, @Qty, @Rate, @Amount, @Cost, @Vat, @VatAmt, @TaxLedger, @Arabic, @Notes)
+          INSERT INTO tblOrder_D (OrderNo, SlNo, ItemCode, ItemName, Qty, Rate, Amount, Cost, Vat, VatAmt, TaxLedger, Arabic, Notes, GrossAmt, DiscType, DiscValue, DiscAmt, OrderDiscAmt, ParentSlNo, ModifierId, ComboSlNo, ComboSlotId)
+          VALUES (@OrderNo, @SlNo, @ItemCode, @ItemName, @Qty, @Rate, @Amount, @Cost, @Vat, @VatAmt, @TaxLedger, @Arabic, @Notes, @GrossAmt, @DiscType, @DiscValue, @DiscAmt, @OrderDiscAmt, @ParentSlNo, @ModifierId, @ComboSlNo, @ComboSlotId)
         `;
 
         await transaction
@@ -938,6 +1083,15 @@ const processOrder = async ({
           .input("TaxLedger", sql.Int, taxLedger)
           .input("Arabic", sql.NVarChar, item.arabic || "")
           .input("Notes", sql.VarChar, item.notes || "")
+          .input("GrossAmt", sql.Decimal(18, 2), item.grossAmt ?? amount)
+          .input("DiscType", sql.VarChar, item.discType || null)
+          .input("DiscValue", sql.Decimal(18, 2), item.discValue || 0)
+          .input("DiscAmt", sql.Decimal(18, 2), item.discAmt || 0)
+          .input("OrderDiscAmt", sql.Decimal(18, 2), item.orderDiscAmt || 0)
+          .input("ParentSlNo", sql.Int, item.parentSlNo || null)
+          .input("ModifierId", sql.Int, item.modifierId || null)
+          .input("ComboSlNo", sql.Int, item.comboSlNo || null)
+          .input("ComboSlotId", sql.Int, item.comboSlotId || null)
           .query(orderDetailQuery);
       }
 
@@ -1133,125 +1287,140 @@ const processOrder = async ({
           `);
       }
 
-      const kotMasterQuery = `
-        INSERT INTO tblKot_M (OrderNo, EDate, Time, Options, CustId, CustName, Flat, Address, Contact, DelBoy, TableId, TableNo, Remarks, Total, Saled, Status)
-        VALUES (@OrderNo, @EDate, @Time, @Options, @CustId, @CustName, @Flat, @Address, @Contact, @DelBoy, @TableId, @TableNo, @Remarks, @Total, 'No', @Status)
-      `;
-
-      await transaction
-        .request()
-        .input("OrderNo", sql.Int, orderNo)
-        .input("EDate", sql.VarChar, date)
-        .input("Time", sql.VarChar, time)
-        .input("Options", sql.Int, option)
-        .input("CustId", sql.Int, finalCustId || 0)
-        .input("CustName", sql.VarChar, custName || "")
-        .input("Flat", sql.VarChar, flatNo || "")
-        .input("Address", sql.VarChar, address || "")
-        .input("Contact", sql.VarChar, contact || "")
-        .input("DelBoy", sql.Int, deliveryBoyId || 0)
-        .input("TableId", sql.Int, tableId || 0)
-        .input("TableNo", sql.VarChar, tableNo || "")
-        .input("Remarks", sql.VarChar, remarks || "")
-        .input("Total", sql.Decimal(18, 2), total || 0)
-        .input("Status", sql.VarChar, orderType)
-        .query(kotMasterQuery);
-
-      for (const item of items) {
-        const itemCode = parseInt(item.itemCode) || 0;
-        const slNo = parseInt(item.slNo) || 0;
-        const qty = parseFloat(item.qty) || 0;
-        const rate = parseFloat(item.rate) || 0;
-        const amount = parseFloat(item.amount) || 0;
-        const cost = parseFloat(item.cost) || 0;
-        const vat = parseFloat(item.vat) || 0;
-        const vatAmt = parseFloat(item.vatAmt) || 0;
-        const taxLedger = parseInt(item.taxLedger) || 0;
-
-        console.log(
-          `Processing KOT item: ${item.itemName}, ItemCode: ${itemCode}`
-        );
-
-        const kotDetailQuery = `
-          INSERT INTO tblKot_D (OrderNo, SlNo, ItemCode, ItemName, Qty, Rate, Amount, Cost, Vat, VatAmt, TaxLedger, Arabic, Notes)
-          VALUES (@OrderNo, @SlNo, @ItemCode, @ItemName, @Qty, @Rate, @Amount, @Cost, @Vat, @VatAmt, @TaxLedger, @Arabic, @Notes)
-        `;
+      // Only what the kitchen has not seen yet goes on the ticket
+      kotTicket = await fireIncrementalKot(transaction, orderNo, items, {
+        date,
+        time,
+        remarks,
+      });
 
-        await transaction
-          .request()
-          .input("OrderNo", sql.Int, orderNo)
-          .input("SlNo", sql.Int, slNo)
-          .input("ItemCode", sql.Int, itemCode)
-          .input("ItemName", sql.VarChar, item.itemName || "")
-          .input("Qty", sql.Decimal(18, 2), qty)
-          .input("Rate", sql.Decimal(18, 2), rate)
-          .input("Amount", sql.Decimal(18, 2), amount)
-          .input("Cost", sql.Decimal(18, 2), cost)
-          .input("Vat", sql.Decimal(18, 2), vat)
-          .input("VatAmt", sql.Decimal(18, 2), vatAmt)
-          .input("TaxLedger", sql.Int, taxLedger)
-          .input("Arabic", sql.NVarChar, item.arabic || "")
-          .input("Notes", sql.VarChar, item.notes || "")
-          .query(kotDetailQuery);
-      }
+      savedOrderNo = orderNo;
+    } else {
+      throw createAppError(`Invalid order status: ${status}`, 400);
+    }
 
+    if (orderAddress) {
       await transaction
         .request()
-        .input("OrderNo", sql.Int, orderNo)
-        .query(`DELETE FROM tblKotPrinter WHERE OrderNo = @OrderNo`);
+        .input("OrderNo", sql.Int, savedOrderNo)
+        .input("AddressId", sql.Int, orderAddress.AddressId)
+        .query(`UPDATE tblOrder_M SET AddressId = @AddressId WHERE OrderNo = @OrderNo`);
+    }
 
-      for (const item of items) {
-        const itemCode = parseInt(item.itemCode) || 0;
-        const slNo = parseInt(item.slNo) || 0;
-        const itemId = parseInt(item.itemCode) || 0;
+    if (["NEW", "UPDATED"].includes(status)) {
+      loyaltyEntries = await syncOrderRedemption(
+        transaction,
+        savedOrderNo,
+        finalCustId || 0,
+        loyaltyPoints,
+        userId
+      );
+    }
 
-        console.log(
-          `Processing KOT printer for item: ${item.itemName}, ItemCode: ${itemCode}`
-        );
+    // Print jobs are queued with the order so a saved order is never left unprinted
+    let printJobs = [];
+    if (status === "KOT") {
+      if (kotTicket) {
+        printJobs = await enqueuePrintJobs(transaction, savedOrderNo, {
+          type: "kot",
+          kotSeq: kotTicket.kotSeq,
+        });
+      }
+    } else {
+      printJobs = await enqueuePrintJobs(transaction, savedOrderNo, { type: "order" });
+    }
 
-        const printerQuery = `
-          SELECT PrinteName FROM tblItemMaster WHERE ItemId = @ItemId
-        `;
+    await transaction.commit();
+    console.log("Transaction committed successfully");
 
-        const printerResult = await transaction
-          .request()
-          .input("ItemId", sql.Int, itemId)
-          .query(printerQuery);
+    triggerPrintWorker();
 
-        const printerName = printerResult.recordset[0]?.PrinteName || "";
+    await publishOrderEvent(
+      status === "NEW" ? EVENT_TYPES.ORDER_CREATED : EVENT_TYPES.ORDER_UPDATED,
+      savedOrderNo,
+      { status, orderType: option, total },
+      tableId,
+      counter
+    );
 
-        await transaction
-          .request()
-          .input("OrderNo", sql.Int, orderNo)
-          .input("SlNo", sql.Int, slNo)
-          .input("ItemId", sql.Int, itemId)
-          .input("Printer", sql.VarChar, printerName).query(`
-            INSERT INTO tblKotPrinter (OrderNo, SlNo, ItemId, Printer)
-            VALUES (@OrderNo, @SlNo, @ItemId, @Printer)
-          `);
-      }
+    if (kotTicket) {
+      await publishOrderEvent(EVENT_TYPES.KOT_FIRED, savedOrderNo, kotTicket, tableId, counter);
+    }
 
-      const kotPrinter = process.env.KOT_PRINTER || "KitchenPrinter";
-      await transaction
-        .request()
-        .input("OrderNo", sql.Int, orderNo)
-        .input("Printer", sql.VarChar, kotPrinter).query(`
-          UPDATE tblKotPrinter SET Printer = @Printer WHERE Printer = '' AND OrderNo = @OrderNo
-        `);
+    publishAvailability([...availability.soldOut, ...availability.restocked]);
 
-      savedOrderNo = orderNo;
-    } else {
-      throw createAppError(`Invalid order status: ${status}`, 400);
+    if (tableId && option === 2) {
+      await publishTableEvents(tableId, {
+        orderNo: savedOrderNo,
+        occupiedSeats: Array.isArray(selectedSeats) ? selectedSeats : [],
+        counter,
+      });
     }
 
-    await transaction.commit();
-    console.log("Transaction committed successfully");
-
     const result = {
       success: true,
       orderNo: savedOrderNo,
+      token: tokenDisplay,
       status: status,
-      message: `Order ${status.toLowerCase()} successfully`,
+      pricing: {
+        policy: pricing.policy,
+        subTotal: pricing.subTotal,
+        vatTotal: pricing.vatTotal,
+        total: pricing.total,
+        grossTotal: pricing.grossTotal,
+        discountTotal: pricing.discountTotal,
+        orderDiscount: pricing.orderDiscount,
+        loyaltyAmount: pricing.loyaltyAmount,
+        charges: pricing.charges,
+        chargeTotal: pricing.chargeTotal,
+        chargeVat: pricing.chargeVat,
+        lines: pricing.items.map((item) => ({
+          slNo: item.slNo,
+          parentSlNo: item.parentSlNo || null,
+          modifierId: item.modifierId || null,
+          comboSlNo: item.comboSlNo || null,
+          comboSlotId: item.comboSlotId || null,
+          itemCode: item.itemCode,
+          qty: item.qty,
+          rate: item.rate,
+          grossAmt: item.grossAmt,
+          discType: item.discType,
+          discValue: item.discValue,
+          discAmt: item.discAmt,
+          orderDiscAmt: item.orderDiscAmt,
+          loyaltyAmt: item.loyaltyAmt,
+          amount: item.amount,
+          vat: item.vat,
+          vatAmt: item.vatAmt,
+        })),
+        adjustments: pricing.adjustments,
+      },
+      discount: discountAuth
+        ? {
+            discountPct: pricing.discountPct,
+            discountBy: discountAuth.discBy,
+            authorisedBy: discountAuth.authBy,
+            overridden: discountAuth.overridden,
+          }
+        : null,
+      loyalty: {
+        points: loyaltyPoints,
+        amount: pricing.loyaltyAmount,
+        balance: loyaltyEntries.length
+          ? loyaltyEntries[loyaltyEntries.length - 1].balanceAfter
+          : null,
+      },
+      availability: {
+        warnings: availability.warnings,
+        soldOut: availability.soldOut,
+        restocked: availability.restocked,
+      },
+      message:
+        status === "KOT" && !kotTicket
+          ? "No new items to send to the kitchen"
+          : `Order ${status.toLowerCase()} successfully`,
+      kot: kotTicket,
+      printJobs: printJobs.map((job) => ({ jobId: job.jobId, printer: job.printer })),
       details: {
         orderType: orderType,
         customerInfo: finalCustId
@@ -1259,6 +1428,7 @@ const processOrder = async ({
               custId: finalCustId,
               custName: custName,
               contact: contact,
+              addressId: orderAddress ? orderAddress.AddressId : null,
             }
           : null,
         tableInfo: tableId
@@ -1288,7 +1458,7 @@ const processOrder = async ({
       }
     }
 
-    if (error.name === "AppError") {
+    if (error.name === "AppError" || error.isOperational) {
       throw error;
     }
 
@@ -1326,41 +1496,13 @@ const processOrder = async ({
   }
 };
 
-const latestOrder = async () => {
-  let transaction;
-
-  try {
-    // Get connected pool
-    const connectedPool = await ensureConnection();
-
-    // Create a transaction
-    transaction = new sql.Transaction(connectedPool);
-    await transaction.begin();
-
-    // Fetch the next order number
-    const nextOrderNo = await getMaxOrderId(transaction);
-
-    // Commit the transaction
-    await transaction.commit();
-
-    // Return the order number as an object to match frontend expectation
-    return { orderNo: String(nextOrderNo) };
-  } catch (error) {
-    // Rollback transaction on error
-    if (transaction) {
-      try {
-        await transaction.rollback();
-      } catch (rollbackError) {
-        console.error("Rollback error:", rollbackError);
-      }
-    }
-    console.error("Error in latestOrder:", error.message);
-    throw createAppError(
-      `Error fetching latest order number: ${error.message}`,
-      500
-    );
-  }
-};
+/**
+ * Reserves the order number a terminal shows for its next order; the
+ * reservation expires if no order is saved under it in time
+ * @param {Object} options - Counter asking for the number
+ * @returns {Object} orderNo (string), reservationToken and expiresAt
+ */
+const latestOrder = async ({ counter } = {}) => reserveOrderNo({ counter });
 
 /**
  * Authenticates a user
@@ -1373,7 +1515,7 @@ const authenticateUser = async (userName, password) => {
     const connectedPool = await ensureConnection();
 
     const query = `
-      SELECT UserId, User_Name 
+      SELECT UserId, User_Name, MaxDiscountPct
       FROM dbo.tblUser 
       WHERE User_Name = @userName AND Password = @password
     `;
@@ -1388,7 +1530,8 @@ const authenticateUser = async (userName, password) => {
       throw createAppError("Invalid username or password", 401);
     }
 
-    return result.recordset[0];
+    const user = result.recordset[0];
+    return { ...user, MaxDiscountPct: getUserLimit(user) };
   } catch (error) {
     console.error("Error in authenticateUser:", error.message);
     if (error.statusCode) {
@@ -1421,7 +1564,20 @@ const getAllOrders = async (options = {}) => {
         om.Saled,
         om.Status,
         om.Prefix,
+        om.Pr,
+        om.TokenNo,
         om.SeatId,
+        om.Voided,
+        om.DiscType as OrderDiscType,
+        om.DiscValue as OrderDiscValue,
+        om.DiscAmt as OrderDiscAmt,
+        om.TotalDisc,
+        om.DiscPct,
+        om.DiscBy,
+        om.DiscAuthBy,
+        om.ChargeTotal,
+        om.DelArea,
+        ISNULL(pay.PaidAmount, 0) as PaidAmount,
 
         od.OrderNo as DetailOrderNo,
         od.SlNo,
@@ -1434,6 +1590,15 @@ const getAllOrders = async (options = {}) => {
         od.VatAmt,
         od.TaxLedger,
         od.Notes as OrderDetailNotes,
+        od.GrossAmt,
+        od.DiscType,
+        od.DiscValue,
+        od.DiscAmt,
+        od.OrderDiscAmt as LineOrderDiscAmt,
+        od.ParentSlNo,
+        od.ModifierId,
+        od.ComboSlNo,
+        od.ComboSlotId,
 
         t.TableId as TableTableId,
         t.FloorNo,
@@ -1449,7 +1614,13 @@ const getAllOrders = async (options = {}) => {
         s.remarks as OrderSeatRemarks,
         s.Status as OrderSeatStatus
       FROM dbo.tblOrder_M om
-      LEFT JOIN dbo.tblOrder_D od ON om.OrderNo = od.OrderNo
+      LEFT JOIN dbo.tblOrder_D od ON om.OrderNo = od.OrderNo AND od.Voided = 0
+      LEFT JOIN (
+        SELECT OrderNo, SUM(Amount) as PaidAmount
+        FROM dbo.tblOrder_Payments
+        WHERE Voided = 0
+        GROUP BY OrderNo
+      ) pay ON om.OrderNo = pay.OrderNo
       LEFT JOIN dbo.tblTable t ON om.TableId = t.TableId
       LEFT JOIN dbo.tblSeat s ON om.SeatId = s.SeatId
     `;
@@ -1479,6 +1650,11 @@ const getAllOrders = async (options = {}) => {
       });
     }
 
+    // Voided orders are kept for reporting only
+    if (!options.includeVoided) {
+      conditions.push("om.Voided = 0");
+    }
+
     // Filter by Options
     if (options.options !== undefined) {
       conditions.push("om.Options = @options");
@@ -1586,9 +1762,30 @@ const getAllOrders = async (options = {}) => {
           SeatId: row.SeatId,
           OrderRemarks: row.OrderRemarks,
           Total: row.Total,
+          paidAmount: roundMoney(row.PaidAmount),
+          balanceDue: roundMoney(Math.max(row.Total - row.PaidAmount, 0)),
           Saled: row.Saled,
+          Voided: row.Voided,
           Status: row.Status,
           Prefix: row.Prefix,
+          Pr: row.Pr,
+          TokenNo: row.TokenNo,
+
+          // Discounts: the order discount and the total of line and order discounts
+          discount: {
+            DiscType: row.OrderDiscType,
+            DiscValue: row.OrderDiscValue,
+            DiscAmt: row.OrderDiscAmt,
+            TotalDisc: row.TotalDisc,
+            DiscPct: row.DiscPct,
+            DiscBy: row.DiscBy,
+            DiscAuthBy: row.DiscAuthBy,
+          },
+
+          // Service, delivery and other charges including their VAT (tblOrder_Charges)
+          ChargeTotal: row.ChargeTotal,
+          DelArea: row.DelArea,
+          charges: [],
 
           // Seat information for this specific order (tblSeat)
           seatInfo: row.OrderSeatId
@@ -1638,6 +1835,15 @@ const getAllOrders = async (options = {}) => {
           VatAmt: row.VatAmt,
           TaxLedger: row.TaxLedger,
           OrderDetailNotes: row.OrderDetailNotes,
+          GrossAmt: row.GrossAmt ?? row.Amount,
+          DiscType: row.DiscType,
+          DiscValue: row.DiscValue,
+          DiscAmt: row.DiscAmt,
+          OrderDiscAmt: row.LineOrderDiscAmt,
+          ParentSlNo: row.ParentSlNo,
+          ModifierId: row.ModifierId,
+          ComboSlNo: row.ComboSlNo,
+          ComboSlotId: row.ComboSlotId,
         });
       }
     });
@@ -1689,6 +1895,27 @@ const getAllOrders = async (options = {}) => {
       });
     }
 
+    // Third query: Get the charge lines of the orders, in batches to stay under the parameter limit
+    const orderNosArray = Array.from(ordersMap.keys());
+    for (let start = 0; start < orderNosArray.length; start += 1000) {
+      const batch = orderNosArray.slice(start, start + 1000);
+      const request3 = connectedPool.request();
+      batch.forEach((orderNo, index) => {
+        request3.input(`orderNo${index}`, sql.Int, orderNo);
+      });
+
+      const chargeResult = await request3.query(`
+        SELECT ChargeId, OrderNo, RuleId, ChargeType, Name, CalcType, Value, BaseAmt, Amount, VatPct, VatAmt
+        FROM dbo.tblOrder_Charges
+        WHERE OrderNo IN (${batch.map((_, index) => `@orderNo${index}`).join(",")})
+        ORDER BY OrderNo, ChargeId
+      `);
+
+      chargeResult.recordset.forEach((charge) => {
+        ordersMap.get(charge.OrderNo).charges.push(charge);
+      });
+    }
+
     // Convert map to array
     const orders = Array.from(ordersMap.values());
 
@@ -1721,66 +1948,13 @@ const getOrderById = async (orderId) => {
   }
 };
 
-const getOrderTokenCounts = async () => {
-  try {
-    const connectedPool = await ensureConnection();
-
-    // Query to count orders by Options (this gives us the max count)
-    const query = `
-      SELECT 
-        om.Options,
-        COUNT(*) as MaxCount
-      FROM dbo.tblOrder_M om
-      GROUP BY om.Options
-    `;
-
-    const request = connectedPool.request();
-    const result = await request.query(query);
-
-    // Define option mappings
-    const optionMappings = {
-      1: "Delivery",
-      2: "Dine-In",
-      3: "Takeaway",
-    };
-
-    // Initialize response object with all categories set to 0
-    const orderCounts = {
-      Delivery: {
-        optionValue: 1,
-        maxCount: 0,
-        nextToken: 1,
-      },
-      "Dine-In": {
-        optionValue: 2,
-        maxCount: 0,
-        nextToken: 1,
-      },
-      Takeaway: {
-        optionValue: 3,
-        maxCount: 0,
-        nextToken: 1,
-      },
-    };
-
-    // Update with actual data from database
-    result.recordset.forEach((row) => {
-      const optionName = optionMappings[row.Options];
-      if (optionName && orderCounts[optionName]) {
-        orderCounts[optionName].maxCount = row.MaxCount;
-        orderCounts[optionName].nextToken = row.MaxCount + 1;
-      }
-    });
 
-    return orderCounts;
-  } catch (error) {
-    console.error("Error in getOrderTokenCounts:", error.message);
-    throw createAppError(
-      `Error fetching order token counts: ${error.message}`,
-      500
-    );
-  }
-};
+/**
+ * Gets the last and next token per order type for the current business day
+ * @param {Object} options - Counter asking, used when tokens reset per counter
+ * @returns {Object} Token counts keyed by order type name
+ */
+const getOrderTokenCounts = async ({ counter } = {}) => getTokenCounts({ counter });
 module.exports = {
   getTableSeatsData,
   getAllItems,
@@ -0,0 +1,471 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { roundMoney } = require("../utils/money");
+const { priceOrderCharges } = require("./charges.services");
+const { isComboComponent, allocateComboPrice } = require("./combo.services");
+
+const PRICING_POLICIES = ["correct", "reject", "off"];
+const DISCOUNT_TYPES = ["PERCENT", "FIXED"];
+
+// Column names differ between installations, so they come from the environment
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Reads the pricing settings
+ *   PRICING_POLICY           correct (default) | reject | off
+ *   PRICING_TOLERANCE        allowed difference per figure, default 0.01
+ *   PRICES_INCLUDE_VAT       true when item prices already contain VAT
+ *   ITEM_PRICE_COLUMN        tblItemMaster selling price column, default Rate
+ *   ITEM_TAX_LEDGER_COLUMN   tblItemMaster tax ledger column, default TaxLedger
+ *   TAX_LEDGER_TABLE         tax ledger table, default tblTaxLedger
+ *   TAX_LEDGER_ID_COLUMN     ledger key column, default LedgerId
+ *   TAX_LEDGER_RATE_COLUMN   VAT percentage column, default TaxPer
+ * @returns {Object} Pricing settings
+ */
+const getPricingConfig = () => {
+  const config = {
+    policy: (process.env.PRICING_POLICY || "correct").toLowerCase(),
+    tolerance: parseFloat(process.env.PRICING_TOLERANCE) || 0.01,
+    pricesIncludeVat: process.env.PRICES_INCLUDE_VAT === "true",
+    priceColumn: process.env.ITEM_PRICE_COLUMN || "Rate",
+    itemTaxColumn: process.env.ITEM_TAX_LEDGER_COLUMN || "TaxLedger",
+    taxTable: process.env.TAX_LEDGER_TABLE || "tblTaxLedger",
+    taxIdColumn: process.env.TAX_LEDGER_ID_COLUMN || "LedgerId",
+    taxRateColumn: process.env.TAX_LEDGER_RATE_COLUMN || "TaxPer",
+  };
+
+  if (!PRICING_POLICIES.includes(config.policy)) {
+    throw createAppError(`Invalid PRICING_POLICY: ${config.policy}`, 500);
+  }
+
+  for (const key of ["priceColumn", "itemTaxColumn", "taxTable", "taxIdColumn", "taxRateColumn"]) {
+    if (!IDENTIFIER.test(config[key])) {
+      throw createAppError(`Invalid pricing column setting: ${config[key]}`, 500);
+    }
+  }
+
+  return config;
+};
+
+/**
+ * Loads price and VAT rate of the ordered items from tblItemMaster and the tax ledger
+ * @param {Object} transaction - SQL transaction object
+ * @param {Array} itemIds - Item ids from the payload
+ * @param {Object} config - Pricing settings
+ * @returns {Map} ItemId -> { rate, vat, taxLedger, itemName }
+ */
+const loadItemPrices = async (transaction, itemIds, config) => {
+  const prices = new Map();
+  const uniqueIds = [...new Set(itemIds)];
+
+  if (uniqueIds.length === 0) {
+    return prices;
+  }
+
+  const request = transaction.request();
+  const placeholders = uniqueIds.map((itemId, index) => {
+    request.input(`itemId${index}`, sql.Int, itemId);
+    return `@itemId${index}`;
+  });
+
+  const result = await request.query(`
+    SELECT
+      im.ItemId,
+      im.ItemName,
+      ISNULL(im.${config.priceColumn}, 0) AS Rate,
+      ISNULL(im.${config.itemTaxColumn}, 0) AS TaxLedger,
+      ISNULL(tl.${config.taxRateColumn}, 0) AS Vat
+    FROM tblItemMaster im
+    LEFT JOIN ${config.taxTable} tl ON tl.${config.taxIdColumn} = im.${config.itemTaxColumn}
+    WHERE im.ItemId IN (${placeholders.join(", ")})
+  `);
+
+  for (const row of result.recordset) {
+    prices.set(row.ItemId, {
+      rate: roundMoney(row.Rate),
+      vat: parseFloat(row.Vat) || 0,
+      taxLedger: row.TaxLedger,
+      itemName: row.ItemName,
+    });
+  }
+
+  return prices;
+};
+
+/**
+ * Splits a line price into its net amount and VAT
+ * @param {Number} gross - Line price after discounts
+ * @param {Number} vat - VAT percentage
+ * @param {Boolean} pricesIncludeVat - Whether the price already contains VAT
+ * @returns {Object} amount (net) and vatAmt
+ */
+const splitVat = (gross, vat, pricesIncludeVat) => {
+  if (pricesIncludeVat) {
+    const vatAmt = roundMoney(gross - gross / (1 + vat / 100));
+    return { amount: roundMoney(gross - vatAmt), vatAmt };
+  }
+
+  return { amount: gross, vatAmt: roundMoney((gross * vat) / 100) };
+};
+
+/**
+ * Validates a discount from the payload
+ * @param {Object} discount - { type: "PERCENT" | "FIXED", value }
+ * @param {String} label - What the discount is on, for error messages
+ * @returns {Object|null} Normalised discount, null when there is none
+ */
+const parseDiscount = (discount, label) => {
+  if (!discount) {
+    return null;
+  }
+
+  const type = String(discount.type || "").toUpperCase();
+  const value = roundMoney(parseFloat(discount.value) || 0);
+
+  if (value === 0) {
+    return null;
+  }
+
+  if (!DISCOUNT_TYPES.includes(type)) {
+    throw createAppError(
+      `Invalid discount type on ${label}, use ${DISCOUNT_TYPES.join(" or ")}`,
+      400
+    );
+  }
+
+  if (value < 0 || (type === "PERCENT" && value > 100)) {
+    throw createAppError(`Invalid discount value ${value} on ${label}`, 400);
+  }
+
+  return { type, value };
+};
+
+/**
+ * Amount a discount takes off a price. Fixed discounts apply to the whole
+ * line or order, not per unit.
+ * @param {Object} discount - Result of parseDiscount
+ * @param {Number} base - Price the discount applies to
+ * @param {String} label - What the discount is on, for error messages
+ * @returns {Number} Discount amount
+ */
+const discountAmount = (discount, base, label) => {
+  if (!discount) {
+    return 0;
+  }
+
+  const amount =
+    discount.type === "PERCENT"
+      ? roundMoney((base * discount.value) / 100)
+      : discount.value;
+
+  if (amount > roundMoney(base)) {
+    throw createAppError(
+      `Discount of ${amount.toFixed(2)} on ${label} exceeds its price of ${roundMoney(base).toFixed(2)}`,
+      400
+    );
+  }
+
+  return amount;
+};
+
+/**
+ * Recomputes line amounts, VAT and the order total from tblItemMaster and the
+ * tax ledger. Items priced 0 in the master are open-price items and keep the
+ * rate entered at the terminal. Depending on PRICING_POLICY mismatches with
+ * the client's figures are corrected, rejected (422) or ignored.
+ *
+ * Line discounts come off the line price, the order discount is then shared
+ * across the lines in proportion to what is left, and VAT is worked out on
+ * the discounted price. A combo is priced as one line (its master price
+ * plus the upcharges of the chosen components) and that price is then
+ * shared across its component lines, which are taxed at their own VAT
+ * rates. Loyalty points redeemed as a discount come off after the order
+ * discount, shared the same way, and do not count towards the discount
+ * limits. Service, delivery and other charges of the order
+ * type are added on top with their own VAT. With PRICING_POLICY=off lines
+ * are priced from the client's rate and VAT and nothing is compared.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Array} items - Items payload of /api/orders
+ * @param {Number} clientTotal - Total sent by the client
+ * @param {Object} order - discount on the whole order ({ type, value }), option (order type), delivery area and loyaltyAmount (value of the points redeemed)
+ * @returns {Object} items with authoritative figures, subTotal, charges, vatTotal, total, discount figures, loyaltyAmount, adjustments and policy
+ */
+const priceOrderItems = async (
+  transaction,
+  items,
+  clientTotal,
+  { discount, option, area, loyaltyAmount = 0 } = {}
+) => {
+  const config = getPricingConfig();
+  items = Array.isArray(items) ? items : [];
+
+  const orderDisc = parseDiscount(discount, "the order");
+  const lineDiscs = items.map((item) =>
+    parseDiscount(item.discount, `line ${item.slNo || item.itemName || ""}`.trim())
+  );
+
+  const prices =
+    config.policy === "off"
+      ? new Map()
+      : await loadItemPrices(
+          transaction,
+          items.map((item) => parseInt(item.itemCode) || 0),
+          config
+        );
+
+  const adjustments = [];
+  const differs = (client, server) =>
+    Math.abs(roundMoney(client) - roundMoney(server)) > config.tolerance;
+  const parentBySlNo = new Map(
+    items.filter((item) => !item.modifierId).map((item) => [parseInt(item.slNo) || 0, item])
+  );
+  const componentsByCombo = new Map();
+  for (const item of items.filter(isComboComponent)) {
+    const comboSlNo = parseInt(item.comboSlNo) || 0;
+    if (!componentsByCombo.has(comboSlNo)) {
+      componentsByCombo.set(comboSlNo, []);
+    }
+    componentsByCombo.get(comboSlNo).push(item);
+  }
+
+  // Rate, VAT and line discount first; the order discount needs all lines
+  const lines = items.map((item, index) => {
+    const itemId = parseInt(item.itemCode) || 0;
+    const clientRate = parseFloat(item.rate) || 0;
+    let master = prices.get(itemId);
+
+    if (item.modifierId) {
+      // Modifier lines are priced by expandModifiers and taxed like their parent
+      const parent = parentBySlNo.get(parseInt(item.parentSlNo)) || {};
+      master =
+        config.policy === "off"
+          ? { vat: parseFloat(parent.vat) || 0, taxLedger: parseInt(parent.taxLedger) || 0 }
+          : master;
+      master = { ...master, rate: clientRate, isModifier: true };
+    } else if (isComboComponent(item)) {
+      // Components get their share of the combo price below
+      const combo = parentBySlNo.get(parseInt(item.comboSlNo)) || {};
+      if (config.policy === "off") {
+        master = {
+          rate: 0,
+          vat: parseFloat(item.vat) || parseFloat(combo.vat) || 0,
+          taxLedger: parseInt(item.taxLedger) || parseInt(combo.taxLedger) || 0,
+        };
+      } else if (!master) {
+        throw createAppError(`Item ${item.itemName || itemId} is not in the item master`, 400);
+      }
+      const qty = parseFloat(item.qty) || 0;
+      return {
+        item,
+        itemId,
+        qty,
+        rate: 0,
+        master,
+        grossAmt: 0,
+        discAmt: 0,
+        standalone: master.rate,
+        upcharge: roundMoney(item.upcharge),
+        component: true,
+      };
+    } else if (config.policy === "off") {
+      master = {
+        rate: clientRate,
+        vat: parseFloat(item.vat) || 0,
+        taxLedger: parseInt(item.taxLedger) || 0,
+      };
+    } else if (!master) {
+      throw createAppError(
+        `Item ${item.itemName || itemId} is not in the item master`,
+        400
+      );
+    }
+
+    const qty = parseFloat(item.qty) || 0;
+    const components = componentsByCombo.get(parseInt(item.slNo) || 0);
+    const upcharges = (components || []).reduce((sum, component) => sum + roundMoney(component.upcharge), 0);
+    const rate = roundMoney(
+      (master.rate > 0 || master.isModifier ? master.rate : clientRate) + upcharges
+    );
+    const grossAmt = roundMoney(qty * rate);
+    const label = `line ${item.slNo || item.itemName || itemId}`;
+    const discAmt = discountAmount(lineDiscs[index], grossAmt, label);
+
+    return { item, itemId, qty, rate, master, grossAmt, discAmt, combo: Boolean(components) };
+  });
+
+  // Combo lines hand their price and discount over to their components
+  lines
+    .filter((line) => line.combo)
+    .forEach((combo) => {
+      const slNo = parseInt(combo.item.slNo) || 0;
+      const components = lines.filter(
+        (line) => line.component && (parseInt(line.item.comboSlNo) || 0) === slNo
+      );
+      allocateComboPrice(combo, components).forEach((allocation, index) => {
+        components[index].grossAmt = allocation.grossAmt;
+        components[index].discAmt = allocation.discAmt;
+        components[index].rate = components[index].qty
+          ? roundMoney(allocation.grossAmt / components[index].qty)
+          : 0;
+      });
+      combo.grossAmt = 0;
+      combo.discAmt = 0;
+    });
+
+  const afterLineDisc = roundMoney(
+    lines.reduce((sum, line) => sum + line.grossAmt - line.discAmt, 0)
+  );
+  const orderDiscAmt = discountAmount(orderDisc, afterLineDisc, "the order");
+
+  loyaltyAmount = roundMoney(loyaltyAmount);
+  if (loyaltyAmount < 0) {
+    throw createAppError("Invalid loyalty redemption", 400);
+  }
+  if (loyaltyAmount > roundMoney(afterLineDisc - orderDiscAmt)) {
+    throw createAppError(
+      `Loyalty redemption of ${loyaltyAmount.toFixed(2)} exceeds the order value of ${roundMoney(
+        afterLineDisc - orderDiscAmt
+      ).toFixed(2)}`,
+      400
+    );
+  }
+
+  // Lines with a negative price (modifiers like a smaller size) take no share;
+  // the largest line takes the rounding remainder so the shares add up
+  const shareAcross = (amount, bases) => {
+    const positiveTotal = bases.reduce((sum, base) => sum + Math.max(base, 0), 0);
+    const shares = bases.map((base) =>
+      positiveTotal > 0 ? roundMoney((amount * Math.max(base, 0)) / positiveTotal) : 0
+    );
+
+    if (bases.length > 0) {
+      const largest = bases.reduce((best, base, index) => (base > bases[best] ? index : best), 0);
+      const allocated = shares.reduce((sum, share) => sum + share, 0);
+      shares[largest] = roundMoney(shares[largest] + amount - allocated);
+    }
+
+    return shares;
+  };
+
+  const shares = shareAcross(
+    orderDiscAmt,
+    lines.map((line) => line.grossAmt - line.discAmt)
+  );
+  const loyaltyShares = shareAcross(
+    loyaltyAmount,
+    lines.map((line, index) => line.grossAmt - line.discAmt - shares[index])
+  );
+
+  const pricedItems = lines.map((line, index) => {
+    const { item, itemId, rate, master, grossAmt, discAmt } = line;
+    const share = shares[index];
+    const loyaltyShare = loyaltyShares[index];
+
+    const { amount, vatAmt } = splitVat(
+      roundMoney(grossAmt - roundMoney(discAmt + share + loyaltyShare)),
+      master.vat,
+      config.pricesIncludeVat
+    );
+
+    const server = { rate, amount, vat: master.vat, vatAmt };
+    if (config.policy !== "off" && !item.modifierId && !line.component) {
+      // A combo line's amount lives on its components, only its price is compared
+      const compared = line.combo ? { rate } : server;
+      for (const field of Object.keys(compared)) {
+        const client = parseFloat(item[field]) || 0;
+        if (differs(client, compared[field])) {
+          adjustments.push({
+            slNo: parseInt(item.slNo) || 0,
+            itemCode: itemId,
+            field,
+            client: roundMoney(client),
+            server: compared[field],
+          });
+        }
+      }
+    }
+
+    const lineDisc = lineDiscs[index];
+
+    return {
+      ...item,
+      ...server,
+      taxLedger: master.taxLedger,
+      grossAmt,
+      discType: lineDisc && !line.component ? lineDisc.type : null,
+      discValue: lineDisc && !line.component ? lineDisc.value : 0,
+      discAmt,
+      orderDiscAmt: share,
+      loyaltyAmt: loyaltyShare,
+    };
+  });
+
+  const subTotal = roundMoney(pricedItems.reduce((sum, item) => sum + item.amount, 0));
+  const itemVat = roundMoney(pricedItems.reduce((sum, item) => sum + item.vatAmt, 0));
+
+  const { charges, chargeTotal, chargeVat } = await priceOrderCharges(
+    transaction,
+    { option, area, subTotal },
+    config.pricesIncludeVat
+  );
+
+  const vatTotal = roundMoney(itemVat + chargeVat);
+  const total = roundMoney(subTotal + chargeTotal + vatTotal);
+  const grossTotal = roundMoney(pricedItems.reduce((sum, item) => sum + item.grossAmt, 0));
+  const discountTotal = roundMoney(
+    pricedItems.reduce((sum, item) => sum + item.discAmt + item.orderDiscAmt, 0)
+  );
+
+  // Authorisation is checked against the deepest discount on any single line
+  const discountPct = pricedItems.reduce((max, item) => {
+    const pct =
+      item.grossAmt > 0
+        ? roundMoney(((item.discAmt + item.orderDiscAmt) * 100) / item.grossAmt)
+        : 0;
+    return Math.max(max, pct);
+  }, 0);
+
+  if (config.policy !== "off" && differs(clientTotal, total)) {
+    adjustments.push({ field: "total", client: roundMoney(clientTotal), server: total });
+  }
+
+  if (adjustments.length > 0) {
+    console.log("Pricing mismatches:", adjustments);
+
+    if (config.policy === "reject") {
+      const summary = adjustments
+        .map((entry) =>
+          entry.slNo
+            ? `line ${entry.slNo} ${entry.field} ${entry.client} (expected ${entry.server})`
+            : `${entry.field} ${entry.client} (expected ${entry.server})`
+        )
+        .join("; ");
+      throw createAppError(`Price check failed: ${summary}`, 422);
+    }
+  }
+
+  return {
+    items: pricedItems,
+    subTotal,
+    charges,
+    chargeTotal,
+    chargeVat,
+    vatTotal,
+    total,
+    grossTotal,
+    discountTotal,
+    discountPct,
+    orderDiscount: orderDisc ? { ...orderDisc, amount: orderDiscAmt } : null,
+    loyaltyAmount,
+    adjustments,
+    policy: config.policy,
+  };
+};
+
+module.exports = {
+  PRICING_POLICIES,
+  DISCOUNT_TYPES,
+  getPricingConfig,
+  loadItemPrices,
+  priceOrderItems,
+};
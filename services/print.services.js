@@ -0,0 +1,393 @@
+const fs = require("fs");
+const path = require("path");
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+const { EscPosBuilder } = require("../utils/escpos");
+const { roundMoney } = require("../utils/money");
+const { resolveKotPrinter } = require("./kot.services");
+const { getOrderCharges } = require("./charges.services");
+const { nestModifierLines } = require("./modifier.services");
+const { isComboComponent, nestComboLines } = require("./combo.services");
+
+const ORDER_TYPE_NAMES = {
+  1: "Delivery",
+  2: "Dine-In",
+  3: "Takeaway",
+};
+
+const formatQty = (qty) =>
+  Number.isInteger(qty) ? String(qty) : roundMoney(qty).toFixed(2);
+
+/**
+ * Prints the common ticket header (shop name, title, order and table info)
+ * @param {EscPosBuilder} doc - Document being built
+ * @param {String} title - Ticket title
+ * @param {Object} header - tblOrder_M or tblKot_M row
+ */
+const renderHeader = (doc, title, header) => {
+  doc
+    .align("center")
+    .bold(true)
+    .size(2, 2)
+    .line(process.env.RESTAURANT_NAME || "POS")
+    .size(1, 1)
+    .line(title)
+    .bold(false)
+    .align("left")
+    .separator();
+
+  doc.columns(`Order: ${header.Pr || header.OrderNo}`, `${header.EDate || ""} ${header.Time || ""}`.trim());
+  doc.line(`Type: ${ORDER_TYPE_NAMES[header.Options] || header.Status || ""}`);
+
+  if (header.TableNo) {
+    doc.bold(true).line(`Table: ${header.TableNo}`).bold(false);
+  }
+  if (header.CustName) {
+    doc.line(`Customer: ${header.CustName}`);
+  }
+  if (header.Contact) {
+    doc.line(`Contact: ${header.Contact}`);
+  }
+  if (header.Options === 1 && (header.Flat || header.Address)) {
+    doc.line(`Address: ${[header.Flat, header.Address].filter(Boolean).join(", ")}`);
+  }
+  if (header.Remarks) {
+    doc.line(`Remarks: ${header.Remarks}`);
+  }
+
+  doc.separator();
+};
+
+/**
+ * Renders a kitchen ticket (order chit or KOT): quantities and names only.
+ * Modifiers print indented under their item; a modifier changed on its own
+ * names the line it belongs to. Combo lines are left out, their components
+ * print as items of their own.
+ * @param {String} title - Ticket title
+ * @param {Object} header - tblOrder_M or tblKot_M row
+ * @param {Array} lines - Detail rows for one printer
+ * @returns {Buffer} ESC/POS bytes
+ */
+const renderKitchenTicket = (title, header, lines) => {
+  const doc = new EscPosBuilder();
+  renderHeader(doc, title, header);
+
+  doc.size(1, 2);
+  let parent = null;
+  for (const line of nestModifierLines(lines)) {
+    if (line.ComboSlNo && line.ComboSlNo === line.SlNo) continue;
+    const prefix = line.Qty < 0 ? "CANCEL " : "";
+
+    if (line.isModifier) {
+      // Only show the quantity when it is not simply one per parent item
+      const qty = line.hasParent && parent && line.Qty === parent.Qty ? "" : `${formatQty(line.Qty)} x `;
+      const target = line.hasParent ? "" : ` (line ${line.ParentSlNo})`;
+      doc.line(`${line.hasParent ? "  " : ""}+ ${prefix}${qty}${line.ItemName}${target}`);
+      doc.arabicLine(line.Arabic);
+      continue;
+    }
+
+    parent = line;
+    doc.bold(true).line(`${prefix}${formatQty(line.Qty)} x ${line.ItemName}`).bold(false);
+    doc.arabicLine(line.Arabic);
+    if (line.Notes) {
+      doc.line(`  * ${line.Notes}`);
+    }
+  }
+  doc.size(1, 1);
+
+  return doc.separator().cut().toBuffer();
+};
+
+/**
+ * Renders the customer bill with prices, charges, VAT and total
+ * @param {Object} order - tblOrder_M row
+ * @param {Array} lines - tblOrder_D rows
+ * @param {Array} charges - tblOrder_Charges rows
+ * @returns {Buffer} ESC/POS bytes
+ */
+const renderBill = (order, lines, charges = []) => {
+  const doc = new EscPosBuilder();
+  renderHeader(doc, "BILL", order);
+
+  // A combo shows the price and discount shared out to its components
+  const comboTotals = new Map();
+  for (const line of lines.filter(isComboComponent)) {
+    const totals = comboTotals.get(line.ComboSlNo) || { Amount: 0, DiscAmt: 0 };
+    totals.Amount += line.Amount;
+    totals.DiscAmt += line.DiscAmt || 0;
+    comboTotals.set(line.ComboSlNo, totals);
+  }
+
+  for (let line of nestComboLines(nestModifierLines(lines))) {
+    if (line.isComboComponent) {
+      doc.line(`    ${formatQty(line.Qty)} x ${line.ItemName}`);
+      doc.arabicLine(line.Arabic);
+      continue;
+    }
+    if (comboTotals.has(line.SlNo) && line.ComboSlNo === line.SlNo) {
+      line = { ...line, ...comboTotals.get(line.SlNo) };
+    }
+
+    if (line.isModifier && !line.Amount) {
+      doc.line(`  + ${line.ItemName}`);
+    } else {
+      const label = line.isModifier
+        ? `  + ${line.ItemName}`
+        : `${formatQty(line.Qty)} x ${line.ItemName}`;
+      doc.columns(label, roundMoney(line.Amount).toFixed(2));
+    }
+    doc.arabicLine(line.Arabic);
+
+    // Amounts are already net of discount, the discount is shown for reference
+    if (line.DiscAmt > 0) {
+      const label = line.DiscType === "PERCENT" ? `  Discount ${roundMoney(line.DiscValue)}%` : "  Discount";
+      doc.columns(label, `-${roundMoney(line.DiscAmt).toFixed(2)}`);
+    }
+  }
+
+  const subTotal = roundMoney(lines.reduce((sum, line) => sum + line.Amount, 0));
+  const vatTotal = roundMoney(
+    lines.reduce((sum, line) => sum + line.VatAmt, 0) +
+      charges.reduce((sum, charge) => sum + charge.VatAmt, 0)
+  );
+
+  doc.separator();
+  if (order.DiscAmt > 0) {
+    const label = order.DiscType === "PERCENT" ? `Order Discount ${roundMoney(order.DiscValue)}%` : "Order Discount";
+    doc.columns(label, `-${roundMoney(order.DiscAmt).toFixed(2)}`);
+  }
+  doc.columns("Sub Total", subTotal.toFixed(2));
+  for (const charge of charges) {
+    const label = charge.CalcType === "PERCENT" ? `${charge.Name} ${roundMoney(charge.Value)}%` : charge.Name;
+    doc.columns(label, roundMoney(charge.Amount).toFixed(2));
+  }
+  doc.columns("VAT", vatTotal.toFixed(2));
+  doc.bold(true).size(1, 2).columns("TOTAL", roundMoney(order.Total).toFixed(2)).size(1, 1).bold(false);
+  if (order.TotalDisc > 0) {
+    doc.columns("You saved", roundMoney(order.TotalDisc).toFixed(2));
+  }
+  doc.separator().align("center").line("Thank you").align("left");
+
+  return doc.cut().toBuffer();
+};
+
+/**
+ * Groups detail rows per printer using a SlNo -> printer map, resolving
+ * unmapped items through tblItemMaster.PrinteName
+ * @param {Object} requester - Pool or transaction
+ * @param {Array} lines - Detail rows
+ * @param {Map} printerBySlNo - Printer per SlNo from tblPrinter / tblKotPrinter
+ * @param {String} fallback - Printer used when nothing else matches
+ * @returns {Map} Printer -> rows
+ */
+const groupByPrinter = async (requester, lines, printerBySlNo, fallback) => {
+  const groups = new Map();
+
+  for (const line of lines) {
+    const printer =
+      printerBySlNo.get(line.SlNo) ||
+      (fallback ? fallback : await resolveKotPrinter(requester, line.ItemCode));
+
+    if (!groups.has(printer)) {
+      groups.set(printer, []);
+    }
+    groups.get(printer).push(line);
+  }
+
+  return groups;
+};
+
+/**
+ * Renders the print jobs of a saved order: one chit per tblPrinter printer
+ * and the bill on ORDER_PRINTER
+ * @param {Object} requester - Pool or transaction
+ * @param {Number} orderNo - Order number
+ * @returns {Array} Jobs ({ printer, type, orderNo, data })
+ */
+const renderOrderJobs = async (requester, orderNo) => {
+  const orderResult = await requester
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .query(`SELECT * FROM tblOrder_M WHERE OrderNo = @OrderNo`);
+
+  if (orderResult.recordset.length === 0) {
+    throw createAppError(`Order ${orderNo} not found`, 404);
+  }
+
+  const order = orderResult.recordset[0];
+
+  const linesResult = await requester
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .query(`SELECT * FROM tblOrder_D WHERE OrderNo = @OrderNo AND Voided = 0 ORDER BY SlNo`);
+  const lines = linesResult.recordset;
+  const charges = await getOrderCharges(requester, orderNo);
+
+  const printerResult = await requester
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .query(`SELECT SlNo, Printer FROM tblPrinter WHERE OrderNo = @OrderNo`);
+  const printerBySlNo = new Map(
+    printerResult.recordset.map((row) => [row.SlNo, row.Printer])
+  );
+
+  const orderPrinter = process.env.ORDER_PRINTER || "DefaultPrinter";
+  const groups = await groupByPrinter(requester, lines, printerBySlNo, orderPrinter);
+
+  const jobs = [];
+  for (const [printer, printerLines] of groups) {
+    if (printer === orderPrinter) continue;
+    jobs.push({
+      printer,
+      type: "ORDER",
+      orderNo,
+      lineCount: printerLines.length,
+      data: renderKitchenTicket("ORDER", order, printerLines),
+    });
+  }
+
+  jobs.push({
+    printer: orderPrinter,
+    type: "BILL",
+    orderNo,
+    lineCount: lines.length,
+    data: renderBill(order, lines, charges),
+  });
+
+  return jobs;
+};
+
+/**
+ * Renders the KOT jobs of one fire (latest when kotSeq is omitted), one per printer
+ * @param {Object} requester - Pool or transaction
+ * @param {Number} orderNo - Order number
+ * @param {Number} kotSeq - KOT sequence number
+ * @returns {Array} Jobs ({ printer, type, orderNo, kotSeq, data })
+ */
+const renderKotJobs = async (requester, orderNo, kotSeq) => {
+  const kotResult = await requester
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .input("KotSeq", sql.Int, kotSeq || null).query(`
+      SELECT TOP 1 * FROM tblKot_M
+      WHERE OrderNo = @OrderNo AND (@KotSeq IS NULL OR KotSeq = @KotSeq)
+      ORDER BY ISNULL(KotSeq, 0) DESC
+    `);
+
+  if (kotResult.recordset.length === 0) {
+    throw createAppError(`No KOT found for order ${orderNo}`, 404);
+  }
+
+  const kot = kotResult.recordset[0];
+
+  const linesResult = await requester
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .input("KotSeq", sql.Int, kot.KotSeq).query(`
+      SELECT * FROM tblKot_D
+      WHERE OrderNo = @OrderNo
+        AND ((@KotSeq IS NULL AND KotSeq IS NULL) OR KotSeq = @KotSeq)
+      ORDER BY SlNo
+    `);
+  const lines = linesResult.recordset;
+
+  // tblKotPrinter only holds the latest fire, older fires resolve from tblItemMaster
+  const latestResult = await requester
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .query(`SELECT MAX(KotSeq) AS LatestSeq FROM tblKot_M WHERE OrderNo = @OrderNo`);
+  const isLatest = latestResult.recordset[0].LatestSeq === kot.KotSeq;
+
+  let printerBySlNo = new Map();
+  if (isLatest) {
+    const printerResult = await requester
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .query(`SELECT SlNo, Printer FROM tblKotPrinter WHERE OrderNo = @OrderNo`);
+    printerBySlNo = new Map(
+      printerResult.recordset.map((row) => [row.SlNo, row.Printer])
+    );
+  }
+
+  const groups = await groupByPrinter(requester, lines, printerBySlNo);
+  const title = kot.KotSeq ? `KOT #${kot.KotSeq}` : "KOT";
+
+  return [...groups].map(([printer, printerLines]) => ({
+    printer,
+    type: "KOT",
+    orderNo,
+    kotSeq: kot.KotSeq,
+    lineCount: printerLines.length,
+    data: renderKitchenTicket(title, kot, printerLines),
+  }));
+};
+
+/**
+ * Renders an order or a KOT into ESC/POS byte streams grouped per printer
+ * @param {Number} orderNo - Order number
+ * @param {Object} options - type ("order" | "kot"), kotSeq, an optional printer filter and
+ *   the transaction to read through when the order is not committed yet
+ * @returns {Array} Jobs ({ printer, type, orderNo, kotSeq, lineCount, data })
+ */
+const renderPrintJobs = async (
+  orderNo,
+  { type = "order", kotSeq, printer, transaction } = {}
+) => {
+  try {
+    orderNo = parseInt(orderNo) || 0;
+    kotSeq = parseInt(kotSeq) || null;
+
+    if (!orderNo) {
+      throw createAppError("Order number is required", 400);
+    }
+
+    if (!["order", "kot"].includes(type)) {
+      throw createAppError('Print type must be "order" or "kot"', 400);
+    }
+
+    const requester = transaction || (await ensureConnection());
+
+    const jobs =
+      type === "kot"
+        ? await renderKotJobs(requester, orderNo, kotSeq)
+        : await renderOrderJobs(requester, orderNo);
+
+    return printer ? jobs.filter((job) => job.printer === printer) : jobs;
+  } catch (error) {
+    console.error("Error in renderPrintJobs:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error rendering print jobs: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Test mode: writes rendered jobs to PRINT_OUTPUT_DIR instead of a printer
+ * @param {Array} jobs - Rendered jobs
+ * @returns {Array} Written file paths
+ */
+const writeJobsToFiles = (jobs) => {
+  const outputDir = path.resolve(process.env.PRINT_OUTPUT_DIR || "print-output");
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  return jobs.map((job) => {
+    const safePrinter = job.printer.replace(/[^a-z0-9_-]/gi, "_");
+    const seq = job.kotSeq ? `-${job.kotSeq}` : "";
+    const filePath = path.join(
+      outputDir,
+      `${job.type.toLowerCase()}-${job.orderNo}${seq}-${safePrinter}.bin`
+    );
+    fs.writeFileSync(filePath, job.data);
+    return filePath;
+  });
+};
+
+module.exports = {
+  renderPrintJobs,
+  renderKitchenTicket,
+  renderBill,
+  writeJobsToFiles,
+};
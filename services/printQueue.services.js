@@ -0,0 +1,294 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+const { resolveTarget, deliver } = require("../utils/printTransport");
+const { renderPrintJobs } = require("./print.services");
+
+const PRINT_JOB_STATUSES = ["PENDING", "PRINTING", "DONE", "FAILED"];
+
+const JOB_COLUMNS = `JobId, OrderNo, KotSeq, JobType, Printer, Status, Attempts,
+  NextAttemptAt, LastError, Target, ReprintOf, CreatedAt, PrintedAt`;
+
+let workerTimer = null;
+let workerRunning = false;
+
+const formatJob = (row) => ({
+  jobId: row.JobId,
+  orderNo: row.OrderNo,
+  kotSeq: row.KotSeq,
+  type: row.JobType,
+  printer: row.Printer,
+  status: row.Status,
+  attempts: row.Attempts,
+  nextAttemptAt: row.NextAttemptAt,
+  lastError: row.LastError,
+  target: row.Target,
+  reprintOf: row.ReprintOf,
+  createdAt: row.CreatedAt,
+  printedAt: row.PrintedAt,
+});
+
+/**
+ * Seconds to wait before the next attempt, doubling per failed attempt
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} Delay in seconds
+ */
+const getRetryDelay = (attempts) => {
+  const base = parseInt(process.env.PRINT_RETRY_BASE_SECONDS) || 5;
+  const max = parseInt(process.env.PRINT_RETRY_MAX_SECONDS) || 300;
+  return Math.min(base * 2 ** Math.max(attempts - 1, 0), max);
+};
+
+/**
+ * Renders an order or KOT and queues one job per printer. The jobs are
+ * written in the transaction that saved the order, so they commit or roll
+ * back with it; call triggerPrintWorker once it has committed.
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @param {Object} options - type ("order" | "kot") and kotSeq
+ * @returns {Array} Queued jobs
+ */
+const enqueuePrintJobs = async (transaction, orderNo, { type = "order", kotSeq } = {}) => {
+  const rendered = await renderPrintJobs(orderNo, { type, kotSeq, transaction });
+  const queued = [];
+
+  for (const job of rendered) {
+    const insertResult = await transaction
+      .request()
+      .input("OrderNo", sql.Int, job.orderNo)
+      .input("KotSeq", sql.Int, job.kotSeq ?? null)
+      .input("JobType", sql.VarChar, job.type)
+      .input("Printer", sql.VarChar, job.printer)
+      .input("Payload", sql.VarBinary(sql.MAX), job.data).query(`
+        INSERT INTO tblPrintJob (OrderNo, KotSeq, JobType, Printer, Payload)
+        OUTPUT ${JOB_COLUMNS.replace(/(\w+)/g, "INSERTED.$1")}
+        VALUES (@OrderNo, @KotSeq, @JobType, @Printer, @Payload)
+      `);
+
+    queued.push(formatJob(insertResult.recordset[0]));
+  }
+
+  return queued;
+};
+
+/**
+ * Lists print jobs, newest first
+ * @param {Object} filters - status, orderNo, printer and limit
+ * @returns {Array} Jobs without their payload
+ */
+const listPrintJobs = async ({ status, orderNo, printer, limit } = {}) => {
+  try {
+    const conditions = [];
+    const connectedPool = await ensureConnection();
+    const request = connectedPool.request();
+
+    if (status) {
+      status = String(status).toUpperCase();
+      if (!PRINT_JOB_STATUSES.includes(status)) {
+        throw createAppError(`Invalid print job status: ${status}`, 400);
+      }
+      conditions.push("Status = @Status");
+      request.input("Status", sql.VarChar, status);
+    }
+
+    if (orderNo) {
+      conditions.push("OrderNo = @OrderNo");
+      request.input("OrderNo", sql.Int, parseInt(orderNo) || 0);
+    }
+
+    if (printer) {
+      conditions.push("Printer = @Printer");
+      request.input("Printer", sql.VarChar, printer);
+    }
+
+    request.input("Limit", sql.Int, Math.min(parseInt(limit) || 100, 500));
+
+    const result = await request.query(`
+      SELECT TOP (@Limit) ${JOB_COLUMNS}
+      FROM tblPrintJob
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY JobId DESC
+    `);
+
+    return result.recordset.map(formatJob);
+  } catch (error) {
+    console.error("Error in listPrintJobs:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error fetching print jobs: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Queues a fresh copy of an existing job (stuck, failed or simply lost paper)
+ * @param {Number} jobId - Job to reprint
+ * @param {Object} options - Optional printer to send the copy to instead
+ * @returns {Object} The new job
+ */
+const reprintJob = async (jobId, { printer } = {}) => {
+  try {
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("JobId", sql.Int, parseInt(jobId) || 0)
+      .input("Printer", sql.VarChar, printer || null).query(`
+        INSERT INTO tblPrintJob (OrderNo, KotSeq, JobType, Printer, Payload, ReprintOf)
+        OUTPUT ${JOB_COLUMNS.replace(/(\w+)/g, "INSERTED.$1")}
+        SELECT OrderNo, KotSeq, JobType, ISNULL(@Printer, Printer), Payload, JobId
+        FROM tblPrintJob
+        WHERE JobId = @JobId
+      `);
+
+    if (result.recordset.length === 0) {
+      throw createAppError(`Print job ${jobId} not found`, 404);
+    }
+
+    triggerPrintWorker();
+    return formatJob(result.recordset[0]);
+  } catch (error) {
+    console.error("Error in reprintJob:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error reprinting job: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Claims due jobs and delivers them in queue order; failures are rescheduled
+ * with backoff until PRINT_MAX_ATTEMPTS, after which the job is FAILED.
+ * A claimed job holds a lease of PRINT_LEASE_SECONDS in NextAttemptAt; a job
+ * still PRINTING when it runs out (its result was never recorded) is claimed
+ * again.
+ * @returns {Number} Number of jobs processed
+ */
+const processDueJobs = async () => {
+  const connectedPool = await ensureConnection();
+  const maxAttempts = parseInt(process.env.PRINT_MAX_ATTEMPTS) || 8;
+
+  const claimed = await connectedPool
+    .request()
+    .input("Batch", sql.Int, parseInt(process.env.PRINT_WORKER_BATCH) || 10)
+    .input("Lease", sql.Int, parseInt(process.env.PRINT_LEASE_SECONDS) || 120)
+    .query(`
+      WITH due AS (
+        SELECT TOP (@Batch) *
+        FROM tblPrintJob WITH (UPDLOCK, READPAST, ROWLOCK)
+        WHERE Status IN ('PENDING', 'PRINTING') AND NextAttemptAt <= GETDATE()
+        ORDER BY JobId
+      )
+      UPDATE due SET Status = 'PRINTING', Attempts = Attempts + 1,
+        NextAttemptAt = DATEADD(SECOND, @Lease, GETDATE())
+      OUTPUT INSERTED.JobId, INSERTED.OrderNo, INSERTED.KotSeq, INSERTED.JobType,
+        INSERTED.Printer, INSERTED.Payload, INSERTED.Attempts
+    `);
+
+  const jobs = claimed.recordset.sort((a, b) => a.JobId - b.JobId);
+
+  for (const job of jobs) {
+    const target = resolveTarget(job.Printer);
+    const safePrinter = job.Printer.replace(/[^a-z0-9_-]/gi, "_");
+    const seq = job.KotSeq ? `-${job.KotSeq}` : "";
+    const fileName = `${job.JobType.toLowerCase()}-${job.OrderNo}${seq}-${safePrinter}-${job.JobId}.bin`;
+
+    try {
+      const deliveredTo = await deliver(target, job.Payload, fileName);
+
+      await connectedPool
+        .request()
+        .input("JobId", sql.Int, job.JobId)
+        .input("Target", sql.VarChar, String(deliveredTo).slice(0, 200)).query(`
+          UPDATE tblPrintJob
+          SET Status = 'DONE', PrintedAt = GETDATE(), LastError = NULL, Target = @Target
+          WHERE JobId = @JobId
+        `);
+    } catch (deliveryError) {
+      const failed = job.Attempts >= maxAttempts;
+      console.error(
+        `Print job ${job.JobId} to ${job.Printer} failed (attempt ${job.Attempts}):`,
+        deliveryError.message
+      );
+
+      await connectedPool
+        .request()
+        .input("JobId", sql.Int, job.JobId)
+        .input("Status", sql.VarChar, failed ? "FAILED" : "PENDING")
+        .input("Delay", sql.Int, getRetryDelay(job.Attempts))
+        .input("LastError", sql.VarChar, deliveryError.message.slice(0, 500))
+        .input("Target", sql.VarChar, target.slice(0, 200)).query(`
+          UPDATE tblPrintJob
+          SET Status = @Status, LastError = @LastError, Target = @Target,
+              NextAttemptAt = DATEADD(SECOND, @Delay, GETDATE())
+          WHERE JobId = @JobId
+        `);
+    }
+  }
+
+  return jobs.length;
+};
+
+/**
+ * Runs one worker pass unless one is already in progress
+ */
+const triggerPrintWorker = () => {
+  if (!workerTimer || workerRunning) {
+    return;
+  }
+
+  workerRunning = true;
+  processDueJobs()
+    .catch((error) => console.error("Print worker error:", error.message))
+    .finally(() => {
+      workerRunning = false;
+    });
+};
+
+/**
+ * Starts the background print worker. Jobs left PRINTING whose lease has run
+ * out are handed back to the queue first; other terminals' backends share the
+ * queue, so jobs still within their lease may be printing elsewhere.
+ */
+const startPrintWorker = async () => {
+  if (workerTimer) {
+    return;
+  }
+
+  try {
+    const connectedPool = await ensureConnection();
+    await connectedPool
+      .request()
+      .query(`
+        UPDATE tblPrintJob SET Status = 'PENDING'
+        WHERE Status = 'PRINTING' AND NextAttemptAt < GETDATE()
+      `);
+  } catch (error) {
+    console.error("Print worker recovery failed:", error.message);
+  }
+
+  const interval = parseInt(process.env.PRINT_WORKER_INTERVAL_MS) || 2000;
+  workerTimer = setInterval(triggerPrintWorker, interval);
+  console.log(`🖨️  Print worker started (every ${interval}ms)`);
+};
+
+/**
+ * Stops the background print worker
+ */
+const stopPrintWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  PRINT_JOB_STATUSES,
+  enqueuePrintJobs,
+  listPrintJobs,
+  reprintJob,
+  processDueJobs,
+  triggerPrintWorker,
+  startPrintWorker,
+  stopPrintWorker,
+};
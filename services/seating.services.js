@@ -0,0 +1,134 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+
+/**
+ * Recomputes tblTable.Status from its seats and open orders.
+ * 0 = free, 1 = partly occupied, 2 = fully occupied (same codes processOrder writes)
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} tableId - Table to refresh
+ * @returns {Number|null} New table status
+ */
+const refreshTableStatus = async (transaction, tableId) => {
+  if (!tableId) {
+    return null;
+  }
+
+  const statusQuery = `
+    SELECT
+      (SELECT COUNT(*) FROM tblSeat WHERE TableId = @TableId AND Status = 0) AS FreeSeats,
+      (SELECT COUNT(*) FROM tblSeat WHERE TableId = @TableId AND Status = 1) AS OccupiedSeats,
+      (SELECT COUNT(*) FROM tblOrder_M WHERE TableId = @TableId AND Options = 2 AND Saled = 'No' AND Voided = 0) AS OpenOrders
+  `;
+
+  const statusResult = await transaction
+    .request()
+    .input("TableId", sql.Int, tableId)
+    .query(statusQuery);
+
+  const { FreeSeats, OccupiedSeats, OpenOrders } = statusResult.recordset[0];
+
+  let tableStatus;
+  if (OccupiedSeats === 0 && OpenOrders === 0) {
+    tableStatus = 0;
+  } else {
+    tableStatus = FreeSeats > 0 ? 1 : 2;
+  }
+
+  await transaction
+    .request()
+    .input("TableId", sql.Int, tableId)
+    .input("Status", sql.Int, tableStatus).query(`
+      UPDATE tblTable SET Status = @Status WHERE TableId = @TableId
+    `);
+
+  return tableStatus;
+};
+
+/**
+ * Frees every seat held by an order (tblOrder_Seats rows and tblOrder_M.SeatId)
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order whose seats are released
+ * @returns {Array} Released seat ids
+ */
+const releaseOrderSeats = async (transaction, orderNo) => {
+  const seatsQuery = `
+    SELECT SeatId FROM tblOrder_Seats WHERE OrderNo = @OrderNo
+    UNION
+    SELECT SeatId FROM tblOrder_M WHERE OrderNo = @OrderNo AND SeatId IS NOT NULL
+  `;
+
+  const seatsResult = await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .query(seatsQuery);
+
+  const seatIds = seatsResult.recordset
+    .map((row) => row.SeatId)
+    .filter((seatId) => seatId);
+
+  for (const seatId of seatIds) {
+    await transaction.request().input("SeatId", sql.Int, seatId).query(`
+      UPDATE tblSeat SET Status = 0 WHERE SeatId = @SeatId
+    `);
+  }
+
+  return seatIds;
+};
+
+/**
+ * Assigns seats of a table to an order: records them in tblOrder_Seats and
+ * marks them occupied, as processOrder does for selectedSeats
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order taking the seats
+ * @param {Number} tableId - Table the seats belong to
+ * @param {Array} seatIds - Seats to occupy
+ * @returns {Array} Seat rows that were assigned
+ */
+const occupySeats = async (transaction, orderNo, tableId, seatIds) => {
+  const counterName = process.env.COUNTER_NAME || "DefaultCounter";
+  const assigned = [];
+
+  for (const seatId of seatIds) {
+    const parsedSeatId = parseInt(seatId);
+    if (!parsedSeatId || parsedSeatId <= 0) continue;
+
+    const seatDetailsResult = await transaction
+      .request()
+      .input("SeatId", sql.Int, parsedSeatId)
+      .input("TableId", sql.Int, tableId).query(`
+        SELECT Seat, SeatId, TableId, Status FROM tblSeat
+        WHERE SeatId = @SeatId AND TableId = @TableId
+      `);
+
+    if (seatDetailsResult.recordset.length === 0) {
+      throw createAppError(
+        `Seat ${parsedSeatId} does not belong to table ${tableId}`,
+        400
+      );
+    }
+
+    const seatDetails = seatDetailsResult.recordset[0];
+
+    await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("Seat", sql.VarChar, seatDetails.Seat)
+      .input("SeatId", sql.Int, seatDetails.SeatId)
+      .input("TableId", sql.Int, seatDetails.TableId)
+      .input("Counter", sql.VarChar, counterName).query(`
+        INSERT INTO tblOrder_Seats (OrderNo, Seat, SeatId, TableId, Status, Counter)
+        VALUES (@OrderNo, @Seat, @SeatId, @TableId, 0, @Counter);
+        UPDATE tblSeat SET Status = 1 WHERE SeatId = @SeatId AND TableId = @TableId;
+      `);
+
+    assigned.push(seatDetails);
+  }
+
+  return assigned;
+};
+
+module.exports = {
+  refreshTableStatus,
+  releaseOrderSeats,
+  occupySeats,
+};
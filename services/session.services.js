@@ -0,0 +1,70 @@
+const crypto = require("crypto");
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+
+/**
+ * Hours a login session stays valid
+ * @returns {Number} Session lifetime
+ */
+const getSessionHours = () => parseInt(process.env.SESSION_HOURS) || 12;
+
+/**
+ * Opens a session for a user who has just logged in. The token identifies
+ * the acting user on later requests instead of a userId the client sends.
+ * @param {Number} userId - tblUser.UserId
+ * @param {Object} options - Counter the user logged in at
+ * @returns {Object} sessionToken and expiresAt
+ */
+const openSession = async (userId, { counter } = {}) => {
+  try {
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("Token", sql.VarChar, crypto.randomUUID())
+      .input("UserId", sql.Int, userId)
+      .input("Counter", sql.VarChar, counter || process.env.COUNTER_NAME || "DefaultCounter")
+      .input("Hours", sql.Int, getSessionHours()).query(`
+        DELETE FROM tblUserSession WHERE ExpiresAt < GETDATE();
+
+        INSERT INTO tblUserSession (Token, UserId, Counter, ExpiresAt)
+        OUTPUT INSERTED.Token, INSERTED.ExpiresAt
+        VALUES (@Token, @UserId, @Counter, DATEADD(HOUR, @Hours, GETDATE()))
+      `);
+
+    const session = result.recordset[0];
+    return { sessionToken: session.Token, expiresAt: session.ExpiresAt };
+  } catch (error) {
+    console.error("Error in openSession:", error.message);
+    throw createAppError(`Error opening session: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Finds the user behind a session token
+ * @param {Object} requester - Pool or transaction
+ * @param {String} token - Session token handed out at login
+ * @returns {Object|null} tblUser row (UserId, User_Name, MaxDiscountPct), null when the session is unknown or expired
+ */
+const getSessionUser = async (requester, token) => {
+  if (!token) {
+    return null;
+  }
+
+  const result = await requester
+    .request()
+    .input("Token", sql.VarChar, String(token)).query(`
+      SELECT u.UserId, u.User_Name, u.MaxDiscountPct
+      FROM tblUserSession s
+      JOIN dbo.tblUser u ON u.UserId = s.UserId
+      WHERE s.Token = @Token AND s.ExpiresAt > GETDATE()
+    `);
+
+  return result.recordset[0] || null;
+};
+
+module.exports = {
+  openSession,
+  getSessionUser,
+};
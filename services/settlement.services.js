@@ -0,0 +1,794 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+const { roundMoney } = require("../utils/money");
+const { refreshTableStatus, releaseOrderSeats } = require("./seating.services");
+const { deductOrderStock } = require("./inventory.services");
+const {
+  redeemPointTenders,
+  earnOrderPoints,
+  reverseOrderLoyalty,
+} = require("./loyalty.services");
+const {
+  EVENT_TYPES,
+  publishOrderEvent,
+  publishTableEvents,
+} = require("./events.services");
+
+const TENDER_TYPES = ["CASH", "CARD", "VOUCHER", "CREDIT", "POINTS"];
+
+/**
+ * Validates and normalises the tenders sent by the client
+ * @param {Array} tenders - Raw tenders ({ type, amount, reference })
+ * @param {Boolean} allowEmpty - Whether an empty tender list is acceptable
+ * @returns {Array} Normalised tenders
+ */
+const normalizeTenders = (tenders, allowEmpty = false) => {
+  if (tenders === undefined || tenders === null) {
+    tenders = [];
+  }
+
+  if (!Array.isArray(tenders) || (tenders.length === 0 && !allowEmpty)) {
+    throw createAppError("At least one tender is required", 400);
+  }
+
+  return tenders.map((tender, index) => {
+    const type = String(tender.type || "").toUpperCase();
+    const amount = roundMoney(tender.amount);
+
+    if (!TENDER_TYPES.includes(type)) {
+      throw createAppError(
+        `Invalid tender type at position ${index + 1}: ${tender.type}`,
+        400
+      );
+    }
+
+    if (amount <= 0) {
+      throw createAppError(
+        `Tender amount must be greater than zero at position ${index + 1}`,
+        400
+      );
+    }
+
+    if (type === "VOUCHER" && !tender.reference) {
+      throw createAppError(
+        `Voucher tender at position ${index + 1} requires a reference`,
+        400
+      );
+    }
+
+    return {
+      type,
+      amount,
+      reference: tender.reference || "",
+    };
+  });
+};
+
+/**
+ * Applies tenders against an outstanding balance. Change is only ever given
+ * back from cash, so it is taken off the last cash tenders.
+ * @param {Number} balance - Amount still owed
+ * @param {Array} tenders - Normalised tenders
+ * @returns {Object} Applied tenders, amount received, amount applied and change
+ */
+const applyTenders = (balance, tenders) => {
+  const received = roundMoney(
+    tenders.reduce((sum, tender) => sum + tender.amount, 0)
+  );
+  const nonCash = roundMoney(
+    tenders
+      .filter((tender) => tender.type !== "CASH")
+      .reduce((sum, tender) => sum + tender.amount, 0)
+  );
+
+  if (nonCash > balance) {
+    throw createAppError(
+      `Card, voucher, credit and points tenders cannot exceed the balance due of ${balance.toFixed(2)}`,
+      400
+    );
+  }
+
+  const change = roundMoney(Math.max(received - balance, 0));
+  let changeLeft = change;
+  const appliedTenders = tenders.map((tender) => ({
+    ...tender,
+    tendered: tender.amount,
+    changeAmt: 0,
+  }));
+
+  for (let i = appliedTenders.length - 1; i >= 0 && changeLeft > 0; i--) {
+    const tender = appliedTenders[i];
+    if (tender.type !== "CASH") continue;
+
+    const taken = Math.min(tender.amount, changeLeft);
+    tender.amount = roundMoney(tender.amount - taken);
+    tender.changeAmt = roundMoney(taken);
+    changeLeft = roundMoney(changeLeft - taken);
+  }
+
+  return {
+    appliedTenders,
+    received,
+    applied: roundMoney(received - change),
+    change,
+  };
+};
+
+/**
+ * Validates the tips sent with a settlement and checks the employees exist
+ * @param {Object} transaction - SQL transaction object
+ * @param {Array} tips - Raw tips ({ empCode, amount, tender })
+ * @returns {Array} Normalised tips
+ */
+const normalizeTips = async (transaction, tips) => {
+  if (tips === undefined || tips === null) {
+    return [];
+  }
+
+  if (!Array.isArray(tips)) {
+    throw createAppError("Tips must be a list", 400);
+  }
+
+  const normalized = tips.map((tip, index) => {
+    const empCode = parseInt(tip.empCode) || 0;
+    const amount = roundMoney(tip.amount);
+    const tender = tip.tender ? String(tip.tender).toUpperCase() : null;
+
+    if (!empCode) {
+      throw createAppError(`Tip at position ${index + 1} requires an employee`, 400);
+    }
+
+    if (amount <= 0) {
+      throw createAppError(
+        `Tip amount must be greater than zero at position ${index + 1}`,
+        400
+      );
+    }
+
+    if (tender && (!TENDER_TYPES.includes(tender) || tender === "POINTS")) {
+      throw createAppError(`Invalid tip tender at position ${index + 1}: ${tip.tender}`, 400);
+    }
+
+    return { empCode, amount, tender };
+  });
+
+  for (const empCode of new Set(normalized.map((tip) => tip.empCode))) {
+    const employee = await transaction
+      .request()
+      .input("Code", sql.Int, empCode)
+      .query(`SELECT Code FROM dbo.tblEmployee WHERE Code = @Code AND Active = 1`);
+
+    if (employee.recordset.length === 0) {
+      throw createAppError(`Employee ${empCode} not found`, 400);
+    }
+  }
+
+  return normalized;
+};
+
+/**
+ * Takes the tips out of the applied tenders so payments only carry the bill.
+ * A tip comes out of the tender type it names, otherwise out of the card /
+ * voucher / credit tenders first and cash last. Points never pay tips.
+ * @param {Array} appliedTenders - Tenders returned by applyTenders
+ * @param {Array} tips - Normalised tips, tender and tenderIndex are filled in
+ */
+const allocateTips = (appliedTenders, tips) => {
+  for (const tip of tips) {
+    const candidates = appliedTenders
+      .map((tender, index) => ({ tender, index }))
+      .filter(({ tender }) => tender.type !== "POINTS")
+      .filter(({ tender }) => (tip.tender ? tender.type === tip.tender : true))
+      .sort((a, b) => (a.tender.type === "CASH") - (b.tender.type === "CASH"));
+
+    let left = tip.amount;
+    for (const { tender, index } of candidates) {
+      if (left <= 0) break;
+      const taken = Math.min(tender.amount, left);
+      if (taken <= 0) continue;
+
+      tender.amount = roundMoney(tender.amount - taken);
+      tender.tipAmt = roundMoney((tender.tipAmt || 0) + taken);
+      left = roundMoney(left - taken);
+
+      if (tip.tenderIndex === undefined) {
+        tip.tenderIndex = index;
+        tip.tender = tender.type;
+      }
+    }
+
+    if (left > 0) {
+      throw createAppError(
+        tip.tender
+          ? `Tip of ${tip.amount.toFixed(2)} is not covered by the ${tip.tender} tenders`
+          : `Tip of ${tip.amount.toFixed(2)} is not covered by the tenders`,
+        400
+      );
+    }
+  }
+};
+
+/**
+ * Records tips against the employees they are for
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @param {Array} tips - Tips after allocateTips
+ * @param {Array} appliedTenders - Tenders with their paymentId
+ * @param {Number} userId - Cashier
+ */
+const insertTips = async (transaction, orderNo, tips, appliedTenders, userId) => {
+  for (const tip of tips) {
+    const tipResult = await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("EmpCode", sql.Int, tip.empCode)
+      .input("Amount", sql.Decimal(18, 2), tip.amount)
+      .input("Tender", sql.VarChar, tip.tender)
+      .input("PaymentId", sql.Int, appliedTenders[tip.tenderIndex]?.paymentId || null)
+      .input("UserId", sql.Int, userId).query(`
+        INSERT INTO tblOrder_Tips (OrderNo, EmpCode, Amount, Tender, PaymentId, UserId)
+        OUTPUT INSERTED.TipId
+        VALUES (@OrderNo, @EmpCode, @Amount, @Tender, @PaymentId, @UserId)
+      `);
+
+    tip.tipId = tipResult.recordset[0].TipId;
+  }
+};
+
+/**
+ * Reads and locks an order row for the rest of the transaction
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @returns {Object} tblOrder_M row
+ */
+const lockOrder = async (transaction, orderNo) => {
+  const orderQuery = `
+    SELECT OrderNo, CustId, TableId, SeatId, Options, DelArea, Prefix, Total, Saled, Voided
+    FROM tblOrder_M WITH (UPDLOCK, ROWLOCK)
+    WHERE OrderNo = @OrderNo
+  `;
+
+  const orderResult = await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .query(orderQuery);
+
+  if (orderResult.recordset.length === 0) {
+    throw createAppError(`Order ${orderNo} not found`, 404);
+  }
+
+  return orderResult.recordset[0];
+};
+
+/**
+ * Rejects operations on orders that are already settled or voided
+ * @param {Object} order - tblOrder_M row from lockOrder
+ */
+const assertOrderOpen = (order) => {
+  if (order.Voided) {
+    throw createAppError(`Order ${order.OrderNo} has been voided`, 409);
+  }
+
+  if (order.Saled === "Yes") {
+    throw createAppError(`Order ${order.OrderNo} is already settled`, 409);
+  }
+};
+
+/**
+ * Sums the non-voided payments of an order
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @returns {Number} Paid amount
+ */
+const getPaidAmount = async (transaction, orderNo) => {
+  const paidResult = await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo).query(`
+      SELECT ISNULL(SUM(Amount), 0) AS PaidAmount
+      FROM tblOrder_Payments
+      WHERE OrderNo = @OrderNo AND Voided = 0
+    `);
+
+  return roundMoney(paidResult.recordset[0].PaidAmount);
+};
+
+/**
+ * Inserts applied tenders into tblOrder_Payments and redeems the points of
+ * points tenders
+ * @param {Object} transaction - SQL transaction object
+ * @param {Object} order - Locked tblOrder_M row
+ * @param {Array} appliedTenders - Tenders returned by applyTenders
+ * @param {Object} context - custId for credit and points tenders and the cashier's userId
+ * @returns {Array} Loyalty ledger entries of the points tenders
+ */
+const insertPayments = async (
+  transaction,
+  order,
+  appliedTenders,
+  { custId, userId }
+) => {
+  const accountCustId = custId || order.CustId || 0;
+  for (const type of ["CREDIT", "POINTS"]) {
+    if (appliedTenders.some((tender) => tender.type === type) && !accountCustId) {
+      throw createAppError(
+        `${type === "CREDIT" ? "Credit" : "Points"} tender requires a customer`,
+        400
+      );
+    }
+  }
+
+  const paymentQuery = `
+    INSERT INTO tblOrder_Payments (OrderNo, Tender, Amount, Tendered, ChangeAmt, Reference, CustId, UserId)
+    OUTPUT INSERTED.PaymentId
+    VALUES (@OrderNo, @Tender, @Amount, @Tendered, @ChangeAmt, @Reference, @CustId, @UserId)
+  `;
+
+  for (const tender of appliedTenders) {
+    const paymentResult = await transaction
+      .request()
+      .input("OrderNo", sql.Int, order.OrderNo)
+      .input("Tender", sql.VarChar, tender.type)
+      .input("Amount", sql.Decimal(18, 2), tender.amount)
+      .input("Tendered", sql.Decimal(18, 2), tender.tendered)
+      .input("ChangeAmt", sql.Decimal(18, 2), tender.changeAmt)
+      .input("Reference", sql.VarChar, tender.reference)
+      .input(
+        "CustId",
+        sql.Int,
+        ["CREDIT", "POINTS"].includes(tender.type) ? accountCustId : order.CustId || null
+      )
+      .input("UserId", sql.Int, userId)
+      .query(paymentQuery);
+
+    tender.paymentId = paymentResult.recordset[0].PaymentId;
+  }
+
+  return redeemPointTenders(transaction, accountCustId, order.OrderNo, appliedTenders, userId);
+};
+
+/**
+ * Lists every payment of an order, voided ones included
+ * @param {Object} requester - Pool or transaction to query with
+ * @param {Number} orderNo - Order number
+ * @returns {Array} Payment rows
+ */
+const listPayments = async (requester, orderNo) => {
+  const paymentsResult = await requester
+    .request()
+    .input("OrderNo", sql.Int, orderNo).query(`
+      SELECT PaymentId, OrderNo, Tender, Amount, Tendered, ChangeAmt, Reference,
+             CustId, UserId, PaidAt, Voided, VoidedAt, VoidedBy, VoidReason
+      FROM tblOrder_Payments
+      WHERE OrderNo = @OrderNo
+      ORDER BY PaymentId
+    `);
+
+  return paymentsResult.recordset;
+};
+
+/**
+ * Builds the paid / balance summary returned by the payment operations
+ * @param {Object} order - tblOrder_M row
+ * @param {Array} payments - Payment rows
+ * @returns {Object} Payment summary
+ */
+const buildPaymentSummary = (order, payments) => {
+  const total = roundMoney(order.Total);
+  const paidAmount = roundMoney(
+    payments
+      .filter((payment) => !payment.Voided)
+      .reduce((sum, payment) => sum + payment.Amount, 0)
+  );
+
+  return {
+    orderNo: order.OrderNo,
+    total,
+    paidAmount,
+    balanceDue: roundMoney(Math.max(total - paidAmount, 0)),
+    settled: order.Saled === "Yes",
+    payments,
+  };
+};
+
+/**
+ * Settles an order: records the final tenders on top of any partial
+ * payments, computes change, marks it Saled and releases its table and
+ * seats in a single transaction. Tips are paid on top of the balance and
+ * recorded per employee.
+ * @param {Number} orderNo - Order to settle
+ * @param {Object} settlement - Tenders, tips ({ empCode, amount, tender }) and optional custId / userId
+ * @returns {Object} Settlement summary
+ */
+const settleOrder = async (orderNo, { tenders, tips, custId, userId } = {}) => {
+  let transaction;
+
+  try {
+    orderNo = parseInt(orderNo) || 0;
+    custId = parseInt(custId) || 0;
+    userId = parseInt(userId) || null;
+
+    if (!orderNo) {
+      throw createAppError("Order number is required", 400);
+    }
+
+    const normalizedTenders = normalizeTenders(tenders, true);
+
+    const connectedPool = await ensureConnection();
+
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const order = await lockOrder(transaction, orderNo);
+
+    assertOrderOpen(order);
+
+    const total = roundMoney(order.Total);
+    const previouslyPaid = await getPaidAmount(transaction, orderNo);
+    const balance = roundMoney(Math.max(total - previouslyPaid, 0));
+
+    const normalizedTips = await normalizeTips(transaction, tips);
+    const tipTotal = roundMoney(
+      normalizedTips.reduce((sum, tip) => sum + tip.amount, 0)
+    );
+    const due = roundMoney(balance + tipTotal);
+
+    const { appliedTenders, received, applied, change } = applyTenders(
+      due,
+      normalizedTenders
+    );
+
+    if (applied < due) {
+      throw createAppError(
+        tipTotal > 0
+          ? `Insufficient payment: balance due ${balance.toFixed(2)} plus tips ${tipTotal.toFixed(2)}, received ${received.toFixed(2)}`
+          : `Insufficient payment: balance due ${balance.toFixed(2)}, received ${received.toFixed(2)}`,
+        400
+      );
+    }
+
+    allocateTips(appliedTenders, normalizedTips);
+
+    const redeemed = await insertPayments(transaction, order, appliedTenders, {
+      custId,
+      userId,
+    });
+
+    await insertTips(transaction, orderNo, normalizedTips, appliedTenders, userId);
+
+    const stockMovements = await deductOrderStock(transaction, orderNo, userId);
+    const earned = await earnOrderPoints(transaction, order, userId);
+
+    await transaction.request().input("OrderNo", sql.Int, orderNo).query(`
+      UPDATE tblOrder_M SET Saled = 'Yes' WHERE OrderNo = @OrderNo
+    `);
+
+    const releasedSeats = await releaseOrderSeats(transaction, orderNo);
+    const tableStatus = await refreshTableStatus(transaction, order.TableId);
+
+    await transaction.commit();
+
+    const settlement = {
+      orderNo,
+      total,
+      previouslyPaid,
+      paid: roundMoney(previouslyPaid + received),
+      change,
+      tenders: appliedTenders,
+      tips: normalizedTips.map((tip) => ({
+        tipId: tip.tipId,
+        empCode: tip.empCode,
+        amount: tip.amount,
+        tender: tip.tender,
+      })),
+      tipTotal,
+      tableId: order.TableId || null,
+      tableStatus,
+      releasedSeats,
+      lowStock: stockMovements
+        .filter((movement) => movement.lowStock)
+        .map(({ stockItemId, name, unit, balanceAfter }) => ({ stockItemId, name, unit, onHand: balanceAfter })),
+      loyalty: {
+        redeemed: redeemed.reduce((sum, entry) => sum - entry.points, 0),
+        earned: earned ? earned.points : 0,
+        balance: earned
+          ? earned.balanceAfter
+          : redeemed.length
+            ? redeemed[redeemed.length - 1].balanceAfter
+            : null,
+      },
+      settledAt: new Date().toISOString(),
+    };
+
+    await publishOrderEvent(
+      EVENT_TYPES.ORDER_SETTLED,
+      orderNo,
+      { total, paid: settlement.paid },
+      order.TableId
+    );
+    await publishTableEvents(order.TableId, { orderNo, releasedSeats });
+
+    return settlement;
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in settleOrder:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error settling order: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Records one or more partial payments against an unsettled order
+ * @param {Number} orderNo - Order number
+ * @param {Object} payment - Tenders and optional custId / userId
+ * @returns {Object} Payment summary with the change due on this payment
+ */
+const addPayments = async (orderNo, { tenders, custId, userId } = {}) => {
+  let transaction;
+
+  try {
+    orderNo = parseInt(orderNo) || 0;
+    custId = parseInt(custId) || 0;
+    userId = parseInt(userId) || null;
+
+    if (!orderNo) {
+      throw createAppError("Order number is required", 400);
+    }
+
+    const normalizedTenders = normalizeTenders(tenders);
+
+    const connectedPool = await ensureConnection();
+
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const order = await lockOrder(transaction, orderNo);
+
+    assertOrderOpen(order);
+
+    const previouslyPaid = await getPaidAmount(transaction, orderNo);
+    const balance = roundMoney(
+      Math.max(roundMoney(order.Total) - previouslyPaid, 0)
+    );
+
+    if (balance <= 0) {
+      throw createAppError(`Order ${orderNo} is already fully paid`, 409);
+    }
+
+    const { appliedTenders, change } = applyTenders(balance, normalizedTenders);
+
+    await insertPayments(transaction, order, appliedTenders, {
+      custId,
+      userId,
+    });
+
+    const payments = await listPayments(transaction, orderNo);
+
+    await transaction.commit();
+
+    const summary = buildPaymentSummary(order, payments);
+    await publishOrderEvent(
+      EVENT_TYPES.ORDER_UPDATED,
+      orderNo,
+      { paidAmount: summary.paidAmount, balanceDue: summary.balanceDue },
+      order.TableId
+    );
+
+    return {
+      ...summary,
+      change,
+      added: appliedTenders,
+    };
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in addPayments:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error recording payment: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Voids a single payment of an unsettled order, keeping the row for reporting
+ * @param {Number} orderNo - Order number
+ * @param {Number} paymentId - Payment to void
+ * @param {Object} voidData - Reason and the voiding userId
+ * @returns {Object} Payment summary after the void
+ */
+const voidPayment = async (orderNo, paymentId, { reason, userId } = {}) => {
+  let transaction;
+
+  try {
+    orderNo = parseInt(orderNo) || 0;
+    paymentId = parseInt(paymentId) || 0;
+    userId = parseInt(userId) || null;
+
+    if (!orderNo || !paymentId) {
+      throw createAppError("Order number and payment id are required", 400);
+    }
+
+    if (!reason) {
+      throw createAppError("A reason is required to void a payment", 400);
+    }
+
+    const connectedPool = await ensureConnection();
+
+    transaction = new sql.Transaction(connectedPool);
+    await transaction.begin();
+
+    const order = await lockOrder(transaction, orderNo);
+
+    assertOrderOpen(order);
+
+    const voidResult = await transaction
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .input("PaymentId", sql.Int, paymentId)
+      .input("VoidedBy", sql.Int, userId)
+      .input("VoidReason", sql.VarChar, reason).query(`
+        UPDATE tblOrder_Payments
+        SET Voided = 1, VoidedAt = GETDATE(), VoidedBy = @VoidedBy, VoidReason = @VoidReason
+        WHERE PaymentId = @PaymentId AND OrderNo = @OrderNo AND Voided = 0
+      `);
+
+    if (voidResult.rowsAffected[0] === 0) {
+      throw createAppError(
+        `Payment ${paymentId} not found or already voided on order ${orderNo}`,
+        404
+      );
+    }
+
+    // Points paid with go back to the customer
+    await reverseOrderLoyalty(transaction, orderNo, { paymentId, note: reason, userId });
+
+    const payments = await listPayments(transaction, orderNo);
+
+    await transaction.commit();
+
+    const summary = buildPaymentSummary(order, payments);
+    await publishOrderEvent(
+      EVENT_TYPES.ORDER_UPDATED,
+      orderNo,
+      { paidAmount: summary.paidAmount, balanceDue: summary.balanceDue },
+      order.TableId
+    );
+
+    return summary;
+  } catch (error) {
+    if (transaction) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error in voidPayment:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error voiding payment: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Gets the payments of an order with its paid amount and balance due
+ * @param {Number} orderNo - Order number
+ * @returns {Object} Payment summary
+ */
+const getOrderPayments = async (orderNo) => {
+  try {
+    orderNo = parseInt(orderNo) || 0;
+
+    const connectedPool = await ensureConnection();
+
+    const orderResult = await connectedPool
+      .request()
+      .input("OrderNo", sql.Int, orderNo)
+      .query(
+        `SELECT OrderNo, Total, Saled FROM tblOrder_M WHERE OrderNo = @OrderNo`
+      );
+
+    if (orderResult.recordset.length === 0) {
+      throw createAppError(`Order ${orderNo} not found`, 404);
+    }
+
+    const payments = await listPayments(connectedPool, orderNo);
+
+    return buildPaymentSummary(orderResult.recordset[0], payments);
+  } catch (error) {
+    console.error("Error in getOrderPayments:", error.message);
+    if (error.statusCode) {
+      throw error;
+    }
+    throw createAppError(`Error fetching payments: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Tips per employee in a period, voided tips left out
+ * @param {Object} options - from / to (dates, inclusive) and empCode
+ * @returns {Array} Per employee: empCode, empName, tipCount, total, byTender and tips
+ */
+const getTips = async ({ from, to, empCode } = {}) => {
+  try {
+    const connectedPool = await ensureConnection();
+
+    const result = await connectedPool
+      .request()
+      .input("From", sql.Date, from || null)
+      .input("To", sql.Date, to || null)
+      .input("EmpCode", sql.Int, parseInt(empCode) || null).query(`
+        SELECT t.TipId, t.OrderNo, t.EmpCode, e.EmpName, t.Amount, t.Tender,
+               t.PaymentId, t.UserId, t.TippedAt
+        FROM tblOrder_Tips t
+        LEFT JOIN dbo.tblEmployee e ON e.Code = t.EmpCode
+        WHERE t.Voided = 0
+          AND (@From IS NULL OR t.TippedAt >= @From)
+          AND (@To IS NULL OR t.TippedAt < DATEADD(DAY, 1, @To))
+          AND (@EmpCode IS NULL OR t.EmpCode = @EmpCode)
+        ORDER BY e.EmpName, t.TippedAt
+      `);
+
+    const employees = new Map();
+    for (const row of result.recordset) {
+      if (!employees.has(row.EmpCode)) {
+        employees.set(row.EmpCode, {
+          empCode: row.EmpCode,
+          empName: row.EmpName,
+          tipCount: 0,
+          total: 0,
+          byTender: {},
+          tips: [],
+        });
+      }
+
+      const employee = employees.get(row.EmpCode);
+      employee.tipCount++;
+      employee.total = roundMoney(employee.total + row.Amount);
+      employee.byTender[row.Tender] = roundMoney(
+        (employee.byTender[row.Tender] || 0) + row.Amount
+      );
+      employee.tips.push({
+        tipId: row.TipId,
+        orderNo: row.OrderNo,
+        amount: roundMoney(row.Amount),
+        tender: row.Tender,
+        paymentId: row.PaymentId,
+        userId: row.UserId,
+        tippedAt: row.TippedAt,
+      });
+    }
+
+    return Array.from(employees.values());
+  } catch (error) {
+    console.error("Error in getTips:", error.message);
+    throw createAppError(`Error fetching tips: ${error.message}`, 500);
+  }
+};
+
+module.exports = {
+  TENDER_TYPES,
+  lockOrder,
+  assertOrderOpen,
+  getPaidAmount,
+  settleOrder,
+  addPayments,
+  voidPayment,
+  getOrderPayments,
+  getTips,
+};
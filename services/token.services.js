@@ -0,0 +1,185 @@
+const sql = require("mssql");
+const { createAppError } = require("../utils/errorHandler");
+const { ensureConnection } = require("../utils/dbConnection");
+
+const ORDER_TYPES = {
+  1: { name: "Delivery", prefixEnv: "TOKEN_PREFIX_DELIVERY" },
+  2: { name: "Dine-In", prefixEnv: "TOKEN_PREFIX_DINEIN" },
+  3: { name: "Takeaway", prefixEnv: "TOKEN_PREFIX_TAKEAWAY" },
+};
+
+/**
+ * Parses "HH:mm" into minutes after midnight
+ * @param {String} value - Time of day
+ * @returns {Number} Minutes, 0 when invalid
+ */
+const toMinutes = (value) => {
+  const [hours, minutes] = String(value || "").split(":").map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Works out which token series an order belongs to. The business day starts
+ * at BUSINESS_DAY_START (e.g. "04:00") so after-midnight orders stay on the
+ * previous day; TOKEN_RESET_BY_SHIFT (shift starts in TOKEN_SHIFTS, e.g.
+ * "06:00,15:00") and TOKEN_RESET_BY_COUNTER split the day further.
+ * @param {Object} options - counter and the moment (defaults to now)
+ * @returns {Object} businessDate (YYYY-MM-DD) and scope
+ */
+const getTokenSeries = ({ counter, now = new Date() } = {}) => {
+  const dayStart = toMinutes(process.env.BUSINESS_DAY_START || "00:00");
+  const business = new Date(now.getTime() - dayStart * 60000);
+  const businessDate = `${business.getFullYear()}-${pad(business.getMonth() + 1)}-${pad(business.getDate())}`;
+
+  const scope = [];
+
+  if (process.env.TOKEN_RESET_BY_SHIFT === "true") {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const shifts = String(process.env.TOKEN_SHIFTS || "")
+      .split(",")
+      .map((start) => start.trim())
+      .filter(Boolean);
+    // Before the first shift start of the calendar day counts as the last shift
+    const current = shifts.filter((start) => toMinutes(start) <= minutes).pop() || shifts[shifts.length - 1];
+    if (current) {
+      scope.push(`S${current}`);
+    }
+  }
+
+  if (process.env.TOKEN_RESET_BY_COUNTER === "true") {
+    scope.push(`C:${counter || process.env.COUNTER_NAME || "DefaultCounter"}`);
+  }
+
+  return { businessDate, scope: scope.join("|") };
+};
+
+/**
+ * Token prefix of an order type: TOKEN_PREFIX_DELIVERY / _DINEIN / _TAKEAWAY,
+ * falling back to the prefix sent by the terminal
+ * @param {Number} option - Order type (1 Delivery, 2 Dine-In, 3 Takeaway)
+ * @param {String} fallback - Prefix from the client
+ * @returns {String} Prefix
+ */
+const getTokenPrefix = (option, fallback = "") => {
+  const type = ORDER_TYPES[option];
+  return (type && process.env[type.prefixEnv]) || fallback || "";
+};
+
+/**
+ * Takes the next token of the order type's current series
+ * @param {Object} transaction - SQL transaction object
+ * @param {Object} options - option (order type), prefix from the client and counter
+ * @returns {Object} tokenNo, businessDate, scope, prefix and display (prefix + token)
+ */
+const allocateToken = async (transaction, { option, prefix, counter } = {}) => {
+  const { businessDate, scope } = getTokenSeries({ counter });
+
+  const result = await transaction
+    .request()
+    .input("BusinessDate", sql.Date, businessDate)
+    .input("Options", sql.Int, option)
+    .input("Scope", sql.VarChar, scope).query(`
+      IF NOT EXISTS (
+        SELECT 1 FROM tblOrder_Token WITH (UPDLOCK, HOLDLOCK)
+        WHERE BusinessDate = @BusinessDate AND Options = @Options AND Scope = @Scope
+      )
+        INSERT INTO tblOrder_Token (BusinessDate, Options, Scope, LastToken)
+        VALUES (@BusinessDate, @Options, @Scope, 0);
+
+      UPDATE tblOrder_Token
+      SET LastToken = LastToken + 1
+      OUTPUT INSERTED.LastToken
+      WHERE BusinessDate = @BusinessDate AND Options = @Options AND Scope = @Scope
+    `);
+
+  const tokenNo = result.recordset[0].LastToken;
+  const tokenPrefix = getTokenPrefix(option, prefix);
+
+  return {
+    tokenNo,
+    businessDate,
+    scope,
+    prefix: tokenPrefix,
+    display: `${tokenPrefix}${tokenNo}`,
+  };
+};
+
+/**
+ * Stores a token on an order and points Prefix/Pr at it
+ * @param {Object} transaction - SQL transaction object
+ * @param {Number} orderNo - Order number
+ * @param {Object} token - Result of allocateToken
+ */
+const assignToken = async (transaction, orderNo, token) => {
+  await transaction
+    .request()
+    .input("OrderNo", sql.Int, orderNo)
+    .input("TokenNo", sql.Int, token.tokenNo)
+    .input("TokenDate", sql.Date, token.businessDate)
+    .input("TokenScope", sql.VarChar, token.scope)
+    .input("Prefix", sql.VarChar, token.prefix)
+    .input("Pr", sql.VarChar, token.display).query(`
+      UPDATE tblOrder_M
+      SET TokenNo = @TokenNo, TokenDate = @TokenDate, TokenScope = @TokenScope,
+          Prefix = @Prefix, Pr = @Pr
+      WHERE OrderNo = @OrderNo
+    `);
+};
+
+/**
+ * Gets the current and next token of each order type for the running series
+ * @param {Object} options - Counter asking, used when tokens reset per counter
+ * @returns {Object} Per order type: optionValue, maxCount, nextToken, prefix, nextDisplay
+ */
+const getTokenCounts = async ({ counter } = {}) => {
+  try {
+    const connectedPool = await ensureConnection();
+    const { businessDate, scope } = getTokenSeries({ counter });
+
+    const result = await connectedPool
+      .request()
+      .input("BusinessDate", sql.Date, businessDate)
+      .input("Scope", sql.VarChar, scope).query(`
+        SELECT Options, LastToken
+        FROM tblOrder_Token
+        WHERE BusinessDate = @BusinessDate AND Scope = @Scope
+      `);
+
+    const lastTokens = new Map(
+      result.recordset.map((row) => [row.Options, row.LastToken])
+    );
+
+    const counts = {};
+    for (const [option, type] of Object.entries(ORDER_TYPES)) {
+      const maxCount = lastTokens.get(Number(option)) || 0;
+      const prefix = getTokenPrefix(Number(option));
+
+      counts[type.name] = {
+        optionValue: Number(option),
+        maxCount,
+        nextToken: maxCount + 1,
+        prefix,
+        nextDisplay: `${prefix}${maxCount + 1}`,
+        businessDate,
+        scope,
+      };
+    }
+
+    return counts;
+  } catch (error) {
+    console.error("Error in getTokenCounts:", error.message);
+    throw createAppError(
+      `Error fetching order token counts: ${error.message}`,
+      500
+    );
+  }
+};
+
+module.exports = {
+  getTokenSeries,
+  allocateToken,
+  assignToken,
+  getTokenCounts,
+};
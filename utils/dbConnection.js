@@ -0,0 +1,48 @@
+const { getPool, poolConnect } = require("../config/db");
+const { createAppError } = require("./errorHandler");
+
+/**
+ * Ensures database connection is available
+ * @returns {Promise<Object>} Connected pool instance
+ */
+const ensureConnection = async () => {
+  try {
+    // First, wait for the initial connection attempt to complete
+    await poolConnect;
+
+    // Then get the current pool
+    const pool = await getPool();
+
+    if (!pool) {
+      throw new Error("Database pool is not available");
+    }
+
+    if (!pool.connected) {
+      throw new Error("Database pool is not connected");
+    }
+
+    return pool;
+  } catch (error) {
+    console.error("Database connection error:", error.message);
+
+    // Provide more specific error context
+    let errorMessage = "Database connection failed";
+
+    if (error.message.includes("ENOTFOUND")) {
+      errorMessage += ": Server not found. Check DB_SERVER in .env file.";
+    } else if (error.message.includes("ECONNREFUSED")) {
+      errorMessage += ": Connection refused. Is SQL Server running?";
+    } else if (error.message.includes("Login failed")) {
+      errorMessage += ": Authentication failed. Check credentials.";
+    } else if (error.message.includes("Cannot open database")) {
+      errorMessage +=
+        ": Database access denied. Check database name and permissions.";
+    } else {
+      errorMessage += `: ${error.message}`;
+    }
+
+    throw createAppError(errorMessage, 500);
+  }
+};
+
+module.exports = { ensureConnection };
@@ -0,0 +1,141 @@
+// utils/escpos.js - Minimal ESC/POS command builder for receipt and KOT printers
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Windows-1256 (Arabic) characters for bytes 0x80-0xFF
+const CP1256_HIGH =
+  "\u20ac\u067e\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0679\u2039\u0152\u0686\u0698\u0688" +
+  "\u06af\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u06a9\u2122\u0691\u203a\u0153\u200c\u200d\u06ba" +
+  "\u00a0\u060c\u00a2\u00a3\u00a4\u00a5\u00a6\u00a7\u00a8\u00a9\u06be\u00ab\u00ac\u00ad\u00ae\u00af" +
+  "\u00b0\u00b1\u00b2\u00b3\u00b4\u00b5\u00b6\u00b7\u00b8\u00b9\u061b\u00bb\u00bc\u00bd\u00be\u061f" +
+  "\u06c1\u0621\u0622\u0623\u0624\u0625\u0626\u0627\u0628\u0629\u062a\u062b\u062c\u062d\u062e\u062f" +
+  "\u0630\u0631\u0632\u0633\u0634\u0635\u0636\u00d7\u0637\u0638\u0639\u063a\u0640\u0641\u0642\u0643" +
+  "\u00e0\u0644\u00e2\u0645\u0646\u0647\u0648\u00e7\u00e8\u00e9\u00ea\u00eb\u0649\u064a\u00ee\u00ef" +
+  "\u064b\u064c\u064d\u064e\u00f4\u064f\u0650\u00f7\u0651\u00f9\u0652\u00fb\u00fc\u200e\u200f\u06d2";
+
+const CP1256_MAP = new Map(
+  [...CP1256_HIGH].map((char, index) => [char, 0x80 + index])
+);
+
+const ARABIC_PATTERN = /[\u0600-\u06ff]/;
+
+/**
+ * Reorders a line containing Arabic into visual (left-to-right) order for
+ * printers without bidi support: Arabic runs are reversed and the run order
+ * flipped, while digits and Latin text keep their own direction
+ * @param {String} text - Logical order text
+ * @returns {String} Visual order text
+ */
+const toVisualOrder = (text) => {
+  if (!ARABIC_PATTERN.test(text)) {
+    return text;
+  }
+
+  const runs = text.match(/[\u0600-\u06ff\s]+|[^\u0600-\u06ff]+/g) || [];
+  return runs
+    .map((run) => (ARABIC_PATTERN.test(run) ? [...run].reverse().join("") : run))
+    .reverse()
+    .join("");
+};
+
+/**
+ * Encodes text to Windows-1256 bytes, unknown characters become "?"
+ * @param {String} text - Text to encode
+ * @returns {Buffer} Encoded bytes
+ */
+const encodeCp1256 = (text) => {
+  const bytes = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else {
+      bytes.push(CP1256_MAP.has(char) ? CP1256_MAP.get(char) : 0x3f);
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+class EscPosBuilder {
+  constructor(options = {}) {
+    this.width = options.width || parseInt(process.env.PRINT_WIDTH || "42");
+    this.arabicCodePage =
+      options.arabicCodePage ||
+      parseInt(process.env.ESCPOS_ARABIC_CODEPAGE || "50"); // WPC1256 on Epson compatibles
+    this.chunks = [];
+    this.initialize();
+  }
+
+  raw(bytes) {
+    this.chunks.push(Buffer.from(bytes));
+    return this;
+  }
+
+  initialize() {
+    // ESC @ resets the printer, ESC t selects the Arabic code page once
+    return this.raw([ESC, 0x40, ESC, 0x74, this.arabicCodePage]);
+  }
+
+  align(position = "left") {
+    const value = { left: 0, center: 1, right: 2 }[position] ?? 0;
+    return this.raw([ESC, 0x61, value]);
+  }
+
+  bold(enabled = true) {
+    return this.raw([ESC, 0x45, enabled ? 1 : 0]);
+  }
+
+  size(widthMultiplier = 1, heightMultiplier = 1) {
+    const value = ((widthMultiplier - 1) << 4) | (heightMultiplier - 1);
+    return this.raw([GS, 0x21, value]);
+  }
+
+  text(value = "") {
+    this.chunks.push(encodeCp1256(toVisualOrder(String(value))));
+    return this;
+  }
+
+  line(value = "") {
+    return this.text(value).raw([0x0a]);
+  }
+
+  // Arabic lines are right aligned so they read naturally
+  arabicLine(value) {
+    if (!value) {
+      return this;
+    }
+    return this.align("right").line(value).align("left");
+  }
+
+  separator(char = "-") {
+    return this.line(char.repeat(this.width));
+  }
+
+  columns(left, right) {
+    const rightText = String(right);
+    const space = Math.max(this.width - rightText.length - 1, 1);
+    const leftText = String(left);
+    const clipped =
+      leftText.length > space ? leftText.slice(0, space) : leftText.padEnd(space);
+    return this.line(`${clipped} ${rightText}`);
+  }
+
+  feed(lines = 1) {
+    return this.raw([ESC, 0x64, lines]);
+  }
+
+  cut() {
+    // GS V 66 0: feed to the cutter and do a partial cut
+    return this.feed(3).raw([GS, 0x56, 0x42, 0x00]);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+module.exports = {
+  EscPosBuilder,
+  encodeCp1256,
+  toVisualOrder,
+};
@@ -0,0 +1,9 @@
+/**
+ * Rounds a monetary value to 2 decimal places
+ * @param {Number} value - Amount to round
+ * @returns {Number} Rounded amount
+ */
+const roundMoney = (value) =>
+  Math.round(((parseFloat(value) || 0) + Number.EPSILON) * 100) / 100;
+
+module.exports = { roundMoney };
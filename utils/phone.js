@@ -0,0 +1,117 @@
+const { createAppError } = require("./errorHandler");
+
+/**
+ * Reads the phone settings from the environment
+ * @returns {Object} countryCode (PHONE_COUNTRY_CODE, default 971), trunkPrefix
+ * (PHONE_TRUNK_PREFIX, default 0), minDigits (PHONE_MIN_DIGITS, national
+ * digits, default 5) and display (PHONE_DISPLAY: national or international)
+ */
+const getPhoneConfig = () => {
+  const config = {
+    countryCode: String(process.env.PHONE_COUNTRY_CODE || "971").replace(/\D/g, ""),
+    trunkPrefix: process.env.PHONE_TRUNK_PREFIX ?? "0",
+    minDigits: parseInt(process.env.PHONE_MIN_DIGITS) || 5,
+    display: (process.env.PHONE_DISPLAY || "national").toLowerCase(),
+  };
+
+  if (!config.countryCode) {
+    throw createAppError("Invalid PHONE_COUNTRY_CODE", 500);
+  }
+
+  return config;
+};
+
+/**
+ * Normalises a phone number to E.164 (+<country code><number>).
+ * "+971 50 123 4567", "00971501234567", "971501234567" and "050 123 4567"
+ * all become +971501234567 with the default country code 971; numbers
+ * without a country code get the default one.
+ * @param {String} input - Phone number as typed or stored
+ * @returns {String|null} E.164 number, "" for an empty input, null when it is not a valid number
+ */
+const normalizePhone = (input) => {
+  const raw = String(input ?? "").trim();
+  if (!raw) return "";
+
+  const { countryCode, trunkPrefix, minDigits } = getPhoneConfig();
+  let digits = raw.replace(/\D/g, "");
+  let international;
+
+  if (raw.startsWith("+")) {
+    international = digits;
+  } else if (/^00[1-9]/.test(digits)) {
+    international = digits.slice(2);
+  } else if (digits.startsWith(countryCode) && digits.length >= countryCode.length + 8) {
+    // Typed with the country code but without + or 00
+    international = digits;
+  } else {
+    if (trunkPrefix && digits.startsWith(trunkPrefix)) {
+      digits = digits.slice(trunkPrefix.length);
+    }
+    // Older records were left-padded with zeros to 10 digits
+    digits = digits.replace(/^0+/, "");
+    if (digits.length < minDigits) return null;
+    international = countryCode + digits;
+  }
+
+  if (!/^[1-9]\d{6,14}$/.test(international)) return null;
+
+  return `+${international}`;
+};
+
+/**
+ * Normalises a phone number from a request, rejecting invalid ones
+ * @param {String} input - Phone number as typed
+ * @param {String} label - Field name used in the error
+ * @returns {String} E.164 number, "" for an empty input
+ */
+const requirePhone = (input, label = "phone number") => {
+  const phone = normalizePhone(input);
+
+  if (phone === null) {
+    throw createAppError(`Invalid ${label} ${input}`, 400);
+  }
+
+  return phone;
+};
+
+/**
+ * Formats a stored number for display. With PHONE_DISPLAY=national, numbers
+ * of the default country show with the trunk prefix (0501234567); others,
+ * and all numbers in international mode, show as +971 501234567.
+ * @param {String} phone - Stored number
+ * @returns {String} Display form; values that are not E.164 are returned as stored
+ */
+const formatPhone = (phone) => {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return phone || "";
+
+  const { countryCode, trunkPrefix, display } = getPhoneConfig();
+  const digits = normalized.slice(1);
+
+  if (!digits.startsWith(countryCode)) {
+    return normalized;
+  }
+
+  const national = digits.slice(countryCode.length);
+  return display === "international" ? `+${countryCode} ${national}` : `${trunkPrefix}${national}`;
+};
+
+/**
+ * Digits to search stored numbers with, so "050 123", "+97150123" and
+ * "50123" all find +971501234567
+ * @param {String} search - Search text
+ * @returns {String|null} Digits without trunk prefix or leading zeros, null when the text has fewer than 3 digits
+ */
+const phoneSearchDigits = (search) => {
+  const digits = String(search || "").replace(/\D/g, "").replace(/^0+/, "");
+  return digits.length >= 3 ? digits : null;
+};
+
+module.exports = {
+  getPhoneConfig,
+  normalizePhone,
+  requirePhone,
+  formatPhone,
+  phoneSearchDigits,
+};
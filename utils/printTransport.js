@@ -0,0 +1,92 @@
+// utils/printTransport.js - Delivers raw ESC/POS bytes to a printer target
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+
+const DEFAULT_TCP_PORT = 9100;
+
+/**
+ * Resolves the delivery target of a printer. PRINTER_TARGETS holds a JSON map
+ * of printer name to target, e.g. {"KitchenPrinter":"tcp://192.168.1.50:9100"};
+ * unmapped printers use PRINT_DEFAULT_TARGET and test mode always uses files.
+ * @param {String} printer - Printer name from tblPrinter / tblKotPrinter
+ * @returns {String} Target URL (tcp://host:port or file://directory)
+ */
+const resolveTarget = (printer) => {
+  const fileTarget = `file://${process.env.PRINT_OUTPUT_DIR || "print-output"}`;
+
+  if (process.env.PRINT_TEST_MODE === "true") {
+    return fileTarget;
+  }
+
+  let targets = {};
+  try {
+    targets = JSON.parse(process.env.PRINTER_TARGETS || "{}");
+  } catch (error) {
+    console.error("Invalid PRINTER_TARGETS:", error.message);
+  }
+
+  return targets[printer] || process.env.PRINT_DEFAULT_TARGET || fileTarget;
+};
+
+/**
+ * Sends bytes over a raw TCP socket (JetDirect / port 9100)
+ * @param {String} host - Printer host
+ * @param {Number} port - Printer port
+ * @param {Buffer} data - ESC/POS bytes
+ * @returns {Promise} Resolves once the socket is flushed and closed
+ */
+const sendTcp = (host, port, data) =>
+  new Promise((resolve, reject) => {
+    const timeout = parseInt(process.env.PRINT_TCP_TIMEOUT_MS) || 5000;
+    const socket = net.createConnection({ host, port });
+
+    socket.setTimeout(timeout);
+    socket.on("connect", () => socket.end(data));
+    socket.on("timeout", () => {
+      socket.destroy(new Error(`Printer ${host}:${port} timed out`));
+    });
+    socket.on("error", reject);
+    socket.on("close", (hadError) => {
+      if (!hadError) resolve();
+    });
+  });
+
+/**
+ * Writes bytes into a directory, one file per job
+ * @param {String} directory - Output directory
+ * @param {String} fileName - File name
+ * @param {Buffer} data - ESC/POS bytes
+ * @returns {String} Written file path
+ */
+const writeFile = (directory, fileName, data) => {
+  const outputDir = path.resolve(directory);
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const filePath = path.join(outputDir, fileName);
+  fs.writeFileSync(filePath, data);
+  return filePath;
+};
+
+/**
+ * Delivers a job to its printer target
+ * @param {String} target - Target URL from resolveTarget
+ * @param {Buffer} data - ESC/POS bytes
+ * @param {String} fileName - File name used for file targets
+ * @returns {String} Description of where the job went
+ */
+const deliver = async (target, data, fileName) => {
+  if (target.startsWith("tcp://")) {
+    const [host, port] = target.slice("tcp://".length).split(":");
+    await sendTcp(host, parseInt(port) || DEFAULT_TCP_PORT, data);
+    return target;
+  }
+
+  if (target.startsWith("file://")) {
+    return writeFile(target.slice("file://".length), fileName, data);
+  }
+
+  throw new Error(`Unsupported print target: ${target}`);
+};
+
+module.exports = { DEFAULT_TCP_PORT, resolveTarget, deliver };